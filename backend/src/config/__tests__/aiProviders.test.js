@@ -0,0 +1,85 @@
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeProviderConfig, loadAIProviderConfigs } from '../aiProviders.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const ollama = {
+  name: 'ollama',
+  baseURL: 'http://localhost:11434/v1/',
+  models: {
+    chat: ['llama3.1:8b'],
+    embedding: [{ name: 'nomic-embed-text', dimensions: 768 }]
+  }
+};
+
+describe('AI provider config', () => {
+  describe('normalizeProviderConfig', () => {
+    it('should fill in defaults and derive capabilities from the models', () => {
+      expect(normalizeProviderConfig(ollama)).toEqual({
+        name: 'ollama',
+        type: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1',
+        auth: { header: 'Authorization', scheme: 'Bearer', tokenEnv: null },
+        headers: {},
+        models: ollama.models,
+        capabilities: { chat: true, streaming: true, embeddings: true, tools: false },
+        timeout: 60000,
+        costPer1kTokens: 0,
+        default: false
+      });
+    });
+
+    it('should let capability flags turn features off', () => {
+      const config = normalizeProviderConfig({ ...ollama, capabilities: { streaming: false } });
+
+      expect(config.capabilities).toEqual({ chat: true, streaming: false, embeddings: true, tools: false });
+    });
+
+    it('should reject built-in provider names', () => {
+      expect(() => normalizeProviderConfig({ ...ollama, name: 'openai' }))
+        .toThrow('Invalid AI provider config: "openai" is a built-in provider');
+    });
+
+    it('should require dimensions for embedding models', () => {
+      expect(() => normalizeProviderConfig({ ...ollama, models: { embedding: [{ name: 'nomic-embed-text' }] } }))
+        .toThrow('embedding models need a name and dimensions');
+    });
+
+    it('should require models for declared capabilities', () => {
+      expect(() => normalizeProviderConfig({ ...ollama, models: { chat: ['llama3'] }, capabilities: { embeddings: true } }))
+        .toThrow('supports embeddings but lists no embedding models');
+    });
+  });
+
+  describe('loadAIProviderConfigs', () => {
+    const writeConfig = (content) => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-providers-')), 'providers.json');
+      fs.writeFileSync(file, JSON.stringify(content));
+      return file;
+    };
+
+    it('should return nothing when no file is configured', () => {
+      expect(loadAIProviderConfigs(undefined)).toEqual([]);
+    });
+
+    it('should read a providers array or object', () => {
+      expect(loadAIProviderConfigs(writeConfig([ollama])).map(config => config.name)).toEqual(['ollama']);
+      expect(loadAIProviderConfigs(writeConfig({ providers: [ollama] })).map(config => config.name)).toEqual(['ollama']);
+    });
+
+    it('should ignore the whole file when an entry is invalid', () => {
+      expect(loadAIProviderConfigs(writeConfig([ollama, ollama]))).toEqual([]);
+      expect(loadAIProviderConfigs('/nonexistent/providers.json')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * OpenAI-compatible AI provider configuration
+ * Providers such as Ollama, llama.cpp and vLLM are declared in a JSON file
+ * (AI_PROVIDERS_FILE) instead of code. Each entry:
+ *
+ * {
+ *   "name": "ollama",
+ *   "type": "openai-compatible",
+ *   "baseURL": "http://localhost:11434/v1",
+ *   "auth": { "header": "Authorization", "scheme": "Bearer", "tokenEnv": "OLLAMA_API_KEY" },
+ *   "headers": { "X-Team": "platform" },
+ *   "models": {
+ *     "chat": ["llama3.1:8b"],
+ *     "embedding": [{ "name": "nomic-embed-text", "dimensions": 768 }]
+ *   },
+ *   "capabilities": { "chat": true, "streaming": true, "embeddings": true, "tools": false },
+ *   "timeout": 60000,
+ *   "costPer1kTokens": 0,
+ *   "default": false
+ * }
+ *
+ * Tokens are read from the environment variable named by auth.tokenEnv so
+ * the file can be committed. The first model of each list is the default.
+ */
+
+// Names reserved for the built-in providers
+const RESERVED_NAMES = ['openai', 'anthropic', 'gemini', 'huggingface', 'local', 'demo'];
+
+const PROVIDER_TYPES = ['openai-compatible'];
+
+/**
+ * Validate one provider entry and fill in defaults
+ */
+export function normalizeProviderConfig(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Invalid AI provider config: each provider must be an object');
+  }
+
+  const { name, baseURL } = entry;
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid AI provider config: name "${name}" must be lowercase letters, digits, "-" or "_"`);
+  }
+
+  if (RESERVED_NAMES.includes(name)) {
+    throw new Error(`Invalid AI provider config: "${name}" is a built-in provider`);
+  }
+
+  const type = entry.type || 'openai-compatible';
+  if (!PROVIDER_TYPES.includes(type)) {
+    throw new Error(`Invalid AI provider config: ${name} has unknown type "${type}"`);
+  }
+
+  if (typeof baseURL !== 'string' || !/^https?:\/\//.test(baseURL)) {
+    throw new Error(`Invalid AI provider config: ${name} needs an http(s) baseURL`);
+  }
+
+  const chatModels = entry.models?.chat || [];
+  const embeddingModels = entry.models?.embedding || [];
+
+  if (embeddingModels.some(model => !model.name || !Number.isInteger(model.dimensions) || model.dimensions <= 0)) {
+    throw new Error(`Invalid AI provider config: ${name} embedding models need a name and dimensions`);
+  }
+
+  const capabilities = {
+    chat: chatModels.length > 0,
+    streaming: chatModels.length > 0,
+    embeddings: embeddingModels.length > 0,
+    // Function calling support varies by server and model, so it is opt-in
+    tools: false,
+    ...entry.capabilities
+  };
+
+  if (capabilities.chat && chatModels.length === 0) {
+    throw new Error(`Invalid AI provider config: ${name} supports chat but lists no chat models`);
+  }
+
+  if (capabilities.embeddings && embeddingModels.length === 0) {
+    throw new Error(`Invalid AI provider config: ${name} supports embeddings but lists no embedding models`);
+  }
+
+  return {
+    name,
+    type,
+    baseURL: baseURL.replace(/\/+$/, ''),
+    auth: {
+      header: entry.auth?.header || 'Authorization',
+      scheme: entry.auth?.scheme ?? 'Bearer',
+      tokenEnv: entry.auth?.tokenEnv || null
+    },
+    headers: entry.headers || {},
+    models: { chat: chatModels, embedding: embeddingModels },
+    capabilities,
+    timeout: entry.timeout || 60000,
+    // Used by the cost routing policy; self-hosted servers default to free
+    costPer1kTokens: typeof entry.costPer1kTokens === 'number' && entry.costPer1kTokens >= 0 ? entry.costPer1kTokens : 0,
+    default: entry.default === true
+  };
+}
+
+/**
+ * Read provider entries from AI_PROVIDERS_FILE
+ * A missing or invalid file disables the configured providers but not the server
+ */
+export function loadAIProviderConfigs(filePath = process.env.AI_PROVIDERS_FILE) {
+  if (!filePath) {
+    return [];
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    const entries = Array.isArray(raw) ? raw : raw.providers;
+
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid AI provider config: expected an array of providers');
+    }
+
+    const configs = entries.map(normalizeProviderConfig);
+
+    const names = configs.map(config => config.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+      throw new Error(`Invalid AI provider config: ${duplicate} is declared twice`);
+    }
+
+    return configs;
+
+  } catch (error) {
+    logger.error(`Failed to load AI providers from ${filePath}:`, error.message);
+    return [];
+  }
+}
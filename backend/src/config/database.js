@@ -62,12 +62,14 @@ export const initDatabase = async () => {
       CREATE TABLE IF NOT EXISTS messages (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
-        role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+        parent_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'assistant', 'system', 'tool')),
         content TEXT NOT NULL,
         metadata JSONB,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await client.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS active_message_id UUID REFERENCES messages(id) ON DELETE SET NULL');
 
     // Create documents table
     await client.query(`
@@ -97,6 +99,7 @@ export const initDatabase = async () => {
     // Create indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(parent_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_document_id ON document_chunks(document_id)');
     
@@ -8,7 +8,7 @@ CREATE EXTENSION IF NOT EXISTS vector;
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Create custom types
-CREATE TYPE message_role AS ENUM ('user', 'assistant', 'system');
+CREATE TYPE message_role AS ENUM ('user', 'assistant', 'system', 'tool');
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -18,6 +18,7 @@ CREATE TABLE IF NOT EXISTS users (
     name VARCHAR(255) NOT NULL,
     avatar_url VARCHAR(500),
     is_active BOOLEAN DEFAULT true,
+    is_admin BOOLEAN DEFAULT false,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -36,6 +37,7 @@ CREATE TABLE IF NOT EXISTS conversations (
 CREATE TABLE IF NOT EXISTS messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES messages(id) ON DELETE CASCADE,
     role message_role NOT NULL,
     content TEXT NOT NULL,
     metadata JSONB DEFAULT '{}',
@@ -43,31 +45,148 @@ CREATE TABLE IF NOT EXISTS messages (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Last message of the branch shown and continued; edits and regenerations
+-- start sibling branches
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS active_message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+
+-- Document collections shared between users
+CREATE TABLE IF NOT EXISTS collections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS collection_members (
+    collection_id UUID REFERENCES collections(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, user_id)
+);
+
 -- Documents table
 CREATE TABLE IF NOT EXISTS documents (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    collection_id UUID REFERENCES collections(id) ON DELETE SET NULL,
     filename VARCHAR(255) NOT NULL,
     original_filename VARCHAR(255) NOT NULL,
     content TEXT NOT NULL,
     file_size INTEGER NOT NULL,
-    file_type VARCHAR(50) NOT NULL,
+    file_type VARCHAR(255) NOT NULL,
     upload_path VARCHAR(500),
+    metadata JSONB DEFAULT '{}',
     is_processed BOOLEAN DEFAULT false,
+    current_version INTEGER NOT NULL DEFAULT 1,
+    indexed_version INTEGER,
+    pinned_version INTEGER,
+    minhash INTEGER[],
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Uploaded revisions of each document; documents.content holds the latest
+CREATE TABLE IF NOT EXISTS document_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    file_size INTEGER NOT NULL,
+    file_type VARCHAR(255) NOT NULL,
+    metadata JSONB DEFAULT '{}',
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_id, version_number)
+);
+
 -- Document chunks table for RAG
 CREATE TABLE IF NOT EXISTS document_chunks (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
     content TEXT NOT NULL,
-    embedding vector(1536),
+    embedding vector,
+    embedding_model VARCHAR(255),
+    embedding_dimensions INTEGER,
     metadata JSONB DEFAULT '{}',
     chunk_index INTEGER NOT NULL,
+    version_number INTEGER NOT NULL DEFAULT 1,
+    content_hash VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Embedding models; the active one is what chunks and queries are embedded with
+CREATE TABLE IF NOT EXISTS embedding_models (
+    name VARCHAR(255) PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    dimensions INTEGER NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    activated_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Background re-embedding of the corpus with a new model
+CREATE TABLE IF NOT EXISTS embedding_migrations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    target_model VARCHAR(255) NOT NULL,
+    source_model VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    total_chunks INTEGER NOT NULL DEFAULT 0,
+    migrated_chunks INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Target-model embeddings staged by a migration until the whole corpus is done
+CREATE TABLE IF NOT EXISTS document_chunk_embeddings (
+    chunk_id UUID REFERENCES document_chunks(id) ON DELETE CASCADE,
+    embedding_model VARCHAR(255) NOT NULL,
+    embedding_dimensions INTEGER NOT NULL,
+    embedding vector NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chunk_id, embedding_model)
+);
+
+-- Document processing jobs (chunking and embedding queue)
+CREATE TABLE IF NOT EXISTS document_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    progress INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    last_error TEXT,
+    options JSONB DEFAULT '{}',
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Documents a conversation's RAG retrieval is limited to (none = all documents)
+CREATE TABLE IF NOT EXISTS conversation_documents (
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (conversation_id, document_id)
+);
+
+-- Collections whose documents are all in a conversation's retrieval scope
+CREATE TABLE IF NOT EXISTS conversation_collections (
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    collection_id UUID REFERENCES collections(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (conversation_id, collection_id)
+);
+
 -- User sessions table for JWT token management
 CREATE TABLE IF NOT EXISTS user_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -83,15 +202,30 @@ CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
 CREATE INDEX IF NOT EXISTS idx_conversations_updated_at ON conversations(updated_at DESC);
 CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(parent_id);
+CREATE INDEX IF NOT EXISTS idx_messages_content_fts ON messages USING gin (to_tsvector('simple', content));
+CREATE INDEX IF NOT EXISTS idx_conversations_title_fts ON conversations USING gin (to_tsvector('simple', COALESCE(title, '')));
 CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id);
+CREATE INDEX IF NOT EXISTS idx_documents_collection_id ON documents(collection_id);
+CREATE INDEX IF NOT EXISTS idx_collection_members_user_id ON collection_members(user_id);
 CREATE INDEX IF NOT EXISTS idx_document_chunks_document_id ON document_chunks(document_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_version ON document_chunks(document_id, version_number);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_content_hash ON document_chunks(document_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding_model ON document_chunks(embedding_model);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_content_fts ON document_chunks USING gin (to_tsvector('simple', content));
+CREATE INDEX IF NOT EXISTS idx_document_jobs_status_run_at ON document_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_document_jobs_document_id ON document_jobs(document_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_documents_document_id ON conversation_documents(document_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_collections_collection_id ON conversation_collections(collection_id);
 CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_sessions_refresh_token ON user_sessions(refresh_token);
 
 -- Create vector similarity search index using HNSW
-CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding 
-ON document_chunks USING hnsw (embedding vector_cosine_ops) 
-WITH (m = 16, ef_construction = 64);
+-- One partial index per dimension; the server adds one when a model of another dimension is activated
+CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding_1536
+ON document_chunks USING hnsw ((embedding::vector(1536)) vector_cosine_ops)
+WITH (m = 16, ef_construction = 64)
+WHERE embedding_dimensions = 1536;
 
 -- Create a function to automatically update the updated_at column
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -115,10 +249,11 @@ CREATE TRIGGER update_conversations_updated_at
 
 -- Create a function for vector similarity search
 CREATE OR REPLACE FUNCTION match_documents(
-    query_embedding vector(1536),
+    query_embedding vector,
     match_threshold float DEFAULT 0.78,
     match_count int DEFAULT 10,
-    filter_user_id uuid DEFAULT NULL
+    filter_user_id uuid DEFAULT NULL,
+    filter_embedding_model varchar DEFAULT NULL
 )
 RETURNS TABLE (
     id uuid,
@@ -140,6 +275,8 @@ BEGIN
     FROM document_chunks dc
     JOIN documents d ON dc.document_id = d.id
     WHERE (filter_user_id IS NULL OR d.user_id = filter_user_id)
+      AND (filter_embedding_model IS NULL OR dc.embedding_model = filter_embedding_model)
+      AND dc.embedding_dimensions = vector_dims(query_embedding)
       AND 1 - (dc.embedding <=> query_embedding) > match_threshold
     ORDER BY dc.embedding <=> query_embedding
     LIMIT match_count;
@@ -110,6 +110,10 @@ export const redisKeys = {
   
   // Cache keys
   cache: (key) => `cache:${key}`,
+
+  // Chat stream buffer keys
+  streamEvents: (streamId) => `stream:${streamId}:events`,
+  streamMeta: (streamId) => `stream:${streamId}:meta`,
 };
 
 export default redisClient;
\ No newline at end of file
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import { streamMessage } from '../chatController.js';
+import queryOptimizer from '../../services/queryOptimizer.js';
+import { contextService } from '../../services/contextService.js';
+import { streamBufferService } from '../../services/streamBufferService.js';
+import { realtimeService } from '../../services/realtimeService.js';
+import { aiCoordinator } from '../../services/ai/aiCoordinator.js';
+import { generationService } from '../../services/generationService.js';
+
+vi.mock('../../config/database.js', () => ({ default: { connect: vi.fn() } }));
+vi.mock('../../services/ai/aiCoordinator.js', () => ({ aiCoordinator: { streamResponse: vi.fn() } }));
+vi.mock('../../services/ragService.js', () => ({ ragService: {} }));
+vi.mock('../../services/citationService.js', () => ({ citationService: { buildCitationMetadata: () => ({}) } }));
+vi.mock('../../services/conversationDocumentService.js', () => ({ conversationDocumentService: {} }));
+vi.mock('../../services/cacheService.js', () => ({ cacheService: {} }));
+vi.mock('../../services/exportService.js', () => ({ exportService: {} }));
+vi.mock('../../services/quotaService.js', () => ({ quotaService: {} }));
+vi.mock('../../services/tools/toolRegistry.js', () => ({ toolRegistry: { forContext: vi.fn() } }));
+vi.mock('../../services/generationService.js', () => ({ generationService: { start: vi.fn(), finish: vi.fn() } }));
+vi.mock('../../services/conversationSearchService.js', () => ({ conversationSearchService: {} }));
+
+vi.mock('../../services/contextService.js', () => ({
+  contextService: {
+    createConversation: vi.fn(),
+    buildAIContext: vi.fn(),
+    saveMessage: vi.fn(),
+    formatForAI: vi.fn(messages => messages)
+  }
+}));
+
+vi.mock('../../services/streamBufferService.js', () => ({
+  streamBufferService: {
+    create: vi.fn(),
+    append: vi.fn(),
+    read: vi.fn(),
+    watchReaders: vi.fn()
+  }
+}));
+
+vi.mock('../../services/realtimeService.js', () => ({
+  realtimeService: {
+    toConversation: vi.fn(),
+    toUser: vi.fn()
+  }
+}));
+
+vi.mock('../../services/queryOptimizer.js', () => ({
+  default: {
+    checkOwnership: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const conversationId = '11111111-1111-1111-1111-111111111111';
+
+describe('streamMessage', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-2' };
+      next();
+    });
+    app.post('/chat/stream', streamMessage);
+  });
+
+  it('should not stream into other users\' conversations', async () => {
+    queryOptimizer.checkOwnership.mockResolvedValue({ exists: true, isOwner: false });
+
+    const response = await request(app)
+      .post('/chat/stream')
+      .send({ message: 'Hello', conversationId });
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Conversation not found');
+    expect(queryOptimizer.checkOwnership).toHaveBeenCalledWith(conversationId, 'user-2');
+    expect(streamBufferService.create).not.toHaveBeenCalled();
+    expect(contextService.buildAIContext).not.toHaveBeenCalled();
+    expect(contextService.saveMessage).not.toHaveBeenCalled();
+    expect(realtimeService.toConversation).not.toHaveBeenCalled();
+  });
+
+  it('should answer missing conversations the same way', async () => {
+    queryOptimizer.checkOwnership.mockResolvedValue({ exists: false });
+
+    const response = await request(app)
+      .post('/chat/stream')
+      .send({ message: 'Hello', conversationId });
+
+    expect(response.status).toBe(404);
+    expect(streamBufferService.create).not.toHaveBeenCalled();
+  });
+
+  it('should cancel answers nobody reads any more', async () => {
+    queryOptimizer.checkOwnership.mockResolvedValue({ exists: true, isOwner: true });
+    generationService.start.mockImplementation(() => new AbortController());
+    contextService.buildAIContext.mockResolvedValue({ messages: [{}, {}, {}] });
+    contextService.saveMessage.mockResolvedValue({ id: 'message-1' });
+    // The client goes away straight after the request
+    streamBufferService.read.mockImplementation(async function* () {});
+    let onAbandoned;
+    const stopWatching = vi.fn();
+    streamBufferService.watchReaders.mockImplementation((streamId, callback) => {
+      onAbandoned = callback;
+      return stopWatching;
+    });
+    aiCoordinator.streamResponse.mockImplementation(async function* (messages, options) {
+      yield { content: 'Partial', provider: 'openai' };
+      await new Promise(resolve => options.signal.addEventListener('abort', resolve));
+      throw new Error('Request aborted');
+    });
+
+    await request(app)
+      .post('/chat/stream')
+      .send({ message: 'Hello', conversationId, enableRAG: false, enableTools: false });
+
+    // Still generating after the connection closed
+    await vi.waitFor(() => expect(streamBufferService.append).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ type: 'ai_response_chunk', content: 'Partial' })
+    ));
+    expect(contextService.saveMessage).toHaveBeenCalledTimes(1);
+
+    onAbandoned();
+
+    await vi.waitFor(() => expect(stopWatching).toHaveBeenCalled());
+    expect(contextService.saveMessage).toHaveBeenLastCalledWith(
+      conversationId,
+      'assistant',
+      'Partial',
+      expect.objectContaining({ finishReason: 'cancelled', cancelledBy: 'disconnected' })
+    );
+  });
+});
@@ -1,16 +1,139 @@
+import { randomUUID } from 'crypto';
 import { validationResult } from 'express-validator';
 import { aiCoordinator } from '../services/ai/aiCoordinator.js';
 import { contextService } from '../services/contextService.js';
 import { ragService } from '../services/ragService.js';
+import { citationService } from '../services/citationService.js';
+import { conversationDocumentService } from '../services/conversationDocumentService.js';
 import { cacheService } from '../services/cacheService.js';
 import { exportService } from '../services/exportService.js';
 import { quotaService } from '../services/quotaService.js';
+import { toolRegistry } from '../services/tools/toolRegistry.js';
+import { generationService } from '../services/generationService.js';
+import { streamBufferService } from '../services/streamBufferService.js';
+import { realtimeService } from '../services/realtimeService.js';
+import { conversationSearchService } from '../services/conversationSearchService.js';
 import queryOptimizer from '../services/queryOptimizer.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
-import { io } from '../index.js';
 import pool from '../config/database.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Generate the assistant reply to aiContext and save it under parentId
+ * Shared by new, edited and regenerated messages; returns the reply as
+ * sent to the client
+ */
+async function generateReply(conversationId, userId, aiContext, parentId, options) {
+  const { provider, model, settings, enableRAG = true, retrieval, socketId } = options;
+
+  realtimeService.toConversation(conversationId, 'generation_state', { generating: true }, socketId);
+
+  try {
+    // Limit retrieval to the conversation's documents and collections, if any are attached
+    const scopedDocumentIds = enableRAG
+      ? await conversationDocumentService.getScopedDocumentIds(conversationId, userId)
+      : null;
+
+    // Generate AI response with RAG if enabled
+    logger.info(`Generating AI response for conversation: ${conversationId} (RAG: ${enableRAG})`);
+  
+    const aiResponse = enableRAG 
+      ? await ragService.generateRAGResponse(
+          contextService.formatForAI(aiContext.messages),
+          userId,
+          {
+            provider,
+            model,
+            settings,
+            enableRAG,
+            retrieval,
+            documentIds: scopedDocumentIds
+          }
+        )
+      : await aiCoordinator.generateResponse(
+          contextService.formatForAI(aiContext.messages),
+          {
+            provider,
+            model,
+            settings
+          }
+        );
+
+    // Save AI response
+    const assistantMessageData = await contextService.saveMessage(
+      conversationId,
+      'assistant',
+      aiResponse.content,
+      {
+        provider: aiResponse.provider,
+        model: aiResponse.model,
+        usage: aiResponse.usage,
+        finishReason: aiResponse.finishReason,
+        ragContext: aiResponse.ragContext,
+        citations: aiResponse.citations,
+        invalidCitations: aiResponse.invalidCitations
+      },
+      { parentId }
+    );
+
+    // Generate conversation title if this is the first exchange
+    if (aiContext.messages.length <= 2) {
+      const title = await contextService.generateConversationTitle(conversationId);
+      await contextService.updateConversationTitle(conversationId, title);
+      realtimeService.toUser(userId, 'conversation_title_updated', { conversationId, title }, socketId);
+    }
+
+    broadcastMessage(conversationId, assistantMessageData, 'assistant', aiResponse.content, {
+      provider: aiResponse.provider,
+      model: aiResponse.model,
+      usage: aiResponse.usage,
+      citations: aiResponse.citations || []
+    }, socketId);
+
+    return {
+      id: assistantMessageData.id,
+      parent_id: parentId,
+      content: aiResponse.content,
+      created_at: assistantMessageData.created_at,
+      metadata: {
+        provider: aiResponse.provider,
+        model: aiResponse.model,
+        usage: aiResponse.usage,
+        ragContext: aiResponse.ragContext,
+        citations: aiResponse.citations || []
+      }
+    };
+  } finally {
+    realtimeService.toConversation(conversationId, 'generation_state', { generating: false }, socketId);
+  }
+}
+
+/**
+ * Message as returned to the client, with the ids of the alternatives
+ * edits and regenerations created next to it
+ */
+function formatMessage(msg) {
+  return {
+    id: msg.id,
+    parent_id: msg.parent_id,
+    role: msg.role,
+    content: msg.content,
+    metadata: msg.metadata,
+    created_at: msg.created_at,
+    sibling_ids: msg.sibling_ids || [msg.id]
+  };
+}
+
+/**
+ * Push a saved message to the conversation's sockets, except the one whose
+ * request saved it
+ */
+function broadcastMessage(conversationId, saved, role, content, metadata, socketId) {
+  realtimeService.toConversation(conversationId, 'new_message', {
+    message: formatMessage({ ...saved, role, content, metadata })
+  }, socketId);
+}
+
 /**
  * Send message and get AI response
  */
@@ -25,8 +148,9 @@ export const sendMessage = asyncHandler(async (req, res) => {
     });
   }
 
-  const { message, conversationId: providedConversationId, provider, model, settings, enableRAG = true } = req.body;
+  const { message, conversationId: providedConversationId, provider, model, settings, enableRAG = true, retrieval } = req.body;
   const userId = req.user.id;
+  const socketId = req.get('X-Socket-Id');
 
   let conversationId = providedConversationId;
 
@@ -118,67 +242,15 @@ export const sendMessage = asyncHandler(async (req, res) => {
       message,
       { provider, model }
     );
-
-    // Generate AI response with RAG if enabled
-    logger.info(`Generating AI response for conversation: ${conversationId} (RAG: ${enableRAG})`);
-    
-    const aiResponse = enableRAG 
-      ? await ragService.generateRAGResponse(
-          aiContext.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          })),
-          userId,
-          {
-            provider,
-            model,
-            settings,
-            enableRAG
-          }
-        )
-      : await aiCoordinator.generateResponse(
-          aiContext.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          })),
-          {
-            provider,
-            model,
-            settings
-          }
-        );
-
-    // Save AI response
-    const assistantMessageData = await contextService.saveMessage(
-      conversationId,
-      'assistant',
-      aiResponse.content,
-      {
-        provider: aiResponse.provider,
-        model: aiResponse.model,
-        usage: aiResponse.usage,
-        finishReason: aiResponse.finishReason,
-        ragContext: aiResponse.ragContext
-      }
-    );
-
-    // Generate conversation title if this is the first exchange
-    if (aiContext.messages.length <= 2) {
-      const title = await contextService.generateConversationTitle(conversationId);
-      await contextService.updateConversationTitle(conversationId, title);
-    }
-
-    // Emit to socket if connected
-    io.to(conversationId).emit('new_message', {
-      id: assistantMessageData.id,
-      role: 'assistant',
-      content: aiResponse.content,
-      created_at: assistantMessageData.created_at,
-      metadata: {
-        provider: aiResponse.provider,
-        model: aiResponse.model,
-        usage: aiResponse.usage
-      }
+    broadcastMessage(conversationId, userMessageData, 'user', message, { provider, model }, socketId);
+
+    const assistantMessage = await generateReply(conversationId, userId, aiContext, userMessageData.id, {
+      provider,
+      model,
+      settings,
+      enableRAG,
+      retrieval,
+      socketId
     });
 
     // Return response
@@ -191,17 +263,7 @@ export const sendMessage = asyncHandler(async (req, res) => {
           content: message,
           created_at: userMessageData.created_at
         },
-        assistantMessage: {
-          id: assistantMessageData.id,
-          content: aiResponse.content,
-          created_at: assistantMessageData.created_at,
-          metadata: {
-            provider: aiResponse.provider,
-            model: aiResponse.model,
-            usage: aiResponse.usage,
-            ragContext: aiResponse.ragContext
-          }
-        }
+        assistantMessage
       }
     });
 
@@ -232,6 +294,8 @@ export const sendMessage = asyncHandler(async (req, res) => {
 
 /**
  * Stream message response
+ * The answer is generated apart from this request and buffered, so a client
+ * that loses the connection can pick the stream up again with resumeStream
  */
 export const streamMessage = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -243,19 +307,125 @@ export const streamMessage = asyncHandler(async (req, res) => {
     });
   }
 
-  const { message, conversationId: providedConversationId, provider, model, settings, enableRAG = true } = req.body;
   const userId = req.user.id;
+  const { conversationId } = req.body;
 
-  // Set up SSE headers
+  // Checked before the stream starts anything in the conversation. Other
+  // users' conversations look the same as missing ones.
+  if (conversationId) {
+    const ownership = await queryOptimizer.checkOwnership(conversationId, userId);
+
+    if (!ownership.exists || !ownership.isOwner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+  }
+
+  const streamId = randomUUID();
+
+  await streamBufferService.create(streamId, userId);
+  streamBufferService.append(streamId, { type: 'stream_created', streamId });
+
+  // Errors end up in the stream as an error event
+  runStream(streamId, userId, req.body, req.get('X-Socket-Id'));
+
+  await pipeStream(res, streamId, 0);
+});
+
+/**
+ * Resume a stream after the event the client saw last
+ * Missed events are replayed, then the stream is followed until it ends
+ */
+export const resumeStream = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { streamId } = req.params;
+  const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId ?? 0);
+  const userId = req.user.id;
+
+  const ownerId = await streamBufferService.getOwner(streamId);
+
+  if (!ownerId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Stream not found'
+    });
+  }
+
+  if (ownerId !== userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Not your stream'
+    });
+  }
+
+  await pipeStream(res, streamId, Number.isNaN(lastEventId) ? 0 : lastEventId);
+});
+
+/**
+ * Write a buffered stream to an SSE response, starting after afterSeq
+ * Each event's id is its sequence number, for Last-Event-ID on reconnect
+ */
+async function pipeStream(res, streamId, afterSeq) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
+  });
+
+  // req's 'close' fires as soon as the body has been read, so a client
+  // going away shows as the response closing before it ended
+  const connection = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      connection.abort();
+    }
   });
 
+  try {
+    for await (const { seq, event } of streamBufferService.read(streamId, afterSeq, connection.signal)) {
+      res.write(`id: ${seq}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  } catch (error) {
+    logger.error(`Error reading stream ${streamId}:`, error);
+  }
+
+  res.end();
+}
+
+/**
+ * Generate the answer to a streamed message into the stream buffer
+ * Runs until the answer is complete or cancelled. A client may drop and
+ * resume; a stream nobody has read for the buffer's idleTimeout is cancelled
+ */
+async function runStream(streamId, userId, body, socketId) {
+  const {
+    message,
+    conversationId: providedConversationId,
+    provider,
+    model,
+    settings,
+    enableRAG = true,
+    retrieval,
+    enableTools = true,
+    tools
+  } = body;
+
   let conversationId = providedConversationId;
+  let generation = null;
+  let stopWatchingReaders = null;
+  const send = event => streamBufferService.append(streamId, event);
 
   try {
     // Create new conversation if not provided
@@ -263,12 +433,18 @@ export const streamMessage = asyncHandler(async (req, res) => {
       const newConversation = await contextService.createConversation(userId);
       conversationId = newConversation.id;
       
-      res.write(`data: ${JSON.stringify({
+      send({
         type: 'conversation_created',
         conversationId
-      })}\n\n`);
+      });
     }
 
+    generation = generationService.start(conversationId);
+    stopWatchingReaders = streamBufferService.watchReaders(streamId, () => generation.abort('disconnected'));
+
+    // Other tabs can follow the answer with the stream id
+    realtimeService.toConversation(conversationId, 'generation_state', { generating: true, streamId }, socketId);
+
     // Build AI context
     const aiContext = await contextService.buildAIContext(conversationId, message, {
       model: model || 'gpt-4o-mini'
@@ -281,107 +457,453 @@ export const streamMessage = asyncHandler(async (req, res) => {
       message,
       { provider, model, streaming: true }
     );
+    broadcastMessage(conversationId, userMessageData, 'user', message, { provider, model, streaming: true }, socketId);
 
-    res.write(`data: ${JSON.stringify({
+    send({
       type: 'user_message_saved',
       messageId: userMessageData.id
-    })}\n\n`);
+    });
 
     // Start streaming AI response with RAG
     let fullResponse = '';
     let assistantMessageId = null;
     let ragContext = null;
+    let responseProvider = null;
+    let responseModel = model;
+    const failover = [];
 
-    res.write(`data: ${JSON.stringify({
+    send({
       type: 'ai_response_start'
-    })}\n\n`);
+    });
+
+    // Limit retrieval to the conversation's documents and collections, if any are attached
+    const scopedDocumentIds = enableRAG
+      ? await conversationDocumentService.getScopedDocumentIds(conversationId, userId)
+      : null;
+
+    // Tools the model may call during this turn
+    const toolset = enableTools
+      ? toolRegistry.forContext({ userId, conversationId }, tools)
+      : null;
 
     const streamIterator = enableRAG
       ? ragService.streamRAGResponse(
-          aiContext.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          })),
+          contextService.formatForAI(aiContext.messages),
           userId,
-          { provider, model, settings, enableRAG }
+          {
+            provider,
+            model,
+            settings,
+            enableRAG,
+            retrieval,
+            documentIds: scopedDocumentIds,
+            toolset,
+            signal: generation.signal
+          }
         )
       : (async function*() {
-          for await (const chunk of aiCoordinator.streamResponse(
-            aiContext.messages.map(msg => ({
-              role: msg.role,
-              content: msg.content
-            })),
-            { provider, model, settings }
-          )) {
-            yield { ...chunk, type: 'response_chunk' };
+          const messages = contextService.formatForAI(aiContext.messages);
+          const options = { provider, model, settings, signal: generation.signal };
+
+          for await (const chunk of toolset
+            ? aiCoordinator.streamWithTools(messages, toolset, options)
+            : aiCoordinator.streamResponse(messages, options)) {
+            yield { type: 'response_chunk', ...chunk };
           }
         })();
 
-    for await (const chunk of streamIterator) {
-      if (chunk.type === 'rag_context') {
-        ragContext = chunk.ragContext;
-        res.write(`data: ${JSON.stringify({
-          type: 'rag_context',
-          ragContext: chunk.ragContext
-        })}\n\n`);
-      } else if (chunk.type === 'response_chunk' && chunk.content) {
-        fullResponse += chunk.content;
+    try {
+      for await (const chunk of streamIterator) {
+        // Providers that ignore the signal are stopped by no longer reading
+        if (generation.signal.aborted) {
+          break;
+        }
+
+        if (chunk.type === 'rag_context') {
+          ragContext = chunk.ragContext;
+          send({
+            type: 'rag_context',
+            ragContext: chunk.ragContext
+          });
+        } else if (chunk.type === 'provider_switched') {
+          // The partial answer is kept; the next provider continues it
+          failover.push({
+            from: chunk.from,
+            to: chunk.to,
+            reason: chunk.reason,
+            partialLength: chunk.partialLength
+          });
+          send({
+            type: 'provider_switched',
+            from: chunk.from,
+            to: chunk.to,
+            reason: chunk.reason
+          });
+        } else if (chunk.type === 'tool_calls') {
+          // Text streamed before the calls belongs to the tool-calling turn
+          const toolCallMessage = await contextService.saveMessage(
+            conversationId,
+            'assistant',
+            chunk.content,
+            { provider: chunk.provider, streaming: true, toolCalls: chunk.toolCalls }
+          );
+          broadcastMessage(conversationId, toolCallMessage, 'assistant', chunk.content, {
+            provider: chunk.provider,
+            streaming: true,
+            toolCalls: chunk.toolCalls
+          }, socketId);
+          fullResponse = '';
+
+          for (const call of chunk.toolCalls) {
+            send({
+              type: 'tool_call',
+              id: call.id,
+              name: call.name,
+              arguments: call.arguments,
+              messageId: toolCallMessage.id
+            });
+          }
+        } else if (chunk.type === 'tool_result') {
+          const toolResultMetadata = { toolCallId: chunk.id, name: chunk.name, ...(chunk.error && { error: chunk.error }) };
+          const toolResultMessage = await contextService.saveMessage(
+            conversationId,
+            'tool',
+            chunk.content,
+            toolResultMetadata
+          );
+          broadcastMessage(conversationId, toolResultMessage, 'tool', chunk.content, toolResultMetadata, socketId);
+
+          send({
+            type: 'tool_result',
+            id: chunk.id,
+            name: chunk.name,
+            ...(chunk.error ? { error: chunk.error } : { result: chunk.result }),
+            messageId: toolResultMessage.id
+          });
+        } else if (chunk.type === 'response_chunk' && chunk.content) {
+          fullResponse += chunk.content;
+          responseProvider = chunk.provider;
+          responseModel = chunk.model || responseModel;
         
-        res.write(`data: ${JSON.stringify({
-          type: 'ai_response_chunk',
-          content: chunk.content,
-          provider: chunk.provider
-        })}\n\n`);
+          send({
+            type: 'ai_response_chunk',
+            content: chunk.content,
+            provider: chunk.provider
+          });
+        }
+      }
+    } catch (error) {
+      // Aborting the provider request ends the stream with an error
+      if (!generation.signal.aborted) {
+        throw error;
       }
     }
 
+    // Cancelled answers are saved as far as they got
+    const cancelled = generation.signal.aborted;
+    if (cancelled) {
+      logger.info(`Stream cancelled in conversation ${conversationId} (${generation.signal.reason}) after ${fullResponse.length} characters`);
+    }
+
+    // Link citation markers to the supplied chunks
+    const citationMetadata = citationService.buildCitationMetadata(fullResponse, ragContext);
+
     // Save complete AI response
+    const assistantMetadata = {
+      provider: responseProvider || provider,
+      model: responseModel,
+      streaming: true,
+      ...(cancelled && { finishReason: 'cancelled', cancelledBy: generation.signal.reason }),
+      ragContext,
+      ...(failover.length > 0 && {
+        providers: [failover[0].from, ...failover.map(event => event.to)],
+        failover
+      }),
+      ...citationMetadata
+    };
     const assistantMessageData = await contextService.saveMessage(
       conversationId,
       'assistant',
       fullResponse,
-      {
-        provider,
-        model,
-        streaming: true,
-        ragContext
-      }
+      assistantMetadata
     );
+    broadcastMessage(conversationId, assistantMessageData, 'assistant', fullResponse, assistantMetadata, socketId);
 
     assistantMessageId = assistantMessageData.id;
 
-    res.write(`data: ${JSON.stringify({
+    send({
       type: 'ai_response_complete',
       messageId: assistantMessageId,
-      fullContent: fullResponse
-    })}\n\n`);
+      fullContent: fullResponse,
+      citations: citationMetadata.citations || [],
+      ...(cancelled && { finishReason: 'cancelled' })
+    });
 
     // Generate title if needed
     if (aiContext.messages.length <= 2) {
       const title = await contextService.generateConversationTitle(conversationId);
       await contextService.updateConversationTitle(conversationId, title);
+      realtimeService.toUser(userId, 'conversation_title_updated', { conversationId, title }, socketId);
       
-      res.write(`data: ${JSON.stringify({
+      send({
         type: 'conversation_title_updated',
         title
-      })}\n\n`);
+      });
     }
 
-    res.write(`data: ${JSON.stringify({
+    send({
       type: 'stream_complete'
-    })}\n\n`);
+    });
+
+  } catch (error) {
+    logger.error('Error in streamMessage:', error);
+    
+    send({
+      type: 'error',
+      message: error.message
+    });
+  } finally {
+    stopWatchingReaders?.();
+
+    if (generation) {
+      generationService.finish(conversationId, generation);
+      realtimeService.toConversation(conversationId, 'generation_state', { generating: false, streamId }, socketId);
+    }
+  }
+}
+
+/**
+ * Cancel the responses being streamed in a conversation
+ * Each stream saves its partial answer with finishReason "cancelled"
+ */
+export const cancelGeneration = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  if (!(await ensureConversationAccess(res, id, userId))) return;
+
+  const cancelled = generationService.cancel(id);
+
+  res.json({
+    success: true,
+    data: {
+      cancelled: cancelled > 0
+    }
+  });
+});
+
+/**
+ * List the tools the assistant can call while streaming
+ */
+export const getTools = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      tools: toolRegistry.getDefinitions()
+    }
+  });
+});
+
+/**
+ * Respond with 404/403 unless the user owns the message
+ * Returns the message when the request may continue
+ */
+async function ensureMessageAccess(res, messageId, userId) {
+  const message = await contextService.getMessage(messageId);
+
+  if (!message) {
+    res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+    return null;
+  }
+
+  if (message.user_id !== userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Not your conversation'
+    });
+    return null;
+  }
+
+  return message;
+}
+
+/**
+ * Edit a user message
+ * The new text becomes a sibling of the original with a fresh reply; the
+ * original turn and everything after it stay available as another branch
+ */
+export const editMessage = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { messageId } = req.params;
+  const { message, provider, model, settings, enableRAG = true, retrieval } = req.body;
+  const userId = req.user.id;
+  const socketId = req.get('X-Socket-Id');
+
+  const original = await ensureMessageAccess(res, messageId, userId);
+  if (!original) return;
+
+  if (original.role !== 'user') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only user messages can be edited'
+    });
+  }
+
+  const conversationId = original.conversation_id;
+
+  try {
+    // Answer from the history before the original message
+    const aiContext = await contextService.buildAIContext(conversationId, message, {
+      model: model || 'gpt-4o-mini',
+      leafId: original.parent_id
+    });
+
+    const userMessageData = await contextService.saveMessage(
+      conversationId,
+      'user',
+      message,
+      { provider, model, editedFrom: original.id },
+      { parentId: original.parent_id }
+    );
+    broadcastMessage(conversationId, userMessageData, 'user', message, { provider, model, editedFrom: original.id }, socketId);
+
+    const assistantMessage = await generateReply(conversationId, userId, aiContext, userMessageData.id, {
+      provider,
+      model,
+      settings,
+      enableRAG,
+      retrieval,
+      socketId
+    });
+
+    const branch = await contextService.getConversationContext(conversationId, {
+      includeSystem: false,
+      includeBranches: true
+    });
 
-    res.end();
+    res.json({
+      success: true,
+      data: {
+        conversationId,
+        userMessage: {
+          id: userMessageData.id,
+          parent_id: original.parent_id,
+          content: message,
+          created_at: userMessageData.created_at
+        },
+        assistantMessage,
+        messages: branch.messages.map(formatMessage)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in editMessage:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Regenerate an assistant reply
+ * The new reply answers the same user message and becomes a sibling of
+ * the original one
+ */
+export const regenerateMessage = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { messageId } = req.params;
+  const { provider, model, settings, enableRAG = true, retrieval } = req.body;
+  const userId = req.user.id;
+
+  const original = await ensureMessageAccess(res, messageId, userId);
+  if (!original) return;
+
+  if (original.role !== 'assistant') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only assistant replies can be regenerated'
+    });
+  }
+
+  // Replies after tool calls are regenerated from the user's message
+  const prompt = await contextService.getPromptMessage(messageId);
+  if (!prompt) {
+    return res.status(400).json({
+      success: false,
+      message: 'The reply does not answer a user message'
+    });
+  }
+
+  const conversationId = original.conversation_id;
+
+  try {
+    const aiContext = await contextService.buildAIContext(conversationId, null, {
+      model: model || 'gpt-4o-mini',
+      leafId: prompt.id
+    });
+
+    const assistantMessage = await generateReply(conversationId, userId, aiContext, prompt.id, {
+      provider,
+      model,
+      settings,
+      enableRAG,
+      retrieval,
+      socketId: req.get('X-Socket-Id')
+    });
+
+    const branch = await contextService.getConversationContext(conversationId, {
+      includeSystem: false,
+      includeBranches: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conversationId,
+        assistantMessage,
+        messages: branch.messages.map(formatMessage)
+      }
+    });
 
   } catch (error) {
-    logger.error('Error in streamMessage:', error);
-    
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      message: error.message
-    })}\n\n`);
-    
-    res.end();
+    logger.error('Error in regenerateMessage:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 });
 
@@ -473,6 +995,48 @@ export const getConversations = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Search the titles and messages of the user's conversations
+ */
+export const searchConversations = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const { q, role, from, to, archived, limit = 20, offset = 0 } = req.query;
+  const pagination = { limit: parseInt(limit), offset: parseInt(offset) };
+
+  // Demo conversations aren't stored in the database
+  if (userId === 'demo-user-id') {
+    return res.json({
+      success: true,
+      data: {
+        results: [],
+        pagination: { ...pagination, total: 0 }
+      }
+    });
+  }
+
+  const result = await conversationSearchService.search(q, userId, {
+    ...pagination,
+    role,
+    from,
+    to,
+    archived: archived === undefined ? undefined : archived === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
 /**
  * Get specific conversation with messages
  */
@@ -519,7 +1083,8 @@ export const getConversation = asyncHandler(async (req, res) => {
   try {
     const context = await contextService.getConversationContext(id, {
       messageLimit: parseInt(messageLimit),
-      includeSystem: false
+      includeSystem: false,
+      includeBranches: true
     });
 
     // Verify ownership
@@ -534,13 +1099,7 @@ export const getConversation = asyncHandler(async (req, res) => {
       success: true,
       data: {
         conversation: context.conversation,
-        messages: context.messages.map(msg => ({
-          id: msg.id,
-          role: msg.role,
-          content: msg.content,
-          metadata: msg.metadata,
-          created_at: msg.created_at
-        })),
+        messages: context.messages.map(formatMessage),
         totalMessages: context.totalMessages,
         totalTokens: context.totalTokens
       }
@@ -560,6 +1119,51 @@ export const getConversation = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Switch the conversation to the branch through a message
+ */
+export const switchBranch = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { messageId } = req.body;
+  const userId = req.user.id;
+
+  if (!(await ensureConversationAccess(res, id, userId))) return;
+
+  try {
+    await contextService.switchBranch(id, messageId);
+  } catch (error) {
+    if (error.message === 'Message not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+    throw error;
+  }
+
+  const context = await contextService.getConversationContext(id, {
+    includeSystem: false,
+    includeBranches: true
+  });
+
+  res.json({
+    success: true,
+    data: {
+      conversation: context.conversation,
+      messages: context.messages.map(formatMessage)
+    }
+  });
+});
+
 /**
  * Create new conversation
  */
@@ -668,6 +1272,7 @@ export const updateConversationTitle = asyncHandler(async (req, res) => {
 
   try {
     const updatedConversation = await contextService.updateConversationTitle(id, title);
+    realtimeService.toUser(userId, 'conversation_title_updated', { conversationId: id, title }, req.get('X-Socket-Id'));
     
     res.json({
       success: true,
@@ -838,6 +1443,13 @@ export const exportConversation = asyncHandler(async (req, res) => {
   } catch (error) {
     logger.error('Export conversation error:', error);
     
+    if (error.message === 'Conversation not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     if (error.message === 'Access denied. Not your conversation') {
       return res.status(403).json({
         success: false,
@@ -886,6 +1498,43 @@ export const getExportHistory = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Download a previously generated export file
+ */
+export const downloadExport = asyncHandler(async (req, res) => {
+  const { filename } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const file = await exportService.getExportFile(userId, filename);
+
+    res.download(file.filepath, file.filename, (error) => {
+      if (error) {
+        logger.error(`Failed to send export ${file.filename}:`, error);
+      }
+    });
+
+  } catch (error) {
+    logger.error('Download export error:', error);
+
+    if (error.message === 'Export not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Access denied. Not your export') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    throw error;
+  }
+});
+
 /**
  * Get user's usage statistics and quota information
  */
@@ -894,12 +1543,14 @@ export const getUsageStats = asyncHandler(async (req, res) => {
 
   try {
     const stats = await quotaService.getUsageStats(userId);
+    const rateLimits = await quotaService.getRateLimitMetrics(userId);
     const cacheStats = await cacheService.getStats();
 
     res.json({
       success: true,
       data: {
         usage: stats,
+        rate_limits: rateLimits,
         cache: cacheStats,
         last_updated: new Date().toISOString()
       }
@@ -911,36 +1562,77 @@ export const getUsageStats = asyncHandler(async (req, res) => {
   }
 });
 
+// Provider status follows its circuit: closed is active, half-open is degraded
+const PROVIDER_STATUS_BY_CIRCUIT = {
+  closed: 'active',
+  half_open: 'degraded',
+  open: 'unavailable'
+};
+
+function getProviderMetrics(providerRequests) {
+  return Object.fromEntries(aiCoordinator.getProviderHealth().providers.map(provider => [provider.name, {
+    status: PROVIDER_STATUS_BY_CIRCUIT[provider.state],
+    circuit: provider.state,
+    is_default: provider.isDefault,
+    requests_today: providerRequests[provider.name] || 0,
+    error_rate: provider.failureRate,
+    average_latency: provider.averageLatency
+  }]));
+}
+
 /**
- * Get system performance metrics (admin only)
+ * Get system performance metrics (admin only, enforced by requireAdmin)
  */
 export const getSystemMetrics = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  
-  // TODO: Add admin role check
-  // For now, allow demo user to see system metrics
-  if (userId !== 'demo-user-id') {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  }
+  const memory = process.memoryUsage();
+
+  const system = {
+    uptime: process.uptime(),
+    memory_usage: {
+      used: memory.heapUsed,
+      total: memory.heapTotal,
+      rss: memory.rss
+    },
+    cpu_usage: process.cpuUsage()
+  };
 
   try {
+    const client = await pool.connect();
+    let totals;
+    let providerRequests;
+
+    try {
+      const totalsResult = await client.query(`
+        SELECT
+          (SELECT COUNT(*) FROM users WHERE is_active = true) as active_users,
+          (SELECT COUNT(*) FROM conversations) as total_conversations,
+          (SELECT COUNT(*) FROM messages) as total_messages
+      `);
+      totals = totalsResult.rows[0];
+
+      const providerResult = await client.query(`
+        SELECT metadata->>'provider' as provider, COUNT(*) as requests_today
+        FROM messages
+        WHERE role = 'assistant'
+          AND created_at >= CURRENT_DATE
+          AND metadata->>'provider' IS NOT NULL
+        GROUP BY metadata->>'provider'
+      `);
+      providerRequests = Object.fromEntries(
+        providerResult.rows.map(row => [row.provider, parseInt(row.requests_today)])
+      );
+    } finally {
+      client.release();
+    }
+
     const metrics = {
-      system: {
-        uptime: process.uptime(),
-        memory_usage: process.memoryUsage(),
-        cpu_usage: process.cpuUsage()
-      },
+      system,
       cache: await cacheService.getStats(),
-      active_users: 1, // Demo value
-      total_conversations: 1,
-      total_messages: 5,
-      ai_providers: {
-        openai: { status: 'demo', requests_today: 0 },
-        huggingface: { status: 'demo', requests_today: 0 }
-      }
+      usage: await quotaService.getSystemUsageStats(),
+      active_users: parseInt(totals.active_users),
+      total_conversations: parseInt(totals.total_conversations),
+      total_messages: parseInt(totals.total_messages),
+      ai_providers: getProviderMetrics(providerRequests)
     };
 
     res.json({
@@ -952,4 +1644,185 @@ export const getSystemMetrics = asyncHandler(async (req, res) => {
     logger.error('Get system metrics error:', error);
     throw error;
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Respond with 404/403 unless the user owns the conversation
+ * Returns true when the request may continue
+ */
+async function ensureConversationAccess(res, conversationId, userId) {
+  const ownership = await queryOptimizer.checkOwnership(conversationId, userId);
+
+  if (!ownership.exists) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return false;
+  }
+
+  if (!ownership.isOwner) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Not your conversation'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get documents and collections in scope for a conversation's RAG retrieval
+ */
+export const getConversationDocuments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  // Demo conversations always search every document
+  if (userId === 'demo-user-id') {
+    return res.json({
+      success: true,
+      data: { documents: [], collections: [], scoped: false }
+    });
+  }
+
+  if (!(await ensureConversationAccess(res, id, userId))) return;
+
+  try {
+    const scope = await conversationDocumentService.getScope(id);
+
+    res.json({
+      success: true,
+      data: scope
+    });
+
+  } catch (error) {
+    logger.error('Error getting conversation documents:', error);
+    throw error;
+  }
+});
+
+/**
+ * Replace or extend the documents and collections in scope for a conversation
+ * PUT replaces the scope; POST adds to it. An empty PUT clears the scope.
+ */
+export const updateConversationDocuments = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { documentIds = [], collectionIds = [] } = req.body;
+  const userId = req.user.id;
+
+  if (!(await ensureConversationAccess(res, id, userId))) return;
+
+  try {
+    const scope = req.method === 'PUT'
+      ? await conversationDocumentService.setScopedDocuments(id, userId, documentIds, collectionIds)
+      : await conversationDocumentService.addDocuments(id, userId, documentIds, collectionIds);
+
+    res.json({
+      success: true,
+      data: scope
+    });
+
+  } catch (error) {
+    logger.error('Error updating conversation documents:', error);
+
+    if (error.message === 'Document not found' || error.message === 'Collection not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    throw error;
+  }
+});
+
+/**
+ * Remove a document from a conversation's scope
+ */
+export const removeConversationDocument = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { id, documentId } = req.params;
+  const userId = req.user.id;
+
+  if (!(await ensureConversationAccess(res, id, userId))) return;
+
+  try {
+    const scope = await conversationDocumentService.removeDocument(id, documentId);
+
+    res.json({
+      success: true,
+      data: scope
+    });
+
+  } catch (error) {
+    logger.error('Error removing conversation document:', error);
+
+    if (error.message === 'Document not in conversation scope') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    throw error;
+  }
+});
+
+/**
+ * Remove a collection from a conversation's scope
+ */
+export const removeConversationCollection = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { id, collectionId } = req.params;
+  const userId = req.user.id;
+
+  if (!(await ensureConversationAccess(res, id, userId))) return;
+
+  try {
+    const scope = await conversationDocumentService.removeCollection(id, collectionId);
+
+    res.json({
+      success: true,
+      data: scope
+    });
+
+  } catch (error) {
+    logger.error('Error removing conversation collection:', error);
+
+    if (error.message === 'Collection not in conversation scope') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    throw error;
+  }
+});
@@ -0,0 +1,272 @@
+import { validationResult } from 'express-validator';
+import { collectionService } from '../services/collectionService.js';
+import { documentService } from '../services/documentService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+// Map collection service errors to HTTP responses; returns false for unexpected errors
+function sendCollectionError(res, error) {
+  const statusByMessage = {
+    'Collection not found': 404,
+    'Document not found': 404,
+    'User not found': 404,
+    'Member not found': 404,
+    'Insufficient collection permissions': 403,
+    'Collection must keep an owner': 400,
+    'Invalid collection role': 400
+  };
+
+  const status = statusByMessage[error.message];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message
+  });
+  return true;
+}
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * Get collections the user belongs to
+ */
+export const getCollections = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const collections = await collectionService.getUserCollections(userId);
+
+    res.json({
+      success: true,
+      data: { collections }
+    });
+
+  } catch (error) {
+    logger.error('Error getting collections:', error);
+    throw error;
+  }
+});
+
+/**
+ * Create collection
+ */
+export const createCollection = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { name, description } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const collection = await collectionService.createCollection(userId, {
+      name: name.trim(),
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: { collection }
+    });
+
+  } catch (error) {
+    logger.error('Error creating collection:', error);
+    throw error;
+  }
+});
+
+/**
+ * Get collection details, members and documents
+ */
+export const getCollection = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const collection = await collectionService.getCollection(id, userId);
+    const documents = await documentService.getUserDocuments(userId, {
+      collectionId: id,
+      limit: 100
+    });
+
+    res.json({
+      success: true,
+      data: { collection, documents }
+    });
+
+  } catch (error) {
+    logger.error('Error getting collection:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
+
+/**
+ * Update collection name or description
+ */
+export const updateCollection = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id } = req.params;
+  const { name, description } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const collection = await collectionService.updateCollection(id, userId, {
+      name: name?.trim(),
+      description
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: { collection }
+    });
+
+  } catch (error) {
+    logger.error('Error updating collection:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
+
+/**
+ * Delete collection; its documents move back to their uploaders
+ */
+export const deleteCollection = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  try {
+    await collectionService.deleteCollection(id, userId);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting collection:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
+
+/**
+ * Share collection with a user, or change their role
+ */
+export const setCollectionMember = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id } = req.params;
+  const { email, role } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const members = await collectionService.setMember(id, userId, { email, role });
+
+    res.json({
+      success: true,
+      message: 'Collection shared successfully',
+      data: { members }
+    });
+
+  } catch (error) {
+    logger.error('Error sharing collection:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
+
+/**
+ * Remove a member from a collection
+ */
+export const removeCollectionMember = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id, userId: memberId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const members = await collectionService.removeMember(id, userId, memberId);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      data: { members }
+    });
+
+  } catch (error) {
+    logger.error('Error removing collection member:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
+
+/**
+ * Move documents into a collection
+ */
+export const addCollectionDocuments = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id } = req.params;
+  const { documentIds } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const moved = await collectionService.moveDocuments(id, userId, documentIds);
+
+    res.json({
+      success: true,
+      message: 'Documents added to collection',
+      data: { documentIds: moved }
+    });
+
+  } catch (error) {
+    logger.error('Error adding documents to collection:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
+
+/**
+ * Move a document out of a collection, back to its uploader
+ */
+export const removeCollectionDocument = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { id, documentId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    await collectionService.moveDocuments(null, userId, [documentId], { fromCollectionId: id });
+
+    res.json({
+      success: true,
+      message: 'Document removed from collection'
+    });
+
+  } catch (error) {
+    logger.error('Error removing document from collection:', error);
+    if (sendCollectionError(res, error)) return;
+    throw error;
+  }
+});
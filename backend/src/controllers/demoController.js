@@ -0,0 +1,108 @@
+import { validationResult } from 'express-validator';
+import { aiCoordinator } from '../services/ai/aiCoordinator.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_TITLE = 'New Conversation';
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * Provider answering the frontend demo mode: DEMO_AI_PROVIDER, else Gemini
+ * when configured, else the default provider
+ */
+export function getDemoProvider() {
+  const providers = aiCoordinator.getAvailableProviders();
+  const configured = process.env.DEMO_AI_PROVIDER;
+
+  if (configured && providers.includes(configured)) {
+    return configured;
+  }
+
+  return providers.includes('gemini') ? 'gemini' : aiCoordinator.defaultProvider;
+}
+
+/**
+ * Answer a demo conversation kept in the browser
+ * The conversation isn't stored; the provider key stays on the server
+ */
+export const demoChat = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const messages = req.body.messages.map(message => ({
+    role: message.role,
+    content: message.content
+  }));
+
+  try {
+    const response = await aiCoordinator.generateResponse(messages, {
+      provider: getDemoProvider(),
+      enableCaching: false
+    });
+
+    res.json({
+      success: true,
+      data: {
+        content: response.content,
+        provider: response.provider,
+        model: response.model
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error generating demo response:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Failed to generate AI response'
+    });
+  }
+});
+
+/**
+ * Title a demo conversation from its first message
+ */
+export const demoTitle = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  let title = DEFAULT_TITLE;
+
+  try {
+    const response = await aiCoordinator.generateResponse([{
+      role: 'user',
+      content: `Based on this user message, generate a short, descriptive title for the conversation (max 5 words): "${req.body.message}"`
+    }], {
+      provider: getDemoProvider(),
+      enableCaching: false,
+      settings: { maxTokens: 20 }
+    });
+
+    title = response.content.replace(/['"]/g, '').trim() || DEFAULT_TITLE;
+    if (title.length > 50) {
+      title = title.substring(0, 47) + '...';
+    }
+
+  } catch (error) {
+    logger.error('Error generating demo title:', error);
+  }
+
+  res.json({
+    success: true,
+    data: { title }
+  });
+});
@@ -1,8 +1,20 @@
 import { v4 as uuidv4 } from 'uuid';
+import { validationResult } from 'express-validator';
 import { documentService } from '../services/documentService.js';
+import { documentJobQueue } from '../services/documentJobQueue.js';
+import { hybridSearchService } from '../services/hybridSearchService.js';
+import { extractorRegistry } from '../services/extractors/extractorRegistry.js';
+import { chunkingService } from '../services/chunkingService.js';
+import { documentVersionService } from '../services/documentVersionService.js';
+import { documentDuplicateService } from '../services/documentDuplicateService.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 import logger from '../utils/logger.js';
 
+const sendInvalidStrategy = (res) => res.status(400).json({
+  success: false,
+  message: `Invalid chunking strategy. Available strategies: ${chunkingService.getAvailableStrategies().join(', ')}`
+});
+
 /**
  * Upload document
  */
@@ -16,6 +28,10 @@ export const uploadDocument = asyncHandler(async (req, res) => {
 
   const userId = req.user.id;
   const file = req.file;
+  const collectionId = req.body.collectionId || null;
+  const chunkingStrategy = req.body.chunkingStrategy || undefined;
+  const duplicateAction = req.body.duplicateAction || undefined;
+  const duplicateOf = req.body.duplicateOf || undefined;
 
   try {
     // Validate file
@@ -26,11 +42,21 @@ export const uploadDocument = asyncHandler(async (req, res) => {
       });
     }
 
-    const allowedTypes = ['application/pdf', 'text/plain', 'text/markdown'];
-    if (!allowedTypes.includes(file.mimetype)) {
+    if (!extractorRegistry.isSupported(file.mimetype, file.originalname)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid file type. Supported formats: ${extractorRegistry.describeSupported()}`
+      });
+    }
+
+    if (chunkingStrategy && !chunkingService.isValidStrategy(chunkingStrategy)) {
+      return sendInvalidStrategy(res);
+    }
+
+    if (duplicateAction && !documentDuplicateService.isValidAction(duplicateAction)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid file type. Only PDF, TXT, and MD files are allowed'
+        message: `Invalid duplicate action. Available actions: ${documentDuplicateService.actions.join(', ')}`
       });
     }
 
@@ -41,11 +67,47 @@ export const uploadDocument = asyncHandler(async (req, res) => {
     // Process document
     logger.info(`Processing document upload: ${file.originalname} for user: ${userId}`);
     
-    const document = await documentService.processDocument(file, userId, filename);
+    const document = await documentService.processDocument(file, userId, filename, {
+      collectionId,
+      chunkingStrategy,
+      duplicateAction,
+      duplicateOf
+    });
+
+    // Nothing was saved: the client resubmits with duplicateAction link, replace or keep
+    if (document.duplicate) {
+      const exact = document.duplicates[0].exact;
+      return res.status(409).json({
+        success: false,
+        message: exact
+          ? `This file is identical to ${document.duplicates[0].originalFilename}`
+          : `This file is very similar to ${document.duplicates[0].originalFilename}`,
+        data: {
+          duplicates: document.duplicates,
+          actions: documentDuplicateService.actions
+        }
+      });
+    }
+
+    if (document.linked) {
+      return res.json({
+        success: true,
+        message: `Linked to existing document ${document.originalFilename}`,
+        data: { document }
+      });
+    }
+
+    if (document.unchanged) {
+      return res.json({
+        success: true,
+        message: `Document is unchanged since version ${document.version}`,
+        data: { document }
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Document uploaded successfully',
+      message: document.version > 1 ? `Uploaded as version ${document.version}` : 'Document uploaded successfully',
       data: { document }
     });
 
@@ -59,6 +121,34 @@ export const uploadDocument = asyncHandler(async (req, res) => {
       });
     }
     
+    if (error.message === 'Collection not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (error.message === 'Duplicate document not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'The document to link or replace is not a duplicate of this file'
+      });
+    }
+
+    if (error.message === 'Insufficient permissions to replace document') {
+      return res.status(403).json({
+        success: false,
+        message: 'Replacing this document requires editor access'
+      });
+    }
+
+    if (error.message === 'Insufficient collection permissions') {
+      return res.status(403).json({
+        success: false,
+        message: 'Uploading to this collection requires editor access'
+      });
+    }
+
     if (error.message.includes('Failed to parse PDF')) {
       return res.status(400).json({
         success: false,
@@ -66,6 +156,14 @@ export const uploadDocument = asyncHandler(async (req, res) => {
       });
     }
 
+    const parseFailure = error.message.match(/Failed to parse (DOCX|JSON) file/);
+    if (parseFailure) {
+      return res.status(400).json({
+        success: false,
+        message: `Unable to parse ${parseFailure[1]} file. Please check that the file is not corrupted`
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to process document',
@@ -82,14 +180,16 @@ export const getDocuments = asyncHandler(async (req, res) => {
   const { 
     limit = 20, 
     offset = 0, 
-    processedOnly = false 
+    processedOnly = false,
+    collectionId
   } = req.query;
 
   try {
     const documents = await documentService.getUserDocuments(userId, {
       limit: parseInt(limit),
       offset: parseInt(offset),
-      processedOnly: processedOnly === 'true'
+      processedOnly: processedOnly === 'true',
+      collectionId: collectionId === 'none' ? null : collectionId
     });
 
     // Get processing status
@@ -182,7 +282,7 @@ export const deleteDocument = asyncHandler(async (req, res) => {
  * Search documents
  */
 export const searchDocuments = asyncHandler(async (req, res) => {
-  const { query, limit = 5, threshold = 0.7 } = req.body;
+  const { query, limit = 5, threshold = 0.7, mode, vectorWeight, keywordWeight, allVersions } = req.body;
   const userId = req.user.id;
 
   if (!query || query.trim().length === 0) {
@@ -193,37 +293,36 @@ export const searchDocuments = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Import AI coordinator here to avoid circular dependency
-    const { aiCoordinator } = await import('../services/ai/aiCoordinator.js');
-    
-    // Generate embedding for search query
-    const embeddingResult = await aiCoordinator.generateEmbedding(query);
-    
-    // Search similar chunks
-    const results = await documentService.searchSimilarChunks(
-      embeddingResult.embedding,
-      userId,
-      {
-        limit: parseInt(limit),
-        threshold: parseFloat(threshold)
-      }
-    );
+    // Combine vector similarity and keyword matches
+    const { results, usage, mode: searchMode } = await hybridSearchService.search(query, userId, {
+      limit: parseInt(limit),
+      threshold: parseFloat(threshold),
+      mode,
+      vectorWeight: vectorWeight !== undefined ? parseFloat(vectorWeight) : undefined,
+      keywordWeight: keywordWeight !== undefined ? parseFloat(keywordWeight) : undefined,
+      allVersions: allVersions === true
+    });
 
     res.json({
       success: true,
       data: {
         query,
+        mode: searchMode,
         results: results.map(result => ({
           id: result.id,
-          documentId: result.document_id,
+          documentId: result.documentId,
           filename: result.filename,
-          originalFilename: result.original_filename,
+          originalFilename: result.originalFilename,
           content: result.content,
           metadata: result.metadata,
-          chunkIndex: result.chunk_index,
-          similarity: parseFloat(result.similarity).toFixed(3)
+          chunkIndex: result.chunkIndex,
+          version: result.version,
+          similarity: result.similarity !== null ? result.similarity.toFixed(3) : null,
+          score: parseFloat(result.score.toFixed(6)),
+          matchedBy: result.matchedBy,
+          ...(result.duplicates && { duplicates: result.duplicates })
         })),
-        usage: embeddingResult.usage
+        usage
       }
     });
 
@@ -259,6 +358,11 @@ export const getProcessingStatus = asyncHandler(async (req, res) => {
 export const reprocessDocument = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
+  const { chunkingStrategy } = req.body || {};
+
+  if (chunkingStrategy && !chunkingService.isValidStrategy(chunkingStrategy)) {
+    return sendInvalidStrategy(res);
+  }
 
   try {
     // Get document
@@ -271,27 +375,17 @@ export const reprocessDocument = asyncHandler(async (req, res) => {
       });
     }
 
-    // Delete existing chunks
-    const pool = (await import('../config/database.js')).default;
-    const client = await pool.connect();
+    // Existing chunks stay searchable until the new ones replace them atomically
+    // Unchanged chunks keep their embeddings, so only edited sections are re-embedded
+    const job = await documentJobQueue.enqueue(id, userId, { chunkingStrategy, version: document.current_version });
     
-    try {
-      await client.query('DELETE FROM document_chunks WHERE document_id = $1', [id]);
-      await client.query('UPDATE documents SET is_processed = false WHERE id = $1', [id]);
-      
-      // Reprocess document
-      await documentService.processDocumentAsync(id, document.content, client);
-      
-      logger.info(`Document reprocessed: ${id} by user: ${userId}`);
-      
-      res.json({
-        success: true,
-        message: 'Document reprocessing started'
-      });
-
-    } finally {
-      client.release();
-    }
+    logger.info(`Document reprocessing queued: ${id} by user: ${userId} (chunking: ${chunkingStrategy || chunkingService.defaultStrategy})`);
+    
+    res.status(202).json({
+      success: true,
+      message: 'Document reprocessing started',
+      data: { job }
+    });
 
   } catch (error) {
     logger.error('Document reprocessing error:', error);
@@ -303,9 +397,18 @@ export const reprocessDocument = asyncHandler(async (req, res) => {
  * Get document chunks
  */
 export const getDocumentChunks = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
   const { id } = req.params;
   const userId = req.user.id;
-  const { limit = 10, offset = 0 } = req.query;
+  const { limit = 10, offset = 0, chunkId, chunkIndex, version } = req.query;
 
   try {
     // Verify document ownership
@@ -323,20 +426,44 @@ export const getDocumentChunks = asyncHandler(async (req, res) => {
     const client = await pool.connect();
     
     try {
+      // Chunks of the active version unless ?version= asks for another one
+      const versionCondition = version !== undefined
+        ? 'dc.version_number = $4'
+        : documentVersionService.activeChunkCondition();
+
       const query = `
         SELECT 
-          id,
-          content,
-          metadata,
-          chunk_index,
-          created_at
-        FROM document_chunks
-        WHERE document_id = $1
-        ORDER BY chunk_index
+          dc.id,
+          dc.content,
+          dc.metadata,
+          dc.chunk_index,
+          dc.version_number,
+          dc.created_at
+        FROM document_chunks dc
+        JOIN documents d ON d.id = dc.document_id
+        WHERE dc.document_id = $1 AND ${versionCondition}
+        ORDER BY dc.chunk_index
         LIMIT $2 OFFSET $3
       `;
       
-      const result = await client.query(query, [id, parseInt(limit), parseInt(offset)]);
+      let result;
+
+      // Citation anchors look up a single chunk by id, or by index in the
+      // active version if the document has been reprocessed since the answer was given
+      if (chunkId || chunkIndex !== undefined) {
+        result = await client.query(`
+          SELECT dc.id, dc.content, dc.metadata, dc.chunk_index, dc.version_number, dc.created_at
+          FROM document_chunks dc
+          JOIN documents d ON d.id = dc.document_id
+          WHERE dc.document_id = $1 AND (dc.id::text = $2 OR dc.chunk_index = $3)
+          ORDER BY (dc.id::text = $2) DESC, (${documentVersionService.activeChunkCondition()}) DESC
+          LIMIT 1
+        `, [id, chunkId || '', chunkIndex !== undefined ? parseInt(chunkIndex) : -1]);
+      } else {
+        const params = [id, parseInt(limit), parseInt(offset)];
+        if (version !== undefined) params.push(parseInt(version));
+        result = await client.query(query, params);
+      }
       
       res.json({
         success: true,
@@ -363,4 +490,92 @@ export const getDocumentChunks = asyncHandler(async (req, res) => {
     logger.error('Error getting document chunks:', error);
     throw error;
   }
-});
\ No newline at end of file
+});
+
+const sendVersionError = (res, error) => {
+  if (error.message === 'Version not found') {
+    return res.status(404).json({ success: false, message: 'Version not found' });
+  }
+  if (error.message === 'Version is not indexed') {
+    return res.status(409).json({ success: false, message: 'This version has not been processed yet' });
+  }
+  throw error;
+};
+
+/**
+ * Get a document's version history
+ */
+export const getDocumentVersions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const versions = await documentVersionService.getVersions(id);
+
+  res.json({
+    success: true,
+    data: { versions }
+  });
+});
+
+/**
+ * Summarize changes between two versions (defaults to the latest and the one before it)
+ */
+export const diffDocumentVersions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const document = await documentService.getDocument(id, userId);
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+  }
+
+  const to = req.query.to !== undefined ? parseInt(req.query.to) : document.current_version;
+  const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be version numbers'
+    });
+  }
+
+  try {
+    const diff = await documentVersionService.diffVersions(id, from, to);
+
+    res.json({
+      success: true,
+      data: { diff }
+    });
+  } catch (error) {
+    return sendVersionError(res, error);
+  }
+});
+
+/**
+ * Pin the version used for retrieval, or unpin with { version: null }
+ */
+export const pinDocumentVersion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const version = req.body?.version ?? null;
+
+  if (version !== null && !Number.isInteger(version)) {
+    return res.status(400).json({
+      success: false,
+      message: 'version must be a version number or null'
+    });
+  }
+
+  try {
+    const result = await documentVersionService.pinVersion(id, version);
+
+    res.json({
+      success: true,
+      message: version === null ? 'Document follows the latest version' : `Pinned to version ${version}`,
+      data: result
+    });
+  } catch (error) {
+    return sendVersionError(res, error);
+  }
+});
@@ -0,0 +1,130 @@
+import { validationResult } from 'express-validator';
+import { embeddingModelRegistry } from '../services/embeddingModelRegistry.js';
+import { embeddingMigrationService } from '../services/embeddingMigrationService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+// Map migration errors to HTTP responses; returns false for unexpected errors
+function sendMigrationError(res, error) {
+  const statusByMessage = {
+    'Unknown embedding model': 400,
+    'Embedding provider not available': 400,
+    'Embedding model is already active': 409,
+    'An embedding migration is already in progress': 409
+  };
+
+  const status = statusByMessage[error.message];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message
+  });
+  return true;
+}
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * Get registered embedding models, the active one and how many chunks use each
+ */
+export const getEmbeddingModels = asyncHandler(async (req, res) => {
+  try {
+    const activeModel = await embeddingModelRegistry.getActiveModel();
+    const usage = await embeddingModelRegistry.getChunkCounts();
+
+    res.json({
+      success: true,
+      data: {
+        activeModel,
+        models: embeddingModelRegistry.getAvailableModels(),
+        usage
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting embedding models:', error);
+    throw error;
+  }
+});
+
+/**
+ * Start re-embedding the corpus with another model
+ */
+export const startEmbeddingMigration = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const migration = await embeddingMigrationService.startMigration(req.body.model, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: `Migrating embeddings to ${migration.targetModel}`,
+      data: { migration }
+    });
+
+  } catch (error) {
+    if (sendMigrationError(res, error)) return;
+    logger.error('Error starting embedding migration:', error);
+    throw error;
+  }
+});
+
+/**
+ * Get recent embedding migrations
+ */
+export const getEmbeddingMigrations = asyncHandler(async (req, res) => {
+  try {
+    const migrations = await embeddingMigrationService.getMigrations();
+
+    res.json({
+      success: true,
+      data: { migrations }
+    });
+
+  } catch (error) {
+    logger.error('Error getting embedding migrations:', error);
+    throw error;
+  }
+});
+
+/**
+ * Get one embedding migration's progress
+ */
+export const getEmbeddingMigration = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const migration = await embeddingMigrationService.getMigration(req.params.id);
+
+    if (!migration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Migration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { migration }
+    });
+
+  } catch (error) {
+    logger.error('Error getting embedding migration:', error);
+    throw error;
+  }
+});
@@ -0,0 +1,81 @@
+import { validationResult } from 'express-validator';
+import { aiCoordinator } from '../services/ai/aiCoordinator.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * Get circuit state, error rate and latency of every AI provider
+ * With probe=true each provider's health check runs first and counts
+ * towards its circuit
+ */
+export const getProviderHealth = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  try {
+    const probe = req.query.probe === 'true' ? await aiCoordinator.healthCheck() : null;
+    const health = aiCoordinator.getProviderHealth();
+
+    res.json({
+      success: true,
+      data: {
+        ...health,
+        providers: health.providers.map(provider => ({
+          ...provider,
+          ...(probe && { probe: probe[provider.name] })
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting provider health:', error);
+    throw error;
+  }
+});
+
+/**
+ * Close a provider's circuit
+ */
+export const resetProviderCircuit = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  try {
+    const circuit = aiCoordinator.resetCircuit(req.params.name);
+
+    logger.info(`Circuit for ${req.params.name} reset by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Circuit reset',
+      data: { name: req.params.name, ...circuit }
+    });
+
+  } catch (error) {
+    if (error.message === `Provider ${req.params.name} not available`) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    logger.error('Error resetting provider circuit:', error);
+    throw error;
+  }
+});
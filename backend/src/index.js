@@ -9,11 +9,27 @@ import dotenv from 'dotenv';
 
 import logger from './utils/logger.js';
 import { errorHandler, notFound } from './middleware/errorMiddleware.js';
+import { socketAuth } from './middleware/auth.js';
 import { initializeRedis, closeRedis } from './config/redis.js';
 import authRoutes from './routes/authRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
 import documentRoutes from './routes/documentRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import embeddingRoutes from './routes/embeddingRoutes.js';
+import demoRoutes from './routes/demoRoutes.js';
+import providerRoutes from './routes/providerRoutes.js';
 import queryOptimizer from './services/queryOptimizer.js';
+import { documentJobQueue } from './services/documentJobQueue.js';
+import { hybridSearchService } from './services/hybridSearchService.js';
+import { conversationSearchService } from './services/conversationSearchService.js';
+import { collectionService } from './services/collectionService.js';
+import { documentService } from './services/documentService.js';
+import { documentVersionService } from './services/documentVersionService.js';
+import { documentDuplicateService } from './services/documentDuplicateService.js';
+import { embeddingModelRegistry } from './services/embeddingModelRegistry.js';
+import { embeddingMigrationService } from './services/embeddingMigrationService.js';
+import { contextService } from './services/contextService.js';
+import { realtimeService } from './services/realtimeService.js';
 
 // Load environment variables
 dotenv.config();
@@ -61,25 +77,14 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/embeddings', embeddingRoutes);
+app.use('/api/demo', demoRoutes);
+app.use('/api/providers', providerRoutes);
 
 // Socket.IO connection handling
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-
-  socket.on('join_conversation', (conversationId) => {
-    socket.join(conversationId);
-    logger.info(`Socket ${socket.id} joined conversation ${conversationId}`);
-  });
-
-  socket.on('leave_conversation', (conversationId) => {
-    socket.leave(conversationId);
-    logger.info(`Socket ${socket.id} left conversation ${conversationId}`);
-  });
-
-  socket.on('disconnect', () => {
-    logger.info(`Client disconnected: ${socket.id}`);
-  });
-});
+io.use(socketAuth);
+realtimeService.attach(io);
 
 // Error handling middleware
 app.use(notFound);
@@ -107,11 +112,43 @@ server.listen(PORT, async () => {
     logger.error('Failed to initialize query optimizer:', error);
     // Continue running without optimizations
   }
+
+  // Ensure the message roles used by tool calling
+  await contextService.initialize();
+
+  // Ensure shared collection tables
+  await collectionService.initialize();
+
+  // Ensure extracted document metadata columns
+  await documentService.initialize();
+
+  // Ensure document version history
+  await documentVersionService.initialize();
+
+  // Ensure duplicate detection signatures
+  await documentDuplicateService.initialize();
+
+  // Ensure per-model embedding storage and load the active model
+  await embeddingModelRegistry.initialize();
+
+  // Start document processing queue
+  await documentJobQueue.initialize();
+
+  // Resume interrupted embedding migrations
+  await embeddingMigrationService.initialize();
+
+  // Ensure keyword search index
+  await hybridSearchService.initialize();
+
+  // Ensure conversation search indexes
+  await conversationSearchService.initialize();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  documentJobQueue.stop();
+  embeddingMigrationService.stop();
   await closeRedis();
   server.close(() => {
     logger.info('Process terminated');
@@ -121,6 +158,8 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  documentJobQueue.stop();
+  embeddingMigrationService.stop();
   await closeRedis();
   server.close(() => {
     logger.info('Process terminated');
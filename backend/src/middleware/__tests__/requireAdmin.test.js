@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { requireAdmin } from '../auth.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('requireAdmin', () => {
+  let client;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = { query: vi.fn(), release: vi.fn() };
+    pool.connect.mockResolvedValue(client);
+    res = { status: vi.fn(), json: vi.fn() };
+    res.status.mockReturnValue(res);
+    next = vi.fn();
+  });
+
+  it('should let admins through', async () => {
+    client.query.mockResolvedValue({ rows: [{ is_admin: true }] });
+
+    await requireAdmin({ user: { id: 'admin-1' } }, res, next);
+
+    expect(client.query).toHaveBeenCalledWith(expect.any(String), ['admin-1']);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should refuse users without admin rights', async () => {
+    client.query.mockResolvedValue({ rows: [{ is_admin: false }] });
+
+    await requireAdmin({ user: { id: 'user-1' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should refuse the demo account', async () => {
+    await requireAdmin({ user: { id: 'demo-user-id' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
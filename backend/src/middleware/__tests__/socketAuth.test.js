@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import jwt from 'jsonwebtoken';
+import { socketAuth } from '../auth.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('socketAuth', () => {
+  let client;
+  let next;
+
+  const handshake = (token) => ({ handshake: { auth: token === undefined ? {} : { token } } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    client = { query: vi.fn(), release: vi.fn() };
+    pool.connect.mockResolvedValue(client);
+    next = vi.fn();
+  });
+
+  it('should attach the token\'s user to the socket', async () => {
+    client.query.mockResolvedValue({ rows: [{ id: 'user-1', email: 'a@example.com', is_active: true }] });
+    const socket = handshake(jwt.sign({ userId: 'user-1' }, 'test-secret'));
+
+    await socketAuth(socket, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(socket.user.id).toBe('user-1');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should refuse sockets without a valid token', async () => {
+    await socketAuth(handshake(), next);
+    expect(next.mock.calls[0][0].message).toBe('Access denied. No token provided.');
+
+    await socketAuth(handshake(jwt.sign({ userId: 'user-1' }, 'other-secret')), next);
+    expect(next.mock.calls[1][0].message).toBe('Access denied. Invalid token.');
+
+    await socketAuth(handshake(jwt.sign({ userId: 'user-1' }, 'test-secret', { expiresIn: -10 })), next);
+    expect(next.mock.calls[2][0].message).toBe('Access denied. Token expired.');
+
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('should refuse deactivated users', async () => {
+    client.query.mockResolvedValue({ rows: [{ id: 'user-1', is_active: false }] });
+    const socket = handshake(jwt.sign({ userId: 'user-1' }, 'test-secret'));
+
+    await socketAuth(socket, next);
+
+    expect(next.mock.calls[0][0].message).toBe('Access denied. User not found.');
+    expect(socket.user).toBeUndefined();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import documentRoutes from '../documentRoutes.js';
+import pool from '../../config/database.js';
+import { documentService } from '../../services/documentService.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../services/collectionService.js', () => ({
+  collectionService: {
+    getDocumentAccess: vi.fn().mockResolvedValue({ exists: true, canRead: true, canWrite: true })
+  }
+}));
+
+vi.mock('../../services/documentService.js', () => ({
+  documentService: {
+    getDocument: vi.fn()
+  }
+}));
+
+vi.mock('../../services/documentJobQueue.js', () => ({
+  documentJobQueue: {}
+}));
+
+vi.mock('../../services/hybridSearchService.js', () => ({
+  hybridSearchService: {}
+}));
+
+vi.mock('../../services/documentVersionService.js', () => ({
+  documentVersionService: {
+    activeChunkCondition: vi.fn().mockReturnValue('TRUE')
+  }
+}));
+
+vi.mock('../../services/documentDuplicateService.js', () => ({
+  documentDuplicateService: {}
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('Document Chunks Integration Tests', () => {
+  const documentId = '0b8a5f6e-3c1d-4e2f-9a7b-1c2d3e4f5a6b';
+  let app;
+  let client;
+
+  const token = () => jwt.sign({ userId: 'user-1', type: 'access' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', documentRoutes);
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn(async (sql, params) => sql.includes('FROM users')
+        ? { rows: [{ id: params[0], email: 'user@example.com', name: 'User', is_active: true }] }
+        : { rows: [{ id: 'chunk-1', content: 'Kafka topics', chunk_index: 3, version_number: 1 }] }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    documentService.getDocument.mockResolvedValue({ id: documentId, filename: 'kafka.md', original_filename: 'kafka.md' });
+  });
+
+  it.each([
+    ['chunkIndex=abc'],
+    ['chunkIndex=-1'],
+    ['version=latest'],
+    ['version=0'],
+    ['limit=ten']
+  ])('should reject ?%s', async (queryString) => {
+    const response = await request(app)
+      .get(`/api/documents/${documentId}/chunks?${queryString}`)
+      .set('Authorization', `Bearer ${token()}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation errors');
+    expect(documentService.getDocument).not.toHaveBeenCalled();
+  });
+
+  it('should look up a chunk by index', async () => {
+    const response = await request(app)
+      .get(`/api/documents/${documentId}/chunks?chunkIndex=3`)
+      .set('Authorization', `Bearer ${token()}`);
+
+    expect(response.status).toBe(200);
+    const lookup = client.query.mock.calls.find(([sql]) => sql.includes('dc.chunk_index = $3'));
+    expect(lookup[1]).toEqual([documentId, '', 3]);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import embeddingRoutes from '../embeddingRoutes.js';
+import pool from '../../config/database.js';
+import { embeddingMigrationService } from '../../services/embeddingMigrationService.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../services/embeddingMigrationService.js', () => ({
+  embeddingMigrationService: {
+    startMigration: vi.fn(),
+    getMigrations: vi.fn(),
+    getMigration: vi.fn()
+  }
+}));
+
+vi.mock('../../services/embeddingModelRegistry.js', () => ({
+  embeddingModelRegistry: {}
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('Embedding Routes Integration Tests', () => {
+  let app;
+  let client;
+  let isAdmin;
+
+  const tokenFor = (userId) => jwt.sign({ userId, type: 'access' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    app = express();
+    app.use(express.json());
+    app.use('/api/embeddings', embeddingRoutes);
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    isAdmin = false;
+    client = {
+      query: vi.fn(async (sql, params) => sql.includes('is_admin')
+        ? { rows: [{ is_admin: isAdmin }] }
+        : { rows: [{ id: params[0], email: 'user@example.com', name: 'User', is_active: true }] }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    embeddingMigrationService.startMigration.mockResolvedValue({ id: 'migration-1', targetModel: 'text-embedding-3-large' });
+  });
+
+  describe('POST /api/embeddings/migrations', () => {
+    it('should reject users without admin rights', async () => {
+      const response = await request(app)
+        .post('/api/embeddings/migrations')
+        .set('Authorization', `Bearer ${tokenFor('user-1')}`)
+        .send({ model: 'text-embedding-3-large' });
+
+      expect(response.status).toBe(403);
+      expect(embeddingMigrationService.startMigration).not.toHaveBeenCalled();
+    });
+
+    it('should reject the demo account', async () => {
+      const response = await request(app)
+        .post('/api/embeddings/migrations')
+        .set('Authorization', `Bearer ${tokenFor('demo-user-id')}`)
+        .send({ model: 'text-embedding-3-large' });
+
+      expect(response.status).toBe(403);
+      expect(embeddingMigrationService.startMigration).not.toHaveBeenCalled();
+    });
+
+    it('should start migrations for admins', async () => {
+      isAdmin = true;
+
+      const response = await request(app)
+        .post('/api/embeddings/migrations')
+        .set('Authorization', `Bearer ${tokenFor('admin-1')}`)
+        .send({ model: 'text-embedding-3-large' });
+
+      expect(response.status).toBe(202);
+      expect(embeddingMigrationService.startMigration).toHaveBeenCalledWith('text-embedding-3-large', 'admin-1');
+    });
+  });
+});
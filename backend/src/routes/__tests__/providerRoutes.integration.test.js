@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import providerRoutes from '../providerRoutes.js';
+import pool from '../../config/database.js';
+import { aiCoordinator } from '../../services/ai/aiCoordinator.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../services/ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    healthCheck: vi.fn(),
+    getProviderHealth: vi.fn(),
+    resetCircuit: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('Provider Routes Integration Tests', () => {
+  let app;
+  let client;
+  let isAdmin;
+
+  const tokenFor = (userId) => jwt.sign({ userId, type: 'access' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    app = express();
+    app.use(express.json());
+    app.use('/api/providers', providerRoutes);
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    isAdmin = false;
+    client = {
+      query: vi.fn(async (sql, params) => sql.includes('is_admin')
+        ? { rows: [{ is_admin: isAdmin }] }
+        : { rows: [{ id: params[0], email: 'user@example.com', name: 'User', is_active: true }] }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    aiCoordinator.resetCircuit.mockReturnValue({ state: 'closed' });
+  });
+
+  describe('POST /api/providers/:name/reset', () => {
+    it('should reject users without admin rights', async () => {
+      const response = await request(app)
+        .post('/api/providers/openai/reset')
+        .set('Authorization', `Bearer ${tokenFor('user-1')}`);
+
+      expect(response.status).toBe(403);
+      expect(aiCoordinator.resetCircuit).not.toHaveBeenCalled();
+    });
+
+    it('should reject the demo account', async () => {
+      const response = await request(app)
+        .post('/api/providers/openai/reset')
+        .set('Authorization', `Bearer ${tokenFor('demo-user-id')}`);
+
+      expect(response.status).toBe(403);
+      expect(aiCoordinator.resetCircuit).not.toHaveBeenCalled();
+    });
+
+    it('should reset circuits for admins', async () => {
+      isAdmin = true;
+
+      const response = await request(app)
+        .post('/api/providers/openai/reset')
+        .set('Authorization', `Bearer ${tokenFor('admin-1')}`);
+
+      expect(response.status).toBe(200);
+      expect(aiCoordinator.resetCircuit).toHaveBeenCalledWith('openai');
+    });
+  });
+});
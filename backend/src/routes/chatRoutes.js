@@ -1,34 +1,92 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { 
   sendMessage,
   streamMessage,
+  resumeStream,
+  cancelGeneration,
+  getTools,
+  editMessage,
+  regenerateMessage,
   getConversations, 
+  searchConversations,
   getConversation, 
+  switchBranch,
   createConversation,
   deleteConversation,
   updateConversationTitle,
-  getRAGStatistics
+  getRAGStatistics,
+  exportConversation,
+  getExportHistory,
+  downloadExport,
+  getUsageStats,
+  getSystemMetrics,
+  getConversationDocuments,
+  updateConversationDocuments,
+  removeConversationDocument,
+  removeConversationCollection
 } from '../controllers/chatController.js';
-import { auth } from '../middleware/auth.js';
+import { auth, requireAdmin } from '../middleware/auth.js';
+import { toolRegistry } from '../services/tools/toolRegistry.js';
 
 const router = express.Router();
 
+// Optional per-request retrieval settings for RAG
+const retrievalValidators = [
+  body('retrieval.mode').optional().isIn(['hybrid', 'vector', 'keyword']),
+  body('retrieval.vectorWeight').optional().isFloat({ min: 0, max: 10 }),
+  body('retrieval.keywordWeight').optional().isFloat({ min: 0, max: 10 }),
+  body('retrieval.reranker').optional().isIn(['none', 'lexical', 'cross-encoder', 'llm']),
+  body('retrieval.mmrLambda').optional().isFloat({ min: 0, max: 1 }),
+  body('retrieval.rewriteQuery').optional().isBoolean(),
+  body('retrieval.subQueries').optional().isInt({ min: 0, max: 5 })
+];
+
 // All chat routes require authentication
 router.use(auth);
 
 // Send message
 router.post('/message', [
   body('message').trim().isLength({ min: 1 }),
-  body('conversationId').optional().isUUID()
+  body('conversationId').optional().isUUID(),
+  ...retrievalValidators
 ], sendMessage);
 
 // Stream message (Server-Sent Events)
 router.post('/stream', [
   body('message').trim().isLength({ min: 1 }),
-  body('conversationId').optional().isUUID()
+  body('conversationId').optional().isUUID(),
+  body('enableTools').optional().isBoolean(),
+  body('tools').optional().isArray(),
+  body('tools.*').isIn(toolRegistry.list()),
+  ...retrievalValidators
 ], streamMessage);
 
+// Resume a stream after the last event received (Last-Event-ID header)
+router.get('/stream/:streamId', [
+  param('streamId').isUUID()
+], resumeStream);
+
+// Stop the responses being streamed in a conversation
+router.post('/conversations/:id/cancel', [
+  param('id').isUUID()
+], cancelGeneration);
+
+// Tools available to the assistant
+router.get('/tools', getTools);
+
+// Edit a user message or regenerate a reply, starting a new branch
+router.post('/messages/:messageId/edit', [
+  param('messageId').isUUID(),
+  body('message').trim().isLength({ min: 1 }),
+  ...retrievalValidators
+], editMessage);
+
+router.post('/messages/:messageId/regenerate', [
+  param('messageId').isUUID(),
+  ...retrievalValidators
+], regenerateMessage);
+
 // Create new conversation
 router.post('/conversations', [
   body('title').optional().trim().isLength({ min: 1, max: 255 })
@@ -37,9 +95,26 @@ router.post('/conversations', [
 // Get user conversations
 router.get('/conversations', getConversations);
 
+// Search conversation titles and messages
+router.get('/search', [
+  query('q').trim().isLength({ min: 1, max: 200 }),
+  query('role').optional().isIn(['user', 'assistant']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('archived').optional().isIn(['true', 'false']),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('offset').optional().isInt({ min: 0 })
+], searchConversations);
+
 // Get specific conversation
 router.get('/conversations/:id', getConversation);
 
+// Switch the active branch of the conversation
+router.put('/conversations/:id/branch', [
+  param('id').isUUID(),
+  body('messageId').isUUID()
+], switchBranch);
+
 // Update conversation title
 router.patch('/conversations/:id/title', [
   body('title').trim().isLength({ min: 1, max: 255 })
@@ -48,6 +123,44 @@ router.patch('/conversations/:id/title', [
 // Delete conversation
 router.delete('/conversations/:id', deleteConversation);
 
+// Documents in scope for the conversation's RAG retrieval
+const conversationDocumentsValidators = [
+  param('id').isUUID(),
+  body('documentIds').optional().isArray({ max: 100 }),
+  body('documentIds.*').isUUID(),
+  body('collectionIds').optional().isArray({ max: 20 }),
+  body('collectionIds.*').isUUID(),
+  body().custom(value => value.documentIds !== undefined || value.collectionIds !== undefined)
+    .withMessage('documentIds or collectionIds is required')
+];
+
+router.get('/conversations/:id/documents', getConversationDocuments);
+router.put('/conversations/:id/documents', conversationDocumentsValidators, updateConversationDocuments);
+router.post('/conversations/:id/documents', conversationDocumentsValidators, updateConversationDocuments);
+router.delete('/conversations/:id/documents/:documentId', [
+  param('documentId').isUUID()
+], removeConversationDocument);
+router.delete('/conversations/:id/collections/:collectionId', [
+  param('collectionId').isUUID()
+], removeConversationCollection);
+
+// Export conversation (pdf, json or csv)
+router.get('/conversations/:id/export', [
+  query('format').optional().isIn(['pdf', 'json', 'csv'])
+], exportConversation);
+
+// Get export history
+router.get('/exports', getExportHistory);
+
+// Download export file
+router.get('/exports/download/:filename', downloadExport);
+
+// Get usage statistics and quota
+router.get('/usage', getUsageStats);
+
+// Get system metrics (admin only)
+router.get('/metrics', requireAdmin, getSystemMetrics);
+
 // Get RAG statistics
 router.get('/rag/statistics', getRAGStatistics);
 
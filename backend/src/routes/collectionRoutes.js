@@ -0,0 +1,61 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  setCollectionMember,
+  removeCollectionMember,
+  addCollectionDocuments,
+  removeCollectionDocument
+} from '../controllers/collectionController.js';
+import { auth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All collection routes require authentication
+router.use(auth);
+
+const collectionIdValidator = param('id').isUUID();
+
+// List and create collections
+router.get('/', getCollections);
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], createCollection);
+
+// Collection details
+router.get('/:id', [collectionIdValidator], getCollection);
+router.patch('/:id', [
+  collectionIdValidator,
+  body('name').optional().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], updateCollection);
+router.delete('/:id', [collectionIdValidator], deleteCollection);
+
+// Sharing
+router.put('/:id/members', [
+  collectionIdValidator,
+  body('email').isEmail(),
+  body('role').isIn(['owner', 'editor', 'viewer'])
+], setCollectionMember);
+router.delete('/:id/members/:userId', [
+  collectionIdValidator,
+  param('userId').isUUID()
+], removeCollectionMember);
+
+// Documents
+router.post('/:id/documents', [
+  collectionIdValidator,
+  body('documentIds').isArray({ min: 1, max: 100 }),
+  body('documentIds.*').isUUID()
+], addCollectionDocuments);
+router.delete('/:id/documents/:documentId', [
+  collectionIdValidator,
+  param('documentId').isUUID()
+], removeCollectionDocument);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import { demoChat, demoTitle } from '../controllers/demoController.js';
+
+const router = express.Router();
+
+// Demo mode has no account, so limit each IP instead
+router.use(rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.DEMO_RATE_LIMIT_MAX) || 20,
+  message: {
+    success: false,
+    message: 'Too many demo requests, please try again later.'
+  }
+}));
+
+// Answer the conversation held in the browser
+router.post('/chat', [
+  body('messages').isArray({ min: 1, max: 50 }),
+  body('messages.*.role').isIn(['user', 'assistant']),
+  body('messages.*.content').isString().isLength({ min: 1, max: 8000 })
+], demoChat);
+
+// Title a conversation from its first message
+router.post('/title', [
+  body('message').isString().trim().isLength({ min: 1, max: 2000 })
+], demoTitle);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import multer from 'multer';
+import { query } from 'express-validator';
 import { 
   uploadDocument, 
   getDocuments, 
@@ -8,9 +9,13 @@ import {
   searchDocuments,
   getProcessingStatus,
   reprocessDocument,
-  getDocumentChunks
+  getDocumentChunks,
+  getDocumentVersions,
+  diffDocumentVersions,
+  pinDocumentVersion
 } from '../controllers/documentController.js';
-import { auth } from '../middleware/auth.js';
+import { auth, validateDocumentOwnership } from '../middleware/auth.js';
+import { extractorRegistry } from '../services/extractors/extractorRegistry.js';
 
 const router = express.Router();
 
@@ -25,12 +30,11 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Allow only specific file types
-    const allowedTypes = ['application/pdf', 'text/plain', 'text/markdown'];
-    if (allowedTypes.includes(file.mimetype)) {
+    // Allow only file types with a registered extractor
+    if (extractorRegistry.isSupported(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, TXT, and MD files are allowed.'), false);
+      cb(new Error(`Invalid file type. Supported formats: ${extractorRegistry.describeSupported()}.`), false);
     }
   }
 });
@@ -38,20 +42,32 @@ const upload = multer({
 // Upload document
 router.post('/upload', upload.single('document'), uploadDocument);
 
-// Get user documents
+// Get user documents (?collectionId=<uuid> or ?collectionId=none to filter)
 router.get('/', getDocuments);
 
 // Get document content
-router.get('/:id', getDocumentContent);
+router.get('/:id', validateDocumentOwnership, getDocumentContent);
 
 // Get document chunks
-router.get('/:id/chunks', getDocumentChunks);
+router.get('/:id/chunks', validateDocumentOwnership, [
+  query('limit').optional().isInt({ min: 1 }),
+  query('offset').optional().isInt({ min: 0 }),
+  query('chunkIndex').optional().isInt({ min: 0 }),
+  query('version').optional().isInt({ min: 1 })
+], getDocumentChunks);
+
+// Version history and diff summary (?from=1&to=2, defaults to the last two versions)
+router.get('/:id/versions', validateDocumentOwnership, getDocumentVersions);
+router.get('/:id/versions/diff', validateDocumentOwnership, diffDocumentVersions);
+
+// Pin the version used for retrieval ({ version: null } to follow the latest)
+router.put('/:id/pinned-version', validateDocumentOwnership, pinDocumentVersion);
 
 // Delete document
-router.delete('/:id', deleteDocument);
+router.delete('/:id', validateDocumentOwnership, deleteDocument);
 
 // Reprocess document
-router.post('/:id/reprocess', reprocessDocument);
+router.post('/:id/reprocess', validateDocumentOwnership, reprocessDocument);
 
 // Search documents
 router.post('/search', searchDocuments);
@@ -0,0 +1,27 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getEmbeddingModels,
+  startEmbeddingMigration,
+  getEmbeddingMigrations,
+  getEmbeddingMigration
+} from '../controllers/embeddingController.js';
+import { auth, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Embedding model management is admin only
+router.use(auth);
+router.use(requireAdmin);
+
+// Registered models and the active one
+router.get('/models', getEmbeddingModels);
+
+// Re-embed the corpus with another model
+router.post('/migrations', [
+  body('model').isString().trim().isLength({ min: 1, max: 255 })
+], startEmbeddingMigration);
+router.get('/migrations', getEmbeddingMigrations);
+router.get('/migrations/:id', [param('id').isUUID()], getEmbeddingMigration);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import { getProviderHealth, resetProviderCircuit } from '../controllers/providerController.js';
+import { auth, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// AI provider health is admin only
+router.use(auth);
+router.use(requireAdmin);
+
+// Circuit state, error rate and latency per provider
+router.get('/health', [
+  query('probe').optional().isIn(['true', 'false'])
+], getProviderHealth);
+
+// Close a provider's circuit
+router.post('/:name/reset', [
+  param('name').matches(/^[a-z0-9][a-z0-9_-]*$/)
+], resetProviderCircuit);
+
+export default router;
@@ -0,0 +1,406 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AICoordinator } from '../ai/aiCoordinator.js';
+import { CircuitBreaker } from '../ai/circuitBreaker.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../cacheService.js', () => ({
+  cacheService: {
+    getCachedResponse: vi.fn().mockResolvedValue(null),
+    cacheResponse: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const createProvider = (name, overrides = {}) => ({
+  generateResponse: vi.fn().mockResolvedValue({ content: `from ${name}`, model: `${name}-model` }),
+  async *streamResponse() {
+    yield { content: `from ${name}` };
+  },
+  ...overrides
+});
+
+describe('AICoordinator routing', () => {
+  let coordinator;
+
+  const useProviders = (providers) => {
+    coordinator.providers = new Map(Object.entries(providers));
+    coordinator.breakers = new Map(Object.keys(providers).map(name => [
+      name,
+      new CircuitBreaker(name, { minimumRequests: 2, failureRateThreshold: 0.5, openMs: 60000 })
+    ]));
+  };
+
+  const openCircuit = (name) => {
+    coordinator.breakers.get(name).recordFailure(10, new Error('down'));
+    coordinator.breakers.get(name).recordFailure(10, new Error('down'));
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('OPENAI_API_KEY', '');
+    vi.stubEnv('HUGGINGFACE_TOKEN', '');
+    vi.stubEnv('ANTHROPIC_API_KEY', '');
+    vi.stubEnv('GEMINI_API_KEY', '');
+    coordinator = new AICoordinator();
+    coordinator.defaultProvider = 'openai';
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should fall back when the default provider fails and record both outcomes', async () => {
+    useProviders({
+      openai: createProvider('openai', { generateResponse: vi.fn().mockRejectedValue(new Error('timeout')) }),
+      anthropic: createProvider('anthropic')
+    });
+
+    const response = await coordinator.generateResponse([{ role: 'user', content: 'Hi' }], { enableCaching: false });
+
+    expect(response).toMatchObject({ content: 'from anthropic', provider: 'anthropic' });
+    expect(coordinator.breakers.get('openai').getStats().failures).toBe(1);
+    expect(coordinator.breakers.get('anthropic').getStats().requests).toBe(1);
+  });
+
+  it('should skip providers whose circuit is open', async () => {
+    const openai = createProvider('openai');
+    useProviders({ openai, gemini: createProvider('gemini') });
+    openCircuit('openai');
+
+    const response = await coordinator.generateResponse([{ role: 'user', content: 'Hi' }], { enableCaching: false });
+
+    expect(response.provider).toBe('gemini');
+    expect(openai.generateResponse).not.toHaveBeenCalled();
+  });
+
+  it('should fail fast when every circuit is open', async () => {
+    useProviders({ openai: createProvider('openai') });
+    openCircuit('openai');
+
+    await expect(coordinator.generateResponse([{ role: 'user', content: 'Hi' }], { enableCaching: false }))
+      .rejects.toThrow('Provider openai is temporarily unavailable');
+  });
+
+  it('should stream from the next provider when the requested one is open', async () => {
+    useProviders({ openai: createProvider('openai'), anthropic: createProvider('anthropic') });
+    openCircuit('openai');
+
+    const chunks = [];
+    for await (const chunk of coordinator.streamResponse([{ role: 'user', content: 'Hi' }], { provider: 'openai' })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([{ content: 'from anthropic', provider: 'anthropic' }]);
+  });
+
+  it('should stream from the next provider when the circuit refuses the call', async () => {
+    const openai = createProvider('openai', { streamResponse: vi.fn() });
+    useProviders({ openai, anthropic: createProvider('anthropic') });
+    vi.spyOn(coordinator.breakers.get('openai'), 'allowRequest').mockReturnValue(false);
+
+    const chunks = [];
+    for await (const chunk of coordinator.streamResponse([{ role: 'user', content: 'Hi' }], { provider: 'openai' })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([{ content: 'from anthropic', provider: 'anthropic' }]);
+    expect(openai.streamResponse).not.toHaveBeenCalled();
+  });
+
+  it('should time streams to their first chunk', async () => {
+    vi.useFakeTimers();
+    useProviders({
+      openai: createProvider('openai', {
+        async *streamResponse() {
+          await new Promise(resolve => setTimeout(resolve, 200));
+          yield { content: 'A long' };
+          await new Promise(resolve => setTimeout(resolve, 60000));
+          yield { content: ' answer' };
+        }
+      })
+    });
+
+    const reading = (async () => {
+      for await (const chunk of coordinator.streamResponse([{ role: 'user', content: 'Hi' }])) {
+        expect(chunk.provider).toBe('openai');
+        // A slow reader doesn't count against the provider either
+        await new Promise(resolve => setTimeout(resolve, 10000));
+      }
+    })();
+    await vi.advanceTimersByTimeAsync(100000);
+    await reading;
+    vi.useRealTimers();
+
+    const stats = coordinator.breakers.get('openai').getStats();
+    expect(stats.averageLatency).toBe(200);
+    expect(stats.slowCalls).toBe(0);
+  });
+
+  describe('mid-stream failover', () => {
+    const failingProvider = (name, contents) => createProvider(name, {
+      async *streamResponse() {
+        for (const content of contents) {
+          yield { content };
+        }
+        throw new Error('connection reset');
+      }
+    });
+
+    const collect = async (options = {}) => {
+      const chunks = [];
+      for await (const chunk of coordinator.streamResponse([{ role: 'user', content: 'Hi' }], options)) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    };
+
+    it('should continue the partial answer on the next provider', async () => {
+      const anthropic = createProvider('anthropic', {
+        streamResponse: vi.fn(async function* () {
+          yield { content: 'world' };
+        })
+      });
+      useProviders({ openai: failingProvider('openai', ['Hello, ']), anthropic });
+
+      const chunks = await collect({ model: 'gpt-4o' });
+
+      expect(chunks).toEqual([
+        { content: 'Hello, ', provider: 'openai' },
+        { type: 'provider_switched', from: 'openai', to: 'anthropic', reason: 'connection reset', partialLength: 7 },
+        { content: 'world', provider: 'anthropic' }
+      ]);
+
+      const [messages, options] = anthropic.streamResponse.mock.calls[0];
+      expect(messages.slice(0, 2)).toEqual([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello, ' }
+      ]);
+      expect(messages[2]).toMatchObject({ role: 'user', content: expect.stringContaining('cut off') });
+      expect(options.model).toBeUndefined();
+      expect(coordinator.breakers.get('openai').getStats().failures).toBe(1);
+      expect(coordinator.breakers.get('anthropic').getStats().requests).toBe(1);
+    });
+
+    it('should send the original messages when nothing was streamed yet', async () => {
+      const anthropic = createProvider('anthropic', {
+        streamResponse: vi.fn(async function* () {
+          yield { content: 'Hello' };
+        })
+      });
+      useProviders({ openai: failingProvider('openai', []), anthropic });
+
+      await collect();
+
+      expect(anthropic.streamResponse.mock.calls[0][0]).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+
+    it('should give up with the partial content once retries run out', async () => {
+      useProviders({
+        openai: failingProvider('openai', ['Hel']),
+        anthropic: failingProvider('anthropic', ['lo']),
+        gemini: createProvider('gemini')
+      });
+
+      const error = await collect({ maxRetries: 2 }).catch(error => error);
+
+      expect(error.message).toBe('connection reset');
+      expect(error.partialContent).toBe('Hello');
+    });
+
+    it('should not fail over a cancelled stream', async () => {
+      const controller = new AbortController();
+      const anthropic = createProvider('anthropic', { streamResponse: vi.fn() });
+      useProviders({
+        openai: createProvider('openai', {
+          async *streamResponse() {
+            yield { content: 'Hel' };
+            controller.abort('user');
+            throw new Error('Request was aborted.');
+          }
+        }),
+        anthropic
+      });
+
+      const error = await collect({ signal: controller.signal }).catch(error => error);
+
+      expect(error.partialContent).toBe('Hel');
+      expect(anthropic.streamResponse).not.toHaveBeenCalled();
+      expect(coordinator.breakers.get('openai').getStats().failures).toBe(0);
+    });
+
+    it('should give back a half-open trial when the reader stops early', async () => {
+      useProviders({ openai: createProvider('openai') });
+      const breaker = coordinator.breakers.get('openai');
+      openCircuit('openai');
+      breaker.openedAt = 0;
+
+      for await (const chunk of coordinator.streamResponse([{ role: 'user', content: 'Hi' }])) {
+        expect(chunk.content).toBe('from openai');
+        break;
+      }
+
+      expect(breaker.state).toBe('half_open');
+      expect(breaker.isAvailable()).toBe(true);
+    });
+  });
+
+  describe('tool calling', () => {
+    const toolCall = { id: 'call_1', name: 'calculator', arguments: { expression: '6 * 7' } };
+    const definitions = [{ name: 'calculator', description: 'Math', parameters: { type: 'object' } }];
+
+    const collect = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    };
+
+    it('should run the tools the model calls and send back the results', async () => {
+      const openai = createProvider('openai', {
+        capabilities: { tools: true },
+        streamResponse: vi.fn()
+          .mockImplementationOnce(async function* () {
+            yield { content: 'Let me check. ' };
+            yield { content: '', toolCalls: [toolCall], finishReason: 'tool_calls' };
+          })
+          .mockImplementationOnce(async function* () {
+            yield { content: 'It is 42.' };
+          })
+      });
+      useProviders({ openai });
+      const toolset = {
+        definitions,
+        execute: vi.fn().mockResolvedValue({ id: 'call_1', name: 'calculator', result: { result: 42 }, content: '{"result":42}' })
+      };
+
+      const chunks = await collect(coordinator.streamWithTools([{ role: 'user', content: 'What is 6 * 7?' }], toolset));
+
+      expect(chunks).toEqual([
+        { content: 'Let me check. ', provider: 'openai' },
+        { type: 'tool_calls', content: 'Let me check. ', toolCalls: [toolCall], provider: 'openai' },
+        { type: 'tool_result', id: 'call_1', name: 'calculator', result: { result: 42 }, content: '{"result":42}' },
+        { content: 'It is 42.', provider: 'openai' }
+      ]);
+      expect(toolset.execute).toHaveBeenCalledWith(toolCall);
+      expect(openai.streamResponse.mock.calls[0][1].tools).toBe(definitions);
+      expect(openai.streamResponse.mock.calls[1][0].slice(1)).toEqual([
+        { role: 'assistant', content: 'Let me check. ', toolCalls: [toolCall] },
+        { role: 'tool', toolCallId: 'call_1', name: 'calculator', content: '{"result":42}' }
+      ]);
+    });
+
+    it('should withhold the tools once the round limit is reached', async () => {
+      const openai = createProvider('openai', {
+        capabilities: { tools: true },
+        streamResponse: vi.fn(async function* (messages, options) {
+          yield options.tools
+            ? { content: '', toolCalls: [toolCall] }
+            : { content: 'Done.' };
+        })
+      });
+      useProviders({ openai });
+      const toolset = { definitions, execute: vi.fn().mockResolvedValue({ content: '{}' }) };
+
+      await collect(coordinator.streamWithTools([{ role: 'user', content: 'Hi' }], toolset, { maxToolRounds: 2 }));
+
+      expect(toolset.execute).toHaveBeenCalledTimes(2);
+      expect(openai.streamResponse).toHaveBeenCalledTimes(3);
+      expect(openai.streamResponse.mock.calls[2][1].tools).toBeUndefined();
+    });
+
+    it('should leave tools and tool messages out for providers without tool support', async () => {
+      const anthropic = createProvider('anthropic', {
+        streamResponse: vi.fn(async function* () {
+          yield { content: 'Hello' };
+        })
+      });
+      useProviders({ anthropic });
+      coordinator.defaultProvider = 'anthropic';
+
+      const history = [
+        { role: 'user', content: 'What is 6 * 7?' },
+        { role: 'assistant', content: '', toolCalls: [toolCall] },
+        { role: 'tool', toolCallId: 'call_1', name: 'calculator', content: '{"result":42}' },
+        { role: 'assistant', content: 'It is 42.' },
+        { role: 'user', content: 'Thanks' }
+      ];
+      await collect(coordinator.streamWithTools(history, { definitions, execute: vi.fn() }));
+
+      const [messages, options] = anthropic.streamResponse.mock.calls[0];
+      expect(messages).toEqual([
+        { role: 'user', content: 'What is 6 * 7?' },
+        { role: 'assistant', content: 'It is 42.' },
+        { role: 'user', content: 'Thanks' }
+      ]);
+      expect(options.tools).toBeUndefined();
+    });
+  });
+
+  describe('routing policies', () => {
+    beforeEach(() => {
+      useProviders({
+        anthropic: createProvider('anthropic'),
+        openai: createProvider('openai'),
+        local: createProvider('local')
+      });
+      coordinator.breakers.get('anthropic').recordSuccess(300);
+      coordinator.breakers.get('openai').recordSuccess(900);
+      coordinator.breakers.get('local').recordSuccess(600);
+    });
+
+    it('should start with the default provider under the priority policy', () => {
+      expect(coordinator.getRoutingOrder()).toEqual(['openai', 'anthropic', 'local']);
+    });
+
+    it('should rank by estimated cost', () => {
+      coordinator.routingPolicy = 'cost';
+
+      expect(coordinator.getRoutingOrder()).toEqual(['local', 'openai', 'anthropic']);
+    });
+
+    it('should rank by observed latency', () => {
+      coordinator.routingPolicy = 'latency';
+
+      expect(coordinator.getRoutingOrder()).toEqual(['anthropic', 'local', 'openai']);
+    });
+
+    it('should keep an explicitly requested provider first', () => {
+      coordinator.routingPolicy = 'cost';
+
+      expect(coordinator.getRoutingOrder('anthropic')).toEqual(['anthropic', 'local', 'openai']);
+    });
+
+    it('should move providers with an open circuit last', () => {
+      openCircuit('openai');
+
+      expect(coordinator.getRoutingOrder()).toEqual(['anthropic', 'local', 'openai']);
+    });
+  });
+
+  it('should report health and reset a circuit', () => {
+    useProviders({ openai: createProvider('openai') });
+    openCircuit('openai');
+
+    expect(coordinator.getProviderHealth()).toMatchObject({
+      policy: 'priority',
+      defaultProvider: 'openai',
+      providers: [{ name: 'openai', isDefault: true, state: 'open', failureRate: 1, lastError: 'down' }]
+    });
+
+    expect(coordinator.resetCircuit('openai').state).toBe('closed');
+    expect(() => coordinator.resetCircuit('missing')).toThrow('Provider missing not available');
+  });
+});
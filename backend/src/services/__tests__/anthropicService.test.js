@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { AnthropicService } from '../ai/anthropicService.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+// Minimal Messages API server, recording each request
+describe('AnthropicService', () => {
+  let server;
+  let requests;
+  let reply;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const json = body ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: json });
+        reply(req, res, json);
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    vi.stubEnv('ANTHROPIC_API_KEY', 'test-key');
+    vi.stubEnv('ANTHROPIC_BASE_URL', `http://127.0.0.1:${server.address().port}`);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  const sendJson = (res, status, data) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  };
+
+  it('should require an API key', () => {
+    vi.stubEnv('ANTHROPIC_API_KEY', '');
+
+    expect(() => new AnthropicService()).toThrow('ANTHROPIC_API_KEY environment variable is required');
+  });
+
+  it('should move system prompts to the system field and merge repeated roles', () => {
+    const { system, messages } = new AnthropicService().formatMessages([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Hi' },
+      { role: 'user', content: 'Are you there?' },
+      { role: 'system', content: 'Cite sources.' }
+    ]);
+
+    expect(system).toBe('Be brief.\n\nCite sources.');
+    expect(messages).toEqual([
+      { role: 'user', content: '(conversation continues)' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Hi\n\nAre you there?' }
+    ]);
+  });
+
+  it('should generate a response with normalized usage and finish reason', async () => {
+    reply = (req, res) => sendJson(res, 200, {
+      model: 'claude-3-5-haiku-20241022',
+      content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: ' there' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 2 }
+    });
+
+    const response = await new AnthropicService().generateResponse([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    expect(response).toMatchObject({
+      content: 'Hello there',
+      model: 'claude-3-5-haiku-20241022',
+      finishReason: 'stop',
+      usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }
+    });
+    expect(requests[0].url).toBe('/v1/messages');
+    expect(requests[0].headers['x-api-key']).toBe('test-key');
+    expect(requests[0].headers['anthropic-version']).toBe('2023-06-01');
+    expect(requests[0].body).toMatchObject({
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: 'Hi' }],
+      max_tokens: 1000,
+      stream: false
+    });
+  });
+
+  it('should stream text deltas and the stop reason', async () => {
+    const events = [
+      { type: 'message_start', message: { model: 'claude-3-5-haiku-20241022' } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+      { type: 'message_delta', delta: { stop_reason: 'max_tokens' } },
+      { type: 'message_stop' }
+    ];
+    reply = (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      for (const event of events) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+      res.end();
+    };
+
+    const chunks = [];
+    for await (const chunk of new AnthropicService().streamResponse([{ role: 'user', content: 'Hi' }])) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.content).join('')).toBe('Hello');
+    expect(chunks[chunks.length - 1].finishReason).toBe('length');
+    expect(chunks[0].model).toBe('claude-3-5-haiku-20241022');
+    expect(requests[0].body.stream).toBe(true);
+  });
+
+  it('should map API errors', async () => {
+    reply = (req, res) => sendJson(res, 429, { type: 'error', error: { type: 'rate_limit_error', message: 'slow down' } });
+
+    await expect(new AnthropicService().generateResponse([{ role: 'user', content: 'Hi' }]))
+      .rejects.toThrow('Anthropic API rate limit exceeded');
+  });
+
+  it('should check health by listing models', async () => {
+    reply = (req, res) => sendJson(res, 200, { data: [{ id: 'claude-3-5-haiku-20241022' }] });
+
+    await expect(new AnthropicService().healthCheck()).resolves.toEqual({ status: 'healthy', models: 1 });
+    expect(requests[0]).toMatchObject({ method: 'GET', url: '/v1/models' });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ChunkingService } from '../chunkingService.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const sentence = (i) => `Sentence number ${i} talks about topic ${i}.`;
+
+describe('ChunkingService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ChunkingService();
+  });
+
+  it('should record offsets that point back into the original text', () => {
+    const text = Array.from({ length: 60 }, (_, i) => sentence(i)).join(' ');
+    const chunks = service.chunk(text, { strategy: 'character', maxChunkSize: 300, chunkOverlap: 50 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.content.length).toBeLessThanOrEqual(300);
+      expect(text.slice(chunk.metadata.startIndex, chunk.metadata.endIndex)).toBe(chunk.content);
+      expect(chunk.metadata).toMatchObject({ strategy: 'character', chunkIndex: index, headingPath: [] });
+    });
+    expect(chunks[chunks.length - 1].metadata.endIndex).toBe(text.length);
+  });
+
+  it('should split Markdown by heading and record the heading path', () => {
+    const text = [
+      '# Guide',
+      'Intro text.',
+      '## Install',
+      '### Linux',
+      'Run the installer.',
+      '## Usage',
+      '```',
+      '# not a heading',
+      '```',
+      'Start the app.'
+    ].join('\n');
+
+    const chunks = service.chunk(text, { strategy: 'markdown' });
+
+    expect(chunks.map(chunk => chunk.content)).toEqual([
+      '# Guide\nIntro text.',
+      '## Install\n### Linux\nRun the installer.',
+      '## Usage\n```\n# not a heading\n```\nStart the app.'
+    ]);
+    expect(chunks.map(chunk => chunk.metadata.headingPath)).toEqual([
+      ['Guide'],
+      ['Guide', 'Install'],
+      ['Guide', 'Usage']
+    ]);
+  });
+
+  it('should keep chunks within a page and record page numbers', () => {
+    const text = 'Page one text.\n\f\nPage two starts here. It continues.\n\f\nPage three.';
+    const chunks = service.chunk(text, { strategy: 'page' });
+
+    expect(chunks.map(chunk => [chunk.content, chunk.metadata.page])).toEqual([
+      ['Page one text.', 1],
+      ['Page two starts here. It continues.', 2],
+      ['Page three.', 3]
+    ]);
+  });
+
+  it('should pack whole sentences and overlap one sentence between windows', () => {
+    const text = Array.from({ length: 6 }, (_, i) => sentence(i)).join(' ');
+    const chunks = service.chunk(text, { strategy: 'sentence', maxChunkSize: 100 });
+
+    expect(chunks[0].content).toBe(`${sentence(0)} ${sentence(1)}`);
+    expect(chunks[1].content.startsWith(sentence(1))).toBe(true);
+    chunks.forEach(chunk => expect(chunk.content).toMatch(/\.$/));
+    expect(chunks[chunks.length - 1].content.endsWith(sentence(5))).toBe(true);
+  });
+
+  it('should limit token windows and count CJK characters as tokens', () => {
+    const text = '日本語の文書を検索します。'.repeat(10);
+    const chunks = service.chunk(text, { strategy: 'token', maxTokens: 40, tokenOverlap: 5 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    chunks.forEach(chunk => expect(chunk.content.length).toBeLessThanOrEqual(40));
+    expect(chunks[1].metadata.startIndex).toBe(35);
+  });
+
+  it('should choose a strategy automatically from the content', () => {
+    expect(service.resolveStrategy('a\n\f\nb', 'auto')).toBe('page');
+    expect(service.resolveStrategy('# Title\nbody', 'auto')).toBe('markdown');
+    expect(service.resolveStrategy('plain text', 'auto')).toBe('character');
+    expect(service.resolveStrategy('plain text', 'sentence')).toBe('sentence');
+    expect(service.isValidStrategy('paragraph')).toBe(false);
+  });
+});
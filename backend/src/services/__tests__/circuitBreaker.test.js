@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CircuitBreaker } from '../ai/circuitBreaker.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    breaker = new CircuitBreaker('openai', {
+      minimumRequests: 4,
+      failureRateThreshold: 0.5,
+      slowCallMs: 1000,
+      slowCallRateThreshold: 0.75,
+      openMs: 30000
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should stay closed until enough calls were made', () => {
+    breaker.recordFailure(100, new Error('boom'));
+    breaker.recordFailure(100, new Error('boom'));
+    breaker.recordFailure(100, new Error('boom'));
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('should open when the failure rate crosses the threshold', () => {
+    breaker.recordSuccess(100);
+    breaker.recordSuccess(100);
+    breaker.recordFailure(100, new Error('timeout'));
+    breaker.recordFailure(100, new Error('timeout'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({ failureRate: 0.5, lastError: 'timeout' });
+  });
+
+  it('should open when most calls are slow', () => {
+    breaker.recordSuccess(1500);
+    breaker.recordSuccess(1500);
+    breaker.recordSuccess(1500);
+    breaker.recordSuccess(200);
+
+    expect(breaker.state).toBe('open');
+  });
+
+  it('should let one trial call through after the cool-down', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.recordFailure(100, new Error('boom'));
+    }
+
+    vi.advanceTimersByTime(30000);
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  it('should close after a successful trial and reopen after a failed one', () => {
+    for (let i = 0; i < 4; i++) {
+      breaker.recordFailure(100, new Error('boom'));
+    }
+
+    vi.advanceTimersByTime(30000);
+    breaker.allowRequest();
+    breaker.recordFailure(100, new Error('still down'));
+
+    expect(breaker.state).toBe('open');
+
+    vi.advanceTimersByTime(30000);
+    breaker.allowRequest();
+    breaker.recordSuccess(100);
+
+    expect(breaker.state).toBe('closed');
+    // A closed circuit starts over with a fresh window
+    expect(breaker.getStats().requests).toBe(0);
+  });
+
+  it('should forget calls older than the window', () => {
+    breaker.recordFailure(100, new Error('boom'));
+    breaker.recordFailure(100, new Error('boom'));
+
+    vi.advanceTimersByTime(breaker.config.windowMs + 1);
+
+    expect(breaker.getStats()).toMatchObject({ requests: 0, failureRate: 0, averageLatency: null });
+  });
+
+  it('should report latency of successful calls', () => {
+    [100, 200, 300, 400].forEach(latency => breaker.recordSuccess(latency));
+
+    expect(breaker.getStats()).toMatchObject({ averageLatency: 250, p95Latency: 400 });
+  });
+});
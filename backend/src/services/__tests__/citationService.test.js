@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CitationService } from '../citationService.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const sources = [
+  { marker: 1, chunkId: 'chunk-a', documentId: 'doc-1', filename: 'guide.pdf', chunkIndex: 3 },
+  { marker: 2, chunkId: 'chunk-b', documentId: 'doc-2', filename: 'faq.md', chunkIndex: 0 }
+];
+
+describe('CitationService', () => {
+  const service = new CitationService();
+
+  it('should link markers to sources with character offsets', () => {
+    const content = 'Hold the button for ten seconds [1]. Billing is monthly [2].';
+
+    const { citations, invalid } = service.extractCitations(content, sources);
+
+    expect(invalid).toEqual([]);
+    expect(citations).toEqual([
+      { marker: 1, start: 32, end: 35, chunkId: 'chunk-a', documentId: 'doc-1', filename: 'guide.pdf', chunkIndex: 3 },
+      { marker: 2, start: 56, end: 59, chunkId: 'chunk-b', documentId: 'doc-2', filename: 'faq.md', chunkIndex: 0 }
+    ]);
+    expect(content.slice(citations[0].start, citations[0].end)).toBe('[1]');
+  });
+
+  it('should expand grouped markers', () => {
+    const { citations } = service.extractCitations('Both agree [1, 2].', sources);
+
+    expect(citations.map(c => c.marker)).toEqual([1, 2]);
+    expect(citations[1].start).toBe(11);
+    expect(citations[1].end).toBe(17);
+  });
+
+  it('should report markers without a supplied source', () => {
+    const { citations, invalid } = service.extractCitations('Made up [3].', sources);
+
+    expect(citations).toEqual([]);
+    expect(invalid).toEqual([{ marker: 3, start: 8, end: 11 }]);
+  });
+
+  it('should ignore markdown links', () => {
+    const { citations } = service.extractCitations('See [1](https://example.com).', sources);
+
+    expect(citations).toEqual([]);
+  });
+
+  it('should return no metadata without RAG sources', () => {
+    expect(service.buildCitationMetadata('Answer [1]', { sources: [] })).toEqual({});
+    expect(service.buildCitationMetadata('Answer [1]', null)).toEqual({});
+  });
+});
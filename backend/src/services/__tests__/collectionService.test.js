@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CollectionService } from '../collectionService.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('CollectionService', () => {
+  let service;
+  let client;
+
+  // Route queries to canned results by a distinctive fragment of their SQL
+  const respond = (handlers) => {
+    client.query.mockImplementation(async (sql) => {
+      const match = Object.keys(handlers).find(fragment => sql.includes(fragment));
+      return match ? handlers[match] : { rows: [], rowCount: 0 };
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    service = new CollectionService();
+  });
+
+  it('should rank roles', () => {
+    expect(service.hasRole('owner', 'editor')).toBe(true);
+    expect(service.hasRole('editor', 'editor')).toBe(true);
+    expect(service.hasRole('viewer', 'editor')).toBe(false);
+    expect(service.hasRole(null, 'viewer')).toBe(false);
+  });
+
+  describe('getDocumentAccess', () => {
+    it('should give uploaders full access', async () => {
+      respond({ 'FROM documents d': { rows: [{ user_id: 'user-1', role: null }] } });
+
+      expect(await service.getDocumentAccess('doc-1', 'user-1')).toEqual({ exists: true, canRead: true, canWrite: true });
+    });
+
+    it('should give collection viewers read-only access', async () => {
+      respond({ 'FROM documents d': { rows: [{ user_id: 'user-2', role: 'viewer' }] } });
+
+      expect(await service.getDocumentAccess('doc-1', 'user-1')).toEqual({ exists: true, canRead: true, canWrite: false });
+    });
+
+    it('should deny users outside the collection', async () => {
+      respond({ 'FROM documents d': { rows: [{ user_id: 'user-2', role: null }] } });
+
+      expect(await service.getDocumentAccess('doc-1', 'user-1')).toEqual({ exists: true, canRead: false, canWrite: false });
+    });
+  });
+
+  describe('setMember', () => {
+    it('should only let owners share', async () => {
+      respond({ 'SELECT role FROM collection_members': { rows: [{ role: 'editor' }] } });
+
+      await expect(service.setMember('col-1', 'user-1', { email: 'a@example.com', role: 'viewer' }))
+        .rejects.toThrow('Insufficient collection permissions');
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should refuse to demote the last owner', async () => {
+      respond({
+        'SELECT role FROM collection_members': { rows: [{ role: 'owner' }] },
+        'FROM users': { rows: [{ id: 'user-1' }] },
+        'COUNT(*) as owners': { rows: [{ owners: '0' }] }
+      });
+
+      await expect(service.setMember('col-1', 'user-1', { email: 'me@example.com', role: 'viewer' }))
+        .rejects.toThrow('Collection must keep an owner');
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('moveDocuments', () => {
+    it('should require editor access to the target collection', async () => {
+      respond({ 'SELECT role FROM collection_members': { rows: [{ role: 'viewer' }] } });
+
+      await expect(service.moveDocuments('col-1', 'user-1', ['doc-1']))
+        .rejects.toThrow('Insufficient collection permissions');
+    });
+
+    it('should fail when a document is not writable by the user', async () => {
+      respond({
+        'SELECT role FROM collection_members': { rows: [{ role: 'editor' }] },
+        'UPDATE documents d': { rows: [{ id: 'doc-1' }] }
+      });
+
+      await expect(service.moveDocuments('col-1', 'user-1', ['doc-1', 'doc-2']))
+        .rejects.toThrow('Document not found');
+    });
+
+    it('should restrict removal to documents in the source collection', async () => {
+      respond({
+        'SELECT role FROM collection_members': { rows: [{ role: 'editor' }] },
+        'UPDATE documents d': { rows: [{ id: 'doc-1' }] }
+      });
+
+      await service.moveDocuments(null, 'user-1', ['doc-1'], { fromCollectionId: 'col-1' });
+
+      const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE documents d'));
+      expect(update[0]).toContain('d.collection_id = $4');
+      expect(update[1]).toEqual(['user-1', null, ['doc-1'], 'col-1']);
+    });
+  });
+});
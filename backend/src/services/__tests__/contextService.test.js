@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ContextService } from '../contextService.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('ContextService branching', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    service = new ContextService();
+  });
+
+  const findQuery = (text) => client.query.mock.calls.find(([sql]) => sql.includes(text));
+
+  describe('saveMessage', () => {
+    it('should append to the active branch by default', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('COALESCE(c.active_message_id')) {
+          return { rows: [{ id: 'msg-2' }] };
+        }
+        if (sql.includes('INSERT INTO messages')) {
+          return { rows: [{ id: 'msg-3', created_at: 'now' }] };
+        }
+        return { rows: [], rowCount: 1 };
+      });
+
+      const saved = await service.saveMessage('conv-1', 'user', 'Hello');
+
+      expect(findQuery('INSERT INTO messages')[1].slice(0, 4)).toEqual(['conv-1', 'msg-2', 'user', 'Hello']);
+      expect(findQuery('active_message_id = $2')[1]).toEqual(['conv-1', 'msg-3']);
+      expect(saved).toMatchObject({ id: 'msg-3', parent_id: 'msg-2' });
+    });
+
+    it('should start a branch from an explicit parent', async () => {
+      client.query.mockImplementation(async (sql) => sql.includes('INSERT INTO messages')
+        ? { rows: [{ id: 'msg-4', created_at: 'now' }] }
+        : { rows: [], rowCount: 1 });
+
+      await service.saveMessage('conv-1', 'user', 'Edited first prompt', {}, { parentId: null });
+
+      expect(findQuery('COALESCE(c.active_message_id')).toBeUndefined();
+      expect(findQuery('INSERT INTO messages')[1][1]).toBeNull();
+    });
+  });
+
+  describe('getConversationContext', () => {
+    const conversation = { id: 'conv-1', user_id: 'user-1', active_message_id: 'msg-3' };
+
+    it('should follow the active branch', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [conversation] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'msg-1', parent_id: null, role: 'user', content: 'Hi', sibling_ids: ['msg-1'] },
+            { id: 'msg-3', parent_id: 'msg-1', role: 'assistant', content: 'Hello again', sibling_ids: ['msg-2', 'msg-3'] }
+          ]
+        });
+
+      const context = await service.getConversationContext('conv-1', { includeSystem: false, includeBranches: true });
+
+      const [sql, params] = client.query.mock.calls[1];
+      expect(sql).toContain('WITH RECURSIVE branch');
+      expect(sql).toContain('sibling_ids');
+      expect(params).toEqual(['conv-1', 'msg-3', 50]);
+      expect(context.messages.map(message => message.id)).toEqual(['msg-1', 'msg-3']);
+    });
+
+    it('should end at a given message', async () => {
+      client.query.mockResolvedValueOnce({ rows: [conversation] });
+
+      await service.getConversationContext('conv-1', { leafId: 'msg-1', messageLimit: 10 });
+
+      expect(client.query.mock.calls[1][0]).not.toContain('sibling_ids');
+      expect(client.query.mock.calls[1][1]).toEqual(['conv-1', 'msg-1', 10]);
+    });
+
+    it('should have no history before a root message', async () => {
+      client.query.mockResolvedValueOnce({ rows: [conversation] });
+
+      const context = await service.getConversationContext('conv-1', { leafId: null });
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(context.messages.map(message => message.role)).toEqual(['system']);
+    });
+  });
+
+  describe('buildAIContext', () => {
+    it('should not add a user message when regenerating', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 'conv-1', active_message_id: 'msg-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'msg-1', role: 'user', content: 'Hi', token_count: 1 }] });
+
+      const context = await service.buildAIContext('conv-1', null, { leafId: 'msg-1' });
+
+      expect(context.messages.map(message => message.role)).toEqual(['system', 'user']);
+      expect(client.query.mock.calls[1][1][1]).toBe('msg-1');
+    });
+  });
+
+  describe('switchBranch', () => {
+    it('should activate the latest message under the chosen one', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ id: 'msg-6' }] });
+
+      await expect(service.switchBranch('conv-1', 'msg-4')).resolves.toBe('msg-6');
+
+      expect(client.query.mock.calls[0][1]).toEqual(['conv-1', 'msg-4']);
+      expect(client.query).toHaveBeenLastCalledWith(expect.stringContaining('active_message_id = $2'), ['conv-1', 'msg-6']);
+    });
+
+    it('should reject messages from other conversations', async () => {
+      await expect(service.switchBranch('conv-1', 'msg-other')).rejects.toThrow('Message not found');
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ConversationDocumentService } from '../conversationDocumentService.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('ConversationDocumentService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    service = new ConversationDocumentService();
+  });
+
+  it('should return null scope when no documents are linked', async () => {
+    expect(await service.getScopedDocumentIds('conv-1', 'user-1')).toBeNull();
+  });
+
+  it('should return linked document ids', async () => {
+    client.query.mockResolvedValueOnce({ rows: [{ document_id: 'doc-1' }, { document_id: 'doc-2' }] });
+
+    expect(await service.getScopedDocumentIds('conv-1', 'user-1')).toEqual(['doc-1', 'doc-2']);
+  });
+
+  it('should resolve collections to the documents the user can read', async () => {
+    client.query.mockResolvedValueOnce({
+      rows: [{ document_id: 'doc-1' }, { document_id: 'doc-1' }, { document_id: 'doc-3' }]
+    });
+
+    expect(await service.getScopedDocumentIds('conv-1', 'user-1')).toEqual(['doc-1', 'doc-3']);
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toContain('FROM conversation_collections');
+    expect(sql).toContain('SELECT collection_id FROM collection_members WHERE user_id = $2');
+    expect(params).toEqual(['conv-1', 'user-1']);
+  });
+
+  it('should keep a scope of empty collections restricted', async () => {
+    // The LEFT JOIN leaves one row without a document per empty collection
+    client.query.mockResolvedValueOnce({ rows: [{ document_id: null }] });
+
+    expect(await service.getScopedDocumentIds('conv-1', 'user-1')).toEqual([]);
+  });
+
+  it('should replace the scope in a transaction', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT id FROM documents')) {
+        return { rows: [{ id: 'doc-1' }, { id: 'doc-2' }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    await service.setScopedDocuments('conv-1', 'user-1', ['doc-1', 'doc-2', 'doc-1']);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements.slice(0, 6)).toEqual(['BEGIN', 'SELECT', 'DELETE', 'DELETE', 'INSERT', 'COMMIT']);
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO conversation_documents'));
+    expect(insert[1]).toEqual(['conv-1', ['doc-1', 'doc-2']]);
+  });
+
+  it('should reject documents the user does not own', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT id FROM documents')) {
+        return { rows: [{ id: 'doc-1' }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    await expect(service.setScopedDocuments('conv-1', 'user-1', ['doc-1', 'doc-other']))
+      .rejects.toThrow('Document not found');
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(([sql]) => sql.startsWith('DELETE'))).toBe(false);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should link collections the user is a member of', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT collection_id FROM collection_members')) {
+        return { rows: [{ collection_id: 'col-1' }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    const scope = await service.setScopedDocuments('conv-1', 'user-1', [], ['col-1', 'col-1']);
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO conversation_collections'));
+    expect(insert[1]).toEqual(['conv-1', ['col-1']]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(scope).toEqual({ documents: [], collections: [], scoped: false });
+  });
+
+  it('should reject collections the user is not a member of', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT collection_id FROM collection_members')) {
+        return { rows: [{ collection_id: 'col-1' }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    await expect(service.addDocuments('conv-1', 'user-1', [], ['col-1', 'col-other']))
+      .rejects.toThrow('Collection not found');
+
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should report removing a document that is not in scope', async () => {
+    client.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+    await expect(service.removeDocument('conv-1', 'doc-1')).rejects.toThrow('Document not in conversation scope');
+  });
+
+  it('should report removing a collection that is not in scope', async () => {
+    client.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+    await expect(service.removeCollection('conv-1', 'col-1')).rejects.toThrow('Collection not in conversation scope');
+  });
+});
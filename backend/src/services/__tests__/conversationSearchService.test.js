@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ConversationSearchService } from '../conversationSearchService.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const conversation = (id, extra = {}) => ({
+  id,
+  title: `Conversation ${id}`,
+  title_highlight: `Conversation ${id}`,
+  is_archived: false,
+  updated_at: '2026-10-01T00:00:00.000Z',
+  title_match: false,
+  match_count: 1,
+  total: '2',
+  ...extra
+});
+
+describe('ConversationSearchService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = { query: vi.fn(), release: vi.fn() };
+    pool.connect.mockResolvedValue(client);
+    service = new ConversationSearchService();
+  });
+
+  it('should require every term, matching prefixes', () => {
+    expect(service.buildQuery('Kafka  migration plan, kafka')).toBe("'kafka':* & 'migration':* & 'plan':*");
+    expect(service.buildQuery("it's gpt-4.")).toBe("'it':* & 'gpt-4':*");
+    expect(service.buildQuery('? ! a')).toBe('');
+  });
+
+  it('should escape snippets before marking their matches', () => {
+    expect(service.highlight('<img src=x onerror="alert(1)"> \u0001kafka\u0002 & co'))
+      .toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <mark>kafka</mark> &amp; co');
+  });
+
+  it('should not query the database for queries without terms', async () => {
+    const result = await service.search('?!', 'user-1');
+
+    expect(pool.connect).not.toHaveBeenCalled();
+    expect(result).toEqual({ results: [], pagination: { limit: 20, offset: 0, total: 0 } });
+  });
+
+  it('should return conversations with their best matching messages', async () => {
+    client.query
+      .mockResolvedValueOnce({
+        rows: [
+          conversation('conv-1', { match_count: 2 }),
+          conversation('conv-2', { title_match: true, match_count: 0, title_highlight: '\u0001Kafka\u0002 notes' })
+        ]
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'msg-1', conversation_id: 'conv-1', role: 'user', created_at: '2026-10-01', snippet: 'about \u0001kafka\u0002' },
+          { id: 'msg-2', conversation_id: 'conv-1', role: 'assistant', created_at: '2026-10-02', snippet: '\u0001kafka\u0002 topics' }
+        ]
+      });
+
+    const { results, pagination } = await service.search('kafka', 'user-1');
+
+    expect(pagination).toEqual({ limit: 20, offset: 0, total: 2 });
+    expect(results[0].matches).toEqual([
+      { id: 'msg-1', role: 'user', created_at: '2026-10-01', snippet: 'about <mark>kafka</mark>', anchor: 'message-msg-1' },
+      { id: 'msg-2', role: 'assistant', created_at: '2026-10-02', snippet: '<mark>kafka</mark> topics', anchor: 'message-msg-2' }
+    ]);
+    expect(results[1]).toMatchObject({ id: 'conv-2', title_highlight: '<mark>Kafka</mark> notes', matches: [] });
+
+    // Only conversations with matching messages need snippets
+    expect(client.query.mock.calls[1][1][0]).toEqual(['conv-1']);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('should filter messages and leave out title-only matches', async () => {
+    client.query.mockResolvedValueOnce({ rows: [] });
+
+    await service.search('kafka', 'user-1', {
+      role: 'assistant',
+      from: '2026-09-01T00:00:00.000Z',
+      to: '2026-09-30T23:59:59.999Z',
+      archived: true,
+      limit: 5,
+      offset: 10
+    });
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toContain('m.role = $4');
+    expect(sql).toContain('m.created_at >= $5');
+    expect(sql).toContain('m.created_at <= $6');
+    expect(sql).toContain('c.is_archived = $7');
+    expect(sql).not.toContain('OR title_match');
+    expect(params).toEqual([
+      'user-1',
+      "'kafka':*",
+      service.titleOptions,
+      'assistant',
+      '2026-09-01T00:00:00.000Z',
+      '2026-09-30T23:59:59.999Z',
+      true,
+      5,
+      10
+    ]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
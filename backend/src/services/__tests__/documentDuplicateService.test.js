@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DocumentDuplicateService } from '../documentDuplicateService.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const words = (count, offset = 0) => Array.from({ length: count }, (_, i) => `word${i + offset}`).join(' ');
+
+describe('DocumentDuplicateService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    service = new DocumentDuplicateService();
+    client = { query: vi.fn() };
+  });
+
+  describe('computeSignature', () => {
+    it('should give identical signatures regardless of case and punctuation', () => {
+      const signature = service.computeSignature('Reset the router. Then wait 30 seconds!');
+
+      expect(signature).toHaveLength(64);
+      expect(signature.every(Number.isInteger)).toBe(true);
+      expect(service.computeSignature('reset the router then wait 30 seconds')).toEqual(signature);
+    });
+
+    it('should estimate high similarity for small edits and low similarity for different text', () => {
+      const original = words(400);
+      const edited = original.replace('word200', 'changed');
+
+      const similar = service.estimateSimilarity(service.computeSignature(original), service.computeSignature(edited));
+      const different = service.estimateSimilarity(service.computeSignature(original), service.computeSignature(words(400, 1000)));
+
+      expect(similar).toBeGreaterThan(0.8);
+      expect(different).toBeLessThan(0.1);
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should return exact matches first and drop documents below the threshold', async () => {
+      const signature = service.computeSignature(words(400));
+      const near = service.computeSignature(words(400).replace('word200', 'changed'));
+      client.query.mockResolvedValue({
+        rows: [
+          { id: 'near', original_filename: 'near.pdf', current_version: 1, minhash: near, content_hash: 'x', can_edit: true },
+          { id: 'other', original_filename: 'other.pdf', current_version: 1, minhash: service.computeSignature(words(400, 1000)), content_hash: 'y', can_edit: true },
+          { id: 'exact', original_filename: 'copy.pdf', current_version: 2, minhash: null, content_hash: 'hash', can_edit: false }
+        ]
+      });
+
+      const duplicates = await service.findDuplicates('user-1', { contentHash: 'hash', signature }, client);
+
+      expect(client.query.mock.calls[0][1]).toEqual(['user-1', 'hash']);
+      expect(duplicates.map(duplicate => [duplicate.id, duplicate.exact])).toEqual([['exact', true], ['near', false]]);
+      expect(duplicates[0]).toMatchObject({ similarity: 1, version: 2, canEdit: false });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DocumentJobQueue } from '../documentJobQueue.js';
+import { documentService } from '../documentService.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../documentService.js', () => ({
+  documentService: {
+    processDocumentAsync: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('DocumentJobQueue', () => {
+  let queue;
+  let client;
+
+  const job = {
+    id: 'job-1',
+    document_id: 'doc-1',
+    attempts: 1,
+    max_attempts: 3,
+    options: {}
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+
+    queue = new DocumentJobQueue();
+    queue.config.retryBaseDelay = 1000;
+  });
+
+  describe('runJob', () => {
+    it('should report stages and progress until done', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ content: 'hello world' }] });
+      documentService.processDocumentAsync.mockImplementation(async (documentId, content, options) => {
+        await options.onStage('chunking');
+        await options.onStage('embedding');
+        await options.onProgress({ embedded: 5, total: 10 });
+        return { chunkCount: 10 };
+      });
+      const updateJob = vi.spyOn(queue, 'updateJob');
+
+      await queue.runJob(job);
+
+      expect(documentService.processDocumentAsync).toHaveBeenCalledWith('doc-1', 'hello world', expect.any(Object));
+      expect(updateJob.mock.calls.map(([, fields]) => fields)).toEqual([
+        { status: 'chunking', progress: 5, locked_at: expect.any(Date) },
+        { status: 'embedding', progress: 10, locked_at: expect.any(Date) },
+        { progress: 52, locked_at: expect.any(Date) },
+        expect.objectContaining({ status: 'done', progress: 100 })
+      ]);
+    });
+
+    it('should fail the job when the document no longer exists', async () => {
+      const updateJob = vi.spyOn(queue, 'updateJob');
+
+      await queue.runJob(job);
+
+      expect(documentService.processDocumentAsync).not.toHaveBeenCalled();
+      expect(updateJob).toHaveBeenCalledWith('job-1', { status: 'failed', last_error: 'Document not found' });
+    });
+  });
+
+  describe('handleFailure', () => {
+    it('should requeue with exponential backoff while attempts remain', async () => {
+      const updateJob = vi.spyOn(queue, 'updateJob');
+      const before = Date.now();
+
+      await queue.handleFailure({ ...job, attempts: 2 }, new Error('rate limited'));
+
+      const fields = updateJob.mock.calls[0][1];
+      expect(fields.status).toBe('queued');
+      expect(fields.last_error).toBe('rate limited');
+      expect(fields.run_at.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    });
+
+    it('should mark the job failed after the last attempt', async () => {
+      const updateJob = vi.spyOn(queue, 'updateJob');
+
+      await queue.handleFailure({ ...job, attempts: 3 }, new Error('rate limited'));
+
+      expect(updateJob).toHaveBeenCalledWith('job-1', expect.objectContaining({
+        status: 'failed',
+        last_error: 'rate limited'
+      }));
+    });
+  });
+
+  describe('recovery', () => {
+    afterEach(() => {
+      queue.stop();
+      vi.useRealTimers();
+    });
+
+    it('should resume a job interrupted by a restart once its heartbeat goes stale', async () => {
+      vi.useFakeTimers();
+      queue.config.pollInterval = 1000;
+      queue.config.staleAfter = 5000;
+
+      // Locked by the previous process a second before it stopped
+      const row = { ...job, status: 'embedding', locked_at: Date.now() - 1000 };
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.includes("WHERE status IN ('chunking', 'embedding')")) {
+          const stale = row.status !== 'queued' && row.locked_at < Date.now() - params[0];
+          if (stale) row.status = 'queued';
+          return { rows: [], rowCount: stale ? 1 : 0 };
+        }
+        if (sql.includes("SET status = 'chunking'") && row.status === 'queued') {
+          Object.assign(row, { status: 'chunking', locked_at: Date.now() });
+          return { rows: [row], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+      const runJob = vi.spyOn(queue, 'runJob').mockResolvedValue();
+
+      await queue.initialize();
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(runJob).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(3000);
+      expect(runJob).toHaveBeenCalledTimes(1);
+      expect(runJob).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1', status: 'chunking' }));
+    });
+  });
+
+  describe('toProcessingStatus', () => {
+    it('should map job statuses to document processing statuses', () => {
+      expect(queue.toProcessingStatus('queued', false)).toBe('pending');
+      expect(queue.toProcessingStatus('embedding', true)).toBe('processing');
+      expect(queue.toProcessingStatus('failed', false)).toBe('failed');
+      expect(queue.toProcessingStatus('done', true)).toBe('completed');
+      expect(queue.toProcessingStatus(null, false)).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DocumentService } from '../documentService.js';
+import { embeddingPipeline } from '../embeddingPipeline.js';
+import { documentVersionService } from '../documentVersionService.js';
+import { documentDuplicateService } from '../documentDuplicateService.js';
+import { documentJobQueue } from '../documentJobQueue.js';
+import { embeddingModelRegistry } from '../embeddingModelRegistry.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../embeddingPipeline.js', () => ({
+  embeddingPipeline: {
+    embedTexts: vi.fn()
+  }
+}));
+
+vi.mock('../documentJobQueue.js', () => ({
+  documentJobQueue: {
+    enqueue: vi.fn()
+  }
+}));
+
+vi.mock('../embeddingModelRegistry.js', () => ({
+  embeddingModelRegistry: {
+    getActiveModel: vi.fn(),
+    refresh: vi.fn(),
+    embeddingExpression: vi.fn(model => `dc.embedding::vector(${model.dimensions})`)
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('DocumentService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    service = new DocumentService();
+    vi.spyOn(service, 'ensureUploadDir').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('processDocument', () => {
+    const file = { originalname: 'copy.txt', size: 12, mimetype: 'text/plain', buffer: Buffer.from('Router guide') };
+    const duplicate = { id: 'doc-1', originalFilename: 'guide.txt', collectionId: null, version: 1, canEdit: true, exact: false, similarity: 0.9 };
+
+    beforeEach(() => {
+      vi.spyOn(service, 'extractTextContent').mockResolvedValue({ content: 'Router guide', fileType: 'text/plain', metadata: {} });
+      vi.spyOn(documentVersionService, 'findVersionTarget').mockResolvedValue(null);
+      vi.spyOn(documentDuplicateService, 'findDuplicates').mockResolvedValue([duplicate]);
+    });
+
+    it('should return duplicates without saving when no action is given', async () => {
+      const result = await service.processDocument(file, 'user-1', 'stored.txt');
+
+      expect(result).toMatchObject({ duplicate: true, duplicates: [duplicate] });
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(documentJobQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should link to the duplicate instead of storing a copy', async () => {
+      const result = await service.processDocument(file, 'user-1', 'stored.txt', { duplicateAction: 'link' });
+
+      expect(result).toMatchObject({ id: 'doc-1', linked: true });
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO documents'))).toBe(false);
+    });
+
+    it('should upload a new version of the duplicate when replacing', async () => {
+      const createVersion = vi.spyOn(documentVersionService, 'createVersion').mockResolvedValue({ version_number: 2, created_at: 'now' });
+      documentJobQueue.enqueue.mockResolvedValue({ id: 'job-1' });
+
+      const result = await service.processDocument(file, 'user-1', 'stored.txt', { duplicateAction: 'replace', duplicateOf: 'doc-1' });
+
+      expect(createVersion.mock.calls[0][0]).toBe('doc-1');
+      expect(documentJobQueue.enqueue).toHaveBeenCalledWith('doc-1', 'user-1', { chunkingStrategy: undefined, version: 2 }, client);
+      expect(result).toMatchObject({ id: 'doc-1', version: 2 });
+    });
+
+    it('should not look for duplicates when keeping a copy', async () => {
+      client.query.mockImplementation(async (sql) => (
+        sql.includes('INSERT INTO documents') ? { rows: [{ id: 'doc-2', created_at: 'now' }] } : { rows: [] }
+      ));
+      vi.spyOn(documentVersionService, 'recordVersion').mockResolvedValue({});
+      documentJobQueue.enqueue.mockResolvedValue({ id: 'job-2' });
+
+      const result = await service.processDocument(file, 'user-1', 'stored.txt', { duplicateAction: 'keep' });
+
+      expect(documentDuplicateService.findDuplicates).not.toHaveBeenCalled();
+      expect(result.id).toBe('doc-2');
+    });
+  });
+
+  describe('processDocumentAsync', () => {
+    const content = '# Intro\nWelcome to the guide.\n\n# Setup\nInstall version two.';
+
+    beforeEach(() => {
+      embeddingModelRegistry.getActiveModel.mockResolvedValue({ name: 'embed-1', provider: 'demo', dimensions: 2 });
+    });
+
+    it('should only embed chunks whose content hash changed', async () => {
+      vi.spyOn(service, 'findReusableEmbeddings').mockResolvedValue(new Map([
+        [documentVersionService.hashContent('# Intro\nWelcome to the guide.'), { embedding: [0.1, 0.2], model: 'embed-1' }]
+      ]));
+      const saveChunks = vi.spyOn(service, 'saveChunks').mockResolvedValue();
+      embeddingPipeline.embedTexts.mockResolvedValue({ embeddings: [[0.3, 0.4]], model: 'embed-1' });
+
+      const result = await service.processDocumentAsync('doc-1', content, { version: 2 });
+
+      expect(embeddingPipeline.embedTexts).toHaveBeenCalledTimes(1);
+      expect(embeddingPipeline.embedTexts.mock.calls[0][0]).toEqual(['# Setup\nInstall version two.']);
+      expect(embeddingPipeline.embedTexts.mock.calls[0][1]).toMatchObject({ provider: 'demo', model: 'embed-1' });
+      expect(result).toEqual({ chunkCount: 2, embeddedCount: 1, reusedCount: 1, version: 2 });
+
+      const [, chunks, embeddings, options] = saveChunks.mock.calls[0];
+      expect(embeddings).toEqual([[0.1, 0.2], [0.3, 0.4]]);
+      expect(chunks.map(chunk => chunk.embeddingModel)).toEqual(['embed-1', 'embed-1']);
+      expect(options).toEqual({ version: 2 });
+    });
+
+    it('should re-embed chunks stored with another embedding model', async () => {
+      vi.spyOn(service, 'findReusableEmbeddings').mockResolvedValue(new Map([
+        [documentVersionService.hashContent('# Intro\nWelcome to the guide.'), { embedding: [0.1], model: 'old-model' }]
+      ]));
+      vi.spyOn(service, 'saveChunks').mockResolvedValue();
+      embeddingPipeline.embedTexts.mockResolvedValue({ embeddings: [[0.3, 0.4], [0.5, 0.6]], model: 'embed-1' });
+
+      const result = await service.processDocumentAsync('doc-1', content, { version: 2 });
+
+      expect(embeddingPipeline.embedTexts).toHaveBeenCalledTimes(1);
+      expect(embeddingPipeline.embedTexts.mock.calls[0][0]).toEqual(['# Intro\nWelcome to the guide.', '# Setup\nInstall version two.']);
+      expect(result.embeddedCount).toBe(2);
+    });
+
+    it('should reject embeddings that don\'t match the model\'s dimensions', async () => {
+      vi.spyOn(service, 'findReusableEmbeddings').mockResolvedValue(new Map());
+      const saveChunks = vi.spyOn(service, 'saveChunks').mockResolvedValue();
+      embeddingPipeline.embedTexts.mockResolvedValue({ embeddings: [[0.1, 0.2, 0.3], [0.4, 0.5, 0.6]], model: 'embed-1' });
+
+      await expect(service.processDocumentAsync('doc-1', content, { version: 1 }))
+        .rejects.toThrow('Expected 2 dimensions from embed-1, received 3');
+      expect(saveChunks).not.toHaveBeenCalled();
+    });
+
+    it('should skip embedding entirely when nothing changed', async () => {
+      const hashes = ['# Intro\nWelcome to the guide.', '# Setup\nInstall version two.']
+        .map(text => [documentVersionService.hashContent(text), { embedding: [1], model: 'embed-1' }]);
+      vi.spyOn(service, 'findReusableEmbeddings').mockResolvedValue(new Map(hashes));
+      vi.spyOn(service, 'saveChunks').mockResolvedValue();
+
+      const result = await service.processDocumentAsync('doc-1', content, { version: 1 });
+
+      expect(embeddingPipeline.embedTexts).not.toHaveBeenCalled();
+      expect(result.reusedCount).toBe(2);
+    });
+  });
+
+  describe('saveChunks', () => {
+    const chunks = [{ content: 'a', metadata: { chunkIndex: 0 }, embeddingModel: 'embed-1', contentHash: 'h1' }];
+
+    it('should replace only the processed version and move retrieval to it', async () => {
+      embeddingModelRegistry.refresh.mockResolvedValue({ name: 'embed-1', dimensions: 1 });
+
+      await service.saveChunks('doc-1', chunks, [[0.1]], { version: 3 });
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+      expect(statements[1]).toBe('DELETE FROM document_chunks WHERE document_id = $1 AND version_number = $2');
+      expect(client.query.mock.calls[1][1]).toEqual(['doc-1', 3]);
+      expect(statements[2]).toContain('content_hash, embedding_model, embedding_dimensions');
+      expect(client.query.mock.calls[2][1]).toEqual(['doc-1', 'a', '[0.1]', '{"chunkIndex":0}', 0, 3, 'h1', 'embed-1', 1]);
+      expect(statements[3]).toContain('indexed_version = GREATEST(COALESCE(indexed_version, 0), $2)');
+      expect(statements[4]).toBe('COMMIT');
+    });
+
+    it('should roll back when a migration switched models during processing', async () => {
+      embeddingModelRegistry.refresh.mockResolvedValue({ name: 'embed-2', dimensions: 384 });
+
+      await expect(service.saveChunks('doc-1', chunks, [[0.1]], { version: 3 }))
+        .rejects.toThrow('Embedding model changed to embed-2 during processing');
+      expect(embeddingModelRegistry.refresh).toHaveBeenCalledWith(client);
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('searchSimilarChunks', () => {
+    it('should only compare embeddings of the given model', async () => {
+      const model = { name: 'embed-2', provider: 'huggingface', dimensions: 384 };
+
+      await service.searchSimilarChunks([0.1], 'user-1', { embeddingModel: model, threshold: 0.5, limit: 3 });
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('dc.embedding_model = $2 AND dc.embedding_dimensions = 384');
+      expect(sql).toContain('ORDER BY dc.embedding::vector(384) <=> $3::vector(384)');
+      expect(params).toEqual(['user-1', 'embed-2', '[0.1]', 0.5, 3]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DocumentVersionService } from '../documentVersionService.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('DocumentVersionService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    service = new DocumentVersionService();
+  });
+
+  describe('findVersionTarget', () => {
+    it('should match personal uploads by file name among the user\'s own documents', async () => {
+      await service.findVersionTarget('user-1', 'handbook.pdf', null, client);
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('d.collection_id IS NULL AND d.user_id = $2');
+      expect(params).toEqual(['handbook.pdf', 'user-1']);
+    });
+
+    it('should match collection uploads by file name within the collection', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ id: 'doc-1', current_version: 2, content_hash: 'abc' }] });
+
+      const target = await service.findVersionTarget('user-1', 'handbook.pdf', 'col-1', client);
+
+      expect(client.query.mock.calls[0][0]).toContain('d.collection_id = $2');
+      expect(client.query.mock.calls[0][1]).toEqual(['handbook.pdf', 'col-1']);
+      expect(target).toEqual({ id: 'doc-1', current_version: 2, content_hash: 'abc' });
+    });
+  });
+
+  describe('createVersion', () => {
+    it('should bump the document version and record the new content', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ current_version: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ version_number: 3, content_hash: 'hash', created_at: 'now' }] });
+
+      const version = await service.createVersion('doc-1', {
+        content: 'new text',
+        contentHash: 'hash',
+        fileSize: 8,
+        fileType: 'text/plain',
+        metadata: { format: 'text' },
+        userId: 'user-1'
+      }, client);
+
+      expect(client.query.mock.calls[0][0]).toContain('current_version = current_version + 1');
+      expect(client.query.mock.calls[1][1]).toEqual(['doc-1', 3, 'new text', 'hash', 8, 'text/plain', '{"format":"text"}', 'user-1']);
+      expect(version).toEqual({ version_number: 3, content_hash: 'hash', created_at: 'now' });
+    });
+  });
+
+  describe('diffVersions', () => {
+    it('should count changed lines and chunks and name the changed sections', async () => {
+      const v1 = '# Setup\nInstall the app.\n\n# Usage\nRun it daily.';
+      const v2 = '# Setup\nInstall the app.\n\n# Usage\nRun it hourly.\nCheck the logs.';
+      client.query
+        .mockResolvedValueOnce({ rows: [{ content: v1 }] })
+        .mockResolvedValueOnce({ rows: [{ content: v2 }] });
+
+      const diff = await service.diffVersions('doc-1', 1, 2);
+
+      expect(diff).toEqual({
+        from: 1,
+        to: 2,
+        characters: { from: v1.length, to: v2.length },
+        lines: { added: 2, removed: 1 },
+        chunks: { added: 1, removed: 1, unchanged: 1 },
+        changedSections: ['Usage']
+      });
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should throw when a version does not exist', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ content: 'a' }] });
+
+      await expect(service.diffVersions('doc-1', 1, 9)).rejects.toThrow('Version not found');
+    });
+  });
+
+  describe('pinVersion', () => {
+    it('should refuse to pin a version without chunks', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ version_number: 2, is_indexed: false }] });
+
+      await expect(service.pinVersion('doc-1', 2)).rejects.toThrow('Version is not indexed');
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should unpin without checking versions', async () => {
+      const result = await service.pinVersion('doc-1', null);
+
+      expect(client.query).toHaveBeenCalledWith('UPDATE documents SET pinned_version = $2 WHERE id = $1', ['doc-1', null]);
+      expect(result).toEqual({ pinnedVersion: null });
+    });
+  });
+
+  it('should limit chunks to the pinned, indexed or latest version', () => {
+    expect(service.activeChunkCondition()).toBe(
+      'dc.version_number = COALESCE(d.pinned_version, d.indexed_version, d.current_version)'
+    );
+  });
+});
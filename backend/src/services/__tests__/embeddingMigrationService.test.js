@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EmbeddingMigrationService } from '../embeddingMigrationService.js';
+import { embeddingModelRegistry } from '../embeddingModelRegistry.js';
+import { embeddingPipeline } from '../embeddingPipeline.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../embeddingPipeline.js', () => ({
+  embeddingPipeline: {
+    embedTexts: vi.fn()
+  }
+}));
+
+vi.mock('../embeddingModelRegistry.js', () => ({
+  embeddingModelRegistry: {
+    activeModel: null,
+    get: vi.fn(),
+    getActiveModel: vi.fn(),
+    activate: vi.fn(),
+    ensureIndex: vi.fn()
+  }
+}));
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    getAvailableProviders: vi.fn(() => ['openai', 'huggingface'])
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const small = { name: 'small-embed', provider: 'huggingface', dimensions: 2 };
+const current = { name: 'text-embedding-3-small', provider: 'openai', dimensions: 1536 };
+
+describe('EmbeddingMigrationService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    embeddingModelRegistry.get.mockImplementation(name => (name === small.name ? small : null));
+    embeddingModelRegistry.getActiveModel.mockResolvedValue(current);
+    service = new EmbeddingMigrationService();
+    vi.spyOn(service, 'poll').mockResolvedValue();
+  });
+
+  describe('startMigration', () => {
+    it('should reject unknown models', async () => {
+      await expect(service.startMigration('nope', 'user-1')).rejects.toThrow('Unknown embedding model');
+    });
+
+    it('should reject the active model', async () => {
+      embeddingModelRegistry.getActiveModel.mockResolvedValue(small);
+
+      await expect(service.startMigration('small-embed', 'user-1')).rejects.toThrow('Embedding model is already active');
+    });
+
+    it('should refuse to queue a second migration', async () => {
+      client.query.mockImplementation(async (sql) => (
+        sql.includes('SELECT id FROM embedding_migrations') ? { rows: [{ id: 'mig-1' }] } : { rows: [] }
+      ));
+
+      await expect(service.startMigration('small-embed', 'user-1'))
+        .rejects.toThrow('An embedding migration is already in progress');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('should queue a migration from the active model', async () => {
+      client.query.mockImplementation(async (sql) => (
+        sql.includes('INSERT INTO embedding_migrations')
+          ? { rows: [{ id: 'mig-2', target_model: 'small-embed', source_model: current.name, status: 'queued', total_chunks: 0, migrated_chunks: 0 }] }
+          : { rows: [] }
+      ));
+
+      const migration = await service.startMigration('small-embed', 'user-1');
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO embedding_migrations'));
+      expect(insert[1]).toEqual(['small-embed', current.name, 'user-1']);
+      expect(migration).toMatchObject({ id: 'mig-2', status: 'queued', progress: 0 });
+      expect(service.poll).toHaveBeenCalled();
+    });
+  });
+
+  describe('runMigration', () => {
+    it('should stage embeddings batch by batch and then finalize', async () => {
+      vi.spyOn(service, 'countStagedChunks').mockResolvedValue(0);
+      vi.spyOn(service, 'countPendingChunks').mockResolvedValueOnce(2).mockResolvedValue(0);
+      vi.spyOn(service, 'getPendingChunks')
+        .mockResolvedValueOnce([{ id: 'c1', content: 'a' }, { id: 'c2', content: 'b' }])
+        .mockResolvedValue([]);
+      const stage = vi.spyOn(service, 'stageEmbeddings').mockResolvedValue();
+      const finalize = vi.spyOn(service, 'finalizeMigration').mockResolvedValue(true);
+      const update = vi.spyOn(service, 'updateMigration').mockResolvedValue();
+      embeddingPipeline.embedTexts.mockResolvedValue({ embeddings: [[1, 0], [0, 1]] });
+
+      await service.runMigration({ id: 'mig-1', target_model: 'small-embed' });
+
+      expect(embeddingPipeline.embedTexts).toHaveBeenCalledWith(['a', 'b'], { provider: 'huggingface', model: 'small-embed' });
+      expect(stage).toHaveBeenCalledWith(small, expect.any(Array), [[1, 0], [0, 1]]);
+      expect(update).toHaveBeenLastCalledWith('mig-1', { migrated_chunks: 2, total_chunks: 2 });
+      expect(finalize).toHaveBeenCalledTimes(1);
+    });
+
+    it('should mark the migration failed when embedding fails', async () => {
+      vi.spyOn(service, 'countStagedChunks').mockResolvedValue(0);
+      vi.spyOn(service, 'countPendingChunks').mockResolvedValue(1);
+      vi.spyOn(service, 'getPendingChunks').mockResolvedValue([{ id: 'c1', content: 'a' }]);
+      const update = vi.spyOn(service, 'updateMigration').mockResolvedValue();
+      embeddingPipeline.embedTexts.mockRejectedValue(new Error('Provider huggingface not available'));
+
+      await service.runMigration({ id: 'mig-1', target_model: 'small-embed' });
+
+      expect(update).toHaveBeenLastCalledWith('mig-1', { status: 'failed', last_error: 'Provider huggingface not available' });
+    });
+  });
+
+  describe('poll', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should resume a migration interrupted by a restart once it goes stale', async () => {
+      vi.useFakeTimers();
+      service.poll.mockRestore();
+      service.config.staleAfter = 5000;
+      const runMigration = vi.spyOn(service, 'runMigration').mockResolvedValue();
+
+      // Last batch finished a second before the previous process stopped
+      const row = { id: 'mig-1', status: 'running', updated_at: Date.now() - 1000 };
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.includes("WHERE status = 'running'")) {
+          const stale = row.status === 'running' && row.updated_at < Date.now() - params[0];
+          if (stale) row.status = 'queued';
+          return { rows: [], rowCount: stale ? 1 : 0 };
+        }
+        if (sql.includes("SET status = 'running'") && row.status === 'queued') {
+          Object.assign(row, { status: 'running', updated_at: Date.now() });
+          return { rows: [row], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      await service.poll();
+      expect(runMigration).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(5000);
+      await service.poll();
+      expect(runMigration).toHaveBeenCalledWith(expect.objectContaining({ id: 'mig-1', status: 'running' }));
+    });
+  });
+
+  describe('finalizeMigration', () => {
+    it('should back off when chunks were added since the last batch', async () => {
+      vi.spyOn(service, 'countPendingChunks').mockResolvedValue(3);
+
+      const done = await service.finalizeMigration({ id: 'mig-1' }, small);
+
+      expect(done).toBe(false);
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(embeddingModelRegistry.activate).not.toHaveBeenCalled();
+    });
+
+    it('should swap embeddings in and activate the model in one transaction', async () => {
+      vi.spyOn(service, 'countPendingChunks').mockResolvedValue(0);
+
+      const done = await service.finalizeMigration({ id: 'mig-1' }, small);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+      expect(statements[1]).toBe('LOCK TABLE document_chunks IN SHARE ROW EXCLUSIVE MODE');
+      expect(statements[2]).toContain('UPDATE document_chunks dc SET embedding = e.embedding');
+      expect(embeddingModelRegistry.activate).toHaveBeenCalledWith('small-embed', client);
+      expect(statements.at(-1)).toBe('COMMIT');
+      expect(embeddingModelRegistry.ensureIndex).toHaveBeenCalledWith(small, client);
+      expect(done).toBe(true);
+    });
+  });
+
+  it('should reject staged embeddings of the wrong dimension', async () => {
+    await expect(service.stageEmbeddings(small, [{ id: 'c1' }], [[1, 2, 3]]))
+      .rejects.toThrow('Expected 2 dimensions from small-embed, received 3');
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EmbeddingModelRegistry } from '../embeddingModelRegistry.js';
+import { aiCoordinator } from '../ai/aiCoordinator.js';
+import pool from '../../config/database.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    defaultProvider: 'huggingface',
+    providers: new Map([
+      ['ollama', { embeddingModels: [{ name: 'nomic-embed-text', dimensions: 768 }] }]
+    ]),
+    getAvailableProviders: vi.fn(() => ['huggingface', 'demo'])
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('EmbeddingModelRegistry', () => {
+  let registry;
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete process.env.EMBEDDING_MODEL;
+    client = {
+      query: vi.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      release: vi.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+    registry = new EmbeddingModelRegistry();
+  });
+
+  it('should default to the default provider\'s model', () => {
+    expect(registry.getConfiguredModel()).toEqual({
+      name: 'sentence-transformers/all-MiniLM-L6-v2',
+      provider: 'huggingface',
+      dimensions: 384
+    });
+  });
+
+  it('should use another provider\'s model when the default provider can\'t embed', () => {
+    aiCoordinator.defaultProvider = 'anthropic';
+
+    try {
+      expect(registry.getConfiguredModel().name).toBe('sentence-transformers/all-MiniLM-L6-v2');
+    } finally {
+      aiCoordinator.defaultProvider = 'huggingface';
+    }
+  });
+
+  it('should register embedding models of configured providers', () => {
+    expect(registry.get('nomic-embed-text')).toEqual({ name: 'nomic-embed-text', provider: 'ollama', dimensions: 768 });
+  });
+
+  it('should reject an unknown configured model', () => {
+    process.env.EMBEDDING_MODEL = 'made-up-model';
+
+    expect(() => registry.getConfiguredModel()).toThrow('Unknown embedding model made-up-model');
+  });
+
+  it('should flag models whose provider is unavailable', () => {
+    const models = registry.getAvailableModels();
+
+    expect(models.find(model => model.name === 'text-embedding-3-small').available).toBe(false);
+    expect(models.find(model => model.name === 'demo-embedding').available).toBe(true);
+    expect(aiCoordinator.getAvailableProviders).toHaveBeenCalled();
+  });
+
+  it('should cast embeddings to the model\'s dimensions', () => {
+    expect(registry.embeddingExpression({ dimensions: 768 })).toBe('dc.embedding::vector(768)');
+  });
+
+  describe('getActiveModel', () => {
+    it('should read the active model from the database and cache it', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ name: 'demo-embedding', provider: 'demo', dimensions: 1536 }] });
+
+      const first = await registry.getActiveModel();
+      const second = await registry.getActiveModel();
+
+      expect(first.name).toBe('demo-embedding');
+      expect(second).toBe(first);
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should register an active model it doesn\'t know', async () => {
+      client.query.mockResolvedValueOnce({ rows: [{ name: 'custom-embed', provider: 'openai', dimensions: 1024 }] });
+
+      await registry.getActiveModel();
+
+      expect(registry.get('custom-embed')).toEqual({ name: 'custom-embed', provider: 'openai', dimensions: 1024 });
+    });
+
+    it('should fall back to the configured model when the database is unavailable', async () => {
+      pool.connect.mockRejectedValueOnce(new Error('connection refused'));
+
+      const model = await registry.getActiveModel();
+
+      expect(model.name).toBe('sentence-transformers/all-MiniLM-L6-v2');
+    });
+  });
+
+  it('should activate one model and deactivate the rest', async () => {
+    const model = await registry.activate('demo-embedding', client);
+
+    expect(client.query.mock.calls[0][1]).toEqual(['demo-embedding', 'demo', 1536]);
+    expect(client.query.mock.calls[1]).toEqual(['UPDATE embedding_models SET is_active = false WHERE name <> $1', ['demo-embedding']]);
+    expect(registry.activeModel).toBe(model);
+  });
+
+  describe('ensureIndex', () => {
+    it('should create a partial index for the model\'s dimension', async () => {
+      await registry.ensureIndex({ name: 'small', dimensions: 384 }, client);
+
+      const sql = client.query.mock.calls[0][0].replace(/\s+/g, ' ');
+      expect(sql).toContain('idx_document_chunks_embedding_384');
+      expect(sql).toContain('((document_chunks.embedding::vector(384)) vector_cosine_ops)');
+      expect(sql).toContain('WHERE embedding_dimensions = 384');
+    });
+
+    it('should skip dimensions HNSW can\'t index', async () => {
+      await registry.ensureIndex({ name: 'large', dimensions: 3072 }, client);
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EmbeddingPipeline } from '../embeddingPipeline.js';
+import { aiCoordinator } from '../ai/aiCoordinator.js';
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    generateEmbeddings: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const embedAll = (texts) => ({
+  embeddings: texts.map(text => [text.length]),
+  usage: { total_tokens: texts.length },
+  model: 'test-embedding',
+  provider: 'test'
+});
+
+describe('EmbeddingPipeline', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    pipeline = new EmbeddingPipeline();
+    pipeline.config = { batchSize: 2, concurrency: 2, maxRetries: 2, retryDelay: 0 };
+  });
+
+  describe('config', () => {
+    it('should keep zero retries and delay from the environment', () => {
+      vi.stubEnv('EMBEDDING_MAX_RETRIES', '0');
+      vi.stubEnv('EMBEDDING_RETRY_DELAY_MS', '0');
+      vi.stubEnv('EMBEDDING_BATCH_SIZE', 'many');
+
+      const { config } = new EmbeddingPipeline();
+
+      expect(config.maxRetries).toBe(0);
+      expect(config.retryDelay).toBe(0);
+      expect(config.batchSize).toBe(64);
+
+      vi.unstubAllEnvs();
+    });
+  });
+
+  describe('createBatches', () => {
+    it('should split items into batches with offsets', () => {
+      const batches = pipeline.createBatches(['a', 'b', 'c', 'd', 'e'], 2);
+
+      expect(batches).toHaveLength(3);
+      expect(batches[2]).toEqual({ index: 2, offset: 4, items: ['e'] });
+    });
+  });
+
+  describe('embedTexts', () => {
+    it('should return embeddings in input order across batches', async () => {
+      aiCoordinator.generateEmbeddings.mockImplementation(async (texts) => embedAll(texts));
+
+      const result = await pipeline.embedTexts(['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+
+      expect(aiCoordinator.generateEmbeddings).toHaveBeenCalledTimes(3);
+      expect(result.embeddings).toEqual([[1], [2], [3], [4], [5]]);
+      expect(result.usage.total_tokens).toBe(5);
+      expect(result.model).toBe('test-embedding');
+    });
+
+    it('should retry a failed batch without repeating successful ones', async () => {
+      let failures = 0;
+      aiCoordinator.generateEmbeddings.mockImplementation(async (texts) => {
+        if (texts[0] === 'ccc' && failures++ === 0) {
+          throw new Error('rate limited');
+        }
+        return embedAll(texts);
+      });
+
+      const result = await pipeline.embedTexts(['a', 'bb', 'ccc', 'dddd']);
+
+      expect(aiCoordinator.generateEmbeddings).toHaveBeenCalledTimes(3);
+      expect(result.embeddings).toEqual([[1], [2], [3], [4]]);
+    });
+
+    it('should fail when a batch keeps failing after all retries', async () => {
+      aiCoordinator.generateEmbeddings.mockRejectedValue(new Error('provider down'));
+
+      await expect(pipeline.embedTexts(['a', 'b', 'c'])).rejects.toThrow('provider down');
+    });
+
+    it('should stop taking new batches once one has failed for good', async () => {
+      pipeline.config = { batchSize: 1, concurrency: 2, maxRetries: 0, retryDelay: 0 };
+      aiCoordinator.generateEmbeddings.mockImplementation(async (texts) => {
+        if (texts[0] === 'a') {
+          throw new Error('invalid input');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return embedAll(texts);
+      });
+
+      await expect(pipeline.embedTexts(['a', 'b', 'c', 'd', 'e', 'f'])).rejects.toThrow('invalid input');
+      // Let the other worker finish the batch it had already taken
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(aiCoordinator.generateEmbeddings).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop retrying other batches once one has failed for good', async () => {
+      pipeline.config = { batchSize: 1, concurrency: 2, maxRetries: 1, retryDelay: 0 };
+      aiCoordinator.generateEmbeddings.mockImplementation(async (texts) => {
+        if (texts[0] === 'a') {
+          throw new Error('invalid input');
+        }
+        // 'b' fails after 'a' has used up its retries
+        await new Promise(resolve => setTimeout(resolve, 10));
+        throw new Error('rate limited');
+      });
+
+      await expect(pipeline.embedTexts(['a', 'b'])).rejects.toThrow('invalid input');
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      // 'a' twice, 'b' once without a retry
+      expect(aiCoordinator.generateEmbeddings).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject a batch that returns the wrong number of embeddings', async () => {
+      aiCoordinator.generateEmbeddings.mockResolvedValue({ embeddings: [[1]], usage: {} });
+
+      await expect(pipeline.embedTexts(['a', 'b'])).rejects.toThrow('Expected 2 embeddings');
+    });
+
+    it('should report progress after each batch', async () => {
+      aiCoordinator.generateEmbeddings.mockImplementation(async (texts) => embedAll(texts));
+      const onProgress = vi.fn();
+
+      await pipeline.embedTexts(['a', 'b', 'c'], { onProgress });
+
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+        completedBatches: 2,
+        totalBatches: 2,
+        embedded: 3,
+        total: 3
+      }));
+    });
+  });
+});
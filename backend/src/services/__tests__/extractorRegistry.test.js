@@ -0,0 +1,264 @@
+import { describe, it, expect, vi } from 'vitest';
+import zlib from 'zlib';
+import { ExtractorRegistry, extractorRegistry } from '../extractors/extractorRegistry.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const upload = (originalname, mimetype, content) => ({
+  originalname,
+  mimetype,
+  buffer: Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8')
+});
+
+/**
+ * Build a ZIP archive with stored (uncompressed) entries
+ * An entry can also be { data, method, size } for deflated data and
+ * the uncompressed size it claims
+ */
+function storedZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, entry] of Object.entries(entries)) {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const { data, method = 0, size = data.length } = typeof entry === 'string'
+      ? { data: Buffer.from(entry, 'utf-8') }
+      : entry;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += 30 + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const paragraph = (text, props = '') => `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+const cell = text => `<w:tc>${paragraph(text)}</w:tc>`;
+
+describe('ExtractorRegistry', () => {
+  describe('resolve', () => {
+    it('should resolve extractors by MIME type', () => {
+      expect(extractorRegistry.resolve('text/csv', 'data.txt').name).toBe('csv');
+      expect(extractorRegistry.resolve('text/html; charset=utf-8', 'page').name).toBe('html');
+    });
+
+    it('should fall back to the file extension for generic MIME types', () => {
+      expect(extractorRegistry.resolve('application/octet-stream', 'report.docx').name).toBe('docx');
+      expect(extractorRegistry.resolve('application/vnd.ms-excel', 'export.CSV').name).toBe('csv');
+      expect(extractorRegistry.isSupported('application/octet-stream', 'archive.zip')).toBe(false);
+    });
+
+    it('should describe supported formats in registration order', () => {
+      expect(extractorRegistry.describeSupported()).toBe('PDF, TXT, MD, DOCX, HTML, CSV, JSON');
+      expect(extractorRegistry.supportedMimeTypes).toContain('application/json');
+    });
+  });
+
+  describe('extract', () => {
+    it('should render CSV rows as a Markdown table with quoted fields intact', async () => {
+      const csv = 'name,notes\n"Smith, Jane","said ""hi""\nthen left"\nBob,a|b\n';
+      const result = await extractorRegistry.extract(upload('people.csv', 'text/csv', csv));
+
+      expect(result.content).toBe([
+        '| name | notes |',
+        '| --- | --- |',
+        '| Smith, Jane | said "hi" then left |',
+        '| Bob | a\\|b |'
+      ].join('\n'));
+      expect(result.metadata).toMatchObject({ format: 'csv', columns: ['name', 'notes'], rowCount: 2, delimiter: ',' });
+    });
+
+    it('should repeat the CSV header for every group of rows', async () => {
+      const rows = Array.from({ length: 30 }, (_, i) => `${i};row ${i}`);
+      const result = await extractorRegistry.extract(upload('data.csv', 'text/csv', ['id;label', ...rows].join('\n')));
+
+      expect(result.content).toContain('## Rows 1-25');
+      expect(result.content).toContain('## Rows 26-30');
+      expect(result.content.match(/\| id \| label \|/g)).toHaveLength(2);
+    });
+
+    it('should keep HTML headings, lists and tables while dropping scripts and navigation', async () => {
+      const html = `
+        <html><head><title>Handbook</title><script>track()</script></head>
+        <body><nav>Home | About</nav>
+          <h1>Leave &amp; Holidays</h1>
+          <p>Staff get <b>25</b> days.</p>
+          <ul><li>Carry over 5 days</li><li>Request in advance</li></ul>
+          <table><tr><th>Region</th><th>Days</th></tr><tr><td>EU</td><td>25</td></tr></table>
+        </body></html>`;
+      const result = await extractorRegistry.extract(upload('handbook.html', 'text/html', html));
+
+      expect(result.content).toBe([
+        '# Leave & Holidays',
+        '',
+        'Staff get 25 days.',
+        '',
+        '- Carry over 5 days',
+        '- Request in advance',
+        '',
+        '| Region | Days |',
+        '| --- | --- |',
+        '| EU | 25 |'
+      ].join('\n'));
+      expect(result.metadata).toEqual({ format: 'html', title: 'Handbook', headings: ['Leave & Holidays'], tables: 1 });
+    });
+
+    it('should flatten JSON into path lines with one section per record', async () => {
+      const json = JSON.stringify({ items: [{ id: 1, tags: ['a', 'b'], owner: { 'first name': 'Ann' } }, { id: 2 }] });
+      const result = await extractorRegistry.extract(upload('export.json', 'application/json', json));
+
+      expect(result.content).toBe([
+        '## $.items[0]',
+        '',
+        '$.items[0].id: 1',
+        '$.items[0].tags: a, b',
+        '$.items[0].owner["first name"]: Ann',
+        '',
+        '## $.items[1]',
+        '',
+        '$.items[1].id: 2'
+      ].join('\n'));
+      expect(result.metadata).toEqual({ format: 'json', paths: ['$.items[0]', '$.items[1]'], records: 2 });
+    });
+
+    it('should reject malformed JSON', async () => {
+      await expect(extractorRegistry.extract(upload('broken.json', 'application/json', '{"a":')))
+        .rejects.toThrow('Failed to parse JSON file');
+    });
+
+    it('should convert DOCX headings, lists and tables to Markdown', async () => {
+      const body = [
+        paragraph('Quarterly Report', '<w:pStyle w:val="Heading1"/>'),
+        paragraph('Revenue grew &amp; costs fell.'),
+        paragraph('First point', '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>'),
+        `<w:tbl><w:tr>${cell('Quarter')}${cell('Revenue')}</w:tr><w:tr>${cell('Q1')}${cell('100')}</w:tr></w:tbl>`
+      ].join('');
+      const docx = storedZip({
+        '[Content_Types].xml': '<Types/>',
+        'word/document.xml': `<?xml version="1.0"?><w:document><w:body>${body}<w:sectPr/></w:body></w:document>`
+      });
+
+      const result = await extractorRegistry.extract(upload('report.docx', 'application/octet-stream', docx));
+
+      expect(result.content).toBe([
+        '# Quarterly Report',
+        '',
+        'Revenue grew & costs fell.',
+        '',
+        '- First point',
+        '',
+        '| Quarter | Revenue |',
+        '| --- | --- |',
+        '| Q1 | 100 |'
+      ].join('\n'));
+      expect(result.fileType).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      expect(result.metadata).toEqual({ format: 'docx', headings: ['Quarterly Report'], tables: 1 });
+    });
+
+    it('should leave out of range character references as written', async () => {
+      const html = '<p>Code &#99999999; and &#x110000; but &#x1F600;</p>';
+      const htmlResult = await extractorRegistry.extract(upload('page.html', 'text/html', html));
+      expect(htmlResult.content).toBe('Code &#99999999; and &#x110000; but \u{1F600}');
+
+      const docx = storedZip({
+        'word/document.xml': `<w:document><w:body>${paragraph('Code &amp;#1; &#99999999; and &#x110000; but &#x1F600;')}</w:body></w:document>`
+      });
+      const docxResult = await extractorRegistry.extract(upload('page.docx', 'application/octet-stream', docx));
+      expect(docxResult.content).toBe('Code &#1; &#99999999; and &#x110000; but \u{1F600}');
+    });
+
+    it('should stop inflating DOCX entries that grow past the size limit', async () => {
+      const document = `<w:document><w:body>${paragraph('x'.repeat(1000))}</w:body></w:document>`;
+      const deflated = zlib.deflateRawSync(Buffer.from(document.padEnd(101 * 1024 * 1024, ' ')));
+
+      // Claims to be small, but inflates to more than the limit
+      const bomb = storedZip({ 'word/document.xml': { data: deflated, method: 8, size: 1024 } });
+      await expect(extractorRegistry.extract(upload('bomb.docx', 'application/octet-stream', bomb)))
+        .rejects.toThrow('Failed to parse DOCX file: word/document.xml is too large');
+
+      const declared = storedZip({ 'word/document.xml': { data: deflated, method: 8, size: 0xffffffff } });
+      await expect(extractorRegistry.extract(upload('declared.docx', 'application/octet-stream', declared)))
+        .rejects.toThrow('Failed to parse DOCX file: word/document.xml is too large');
+    });
+
+    it('should reject DOCX archives with entries outside the file', async () => {
+      const docx = storedZip({ 'word/document.xml': `<w:document><w:body>${paragraph('Text')}</w:body></w:document>` });
+      const centralDirectory = docx.length - 22 - (46 + 'word/document.xml'.length);
+
+      // Central directory past the end of the file
+      const directoryOutside = Buffer.from(docx);
+      directoryOutside.writeUInt32LE(docx.length, docx.length - 6);
+      await expect(extractorRegistry.extract(upload('directory.docx', 'application/octet-stream', directoryOutside)))
+        .rejects.toThrow('Failed to parse DOCX file: Corrupt ZIP archive');
+
+      // Entry data past the end of the file
+      const dataOutside = Buffer.from(docx);
+      dataOutside.writeUInt32LE(docx.length, centralDirectory + 20);
+      await expect(extractorRegistry.extract(upload('data.docx', 'application/octet-stream', dataOutside)))
+        .rejects.toThrow('Failed to parse DOCX file: Corrupt ZIP archive');
+    });
+
+    it('should reject files that are not DOCX archives', async () => {
+      await expect(extractorRegistry.extract(upload('fake.docx', 'application/octet-stream', 'plain text')))
+        .rejects.toThrow('Failed to parse DOCX file');
+    });
+
+    it('should reject unsupported types', async () => {
+      await expect(extractorRegistry.extract(upload('image.png', 'image/png', 'x')))
+        .rejects.toThrow('Unsupported file type: image/png');
+    });
+  });
+
+  describe('register', () => {
+    it('should let custom extractors add and override formats', async () => {
+      const registry = new ExtractorRegistry().register({
+        name: 'yaml',
+        mimeTypes: ['application/yaml'],
+        extensions: ['yaml', 'yml'],
+        extract: async buffer => ({ content: buffer.toString().toUpperCase(), metadata: { custom: true } })
+      });
+
+      const result = await registry.extract(upload('config.yml', 'text/plain', 'key: value'));
+
+      expect(result).toEqual({ content: 'KEY: VALUE', fileType: 'application/yaml', metadata: { format: 'yaml', custom: true } });
+      expect(registry.describeSupported()).toBe('YAML');
+    });
+
+    it('should reject extractors without an extract method', () => {
+      expect(() => new ExtractorRegistry().register({ name: 'x', mimeTypes: [], extensions: [] }))
+        .toThrow('Extractor "x" has no extract() method');
+    });
+  });
+});
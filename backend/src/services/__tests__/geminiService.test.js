@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { GeminiService } from '../ai/geminiService.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+// Minimal generateContent server, recording each request
+describe('GeminiService', () => {
+  let server;
+  let requests;
+  let reply;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const json = body ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: json });
+        reply(req, res, json);
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    vi.stubEnv('GEMINI_API_KEY', 'test-key');
+    vi.stubEnv('GEMINI_BASE_URL', `http://127.0.0.1:${server.address().port}`);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  const candidate = (text, finishReason) => ({
+    content: { role: 'model', parts: [{ text }] },
+    ...(finishReason && { finishReason }),
+    index: 0
+  });
+
+  it('should require an API key', () => {
+    vi.stubEnv('GEMINI_API_KEY', '');
+
+    expect(() => new GeminiService()).toThrow('GEMINI_API_KEY environment variable is required');
+  });
+
+  it('should map roles, move system prompts and merge repeated turns', () => {
+    const { systemInstruction, contents } = new GeminiService().formatMessages([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Hi' },
+      { role: 'user', content: 'Are you there?' }
+    ]);
+
+    expect(systemInstruction).toEqual({ role: 'system', parts: [{ text: 'Be brief.' }] });
+    expect(contents).toEqual([
+      { role: 'user', parts: [{ text: '(conversation continues)' }] },
+      { role: 'model', parts: [{ text: 'Hello!' }] },
+      { role: 'user', parts: [{ text: 'Hi\n\nAre you there?' }] }
+    ]);
+  });
+
+  it('should generate a response with normalized usage and finish reason', async () => {
+    reply = (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        candidates: [candidate('Hello', 'STOP')],
+        usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 1, totalTokenCount: 6 }
+      }));
+    };
+
+    const response = await new GeminiService().generateResponse([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    expect(response).toMatchObject({
+      content: 'Hello',
+      model: 'gemini-1.5-flash',
+      finishReason: 'stop',
+      usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 }
+    });
+    expect(requests[0].url).toBe('/v1beta/models/gemini-1.5-flash:generateContent');
+    expect(requests[0].headers['x-goog-api-key']).toBe('test-key');
+    expect(requests[0].body).toMatchObject({
+      contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+      systemInstruction: { parts: [{ text: 'Be brief.' }] },
+      generationConfig: { maxOutputTokens: 1000 }
+    });
+  });
+
+  it('should stream text deltas', async () => {
+    reply = (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.write(`data: ${JSON.stringify({ candidates: [candidate('Hel')] })}\r\n\r\n`);
+      res.end(`data: ${JSON.stringify({ candidates: [candidate('lo', 'MAX_TOKENS')] })}\r\n\r\n`);
+    };
+
+    const chunks = [];
+    for await (const chunk of new GeminiService().streamResponse([{ role: 'user', content: 'Hi' }])) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.content)).toEqual(['Hel', 'lo']);
+    expect(chunks[1].finishReason).toBe('length');
+    expect(requests[0].url).toBe('/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse');
+  });
+
+  it('should map API errors', async () => {
+    reply = (req, res) => {
+      res.statusCode = 429;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: { code: 429, message: 'Resource exhausted', status: 'RESOURCE_EXHAUSTED' } }));
+    };
+
+    await expect(new GeminiService().generateResponse([{ role: 'user', content: 'Hi' }]))
+      .rejects.toThrow('Gemini API rate limit exceeded');
+  });
+
+  it('should check health by counting tokens', async () => {
+    reply = (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ totalTokens: 1 }));
+    };
+
+    await expect(new GeminiService().healthCheck()).resolves.toEqual({ status: 'healthy', model: 'gemini-1.5-flash' });
+    expect(requests[0].url).toBe('/v1beta/models/gemini-1.5-flash:countTokens');
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GenerationService } from '../generationService.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('GenerationService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GenerationService();
+  });
+
+  it('should abort every generation of the conversation', () => {
+    const first = service.start('conv-1');
+    const second = service.start('conv-1');
+    const other = service.start('conv-2');
+
+    expect(service.cancel('conv-1')).toBe(2);
+
+    expect(first.signal.aborted).toBe(true);
+    expect(second.signal.reason).toBe('user');
+    expect(other.signal.aborted).toBe(false);
+  });
+
+  it('should forget finished generations', () => {
+    const generation = service.start('conv-1');
+
+    service.finish('conv-1', generation);
+
+    expect(service.isActive('conv-1')).toBe(false);
+    expect(service.cancel('conv-1')).toBe(0);
+    expect(generation.signal.aborted).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { HybridSearchService } from '../hybridSearchService.js';
+import { documentService } from '../documentService.js';
+import { aiCoordinator } from '../ai/aiCoordinator.js';
+import { embeddingModelRegistry } from '../embeddingModelRegistry.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../documentService.js', () => ({
+  documentService: {
+    searchSimilarChunks: vi.fn(),
+    searchKeywordChunks: vi.fn()
+  }
+}));
+
+vi.mock('../embeddingModelRegistry.js', () => ({
+  embeddingModelRegistry: {
+    getActiveModel: vi.fn()
+  }
+}));
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    generateEmbedding: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const row = (id, extra = {}) => ({
+  id,
+  document_id: `doc-${id}`,
+  filename: `${id}.txt`,
+  original_filename: `${id}.txt`,
+  content: `content ${id}`,
+  metadata: {},
+  chunk_index: 0,
+  ...extra
+});
+
+describe('HybridSearchService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = new HybridSearchService();
+    aiCoordinator.generateEmbedding.mockResolvedValue({ embedding: [0.1], usage: { total_tokens: 3 } });
+    embeddingModelRegistry.getActiveModel.mockResolvedValue({ name: 'embed-1', provider: 'openai', dimensions: 1 });
+  });
+
+  describe('reciprocalRankFusion', () => {
+    it('should rank chunks found by both retrievers first', () => {
+      const fused = service.reciprocalRankFusion([
+        { source: 'vector', weight: 1, results: [row('a', { similarity: '0.9' }), row('b', { similarity: '0.8' })] },
+        { source: 'keyword', weight: 1, results: [row('c', { keyword_score: '0.5' }), row('b', { keyword_score: '0.4' })] }
+      ], 60);
+
+      expect(fused.map(chunk => chunk.id)).toEqual(['b', 'a', 'c']);
+      expect(fused[0].matchedBy).toEqual(['vector', 'keyword']);
+      expect(fused[0].similarity).toBe(0.8);
+      expect(fused[0].keywordScore).toBe(0.4);
+      expect(fused[0].documentId).toBe('doc-b');
+    });
+
+    it('should apply per-list weights', () => {
+      const fused = service.reciprocalRankFusion([
+        { source: 'vector', weight: 0.1, results: [row('a')] },
+        { source: 'keyword', weight: 2, results: [row('c')] }
+      ], 60);
+
+      expect(fused[0].id).toBe('c');
+      expect(fused[0].similarity).toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    it('should fuse vector and keyword candidates', async () => {
+      documentService.searchSimilarChunks.mockResolvedValue([row('a', { similarity: '0.9' })]);
+      documentService.searchKeywordChunks.mockResolvedValue([row('err-42', { keyword_score: '1.2' })]);
+
+      const { results, usage, mode } = await service.search('ERR-42 failure', 'user-1', { limit: 5 });
+
+      expect(mode).toBe('hybrid');
+      expect(usage).toEqual({ total_tokens: 3 });
+      expect(results.map(chunk => chunk.id).sort()).toEqual(['a', 'err-42']);
+    });
+
+    it('should embed the query with the active embedding model', async () => {
+      documentService.searchSimilarChunks.mockResolvedValue([]);
+      documentService.searchKeywordChunks.mockResolvedValue([]);
+
+      await service.search('setup', 'user-1', { mode: 'vector' });
+
+      expect(aiCoordinator.generateEmbedding).toHaveBeenCalledWith('setup', { provider: 'openai', model: 'embed-1' });
+      expect(documentService.searchSimilarChunks.mock.calls[0][2].embeddingModel).toEqual({ name: 'embed-1', provider: 'openai', dimensions: 1 });
+    });
+
+    it('should skip vector search in keyword mode', async () => {
+      documentService.searchKeywordChunks.mockResolvedValue([row('a')]);
+
+      const { results } = await service.search('ERR-42', 'user-1', { mode: 'keyword' });
+
+      expect(aiCoordinator.generateEmbedding).not.toHaveBeenCalled();
+      expect(results).toHaveLength(1);
+    });
+
+    it('should still return keyword matches when embeddings fail', async () => {
+      aiCoordinator.generateEmbedding.mockRejectedValue(new Error('No provider'));
+      documentService.searchKeywordChunks.mockResolvedValue([row('a')]);
+
+      const { results } = await service.search('ERR-42', 'user-1');
+
+      expect(results.map(chunk => chunk.id)).toEqual(['a']);
+    });
+
+    it('should collapse identical chunks from different documents', async () => {
+      documentService.searchSimilarChunks.mockResolvedValue([
+        row('a', { similarity: '0.9', content_hash: 'same' }),
+        row('copy-of-a', { similarity: '0.9', content_hash: 'same' }),
+        row('b', { similarity: '0.8', content_hash: 'other' })
+      ]);
+      documentService.searchKeywordChunks.mockResolvedValue([]);
+
+      const { results } = await service.search('setup', 'user-1', { limit: 2 });
+
+      expect(results.map(chunk => chunk.id)).toEqual(['a', 'b']);
+      expect(results[0].duplicates).toEqual([
+        { id: 'copy-of-a', documentId: 'doc-copy-of-a', originalFilename: 'copy-of-a.txt' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LocalAIService } from '../ai/localAIService.js';
+import { AICoordinator } from '../ai/aiCoordinator.js';
+import { ragService } from '../ragService.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const chunks = [
+  { id: 'c1', filename: 'network.md', chunkIndex: 0, content: 'Restart the router by holding the reset button for ten seconds. The lights blink while it reboots.' },
+  { id: 'c2', filename: 'billing.md', chunkIndex: 0, content: 'Invoices are emailed on the first day of each month. Payment is due within thirty days.' },
+  { id: 'c3', filename: 'network.md', chunkIndex: 1, content: 'If the router keeps dropping the connection, update its firmware from the admin page.' }
+];
+
+describe('LocalAIService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new LocalAIService();
+  });
+
+  describe('embeddings', () => {
+    it('should embed the same text identically as a unit vector', async () => {
+      const first = await service.generateEmbedding('Reset the router');
+      const second = await service.generateEmbedding('Reset the router');
+
+      expect(first.data).toEqual(second.data);
+      expect(first.data).toHaveLength(512);
+      expect(cosine(first.data, first.data)).toBeCloseTo(1, 6);
+      expect(first.model).toBe('local-embedding');
+    });
+
+    it('should rank texts sharing vocabulary above unrelated ones', async () => {
+      const { data } = await service.generateEmbeddings(chunks.map(chunk => chunk.content));
+      const query = service.embed('How do I restart my router?');
+
+      const ranked = chunks
+        .map((chunk, i) => ({ id: chunk.id, score: cosine(query, data[i]) }))
+        .sort((a, b) => b.score - a.score);
+
+      expect(ranked[0].id).toBe('c1');
+      expect(ranked.at(-1).id).toBe('c2');
+    });
+
+    it('should relate Japanese texts through character pairs', () => {
+      const query = service.embed('請求書はいつ届きますか');
+
+      expect(cosine(query, service.embed('請求書は毎月一日に送信されます')))
+        .toBeGreaterThan(cosine(query, service.embed('ルーターを再起動してください')));
+    });
+  });
+
+  describe('chat', () => {
+    it('should answer from the document excerpts in the system prompt with citations', async () => {
+      const messages = await ragService.enhanceMessagesWithContext(
+        [{ role: 'user', content: 'How do I restart the router?' }],
+        [chunks[1], chunks[0]],
+        {}
+      );
+
+      const response = await service.generateResponse(messages);
+
+      expect(response.content).toBe(
+        'According to the documents: Restart the router by holding the reset button for ten seconds. [2]'
+      );
+      expect(response.finishReason).toBe('stop');
+    });
+
+    it('should say so when the excerpts don\'t cover the question', async () => {
+      const messages = await ragService.enhanceMessagesWithContext(
+        [{ role: 'user', content: 'Which printers are supported?' }],
+        [chunks[1]],
+        {}
+      );
+
+      const response = await service.generateResponse(messages);
+
+      expect(response.content).toBe('I don\'t have specific document information about this topic.');
+    });
+
+    it('should follow the query rewriter\'s JSON format', async () => {
+      const response = await service.generateResponse([
+        { role: 'system', content: 'Rewrite the user\'s latest message into a standalone search query. Reply only with JSON: {"query": "...", "subQueries": ["..."]}' },
+        { role: 'user', content: 'Conversation:\nUser: hi\n\nLatest message: router firmware' }
+      ]);
+
+      expect(JSON.parse(response.content)).toEqual({ query: 'router firmware', subQueries: [] });
+    });
+
+    it('should grade passages for the LLM reranker', async () => {
+      const response = await service.generateResponse([
+        { role: 'system', content: 'You grade how well passages answer a question. Reply only with a JSON array of numbers from 0 to 10, one per passage, in order.' },
+        { role: 'user', content: 'Question: router firmware\n\nPassages:\n[1] Update the router firmware.\n\n[2] Invoices are monthly.' }
+      ]);
+
+      expect(JSON.parse(response.content)).toEqual([10, 0]);
+    });
+
+    it('should echo messages without document context', async () => {
+      const response = await service.generateResponse([{ role: 'user', content: 'Hello there' }]);
+
+      expect(response.content).toBe('You said: "Hello there"');
+    });
+
+    it('should stream the same content as deltas', async () => {
+      const messages = [{ role: 'user', content: 'Hello there' }];
+      let streamed = '';
+      for await (const chunk of service.streamResponse(messages)) {
+        streamed += chunk.content;
+      }
+
+      expect(streamed).toBe((await service.generateResponse(messages)).content);
+    });
+  });
+
+  it('should be the default provider under test when no API keys are set', () => {
+    vi.stubEnv('OPENAI_API_KEY', '');
+    vi.stubEnv('HUGGINGFACE_TOKEN', '');
+    vi.stubEnv('ANTHROPIC_API_KEY', '');
+    vi.stubEnv('GEMINI_API_KEY', '');
+
+    const coordinator = new AICoordinator();
+
+    expect(coordinator.getAvailableProviders()).toEqual(['local']);
+    expect(coordinator.defaultProvider).toBe('local');
+    vi.unstubAllEnvs();
+  });
+});
@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { createServer } from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OpenAICompatibleService } from '../ai/openaiCompatibleService.js';
+import { AICoordinator } from '../ai/aiCoordinator.js';
+import { normalizeProviderConfig } from '../../config/aiProviders.js';
+
+vi.mock('../../config/database.js', () => ({
+  default: {
+    connect: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+// Minimal server speaking the OpenAI protocol, recording each request
+describe('OpenAICompatibleService', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let hangups;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const json = body ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: json });
+
+        if (req.url === '/v1/models') {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ object: 'list', data: [{ id: 'llama3' }, { id: 'nomic-embed-text' }] }));
+        } else if (req.url === '/v1/chat/completions' && json.stream && json.tools) {
+          // Tool call arguments streamed in fragments
+          res.setHeader('Content-Type', 'text/event-stream');
+          const deltas = [
+            { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '' } }] },
+            { tool_calls: [{ index: 0, function: { arguments: '{"expression":' } }] },
+            { tool_calls: [{ index: 0, function: { arguments: '"6 * 7"}' } }] }
+          ];
+          for (const [i, delta] of deltas.entries()) {
+            res.write(`data: ${JSON.stringify({ model: 'llama3', choices: [{ index: 0, delta, finish_reason: i === 2 ? 'tool_calls' : null }] })}\n\n`);
+          }
+          res.end('data: [DONE]\n\n');
+        } else if (req.url === '/v1/chat/completions' && json.stream && json.messages.at(-1).content === 'Keep going') {
+          // Streams until the client hangs up
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.write(`data: ${JSON.stringify({ model: 'llama3', choices: [{ index: 0, delta: { content: 'Hel' }, finish_reason: null }] })}\n\n`);
+          res.on('close', () => { hangups++; });
+        } else if (req.url === '/v1/chat/completions' && json.stream) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          for (const [i, content] of ['Hel', 'lo'].entries()) {
+            res.write(`data: ${JSON.stringify({ model: 'llama3', choices: [{ index: 0, delta: { content }, finish_reason: i === 1 ? 'stop' : null }] })}\n\n`);
+          }
+          res.end('data: [DONE]\n\n');
+        } else if (req.url === '/v1/chat/completions') {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            model: 'llama3',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+          }));
+        } else if (req.url === '/v1/embeddings') {
+          res.setHeader('Content-Type', 'application/json');
+          // Returned out of order on purpose
+          res.end(JSON.stringify({
+            data: json.input.map((_, index) => ({ index, embedding: [index, 1] })).reverse()
+          }));
+        } else {
+          res.statusCode = 404;
+          res.end(JSON.stringify({ error: { message: 'not found' } }));
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    hangups = 0;
+    vi.unstubAllEnvs();
+  });
+
+  const createService = (overrides = {}) => new OpenAICompatibleService(normalizeProviderConfig({
+    name: 'ollama',
+    baseURL,
+    models: { chat: ['llama3'], embedding: [{ name: 'nomic-embed-text', dimensions: 2 }] },
+    ...overrides
+  }));
+
+  it('should generate chat completions with the default chat model', async () => {
+    const response = await createService().generateResponse([{ role: 'user', content: 'Hi' }]);
+
+    expect(response).toMatchObject({ content: 'Hello', model: 'llama3', finishReason: 'stop' });
+    expect(requests[0].body).toMatchObject({ model: 'llama3', messages: [{ role: 'user', content: 'Hi' }], stream: false });
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it('should stream completion deltas', async () => {
+    const chunks = [];
+    for await (const chunk of createService().streamResponse([{ role: 'user', content: 'Hi' }])) {
+      chunks.push(chunk.content);
+    }
+
+    expect(chunks).toEqual(['Hel', 'lo']);
+  });
+
+  it('should end the stream and close the request when cancelled', async () => {
+    const controller = new AbortController();
+    const chunks = [];
+
+    for await (const chunk of createService().streamResponse([{ role: 'user', content: 'Keep going' }], { signal: controller.signal })) {
+      chunks.push(chunk.content);
+      controller.abort();
+    }
+
+    expect(chunks).toEqual(['Hel']);
+    await vi.waitFor(() => expect(hangups).toBe(1));
+  });
+
+  it('should assemble streamed tool calls and send tool turns back', async () => {
+    const tools = [{ name: 'calculator', description: 'Math', parameters: { type: 'object' } }];
+    const history = [
+      { role: 'user', content: 'What is 6 * 7?' },
+      { role: 'assistant', content: '', toolCalls: [{ id: 'call_0', name: 'calculator', arguments: { expression: '1 + 1' } }] },
+      { role: 'tool', toolCallId: 'call_0', name: 'calculator', content: '{"result":2}' },
+      // Its call was cut off by the context window
+      { role: 'tool', toolCallId: 'call_old', name: 'calculator', content: '{"result":0}' }
+    ];
+
+    const chunks = [];
+    for await (const chunk of createService().streamResponse(history, { tools })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([{
+      content: '',
+      toolCalls: [{ id: 'call_1', name: 'calculator', arguments: { expression: '6 * 7' } }],
+      finishReason: 'tool_calls',
+      model: 'llama3'
+    }]);
+    expect(requests[0].body.tools).toEqual([
+      { type: 'function', function: { name: 'calculator', description: 'Math', parameters: { type: 'object' } } }
+    ]);
+    expect(requests[0].body.messages).toEqual([
+      { role: 'user', content: 'What is 6 * 7?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_0', type: 'function', function: { name: 'calculator', arguments: '{"expression":"1 + 1"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_0', content: '{"result":2}' }
+    ]);
+  });
+
+  it('should return embeddings in input order', async () => {
+    const result = await createService().generateEmbeddings(['a', 'b', 'c']);
+
+    expect(result.data).toEqual([[0, 1], [1, 1], [2, 1]]);
+    expect(result.model).toBe('nomic-embed-text');
+    expect(requests[0].body).toMatchObject({ model: 'nomic-embed-text', input: ['a', 'b', 'c'] });
+  });
+
+  it('should send the token in a custom auth header', async () => {
+    vi.stubEnv('VLLM_TOKEN', 'secret');
+
+    await createService({ auth: { header: 'X-API-Key', scheme: '', tokenEnv: 'VLLM_TOKEN' } }).healthCheck();
+
+    expect(requests[0].headers['x-api-key']).toBe('secret');
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it('should send a bearer token by default', async () => {
+    vi.stubEnv('VLLM_TOKEN', 'secret');
+
+    await createService({ auth: { tokenEnv: 'VLLM_TOKEN' }, headers: { 'X-Team': 'platform' } }).healthCheck();
+
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].headers['x-team']).toBe('platform');
+  });
+
+  it('should refuse to start without its token', () => {
+    expect(() => createService({ auth: { tokenEnv: 'MISSING_TOKEN' } }))
+      .toThrow('MISSING_TOKEN environment variable is required for ollama');
+  });
+
+  it('should refuse capabilities the config turned off', async () => {
+    const service = createService({ capabilities: { embeddings: false } });
+
+    await expect(service.generateEmbeddings(['a'])).rejects.toThrow('Provider ollama does not support embeddings');
+    expect(requests).toHaveLength(0);
+  });
+
+  it('should report the server healthy when it lists models', async () => {
+    await expect(createService().healthCheck()).resolves.toEqual({ status: 'healthy', models: 2 });
+  });
+
+  describe('configured through AI_PROVIDERS_FILE', () => {
+    const createCoordinator = (providers) => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-providers-')), 'providers.json');
+      fs.writeFileSync(file, JSON.stringify(providers));
+      vi.stubEnv('AI_PROVIDERS_FILE', file);
+      vi.stubEnv('OPENAI_API_KEY', '');
+      vi.stubEnv('HUGGINGFACE_TOKEN', '');
+      vi.stubEnv('ANTHROPIC_API_KEY', '');
+      vi.stubEnv('GEMINI_API_KEY', '');
+      return new AICoordinator();
+    };
+
+    it('should register the provider with its declared capabilities', () => {
+      const coordinator = createCoordinator([
+        { name: 'vllm', baseURL, models: { chat: ['llama3'] }, capabilities: { streaming: false }, default: true }
+      ]);
+
+      expect(coordinator.getAvailableProviders()).toEqual(['vllm', 'local']);
+      expect(coordinator.defaultProvider).toBe('vllm');
+      expect(coordinator.getProviderCapabilities('vllm')).toMatchObject({
+        chat: true,
+        streaming: false,
+        embeddings: false
+      });
+    });
+
+    it('should include the provider in the health check', async () => {
+      const coordinator = createCoordinator([{ name: 'ollama', baseURL, models: { chat: ['llama3'] } }]);
+
+      const health = await coordinator.healthCheck();
+
+      expect(health.ollama).toEqual({ status: 'healthy', circuit: 'closed' });
+      expect(requests.some(request => request.url === '/v1/models')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { QueryRewriter } from '../queryRewriter.js';
+import { aiCoordinator } from '../ai/aiCoordinator.js';
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    generateResponse: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const conversation = [
+  { role: 'system', content: 'You are helpful.' },
+  { role: 'user', content: 'Which routers support mesh networking?' },
+  { role: 'assistant', content: 'The AX3000 and the AX5400 both support mesh.' },
+  { role: 'user', content: 'What about the second one?' }
+];
+
+describe('QueryRewriter', () => {
+  let rewriter;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    rewriter = new QueryRewriter();
+    rewriter.defaultOptions = { enabled: true, historyMessages: 6, maxSubQueries: 3 };
+  });
+
+  it('should only be enabled when configured', () => {
+    vi.stubEnv('RAG_QUERY_REWRITE', '');
+    expect(new QueryRewriter().defaultOptions.enabled).toBe(false);
+
+    vi.stubEnv('RAG_QUERY_REWRITE', 'true');
+    expect(new QueryRewriter().defaultOptions.enabled).toBe(true);
+
+    vi.unstubAllEnvs();
+  });
+
+  it('should leave the first turn unchanged', async () => {
+    const result = await rewriter.rewrite([{ role: 'user', content: 'What is mesh networking?' }]);
+
+    expect(aiCoordinator.generateResponse).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      original: 'What is mesh networking?',
+      query: 'What is mesh networking?',
+      subQueries: [],
+      rewritten: false
+    });
+  });
+
+  it('should condense a follow-up into a standalone query with sub-queries', async () => {
+    aiCoordinator.generateResponse.mockResolvedValue({
+      content: '{"query": "AX5400 mesh networking support", "subQueries": ["AX5400 mesh setup", "AX5400 mesh networking support"]}'
+    });
+
+    const result = await rewriter.rewrite(conversation);
+
+    expect(result.original).toBe('What about the second one?');
+    expect(result.query).toBe('AX5400 mesh networking support');
+    expect(result.subQueries).toEqual(['AX5400 mesh setup']);
+    expect(result.rewritten).toBe(true);
+
+    const prompt = aiCoordinator.generateResponse.mock.calls[0][0][1].content;
+    expect(prompt).toContain('Assistant: The AX3000 and the AX5400 both support mesh.');
+    expect(prompt).not.toContain('You are helpful.');
+  });
+
+  it('should fall back to prefixing the previous question when the model reply is unusable', async () => {
+    aiCoordinator.generateResponse.mockResolvedValue({ content: 'Sure! Here is a query.' });
+
+    const result = await rewriter.rewrite(conversation);
+
+    expect(result.query).toBe('Which routers support mesh networking? What about the second one?');
+    expect(result.rewritten).toBe(true);
+  });
+
+  it('should skip rewriting when disabled per request', async () => {
+    const result = await rewriter.rewrite(conversation, { enabled: false });
+
+    expect(aiCoordinator.generateResponse).not.toHaveBeenCalled();
+    expect(result.query).toBe('What about the second one?');
+  });
+});
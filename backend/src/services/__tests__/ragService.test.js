@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RAGService } from '../ragService.js';
+import { aiCoordinator } from '../ai/aiCoordinator.js';
+import { hybridSearchService } from '../hybridSearchService.js';
+
+vi.mock('../documentService.js', () => ({
+  documentService: {}
+}));
+
+vi.mock('../hybridSearchService.js', () => ({
+  hybridSearchService: {
+    search: vi.fn()
+  }
+}));
+
+vi.mock('../rerankService.js', () => ({
+  rerankService: {
+    rerank: vi.fn()
+  }
+}));
+
+vi.mock('../citationService.js', () => ({
+  citationService: {}
+}));
+
+vi.mock('../queryRewriter.js', () => ({
+  queryRewriter: {
+    rewrite: vi.fn()
+  }
+}));
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    streamResponse: vi.fn(),
+    streamWithTools: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const chunk = { id: 'chunk-1', document_id: 'doc-1', content: 'Kafka topics', original_filename: 'kafka.md' };
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('RAGService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    service = new RAGService();
+    vi.spyOn(service, 'rewriteQuery').mockResolvedValue({ query: 'kafka topics', subQueries: [] });
+    vi.spyOn(service, 'retrieveRelevantContext').mockResolvedValue([chunk]);
+    vi.spyOn(service, 'enhanceMessagesWithContext').mockImplementation(async messages => messages);
+  });
+
+  it('should stream the answer after the retrieved context', async () => {
+    aiCoordinator.streamResponse.mockImplementation(async function* () {
+      yield { content: 'Kafka ' };
+      yield { content: 'topics', isComplete: true };
+    });
+
+    const events = await collect(service.streamRAGResponse([{ role: 'user', content: 'kafka?' }], 'user-1'));
+
+    expect(events.map(event => event.type)).toEqual(['rag_context', 'response_chunk', 'response_chunk']);
+    expect(events[0].ragContext.documentsUsed).toBe(1);
+    expect(events.slice(1).map(event => event.content).join('')).toBe('Kafka topics');
+  });
+
+  it('should not restart answers that fail while streaming', async () => {
+    aiCoordinator.streamResponse.mockImplementation(async function* () {
+      yield { content: 'Kafka ' };
+      throw new Error('Provider failed');
+    });
+
+    const events = [];
+    await expect(async () => {
+      for await (const event of service.streamRAGResponse([{ role: 'user', content: 'kafka?' }], 'user-1')) {
+        events.push(event);
+      }
+    }).rejects.toThrow('Provider failed');
+
+    expect(events.map(event => event.type)).toEqual(['rag_context', 'response_chunk']);
+    expect(aiCoordinator.streamResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not search when the scope holds no documents', async () => {
+    service.retrieveRelevantContext.mockRestore();
+
+    const context = await service.retrieveRelevantContext(['kafka topics'], 'user-1', { documentIds: [] });
+
+    expect(context).toEqual([]);
+    expect(hybridSearchService.search).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RealtimeService } from '../realtimeService.js';
+import queryOptimizer from '../queryOptimizer.js';
+
+vi.mock('../queryOptimizer.js', () => ({
+  default: {
+    checkOwnership: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const conversationId = '11111111-1111-1111-1111-111111111111';
+
+describe('RealtimeService', () => {
+  let service;
+  let io;
+  let broadcast;
+  let socket;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    broadcast = { emit: vi.fn(), except: vi.fn() };
+    broadcast.except.mockReturnValue(broadcast);
+    io = { on: vi.fn(), to: vi.fn(() => broadcast) };
+
+    const handlers = {};
+    socket = {
+      id: 'socket-1',
+      user: { id: 'user-1' },
+      rooms: new Set(),
+      handlers,
+      on: vi.fn((event, handler) => { handlers[event] = handler; }),
+      join: vi.fn(room => socket.rooms.add(room)),
+      leave: vi.fn(room => socket.rooms.delete(room)),
+      to: vi.fn(() => broadcast)
+    };
+
+    service = new RealtimeService();
+    service.attach(io);
+    io.on.mock.calls[0][1](socket);
+  });
+
+  it('should put each socket in its user\'s room', () => {
+    expect(socket.join).toHaveBeenCalledWith('user:user-1');
+  });
+
+  it('should only join conversations the user owns', async () => {
+    const ack = vi.fn();
+
+    queryOptimizer.checkOwnership.mockResolvedValueOnce({ exists: true, isOwner: false });
+    await socket.handlers.join_conversation(conversationId, ack);
+    expect(ack).toHaveBeenLastCalledWith({ success: false, message: 'Conversation not found' });
+    expect(socket.rooms.has(`conversation:${conversationId}`)).toBe(false);
+
+    queryOptimizer.checkOwnership.mockResolvedValueOnce({ exists: true, isOwner: true });
+    await socket.handlers.join_conversation(conversationId, ack);
+    expect(queryOptimizer.checkOwnership).toHaveBeenLastCalledWith(conversationId, 'user-1');
+    expect(ack).toHaveBeenLastCalledWith({ success: true });
+    expect(socket.rooms.has(`conversation:${conversationId}`)).toBe(true);
+  });
+
+  it('should reject malformed joins without a database lookup', async () => {
+    const ack = vi.fn();
+
+    await socket.handlers.join_conversation({ id: conversationId }, ack);
+
+    expect(queryOptimizer.checkOwnership).not.toHaveBeenCalled();
+    expect(ack).toHaveBeenCalledWith({ success: false, message: 'Conversation not found' });
+  });
+
+  it('should only relay typing in joined conversations', () => {
+    socket.handlers.typing({ conversationId, isTyping: true });
+    expect(socket.to).not.toHaveBeenCalled();
+
+    socket.rooms.add(`conversation:${conversationId}`);
+    socket.handlers.typing({ conversationId, isTyping: 1 });
+
+    expect(socket.to).toHaveBeenCalledWith(`conversation:${conversationId}`);
+    expect(broadcast.emit).toHaveBeenCalledWith('typing', { conversationId, isTyping: true });
+  });
+
+  it('should leave out the socket that caused an event', () => {
+    service.toConversation(conversationId, 'new_message', { message: { id: 'msg-1' } }, 'socket-2');
+    service.toUser('user-1', 'document_processed', { documentId: 'doc-1', status: 'done' });
+
+    expect(io.to).toHaveBeenNthCalledWith(1, `conversation:${conversationId}`);
+    expect(broadcast.except).toHaveBeenCalledTimes(1);
+    expect(broadcast.except).toHaveBeenCalledWith('socket-2');
+    expect(broadcast.emit).toHaveBeenNthCalledWith(1, 'new_message', { conversationId, message: { id: 'msg-1' } });
+    expect(io.to).toHaveBeenNthCalledWith(2, 'user:user-1');
+    expect(broadcast.emit).toHaveBeenNthCalledWith(2, 'document_processed', { documentId: 'doc-1', status: 'done' });
+  });
+
+  it('should do nothing before a server is attached', () => {
+    expect(() => new RealtimeService().toUser('user-1', 'conversation_title_updated', {})).not.toThrow();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RerankService } from '../rerankService.js';
+import { aiCoordinator } from '../ai/aiCoordinator.js';
+
+vi.mock('../ai/aiCoordinator.js', () => ({
+  aiCoordinator: {
+    providers: new Map(),
+    generateResponse: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const chunk = (id, content, extra = {}) => ({ id, content, score: 0.01, ...extra });
+
+describe('RerankService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    aiCoordinator.providers.clear();
+    service = new RerankService();
+  });
+
+  describe('rerank', () => {
+    it('should rank chunks containing rare query terms first with the lexical reranker', async () => {
+      const chunks = [
+        chunk('a', 'The server returned an error while connecting'),
+        chunk('b', 'Error ERR_CONN_RESET means the connection was reset by the server'),
+        chunk('c', 'Unrelated text about billing')
+      ];
+
+      const reranked = await service.rerank('What does ERR_CONN_RESET mean?', chunks, { reranker: 'lexical' });
+
+      expect(reranked[0].id).toBe('b');
+      expect(reranked[0].rerankScore).toBe(1);
+      expect(reranked[reranked.length - 1].id).toBe('c');
+    });
+
+    it('should use the Hugging Face cross-encoder when available', async () => {
+      const rerank = vi.fn().mockResolvedValue({ scores: [-3.2, 8.1] });
+      aiCoordinator.providers.set('huggingface', { rerank });
+
+      const reranked = await service.rerank('query', [chunk('a', 'one'), chunk('b', 'two')], { reranker: 'cross-encoder' });
+
+      expect(rerank).toHaveBeenCalledWith('query', ['one', 'two'], { model: undefined });
+      expect(reranked.map(c => c.id)).toEqual(['b', 'a']);
+      expect(reranked[0].reranker).toBe('cross-encoder');
+    });
+
+    it('should fall back to lexical scoring when the cross-encoder is unavailable', async () => {
+      const reranked = await service.rerank('billing', [chunk('a', 'support'), chunk('b', 'billing plans')], { reranker: 'cross-encoder' });
+
+      expect(reranked[0].id).toBe('b');
+      expect(reranked[0].reranker).toBe('lexical');
+    });
+
+    it('should parse LLM judge scores', async () => {
+      aiCoordinator.generateResponse.mockResolvedValue({ content: 'Scores: [2, 9]' });
+
+      const reranked = await service.rerank('query', [chunk('a', 'one'), chunk('b', 'two')], { reranker: 'llm' });
+
+      expect(reranked.map(c => c.id)).toEqual(['b', 'a']);
+      expect(reranked[0].reranker).toBe('llm');
+    });
+
+    it('should keep strong semantic matches that share no terms with the query', async () => {
+      // Retrieval order: 'a' matched by meaning only, the rest by keywords
+      const chunks = [
+        chunk('a', 'Stop renewal from the Billing page', { score: 0.033 }),
+        chunk('b', 'Cancel subscription anytime from settings', { score: 0.02 }),
+        chunk('c', 'Subscription newsletter archive', { score: 0.012 }),
+        chunk('d', 'Cancel button styling guide', { score: 0.011 }),
+        chunk('e', 'Office parking rules', { score: 0.01 })
+      ];
+
+      const reranked = await service.rerank('cancel subscription', chunks, { reranker: 'lexical' });
+
+      expect(reranked.map(c => c.id)).toEqual(['b', 'a', 'c', 'd', 'e']);
+      expect(reranked[1].rerankScore).toBeCloseTo(0.5);
+      expect(service.selectWithMMR(reranked, { limit: 2 }).map(c => c.id)).toEqual(['b', 'a']);
+    });
+
+    it('should weight reranker and retrieval scores by rerankWeight', async () => {
+      const chunks = [chunk('a', 'billing', { score: 0.01 }), chunk('b', 'support', { score: 0.03 })];
+
+      const rerankOnly = await service.rerank('billing', chunks, { reranker: 'lexical', rerankWeight: 1 });
+      const retrievalOnly = await service.rerank('billing', chunks, { reranker: 'lexical', rerankWeight: 0 });
+
+      expect(rerankOnly.map(c => c.id)).toEqual(['a', 'b']);
+      expect(retrievalOnly.map(c => c.id)).toEqual(['b', 'a']);
+    });
+
+    it('should keep retrieval scores when reranking is disabled', async () => {
+      const reranked = await service.rerank('query', [chunk('a', 'one', { score: 0.5 })], { reranker: 'none' });
+
+      expect(reranked[0].rerankScore).toBe(0.5);
+    });
+  });
+
+  describe('selectWithMMR', () => {
+    it('should skip near-identical overlapping chunks', () => {
+      const text = 'Reset the router by holding the power button for ten seconds until the light blinks';
+      const chunks = [
+        chunk('a', text, { rerankScore: 1 }),
+        chunk('b', `${text} twice`, { rerankScore: 0.95 }),
+        chunk('c', `${text} again`, { rerankScore: 0.9 }),
+        chunk('d', 'Billing questions are handled by the accounts team', { rerankScore: 0.6 })
+      ];
+
+      const selected = service.selectWithMMR(chunks, { limit: 2, mmrLambda: 0.5 });
+
+      expect(selected.map(c => c.id)).toEqual(['a', 'd']);
+    });
+
+    it('should respect the context length limit', () => {
+      const chunks = [
+        chunk('a', 'x'.repeat(80), { rerankScore: 1 }),
+        chunk('b', 'y'.repeat(50), { rerankScore: 0.9 }),
+        chunk('c', 'z'.repeat(10), { rerankScore: 0.8 })
+      ];
+
+      const selected = service.selectWithMMR(chunks, { limit: 3, maxContextLength: 100 });
+
+      expect(selected.map(c => c.id)).toEqual(['a', 'c']);
+    });
+  });
+});
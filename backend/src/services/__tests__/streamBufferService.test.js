@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StreamBufferService } from '../streamBufferService.js';
+import { getRedisClient, isRedisAvailable } from '../../config/redis.js';
+
+vi.mock('../../config/redis.js', () => ({
+  getRedisClient: vi.fn(),
+  isRedisAvailable: vi.fn(),
+  redisKeys: {
+    streamEvents: (streamId) => `stream:${streamId}:events`,
+    streamMeta: (streamId) => `stream:${streamId}:meta`
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const collect = async (iterator) => {
+  const entries = [];
+  for await (const entry of iterator) {
+    entries.push(entry);
+  }
+  return entries;
+};
+
+describe('StreamBufferService', () => {
+  let service;
+  let redis;
+  let pipeline;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    pipeline = {
+      hset: vi.fn().mockReturnThis(),
+      rpush: vi.fn().mockReturnThis(),
+      expire: vi.fn().mockReturnThis(),
+      exec: vi.fn().mockResolvedValue([])
+    };
+    redis = {
+      pipeline: vi.fn(() => pipeline),
+      hget: vi.fn(),
+      hset: vi.fn().mockResolvedValue(1),
+      lrange: vi.fn()
+    };
+    getRedisClient.mockReturnValue(redis);
+    isRedisAvailable.mockResolvedValue(false);
+    service = new StreamBufferService();
+  });
+
+  it('should number events and replay the ones after a given event', async () => {
+    await service.create('stream-1', 'user-1');
+    service.append('stream-1', { type: 'ai_response_chunk', content: 'Hel' });
+    service.append('stream-1', { type: 'ai_response_chunk', content: 'lo' });
+    service.append('stream-1', { type: 'stream_complete' });
+
+    const entries = await collect(service.read('stream-1', 1));
+
+    expect(entries).toEqual([
+      { seq: 2, event: { type: 'ai_response_chunk', content: 'lo' } },
+      { seq: 3, event: { type: 'stream_complete' } }
+    ]);
+    await expect(service.getOwner('stream-1')).resolves.toBe('user-1');
+  });
+
+  it('should follow a stream until it ends', async () => {
+    await service.create('stream-1', 'user-1');
+    service.append('stream-1', { type: 'ai_response_chunk', content: 'Hel' });
+
+    const reading = collect(service.read('stream-1'));
+    setTimeout(() => {
+      service.append('stream-1', { type: 'ai_response_chunk', content: 'lo' });
+      service.append('stream-1', { type: 'error', message: 'boom' });
+      service.append('stream-1', { type: 'ai_response_chunk', content: 'late' });
+    }, 10);
+
+    expect((await reading).map(entry => entry.seq)).toEqual([1, 2, 3]);
+  });
+
+  it('should stop reading when the signal aborts', async () => {
+    await service.create('stream-1', 'user-1');
+    const connection = new AbortController();
+
+    const reading = collect(service.read('stream-1', 0, connection.signal));
+    setTimeout(() => connection.abort(), 10);
+
+    await expect(reading).resolves.toEqual([]);
+  });
+
+  it('should copy events to Redis and read other processes\' streams from it', async () => {
+    isRedisAvailable.mockResolvedValue(true);
+    await service.create('stream-1', 'user-1');
+    service.append('stream-1', { type: 'stream_created', streamId: 'stream-1' });
+
+    expect(pipeline.hset).toHaveBeenCalledWith('stream:stream-1:meta', 'userId', 'user-1');
+    expect(pipeline.rpush).toHaveBeenCalledWith('stream:stream-1:events', '{"seq":1,"event":{"type":"stream_created","streamId":"stream-1"}}');
+
+    redis.hget.mockResolvedValue('user-2');
+    redis.lrange.mockResolvedValue(['{"seq":5,"event":{"type":"stream_complete"}}']);
+
+    await expect(service.getOwner('stream-2')).resolves.toBe('user-2');
+    await expect(collect(service.read('stream-2', 4))).resolves.toEqual([{ seq: 5, event: { type: 'stream_complete' } }]);
+    expect(redis.lrange).toHaveBeenCalledWith('stream:stream-2:events', 4, -1);
+    expect(redis.hset).toHaveBeenCalledWith('stream:stream-2:meta', 'readAt', expect.any(Number));
+  });
+
+  it('should not know streams that aren\'t buffered anywhere', async () => {
+    await expect(service.getOwner('missing')).resolves.toBeNull();
+  });
+
+  describe('readers', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should call a stream abandoned once it has had no reader for idleTimeout', async () => {
+      vi.useFakeTimers();
+      await service.create('stream-1', 'user-1');
+      const onAbandoned = vi.fn();
+      const stop = service.watchReaders('stream-1', onAbandoned);
+
+      const connection = new AbortController();
+      const reading = collect(service.read('stream-1', 0, connection.signal));
+      await vi.advanceTimersByTimeAsync(service.idleTimeout / 2);
+
+      // The reader drops, leaving the stream detached from then on
+      connection.abort();
+      await reading;
+      await vi.advanceTimersByTimeAsync(service.idleTimeout - service.pollInterval);
+      expect(onAbandoned).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(2 * service.pollInterval);
+      expect(onAbandoned).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(service.idleTimeout);
+      expect(onAbandoned).toHaveBeenCalledTimes(1);
+      stop();
+    });
+
+    it('should not call a stream abandoned while another process reads it', async () => {
+      vi.useFakeTimers();
+      isRedisAvailable.mockResolvedValue(true);
+      await service.create('stream-1', 'user-1');
+      redis.hget.mockImplementation(async () => String(Date.now() - 1000));
+
+      await vi.advanceTimersByTimeAsync(service.idleTimeout * 2);
+
+      await expect(service.isAbandoned('stream-1')).resolves.toBe(false);
+      expect(redis.hget).toHaveBeenCalledWith('stream:stream-1:meta', 'readAt');
+
+      redis.hget.mockResolvedValue(null);
+      await expect(service.isAbandoned('stream-1')).resolves.toBe(true);
+    });
+  });
+});
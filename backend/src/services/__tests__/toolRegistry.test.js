@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ToolRegistry, toolRegistry } from '../tools/toolRegistry.js';
+import { CalculatorTool } from '../tools/calculatorTool.js';
+import { hybridSearchService } from '../hybridSearchService.js';
+import { conversationDocumentService } from '../conversationDocumentService.js';
+import { contextService } from '../contextService.js';
+
+vi.mock('../hybridSearchService.js', () => ({
+  hybridSearchService: {
+    search: vi.fn()
+  }
+}));
+
+vi.mock('../conversationDocumentService.js', () => ({
+  conversationDocumentService: {
+    getScopedDocumentIds: vi.fn()
+  }
+}));
+
+vi.mock('../contextService.js', () => ({
+  contextService: {
+    getConversationContext: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+const context = { userId: 'user-1', conversationId: '11111111-1111-1111-1111-111111111111' };
+
+describe('ToolRegistry', () => {
+  let registry;
+  let echo;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    echo = {
+      name: 'echo',
+      description: 'Echo the text back',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', maxLength: 10 },
+          times: { type: 'integer', minimum: 1, maximum: 3 },
+          mode: { type: 'string', enum: ['plain', 'loud'] }
+        },
+        required: ['text']
+      },
+      execute: vi.fn(async ({ text }) => ({ text }))
+    };
+    registry = new ToolRegistry().register(echo);
+  });
+
+  it('should register the built-in tools', () => {
+    expect(toolRegistry.list()).toEqual(['search_documents', 'get_conversation', 'calculator', 'get_current_time']);
+    expect(toolRegistry.getDefinitions(['calculator'])).toEqual([
+      expect.objectContaining({ name: 'calculator', parameters: expect.objectContaining({ type: 'object' }) })
+    ]);
+  });
+
+  it('should reject tools without a usable declaration', () => {
+    expect(() => registry.register({ ...echo, name: 'bad name' })).toThrow('Invalid tool name "bad name"');
+    expect(() => registry.register({ ...echo, parameters: { type: 'string' } })).toThrow('needs a description and an object parameters schema');
+    expect(() => registry.register({ ...echo, execute: undefined })).toThrow('Tool "echo" has no execute() method');
+  });
+
+  it('should run a tool with arguments given as a JSON string', async () => {
+    await expect(registry.execute('echo', '{"text":"hi"}', context)).resolves.toEqual({ text: 'hi' });
+    expect(echo.execute).toHaveBeenCalledWith({ text: 'hi' }, context);
+  });
+
+  it('should check arguments against the schema before running', async () => {
+    await expect(registry.execute('echo', { text: 'far too long text', times: 5, mode: 'quiet', extra: true }))
+      .rejects.toThrow(
+        'Invalid arguments for echo: arguments.text must be at most 10 characters; arguments.times must be at most 3; ' +
+        'arguments.mode must be one of plain, loud; arguments.extra is not a known argument'
+      );
+    await expect(registry.execute('echo', {})).rejects.toThrow('arguments.text is required');
+    await expect(registry.execute('echo', '{text')).rejects.toThrow('Tool arguments are not valid JSON');
+    await expect(registry.execute('missing', {})).rejects.toThrow('Unknown tool "missing"');
+    expect(echo.execute).not.toHaveBeenCalled();
+  });
+
+  it('should treat null arguments as left out', async () => {
+    await registry.execute('echo', { text: 'hi', times: null });
+
+    expect(echo.execute).toHaveBeenCalledWith({ text: 'hi' }, {});
+  });
+
+  it('should report a failing call as its result', async () => {
+    echo.execute.mockRejectedValueOnce(new Error('boom'));
+
+    await expect(registry.run({ id: 'call_1', name: 'echo', arguments: { text: 'hi' } })).resolves.toEqual({
+      id: 'call_1',
+      name: 'echo',
+      error: 'boom',
+      content: '{"error":"boom"}'
+    });
+  });
+
+  it('should cut long results before they go back to the model', async () => {
+    registry.maxResultLength = 20;
+    echo.execute.mockResolvedValueOnce({ text: 'x'.repeat(100) });
+
+    const result = await registry.run({ id: 'call_1', name: 'echo', arguments: { text: 'hi' } });
+
+    expect(result.content).toBe('{"text":"xxxxxxxxxxx... (truncated)');
+    expect(result.result.text).toHaveLength(100);
+  });
+
+  it('should bind the tools to a chat turn', async () => {
+    const toolset = registry.forContext(context);
+
+    await toolset.execute({ id: 'call_1', name: 'echo', arguments: { text: 'hi' } });
+
+    expect(toolset.definitions.map(tool => tool.name)).toEqual(['echo']);
+    expect(echo.execute).toHaveBeenCalledWith({ text: 'hi' }, context);
+  });
+});
+
+describe('built-in tools', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('calculator', () => {
+    const calculate = expression => new CalculatorTool().evaluate(expression);
+
+    it('should follow operator precedence and associativity', () => {
+      expect(calculate('1 + 2 * 3')).toBe(7);
+      expect(calculate('(1 + 2) * 3')).toBe(9);
+      expect(calculate('2 ^ 3 ^ 2')).toBe(512);
+      expect(calculate('-2 ** 2')).toBe(-4);
+      expect(calculate('10 % 4 - 8 / 2')).toBe(-2);
+      expect(calculate('1.5e3 + .5')).toBe(1500.5);
+    });
+
+    it('should support functions and constants', () => {
+      expect(calculate('sqrt(16) + max(1, 7, 3)')).toBe(11);
+      expect(calculate('round(pi * 100) / 100')).toBe(3.14);
+      expect(calculate('log(1000)')).toBe(3);
+    });
+
+    it('should reject anything that isn\'t arithmetic', () => {
+      expect(() => calculate('process(1)')).toThrow('Unknown function or constant "process"');
+      expect(() => calculate('constructor(1)')).toThrow('Unknown function or constant "constructor"');
+      expect(() => calculate('1 / 0')).toThrow('Division by zero');
+      expect(() => calculate('2 +')).toThrow('Unexpected end of expression');
+      expect(() => calculate('(1 + 2')).toThrow('Expected ")" in expression');
+      expect(() => calculate('1 $ 2')).toThrow('Unexpected "$" in expression');
+      expect(() => calculate('sqrt(-1)')).toThrow('The expression has no finite result');
+    });
+  });
+
+  describe('get_current_time', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should report the time in the requested zone', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-03-01T12:00:00Z'));
+
+      const result = await toolRegistry.execute('get_current_time', { timezone: 'Asia/Tokyo' });
+
+      expect(result).toMatchObject({ timezone: 'Asia/Tokyo', iso: '2024-03-01T12:00:00.000Z', unix: 1709294400 });
+      expect(result.local).toContain('March 1, 2024');
+      expect(result.local).toContain('9:00:00 PM');
+    });
+
+    it('should reject unknown time zones', async () => {
+      await expect(toolRegistry.execute('get_current_time', { timezone: 'Mars/Olympus' }))
+        .rejects.toThrow('Unknown time zone "Mars/Olympus"');
+    });
+  });
+
+  describe('search_documents', () => {
+    it('should search within the conversation\'s document scope', async () => {
+      conversationDocumentService.getScopedDocumentIds.mockResolvedValue(['doc-1']);
+      hybridSearchService.search.mockResolvedValue({
+        results: [{
+          documentId: 'doc-1',
+          filename: 'stored.pdf',
+          originalFilename: 'guide.pdf',
+          chunkIndex: 2,
+          content: 'Refunds take 5 days.',
+          score: 0.0327868
+        }]
+      });
+
+      const result = await toolRegistry.execute('search_documents', { query: 'refund time', limit: 3 }, context);
+
+      expect(hybridSearchService.search).toHaveBeenCalledWith('refund time', 'user-1', { limit: 3, documentIds: ['doc-1'] });
+      expect(result).toEqual({
+        query: 'refund time',
+        results: [{ documentId: 'doc-1', filename: 'guide.pdf', chunkIndex: 2, content: 'Refunds take 5 days.', score: 0.0328 }]
+      });
+    });
+  });
+
+  describe('get_conversation', () => {
+    it('should read the current conversation', async () => {
+      contextService.getConversationContext.mockResolvedValue({
+        conversation: { id: context.conversationId, user_id: 'user-1', title: 'Refunds' },
+        messages: [
+          { role: 'user', content: 'How long do refunds take?', created_at: 'then' },
+          { role: 'tool', content: '{}', created_at: 'then' },
+          { role: 'assistant', content: '5 days.', created_at: 'now' }
+        ]
+      });
+
+      const result = await toolRegistry.execute('get_conversation', {}, context);
+
+      expect(contextService.getConversationContext).toHaveBeenCalledWith(context.conversationId, { messageLimit: 20, includeSystem: false });
+      expect(result.title).toBe('Refunds');
+      expect(result.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    });
+
+    it('should not read other users\' conversations', async () => {
+      contextService.getConversationContext.mockResolvedValue({
+        conversation: { id: context.conversationId, user_id: 'someone-else' },
+        messages: []
+      });
+
+      await expect(toolRegistry.execute('get_conversation', { conversationId: context.conversationId }, context))
+        .rejects.toThrow('Conversation not found');
+    });
+  });
+});
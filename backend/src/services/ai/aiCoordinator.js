@@ -1,8 +1,31 @@
 import logger from '../../utils/logger.js';
 import { OpenAIService } from './openaiService.js';
 import { HuggingFaceService } from './huggingfaceService.js';
+import { LocalAIService } from './localAIService.js';
+import { OpenAICompatibleService } from './openaiCompatibleService.js';
+import { AnthropicService } from './anthropicService.js';
+import { GeminiService } from './geminiService.js';
+import { loadAIProviderConfigs } from '../../config/aiProviders.js';
+import { CircuitBreaker } from './circuitBreaker.js';
 import { cacheService } from '../cacheService.js';
 
+// Rough blended price per 1K tokens of each built-in provider's default model,
+// used by the cost routing policy; configured providers declare their own
+const PROVIDER_COSTS = {
+  openai: 0.0004,
+  anthropic: 0.0024,
+  gemini: 0.0002,
+  huggingface: 0.0001,
+  local: 0,
+  demo: 0
+};
+
+const ROUTING_POLICIES = ['priority', 'cost', 'latency', 'balanced'];
+
+// Sent to a fallback provider after the partial answer when a stream fails part-way
+const CONTINUATION_PROMPT = 'Your previous response was cut off. Continue it exactly from where it stopped, ' +
+  'without repeating any of it and without adding any commentary.';
+
 // Demo AI Service for development without API keys
 class DemoAIService {
   async generateResponse(messages, options = {}) {
@@ -38,6 +61,16 @@ class DemoAIService {
     };
   }
 
+  async generateEmbeddings(texts, options = {}) {
+    const results = await Promise.all(texts.map(text => this.generateEmbedding(text, options)));
+
+    return {
+      data: results.map(result => result.data),
+      usage: { total_tokens: 0 },
+      model: 'demo-embedding'
+    };
+  }
+
   async *streamResponse(messages, options = {}) {
     const response = await this.generateResponse(messages, options);
     const words = response.content.split(' ');
@@ -67,8 +100,16 @@ class DemoAIService {
 export class AICoordinator {
   constructor() {
     this.providers = new Map();
+    this.breakers = new Map();
     this.defaultProvider = 'openai';
+    this.routingPolicy = ROUTING_POLICIES.includes(process.env.AI_ROUTING_POLICY)
+      ? process.env.AI_ROUTING_POLICY
+      : 'priority';
     this.initializeProviders();
+
+    for (const name of this.providers.keys()) {
+      this.breakers.set(name, new CircuitBreaker(name));
+    }
   }
 
   /**
@@ -100,16 +141,67 @@ export class AICoordinator {
         }
       }
 
-      // Initialize demo service if no real providers available
-      if (providersInitialized === 0) {
+      // Initialize Anthropic service
+      if (process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY !== 'your_anthropic_api_key_here') {
+        try {
+          this.providers.set('anthropic', new AnthropicService());
+          logger.info('Anthropic service initialized');
+          providersInitialized++;
+        } catch (error) {
+          logger.warn('Anthropic service initialization failed:', error.message);
+        }
+      }
+
+      // Initialize Gemini service
+      if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
+        try {
+          this.providers.set('gemini', new GeminiService());
+          logger.info('Gemini service initialized');
+          providersInitialized++;
+        } catch (error) {
+          logger.warn('Gemini service initialization failed:', error.message);
+        }
+      }
+
+      // Initialize OpenAI-compatible providers declared in AI_PROVIDERS_FILE
+      let configuredDefault = null;
+      for (const config of loadAIProviderConfigs()) {
+        try {
+          this.providers.set(config.name, new OpenAICompatibleService(config));
+          providersInitialized++;
+          if (config.default && !configuredDefault) {
+            configuredDefault = config.name;
+          }
+        } catch (error) {
+          logger.warn(`${config.name} service initialization failed:`, error.message);
+        }
+      }
+
+      // Initialize the offline provider when enabled, and always under test for reproducible runs
+      const localEnabled = process.env.LOCAL_AI_ENABLED === 'true' || process.env.NODE_ENV === 'test';
+      if (localEnabled) {
+        this.providers.set('local', new LocalAIService());
+        logger.info('Local AI service initialized');
+      }
+
+      // Prefer the offline provider over demo mode when no real providers are available
+      if (providersInitialized === 0 && localEnabled) {
+        this.defaultProvider = 'local';
+      } else if (providersInitialized === 0) {
         logger.warn('No valid AI API keys found - initializing demo mode');
         this.providers.set('demo', new DemoAIService());
         this.defaultProvider = 'demo';
         logger.info('Demo AI service initialized');
       } else {
         // Set default provider based on available services
-        if (this.providers.has('openai')) {
+        if (configuredDefault) {
+          this.defaultProvider = configuredDefault;
+        } else if (this.providers.has('openai')) {
           this.defaultProvider = 'openai';
+        } else if (this.providers.has('anthropic')) {
+          this.defaultProvider = 'anthropic';
+        } else if (this.providers.has('gemini')) {
+          this.defaultProvider = 'gemini';
         } else if (this.providers.has('huggingface')) {
           this.defaultProvider = 'huggingface';
         }
@@ -124,33 +216,57 @@ export class AICoordinator {
 
   /**
    * Generate chat completion
+   * Tries providers in routing order, skipping those whose circuit is open
    */
   async generateResponse(messages, options = {}) {
-    const provider = options.provider || this.defaultProvider;
+    const requestedProvider = options.provider || this.defaultProvider;
     const maxRetries = options.maxRetries || 2;
     
-    // Check cache first (skip for demo mode)
-    if (provider !== 'demo' && options.enableCaching !== false) {
-      const cached = await cacheService.getCachedResponse(messages, { provider, ...options });
+    // Check cache first (skip for demo mode and the offline provider)
+    if (!['demo', 'local'].includes(requestedProvider) && options.enableCaching !== false) {
+      const cached = await cacheService.getCachedResponse(messages, { provider: requestedProvider, ...options });
       if (cached) {
         return {
           ...cached,
-          provider,
+          provider: requestedProvider,
           fromCache: true
         };
       }
     }
-    
-    logger.info(`Generating response using ${provider} provider`);
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const service = this.providers.get(provider);
-        if (!service) {
-          throw new Error(`Provider ${provider} not available`);
-        }
+    const candidates = this.getRoutingOrder(options.provider);
+    let lastError = new Error(`Provider ${requestedProvider} not available`);
+    let attempts = 0;
+
+    for (const provider of candidates) {
+      if (attempts >= maxRetries) {
+        break;
+      }
+
+      const breaker = this.breakers.get(provider);
+      if (!breaker) {
+        attempts++;
+        lastError = new Error(`Provider ${provider} not available`);
+        logger.error(`Attempt ${attempts} failed: provider ${provider} not available`);
+        continue;
+      }
+
+      if (!breaker.allowRequest()) {
+        logger.warn(`Skipping ${provider}: circuit ${breaker.state}`);
+        lastError = new Error(`Provider ${provider} is temporarily unavailable`);
+        continue;
+      }
+
+      attempts++;
+      if (provider !== requestedProvider) {
+        logger.info(`Falling back to ${provider}`);
+      }
+      logger.info(`Generating response using ${provider} provider`);
 
-        const response = await service.generateResponse(messages, options);
+      const startTime = Date.now();
+      try {
+        const response = await this.providers.get(provider).generateResponse(this.prepareMessages(messages, false), options);
+        breaker.recordSuccess(Date.now() - startTime);
         
         const result = {
           content: response.content,
@@ -160,8 +276,8 @@ export class AICoordinator {
           finishReason: response.finishReason
         };
         
-        // Cache the response (skip for demo mode)
-        if (provider !== 'demo' && options.enableCaching !== false) {
+        // Cache the response (skip for demo mode and the offline provider)
+        if (!['demo', 'local'].includes(provider) && options.enableCaching !== false) {
           await cacheService.cacheResponse(messages, result, { 
             provider, 
             cacheTTL: options.cacheTTL 
@@ -172,21 +288,13 @@ export class AICoordinator {
         return result;
 
       } catch (error) {
-        logger.error(`Attempt ${attempt + 1} failed for provider ${provider}:`, error);
-        
-        if (attempt < maxRetries - 1) {
-          // Try fallback provider
-          const fallbackProvider = this.getFallbackProvider(provider);
-          if (fallbackProvider) {
-            logger.info(`Falling back to ${fallbackProvider}`);
-            provider = fallbackProvider;
-            continue;
-          }
-        }
-        
-        throw error;
+        breaker.recordFailure(Date.now() - startTime, error);
+        logger.error(`Attempt ${attempts} failed for provider ${provider}:`, error);
+        lastError = error;
       }
     }
+
+    throw lastError;
   }
 
   /**
@@ -218,36 +326,246 @@ export class AICoordinator {
   }
 
   /**
-   * Stream chat completion
+   * Generate embeddings for multiple texts in a single provider call
+   * Falls back to one request per text for providers without batch support
    */
-  async *streamResponse(messages, options = {}) {
+  async generateEmbeddings(texts, options = {}) {
     const provider = options.provider || this.defaultProvider;
-    
+
     try {
       const service = this.providers.get(provider);
       if (!service) {
         throw new Error(`Provider ${provider} not available`);
       }
 
-      if (!service.streamResponse) {
-        throw new Error(`Provider ${provider} does not support streaming`);
+      let result;
+      if (typeof service.generateEmbeddings === 'function') {
+        result = await service.generateEmbeddings(texts, options);
+      } else {
+        const single = [];
+        for (const text of texts) {
+          single.push(await service.generateEmbedding(text, options));
+        }
+        result = {
+          data: single.map(item => item.data),
+          usage: {
+            total_tokens: single.reduce((sum, item) => sum + (item.usage?.total_tokens || 0), 0)
+          },
+          model: single[0]?.model
+        };
       }
 
-      logger.info(`Starting stream response using ${provider}`);
-      
-      for await (const chunk of service.streamResponse(messages, options)) {
+      logger.info(`${texts.length} embeddings generated successfully using ${provider}`);
+      return {
+        embeddings: result.data,
+        usage: result.usage,
+        provider: provider,
+        model: result.model
+      };
+
+    } catch (error) {
+      logger.error(`Failed to generate embeddings using ${provider}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream chat completion
+   * Streams from the first provider in routing order whose circuit allows it.
+   * If that provider fails part-way, the stream moves on to the next one,
+   * yielding a provider_switched chunk and asking the fallback to continue
+   * the partial answer rather than start over. Aborting options.signal
+   * cancels the provider request without trying another provider.
+   */
+  async *streamResponse(messages, options = {}) {
+    const maxProviders = options.maxRetries || 2;
+    const tried = [];
+    let partial = '';
+
+    let provider = this.getNextStreamingProvider(options.provider, tried);
+
+    if (!provider) {
+      const requested = options.provider || this.defaultProvider;
+      const service = this.providers.get(requested);
+
+      if (!service) {
+        throw new Error(`Provider ${requested} not available`);
+      }
+      if (!this.getProviderCapabilities(requested).streaming) {
+        throw new Error(`Provider ${requested} does not support streaming`);
+      }
+      throw new Error(`Provider ${requested} is temporarily unavailable`);
+    }
+
+    while (provider) {
+      tried.push(provider);
+      const breaker = this.breakers.get(provider);
+
+      // Also reserves the trial call of a half-open circuit
+      if (!breaker.allowRequest()) {
+        logger.warn(`Skipping ${provider}: circuit ${breaker.state}`);
+        const next = this.getNextStreamingProvider(options.provider, tried);
+        if (!next) {
+          throw new Error(`Provider ${provider} is temporarily unavailable`);
+        }
+        provider = next;
+        continue;
+      }
+
+      // The breaker and latency routing see the time to the first chunk. How
+      // long the rest takes depends on the answer's length and on the reader.
+      const startTime = Date.now();
+      let firstChunkLatency = null;
+
+      // A model name only means something to the provider it was chosen for
+      const useTools = Boolean(options.tools?.length) && this.getProviderCapabilities(provider).tools;
+      const providerOptions = {
+        ...options,
+        ...(tried.length > 1 && { model: undefined }),
+        tools: useTools ? options.tools : undefined
+      };
+      const providerMessages = this.prepareMessages(partial
+        ? [
+          ...messages,
+          { role: 'assistant', content: partial },
+          { role: 'user', content: CONTINUATION_PROMPT }
+        ]
+        : messages, useTools);
+
+      let settled = false;
+
+      try {
+        logger.info(`Starting stream response using ${provider}`);
+
+        for await (const chunk of this.providers.get(provider).streamResponse(providerMessages, providerOptions)) {
+          firstChunkLatency ??= Date.now() - startTime;
+          partial += chunk.content || '';
+          yield {
+            ...chunk,
+            provider: provider
+          };
+        }
+
+        breaker.recordSuccess(firstChunkLatency ?? Date.now() - startTime);
+        settled = true;
+        return;
+
+      } catch (error) {
+        // A cancelled stream isn't the provider's failure, and isn't retried
+        if (options.signal?.aborted) {
+          error.partialContent = partial;
+          throw error;
+        }
+
+        breaker.recordFailure(firstChunkLatency ?? Date.now() - startTime, error);
+        settled = true;
+        logger.error(`Stream failed for provider ${provider}:`, error);
+
+        const fallback = tried.length < maxProviders
+          ? this.getNextStreamingProvider(options.provider, tried)
+          : null;
+
+        if (!fallback) {
+          error.partialContent = partial;
+          throw error;
+        }
+
+        logger.info(`Switching stream from ${provider} to ${fallback} after ${partial.length} characters`);
+
         yield {
-          ...chunk,
-          provider: provider
+          type: 'provider_switched',
+          from: provider,
+          to: fallback,
+          reason: error.message,
+          partialLength: partial.length
         };
+
+        provider = fallback;
+      } finally {
+        // Cancelled, or the caller stopped reading
+        if (!settled) {
+          breaker.release();
+        }
+      }
+    }
+  }
+
+  /**
+   * Stream chat completion with tool calling
+   * When the model calls tools, they run through the toolset (see
+   * toolRegistry.forContext) and their results go back to the model until it
+   * answers in text. Yields the streamed chunks, a tool_calls chunk for each
+   * round of calls and a tool_result chunk per call. Providers without tool
+   * support just answer without them.
+   */
+  async *streamWithTools(messages, toolset, options = {}) {
+    const maxRounds = options.maxToolRounds || parseInt(process.env.AI_MAX_TOOL_ROUNDS) || 5;
+    const conversation = [...messages];
+
+    for (let round = 0; ; round++) {
+      // Tools are withheld on the last round so the model has to answer
+      const tools = round < maxRounds ? toolset.definitions : undefined;
+      let content = '';
+      let toolCalls = [];
+      let provider = null;
+
+      for await (const chunk of this.streamResponse(conversation, { ...options, tools })) {
+        if (chunk.toolCalls) {
+          toolCalls = chunk.toolCalls;
+          provider = chunk.provider;
+          continue;
+        }
+
+        content += chunk.content || '';
+        yield chunk;
       }
 
-    } catch (error) {
-      logger.error(`Stream failed for provider ${provider}:`, error);
-      throw error;
+      if (toolCalls.length === 0 || options.signal?.aborted) {
+        return;
+      }
+
+      yield { type: 'tool_calls', content, toolCalls, provider };
+      conversation.push({ role: 'assistant', content, toolCalls });
+
+      for (const call of toolCalls) {
+        if (options.signal?.aborted) {
+          return;
+        }
+
+        const result = await toolset.execute(call);
+        yield { type: 'tool_result', ...result };
+        conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: result.content });
+      }
     }
   }
 
+  /**
+   * Messages for one provider call
+   * Tool calls and results are only sent along with the tools; otherwise
+   * they're left out, keeping the answers they led to
+   */
+  prepareMessages(messages, withTools) {
+    if (withTools) {
+      return messages;
+    }
+
+    return messages
+      .filter(message => message.role !== 'tool' && (message.content || !message.toolCalls?.length))
+      .map(({ toolCalls, toolCallId, ...message }) => message);
+  }
+
+  /**
+   * Next streaming provider in routing order that hasn't been tried and
+   * whose circuit allows a call
+   */
+  getNextStreamingProvider(requestedProvider, tried = []) {
+    return this.getRoutingOrder(requestedProvider).find(name =>
+      !tried.includes(name) &&
+      this.getProviderCapabilities(name)?.streaming &&
+      this.breakers.get(name).isAvailable()
+    ) || null;
+  }
+
   /**
    * Get available providers
    */
@@ -264,10 +582,14 @@ export class AICoordinator {
       return null;
     }
 
+    // Configured providers declare their capabilities; built-in ones are known by their methods
+    const declared = service.capabilities || {};
+
     return {
-      chat: typeof service.generateResponse === 'function',
-      streaming: typeof service.streamResponse === 'function',
-      embeddings: typeof service.generateEmbedding === 'function',
+      chat: declared.chat ?? typeof service.generateResponse === 'function',
+      streaming: declared.streaming ?? typeof service.streamResponse === 'function',
+      embeddings: declared.embeddings ?? typeof service.generateEmbedding === 'function',
+      tools: declared.tools ?? false,
       models: service.getAvailableModels ? service.getAvailableModels() : []
     };
   }
@@ -276,8 +598,90 @@ export class AICoordinator {
    * Get fallback provider
    */
   getFallbackProvider(currentProvider) {
-    const providers = this.getAvailableProviders();
-    return providers.find(p => p !== currentProvider);
+    return this.getRoutingOrder()
+      .find(name => name !== currentProvider && this.breakers.get(name).isAvailable());
+  }
+
+  /**
+   * Chat providers in the order they should be tried
+   * An explicitly requested provider always goes first. Otherwise the
+   * "priority" policy starts with the default provider and the others rank
+   * the providers by estimated cost, observed latency or both ("balanced").
+   * Fallbacks are ranked the same way; providers with an open circuit go last.
+   */
+  getRoutingOrder(requestedProvider = null) {
+    const isAvailable = name => this.breakers.get(name).isAvailable();
+    const byAvailability = names => [...names.filter(isAvailable), ...names.filter(name => !isAvailable(name))];
+
+    const chatProviders = this.getAvailableProviders()
+      .filter(name => this.getProviderCapabilities(name).chat);
+
+    if (requestedProvider) {
+      return [requestedProvider, ...byAvailability(this.rankProviders(chatProviders.filter(name => name !== requestedProvider)))];
+    }
+
+    if (this.routingPolicy === 'priority' && chatProviders.includes(this.defaultProvider)) {
+      return byAvailability([this.defaultProvider, ...chatProviders.filter(name => name !== this.defaultProvider)]);
+    }
+
+    return byAvailability(this.rankProviders(chatProviders));
+  }
+
+  rankProviders(names) {
+    if (this.routingPolicy === 'priority') {
+      return names;
+    }
+
+    const costs = Object.fromEntries(names.map(name => [name, this.getProviderCost(name)]));
+    const latencies = Object.fromEntries(names.map(name => [name, this.breakers.get(name).getStats().averageLatency || 0]));
+    const maxCost = Math.max(0, ...Object.values(costs));
+    const maxLatency = Math.max(0, ...Object.values(latencies));
+
+    const score = (name) => {
+      const cost = maxCost ? costs[name] / maxCost : 0;
+      const latency = maxLatency ? latencies[name] / maxLatency : 0;
+
+      if (this.routingPolicy === 'cost') return cost;
+      if (this.routingPolicy === 'latency') return latency;
+      return (cost + latency) / 2;
+    };
+
+    return [...names].sort((a, b) => score(a) - score(b));
+  }
+
+  getProviderCost(provider) {
+    const service = this.providers.get(provider);
+    return service?.costPer1kTokens ?? PROVIDER_COSTS[provider] ?? 0;
+  }
+
+  /**
+   * Circuit state, recent error rate and latency of every provider
+   */
+  getProviderHealth() {
+    return {
+      policy: this.routingPolicy,
+      defaultProvider: this.defaultProvider,
+      providers: this.getAvailableProviders().map(name => ({
+        name,
+        isDefault: name === this.defaultProvider,
+        capabilities: this.getProviderCapabilities(name),
+        costPer1kTokens: this.getProviderCost(name),
+        ...this.breakers.get(name).getStatus()
+      }))
+    };
+  }
+
+  /**
+   * Close a provider's circuit after the operator fixed the cause
+   */
+  resetCircuit(provider) {
+    const breaker = this.breakers.get(provider);
+    if (!breaker) {
+      throw new Error(`Provider ${provider} not available`);
+    }
+
+    breaker.reset();
+    return breaker.getStatus();
   }
 
   /**
@@ -287,19 +691,26 @@ export class AICoordinator {
     const results = {};
     
     for (const [name, service] of this.providers) {
+      const breaker = this.breakers.get(name);
+      const startTime = Date.now();
+
       try {
         if (service.healthCheck) {
           await service.healthCheck();
+          breaker.recordSuccess(Date.now() - startTime);
           results[name] = { status: 'healthy' };
         } else {
           results[name] = { status: 'unknown' };
         }
       } catch (error) {
+        breaker.recordFailure(Date.now() - startTime, error);
         results[name] = { 
           status: 'unhealthy', 
           error: error.message 
         };
       }
+
+      results[name].circuit = breaker.state;
     }
 
     return results;
@@ -0,0 +1,288 @@
+import logger from '../../utils/logger.js';
+
+const API_VERSION = '2023-06-01';
+
+// Anthropic stop reasons mapped to the OpenAI names the rest of the app uses
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+/**
+ * Anthropic Service
+ * Handles communication with the Anthropic Messages API for chat completions
+ */
+export class AnthropicService {
+  constructor() {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required');
+    }
+
+    this.apiKey = process.env.ANTHROPIC_API_KEY;
+    this.baseURL = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.timeout = 60000;
+
+    // Default models
+    this.models = {
+      chat: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+    };
+
+    // Default settings
+    this.defaultSettings = {
+      temperature: 0.7,
+      maxTokens: 1000,
+      topP: 1
+    };
+
+    logger.info('Anthropic service initialized');
+  }
+
+  /**
+   * Generate chat completion
+   */
+  async generateResponse(messages, options = {}) {
+    try {
+      const model = options.model || this.models.chat;
+      const settings = { ...this.defaultSettings, ...options.settings };
+
+      logger.info(`Generating response with Anthropic model: ${model}`);
+
+      const response = await this.request('/v1/messages', this.buildRequest(messages, model, settings, false));
+      const data = await response.json();
+
+      return {
+        content: data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        usage: this.formatUsage(data.usage),
+        model: data.model,
+        finishReason: FINISH_REASONS[data.stop_reason] || data.stop_reason,
+        created: Math.floor(Date.now() / 1000)
+      };
+
+    } catch (error) {
+      logger.error('Anthropic generateResponse error:', error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Stream chat completion
+   */
+  async *streamResponse(messages, options = {}) {
+    try {
+      let model = options.model || this.models.chat;
+      const settings = { ...this.defaultSettings, ...options.settings };
+
+      logger.info(`Starting stream response with Anthropic model: ${model}`);
+
+      const response = await this.request(
+        '/v1/messages',
+        this.buildRequest(messages, model, settings, true),
+        'POST',
+        options.signal
+      );
+
+      for await (const event of this.readEvents(response.body)) {
+        if (event.type === 'message_start') {
+          model = event.message?.model || model;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield {
+            content: event.delta.text,
+            finishReason: null,
+            model: model
+          };
+        } else if (event.type === 'message_delta' && event.delta?.stop_reason) {
+          // The stop reason arrives after the last text; report it with an empty delta
+          yield {
+            content: '',
+            finishReason: FINISH_REASONS[event.delta.stop_reason] || event.delta.stop_reason,
+            model: model
+          };
+        } else if (event.type === 'error') {
+          const error = new Error(event.error?.message || 'Stream error');
+          error.type = event.error?.type;
+          throw error;
+        }
+      }
+
+    } catch (error) {
+      logger.error('Anthropic streamResponse error:', error);
+      this.handleError(error);
+    }
+  }
+
+  buildRequest(messages, model, settings, stream) {
+    const { system, messages: formatted } = this.formatMessages(messages);
+
+    return {
+      model: model,
+      ...(system && { system }),
+      messages: formatted,
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature,
+      // Anthropic rejects top_p alongside temperature on newer models unless it's changed
+      ...(settings.topP !== 1 && { top_p: settings.topP }),
+      stream: stream
+    };
+  }
+
+  /**
+   * Format messages for Anthropic API
+   * System prompts go to the top-level system field, and consecutive turns
+   * of the same role are merged because the API requires alternating turns
+   * starting with the user
+   */
+  formatMessages(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const formatted = [];
+    for (const message of messages.filter(message => message.role !== 'system')) {
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const previous = formatted[formatted.length - 1];
+
+      if (previous?.role === role) {
+        previous.content += `\n\n${message.content}`;
+      } else {
+        formatted.push({ role, content: message.content });
+      }
+    }
+
+    if (formatted[0]?.role === 'assistant') {
+      formatted.unshift({ role: 'user', content: '(conversation continues)' });
+    }
+
+    return { system, messages: formatted };
+  }
+
+  formatUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      prompt_tokens: usage.input_tokens || 0,
+      completion_tokens: usage.output_tokens || 0,
+      total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    };
+  }
+
+  /**
+   * Send a request and turn non-2xx responses into errors carrying the status
+   * The optional signal aborts it early, on top of the timeout
+   */
+  async request(path, body, method = 'POST', signal = null) {
+    const response = await fetch(`${this.baseURL}${path}`, {
+      method,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+        : AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      const error = new Error(data?.error?.message || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.type = data?.error?.type;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Parse the server-sent event stream into JSON events
+   */
+  async *readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const data = raw
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('');
+
+        if (data) {
+          yield JSON.parse(data);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get available models
+   */
+  getAvailableModels() {
+    return {
+      chat: [
+        'claude-3-5-haiku-latest',
+        'claude-3-5-sonnet-latest',
+        'claude-3-7-sonnet-latest'
+      ],
+      embedding: []
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      const response = await this.request('/v1/models', null, 'GET');
+      const data = await response.json();
+      return { status: 'healthy', models: data.data?.length || 0 };
+    } catch (error) {
+      logger.error('Anthropic health check failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle API errors
+   */
+  handleError(error) {
+    switch (error.status) {
+      case 401:
+      case 403:
+        throw new Error('Invalid Anthropic API key');
+      case 429:
+        throw new Error('Anthropic API rate limit exceeded');
+      case 529:
+      case 503:
+        throw new Error('Anthropic service temporarily unavailable');
+      default:
+        if (error.type === 'overloaded_error') {
+          throw new Error('Anthropic service temporarily unavailable');
+        }
+        throw new Error(`Anthropic service error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate token count (approximation)
+   */
+  estimateTokens(text) {
+    // Rough approximation: 1 token ≈ 4 characters
+    return Math.ceil(text.length / 4);
+  }
+}
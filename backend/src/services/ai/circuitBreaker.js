@@ -0,0 +1,193 @@
+import logger from '../../utils/logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit Breaker
+ * Tracks the outcome and latency of recent calls to one provider. The circuit
+ * opens when too many recent calls failed or were slow, rejects calls while
+ * open, and after a cool-down lets a single trial call through (half-open)
+ * to decide whether to close again.
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.config = {
+      // Only calls this recent and this many count towards the rates
+      windowMs: options.windowMs || parseInt(process.env.AI_CIRCUIT_WINDOW_MS) || 5 * 60 * 1000,
+      windowSize: options.windowSize || parseInt(process.env.AI_CIRCUIT_WINDOW_SIZE) || 20,
+      minimumRequests: options.minimumRequests || parseInt(process.env.AI_CIRCUIT_MIN_REQUESTS) || 5,
+      failureRateThreshold: options.failureRateThreshold || parseFloat(process.env.AI_CIRCUIT_FAILURE_RATE) || 0.5,
+      slowCallMs: options.slowCallMs || parseInt(process.env.AI_CIRCUIT_SLOW_CALL_MS) || 30000,
+      slowCallRateThreshold: options.slowCallRateThreshold || parseFloat(process.env.AI_CIRCUIT_SLOW_CALL_RATE) || 0.8,
+      openMs: options.openMs || parseInt(process.env.AI_CIRCUIT_OPEN_MS) || 30000
+    };
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.calls = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Whether a call may be made now; moves an open circuit to half-open once
+   * the cool-down has passed and reserves the single trial call
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.config.openMs) {
+        return false;
+      }
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether a call would be allowed, without reserving the trial call
+   */
+  isAvailable() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      return Date.now() - this.openedAt >= this.config.openMs;
+    }
+    return !(this.state === CIRCUIT_STATES.HALF_OPEN && this.trialInFlight);
+  }
+
+  /**
+   * Give back the trial call of a request cancelled before it showed
+   * whether the provider works
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess(latency) {
+    this.record({ success: true, latency });
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.calls = [];
+      this.transition(CIRCUIT_STATES.CLOSED);
+    } else {
+      this.evaluate();
+    }
+  }
+
+  recordFailure(latency, error) {
+    this.record({ success: false, latency });
+    this.lastError = error?.message || null;
+    this.lastFailureAt = new Date();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.transition(CIRCUIT_STATES.OPEN);
+    } else {
+      this.evaluate();
+    }
+  }
+
+  record(call) {
+    this.trialInFlight = false;
+    this.calls.push({ ...call, at: Date.now() });
+    this.prune();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.config.windowMs;
+    this.calls = this.calls.filter(call => call.at >= cutoff).slice(-this.config.windowSize);
+  }
+
+  /**
+   * Open the circuit when the failure or slow call rate crosses its threshold
+   */
+  evaluate() {
+    if (this.state !== CIRCUIT_STATES.CLOSED || this.calls.length < this.config.minimumRequests) {
+      return;
+    }
+
+    const { failureRate, slowCallRate } = this.getStats();
+
+    if (failureRate >= this.config.failureRateThreshold || slowCallRate >= this.config.slowCallRateThreshold) {
+      this.transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    this.trialInFlight = false;
+
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.openedAt = Date.now();
+      logger.warn(`Circuit for ${this.name} opened (was ${previous}): ${this.lastError || 'slow responses'}`);
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      this.openedAt = null;
+      logger.info(`Circuit for ${this.name} closed`);
+    } else {
+      logger.info(`Circuit for ${this.name} half-open, sending a trial request`);
+    }
+  }
+
+  /**
+   * Close the circuit and forget recent calls
+   */
+  reset() {
+    this.calls = [];
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.transition(CIRCUIT_STATES.CLOSED);
+  }
+
+  getStats() {
+    this.prune();
+
+    const requests = this.calls.length;
+    const failures = this.calls.filter(call => !call.success).length;
+    const slowCalls = this.calls.filter(call => call.latency >= this.config.slowCallMs).length;
+    const latencies = this.calls
+      .filter(call => call.success)
+      .map(call => call.latency)
+      .sort((a, b) => a - b);
+
+    return {
+      requests,
+      failures,
+      slowCalls,
+      failureRate: requests ? failures / requests : 0,
+      slowCallRate: requests ? slowCalls / requests : 0,
+      averageLatency: latencies.length
+        ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+        : null,
+      p95Latency: latencies.length
+        ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+        : null
+    };
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      ...this.getStats(),
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === CIRCUIT_STATES.OPEN ? new Date(this.openedAt + this.config.openMs) : null
+    };
+  }
+}
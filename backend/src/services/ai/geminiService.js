@@ -0,0 +1,224 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import logger from '../../utils/logger.js';
+
+// Gemini finish reasons mapped to the OpenAI names the rest of the app uses
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter'
+};
+
+/**
+ * Gemini Service
+ * Handles communication with the Google Gemini API for chat completions
+ */
+export class GeminiService {
+  constructor() {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+
+    this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    // Overridable for proxies and tests
+    this.requestOptions = process.env.GEMINI_BASE_URL
+      ? { baseUrl: process.env.GEMINI_BASE_URL }
+      : {};
+
+    // Default models
+    this.models = {
+      chat: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+    };
+
+    // Default settings
+    this.defaultSettings = {
+      temperature: 0.7,
+      maxTokens: 1000,
+      topP: 0.95
+    };
+
+    logger.info('Gemini service initialized');
+  }
+
+  /**
+   * Generate chat completion
+   */
+  async generateResponse(messages, options = {}) {
+    try {
+      const model = options.model || this.models.chat;
+      const settings = { ...this.defaultSettings, ...options.settings };
+
+      logger.info(`Generating response with Gemini model: ${model}`);
+
+      const result = await this.getModel(model).generateContent(this.buildRequest(messages, settings));
+      const response = result.response;
+      const candidate = response.candidates?.[0];
+
+      return {
+        content: response.text(),
+        usage: this.formatUsage(response.usageMetadata),
+        model: model,
+        finishReason: FINISH_REASONS[candidate?.finishReason] || candidate?.finishReason?.toLowerCase() || 'stop',
+        created: Math.floor(Date.now() / 1000)
+      };
+
+    } catch (error) {
+      logger.error('Gemini generateResponse error:', error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Stream chat completion
+   */
+  async *streamResponse(messages, options = {}) {
+    try {
+      const model = options.model || this.models.chat;
+      const settings = { ...this.defaultSettings, ...options.settings };
+
+      logger.info(`Starting stream response with Gemini model: ${model}`);
+
+      const result = await this.getModel(model).generateContentStream(this.buildRequest(messages, settings), {
+        signal: options.signal
+      });
+
+      for await (const chunk of result.stream) {
+        const candidate = chunk.candidates?.[0];
+        const content = candidate?.content?.parts?.map(part => part.text || '').join('');
+
+        if (content) {
+          yield {
+            content: content,
+            finishReason: candidate.finishReason
+              ? FINISH_REASONS[candidate.finishReason] || candidate.finishReason.toLowerCase()
+              : null,
+            model: model
+          };
+        }
+      }
+
+    } catch (error) {
+      logger.error('Gemini streamResponse error:', error);
+      this.handleError(error);
+    }
+  }
+
+  getModel(model) {
+    return this.client.getGenerativeModel({ model }, this.requestOptions);
+  }
+
+  buildRequest(messages, settings) {
+    const { systemInstruction, contents } = this.formatMessages(messages);
+
+    return {
+      contents,
+      ...(systemInstruction && { systemInstruction }),
+      generationConfig: {
+        temperature: settings.temperature,
+        maxOutputTokens: settings.maxTokens,
+        topP: settings.topP
+      }
+    };
+  }
+
+  /**
+   * Format messages for Gemini API
+   * System prompts go to systemInstruction, assistant turns become "model",
+   * and consecutive turns of the same role are merged because Gemini
+   * expects the conversation to alternate and start with the user
+   */
+  formatMessages(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const contents = [];
+    for (const message of messages.filter(message => message.role !== 'system')) {
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const previous = contents[contents.length - 1];
+
+      if (previous?.role === role) {
+        previous.parts[0].text += `\n\n${message.content}`;
+      } else {
+        contents.push({ role, parts: [{ text: message.content }] });
+      }
+    }
+
+    if (contents[0]?.role === 'model') {
+      contents.unshift({ role: 'user', parts: [{ text: '(conversation continues)' }] });
+    }
+
+    return {
+      systemInstruction: system ? { role: 'system', parts: [{ text: system }] } : null,
+      contents
+    };
+  }
+
+  formatUsage(usageMetadata) {
+    if (!usageMetadata) {
+      return null;
+    }
+
+    return {
+      prompt_tokens: usageMetadata.promptTokenCount || 0,
+      completion_tokens: usageMetadata.candidatesTokenCount || 0,
+      total_tokens: usageMetadata.totalTokenCount || 0
+    };
+  }
+
+  /**
+   * Get available models
+   */
+  getAvailableModels() {
+    return {
+      chat: [
+        'gemini-1.5-flash',
+        'gemini-1.5-pro',
+        'gemini-2.0-flash'
+      ],
+      embedding: []
+    };
+  }
+
+  /**
+   * Health check: counting tokens verifies the key without generating anything
+   */
+  async healthCheck() {
+    try {
+      await this.getModel(this.models.chat).countTokens('ping');
+      return { status: 'healthy', model: this.models.chat };
+    } catch (error) {
+      logger.error('Gemini health check failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle API errors
+   */
+  handleError(error) {
+    switch (error.status) {
+      case 400:
+        throw new Error(`Gemini API error: ${error.message}`);
+      case 401:
+      case 403:
+        throw new Error('Invalid Gemini API key');
+      case 429:
+        throw new Error('Gemini API rate limit exceeded');
+      case 503:
+        throw new Error('Gemini service temporarily unavailable');
+      default:
+        throw new Error(`Gemini service error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate token count (approximation)
+   */
+  estimateTokens(text) {
+    // Rough approximation: 1 token ≈ 4 characters
+    return Math.ceil(text.length / 4);
+  }
+}
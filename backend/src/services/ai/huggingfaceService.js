@@ -19,7 +19,8 @@ export class HuggingFaceService {
       textGeneration: 'microsoft/DialoGPT-large',
       embedding: 'sentence-transformers/all-MiniLM-L6-v2',
       summarization: 'facebook/bart-large-cnn',
-      classification: 'cardiffnlp/twitter-roberta-base-sentiment-latest'
+      classification: 'cardiffnlp/twitter-roberta-base-sentiment-latest',
+      rerank: process.env.HUGGINGFACE_RERANK_MODEL || 'cross-encoder/ms-marco-MiniLM-L-6-v2'
     };
 
     // Default settings
@@ -178,6 +179,38 @@ export class HuggingFaceService {
     }
   }
 
+  /**
+   * Score query/passage pairs with a cross-encoder model
+   * Returns one relevance score per passage, in input order
+   */
+  async rerank(query, passages, options = {}) {
+    try {
+      const model = options.model || this.models.rerank;
+
+      logger.info(`Reranking ${passages.length} passages with model: ${model}`);
+
+      const response = await this.client.request({
+        model: model,
+        inputs: passages.map(passage => ({ text: query, text_pair: passage }))
+      });
+
+      // Cross-encoders return a single logit label per pair, sometimes wrapped in an array
+      const scores = response.map(result => {
+        const prediction = Array.isArray(result) ? result[0] : result;
+        return prediction.score;
+      });
+
+      return {
+        scores,
+        model: model
+      };
+
+    } catch (error) {
+      logger.error('Hugging Face rerank error:', error);
+      this.handleError(error);
+    }
+  }
+
   /**
    * Format messages for Hugging Face text generation
    */
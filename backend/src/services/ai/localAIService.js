@@ -0,0 +1,257 @@
+import logger from '../../utils/logger.js';
+
+// Words too common to say anything about what a text is about
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'の', 'に', 'は', 'を', 'が', 'と', 'で', 'も', 'た', 'て', 'す', 'る', 'か', 'な', 'い'
+]);
+
+/**
+ * Local AI Service
+ * Offline provider for development and tests. Embeddings hash weighted word,
+ * word-pair and character-trigram features into a fixed-size vector, so texts
+ * sharing vocabulary land close together and the same text always embeds the
+ * same way. The chat model is rule based: it answers from the document
+ * excerpts in the system prompt, follows the JSON-only instructions of the
+ * query rewriter and LLM reranker, and otherwise echoes the user.
+ */
+export class LocalAIService {
+  constructor() {
+    this.models = {
+      chat: 'local-chat',
+      embedding: 'local-embedding'
+    };
+
+    this.dimensions = 512;
+    this.maxAnswerSentences = 3;
+
+    // Relative weight of each feature family
+    this.weights = {
+      word: 1,
+      bigram: 0.5,
+      trigram: 0.25
+    };
+
+    logger.info('Local AI service initialized');
+  }
+
+  /**
+   * Generate a rule-based response
+   */
+  async generateResponse(messages, options = {}) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+    const content = this.respond(system, lastUser);
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: this.estimateTokens(messages.map(message => message.content).join('\n')),
+        completion_tokens: this.estimateTokens(content),
+        total_tokens: this.estimateTokens(messages.map(message => message.content).join('\n') + content)
+      },
+      model: this.models.chat,
+      finishReason: 'stop'
+    };
+  }
+
+  respond(system, userMessage) {
+    // Query rewriter: the standalone query is the latest message itself
+    if (system.includes('"query"') && system.includes('Reply only with JSON')) {
+      const latest = userMessage.match(/Latest message:\s*([\s\S]*)$/)?.[1] ?? userMessage;
+      return JSON.stringify({ query: latest.trim(), subQueries: [] });
+    }
+
+    // LLM reranker: grade each passage by how many question terms it contains
+    if (system.includes('JSON array of numbers')) {
+      return JSON.stringify(this.gradePassages(userMessage));
+    }
+
+    const excerpts = this.parseExcerpts(system);
+    if (excerpts.length > 0) {
+      return this.answerFromExcerpts(userMessage, excerpts);
+    }
+
+    return `You said: "${userMessage.trim()}"`;
+  }
+
+  /**
+   * Numbered excerpts of the "Document Context" section RAG adds to the system prompt
+   */
+  parseExcerpts(system) {
+    const context = system.split('Document Context:')[1];
+    if (!context) return [];
+
+    const excerpts = [];
+    const pattern = /^\[(\d+)\] [^\n]*\n([\s\S]*?)\n\n---/gm;
+    let match;
+    while ((match = pattern.exec(context)) !== null) {
+      excerpts.push({ marker: parseInt(match[1]), content: match[2] });
+    }
+    return excerpts;
+  }
+
+  /**
+   * Quote the excerpt sentences sharing the most terms with the question, with citations
+   */
+  answerFromExcerpts(question, excerpts) {
+    const questionTerms = new Set(contentWords(question));
+
+    const sentences = excerpts.flatMap(excerpt =>
+      splitSentences(excerpt.content).map((text, position) => {
+        const terms = new Set(contentWords(text));
+        const overlap = [...questionTerms].filter(term => terms.has(term)).length;
+        return { text, marker: excerpt.marker, position, overlap };
+      })
+    );
+
+    const best = sentences
+      .filter(sentence => sentence.overlap > 0)
+      .sort((a, b) => (b.overlap - a.overlap) || (a.marker - b.marker) || (a.position - b.position))
+      .slice(0, this.maxAnswerSentences)
+      .sort((a, b) => (a.marker - b.marker) || (a.position - b.position));
+
+    if (best.length === 0) {
+      return 'I don\'t have specific document information about this topic.';
+    }
+
+    return `According to the documents: ${best.map(sentence => `${sentence.text} [${sentence.marker}]`).join(' ')}`;
+  }
+
+  /**
+   * Scores from 0 to 10 for the "[n] passage" list in a reranker prompt
+   */
+  gradePassages(prompt) {
+    const question = prompt.match(/Question:\s*([^\n]*)/)?.[1] || '';
+    const questionTerms = [...new Set(contentWords(question))];
+    const passages = (prompt.split('Passages:')[1] || '').split(/\n\n(?=\[\d+\] )/).filter(text => text.trim());
+
+    return passages.map(passage => {
+      if (questionTerms.length === 0) return 0;
+      const terms = new Set(contentWords(passage));
+      const matched = questionTerms.filter(term => terms.has(term)).length;
+      return Math.round((matched / questionTerms.length) * 10);
+    });
+  }
+
+  /**
+   * Stream the rule-based response word by word
+   */
+  async *streamResponse(messages, options = {}) {
+    const response = await this.generateResponse(messages, options);
+    const words = response.content.split(' ');
+
+    for (let i = 0; i < words.length; i++) {
+      const last = i === words.length - 1;
+      yield {
+        content: last ? words[i] : `${words[i]} `,
+        finishReason: last ? 'stop' : null,
+        model: response.model
+      };
+    }
+  }
+
+  /**
+   * Deterministic embedding: weighted features hashed into a unit vector
+   */
+  async generateEmbedding(text, options = {}) {
+    return {
+      data: this.embed(text),
+      usage: { total_tokens: this.estimateTokens(text) },
+      model: this.models.embedding
+    };
+  }
+
+  async generateEmbeddings(texts, options = {}) {
+    return {
+      data: texts.map(text => this.embed(text)),
+      usage: { total_tokens: texts.reduce((sum, text) => sum + this.estimateTokens(text), 0) },
+      model: this.models.embedding
+    };
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = contentWords(text);
+
+    // Sublinear term frequency keeps repeated words from dominating
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    words.forEach((word, i) => {
+      add(`w:${word}`, this.weights.word);
+      if (i > 0) add(`b:${words[i - 1]} ${word}`, this.weights.bigram);
+      // Trigrams let inflected forms (index, indexes, indexing) overlap
+      const padded = `#${word}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`t:${padded.slice(j, j + 3)}`, this.weights.trigram);
+      }
+    });
+
+    for (const [feature, count] of features) {
+      const hash = fnv1a(feature);
+      const index = (hash >>> 0) % this.dimensions;
+      // A second hash picks the sign so colliding features tend to cancel out
+      const sign = fnv1a(`~${feature}`) & 1 ? 1 : -1;
+      vector[index] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', mode: 'local' };
+  }
+
+  getAvailableModels() {
+    return [this.models.chat, this.models.embedding];
+  }
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+/**
+ * Lowercased words without stop words; CJK text is split into character pairs
+ */
+function contentWords(text) {
+  const tokens = (text || '').toLowerCase()
+    .match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+|[\p{L}\p{N}][\p{L}\p{N}_-]*/gu) || [];
+
+  return tokens.flatMap(token => {
+    if (!/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(token)) {
+      return STOP_WORDS.has(token) ? [] : [token];
+    }
+    const chars = [...token].filter(char => !STOP_WORDS.has(char));
+    if (chars.length < 2) return chars;
+    return chars.slice(1).map((char, i) => chars[i] + char);
+  });
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?。！？])\s*|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence && !/^#+\s/.test(sentence));
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
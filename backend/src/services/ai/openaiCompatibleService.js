@@ -0,0 +1,246 @@
+import OpenAI from 'openai';
+import logger from '../../utils/logger.js';
+import { formatOpenAIMessages, formatOpenAITools, collectToolCallDeltas, parseToolCalls } from './openaiMessages.js';
+
+/**
+ * OpenAI-Compatible Service
+ * Talks to any server speaking the OpenAI chat completions and embeddings
+ * protocol (Ollama, llama.cpp, vLLM, ...), as declared in the AI provider config
+ */
+export class OpenAICompatibleService {
+  constructor(config) {
+    this.name = config.name;
+    this.config = config;
+    this.capabilities = config.capabilities;
+    this.costPer1kTokens = config.costPer1kTokens;
+
+    const token = config.auth.tokenEnv ? process.env[config.auth.tokenEnv] : null;
+    if (config.auth.tokenEnv && !token) {
+      throw new Error(`${config.auth.tokenEnv} environment variable is required for ${config.name}`);
+    }
+
+    // The SDK always sends "Authorization: Bearer <apiKey>"; replace it when the server expects another header
+    const headers = { ...config.headers };
+    if (!token) {
+      headers.Authorization = null;
+    } else if (config.auth.header.toLowerCase() !== 'authorization' || config.auth.scheme !== 'Bearer') {
+      headers.Authorization = null;
+      headers[config.auth.header] = config.auth.scheme ? `${config.auth.scheme} ${token}` : token;
+    }
+
+    this.client = new OpenAI({
+      apiKey: token || 'unused',
+      baseURL: config.baseURL,
+      defaultHeaders: headers,
+      timeout: config.timeout,
+      maxRetries: 1
+    });
+
+    // Default models
+    this.models = {
+      chat: config.models.chat[0] || null,
+      embedding: config.models.embedding[0]?.name || null
+    };
+
+    // Embedding models with their dimensions, for the embedding model registry
+    this.embeddingModels = config.models.embedding;
+
+    this.defaultSettings = {
+      temperature: 0.7,
+      maxTokens: 1000,
+      topP: 1
+    };
+
+    logger.info(`OpenAI-compatible service ${config.name} initialized (${config.baseURL})`);
+  }
+
+  /**
+   * Generate chat completion
+   */
+  async generateResponse(messages, options = {}) {
+    this.requireCapability('chat');
+
+    try {
+      const model = options.model || this.models.chat;
+      const settings = { ...this.defaultSettings, ...options.settings };
+
+      logger.info(`Generating response with ${this.name} model: ${model}`);
+
+      const response = await this.client.chat.completions.create({
+        model: model,
+        messages: this.formatMessages(messages),
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        top_p: settings.topP,
+        stream: false
+      });
+
+      const choice = response.choices[0];
+
+      return {
+        content: choice.message.content,
+        usage: response.usage,
+        model: response.model || model,
+        finishReason: choice.finish_reason,
+        created: response.created
+      };
+
+    } catch (error) {
+      logger.error(`${this.name} generateResponse error:`, error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Stream chat completion
+   */
+  async *streamResponse(messages, options = {}) {
+    this.requireCapability('streaming');
+
+    try {
+      const model = options.model || this.models.chat;
+      const settings = { ...this.defaultSettings, ...options.settings };
+
+      logger.info(`Starting stream response with ${this.name} model: ${model}`);
+
+      const stream = await this.client.chat.completions.create({
+        model: model,
+        messages: this.formatMessages(messages),
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        top_p: settings.topP,
+        ...(options.tools?.length && { tools: formatOpenAITools(options.tools) }),
+        stream: true
+      }, {
+        // Aborting closes the connection, so the provider stops generating
+        signal: options.signal
+      });
+
+      const toolCalls = [];
+
+      for await (const chunk of stream) {
+        const choice = chunk.choices[0];
+        collectToolCallDeltas(toolCalls, choice?.delta?.tool_calls);
+
+        if (choice?.delta?.content) {
+          yield {
+            content: choice.delta.content,
+            finishReason: choice.finish_reason,
+            model: chunk.model || model
+          };
+        }
+      }
+
+      // Tool calls arrive in fragments and are only complete once the stream ends
+      if (toolCalls.length > 0) {
+        yield {
+          content: '',
+          toolCalls: parseToolCalls(toolCalls),
+          finishReason: 'tool_calls',
+          model: model
+        };
+      }
+
+    } catch (error) {
+      logger.error(`${this.name} streamResponse error:`, error);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Generate embeddings
+   */
+  async generateEmbedding(text, options = {}) {
+    const result = await this.generateEmbeddings([text], options);
+
+    return {
+      data: result.data[0],
+      usage: result.usage,
+      model: result.model
+    };
+  }
+
+  /**
+   * Generate multiple embeddings
+   */
+  async generateEmbeddings(texts, options = {}) {
+    this.requireCapability('embeddings');
+
+    try {
+      const model = options.model || this.models.embedding;
+
+      logger.info(`Generating ${texts.length} embeddings with ${this.name} model: ${model}`);
+
+      const response = await this.client.embeddings.create({
+        model: model,
+        input: texts,
+        encoding_format: 'float'
+      });
+
+      // Some servers don't return results in input order
+      const data = [...response.data]
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(item => item.embedding);
+
+      return {
+        data,
+        usage: response.usage || { total_tokens: texts.reduce((sum, text) => sum + this.estimateTokens(text), 0) },
+        model: model
+      };
+
+    } catch (error) {
+      logger.error(`${this.name} generateEmbeddings error:`, error);
+      this.handleError(error);
+    }
+  }
+
+  requireCapability(capability) {
+    if (!this.capabilities[capability]) {
+      throw new Error(`Provider ${this.name} does not support ${capability}`);
+    }
+  }
+
+  formatMessages(messages) {
+    return formatOpenAIMessages(messages);
+  }
+
+  getAvailableModels() {
+    return {
+      chat: this.config.models.chat,
+      embedding: this.config.models.embedding.map(model => model.name)
+    };
+  }
+
+  /**
+   * Health check: the server must answer the model list
+   */
+  async healthCheck() {
+    try {
+      const response = await this.client.models.list();
+      return { status: 'healthy', models: response.data.length };
+    } catch (error) {
+      logger.error(`${this.name} health check failed:`, error);
+      throw error;
+    }
+  }
+
+  handleError(error) {
+    if (error.status === 401 || error.status === 403) {
+      throw new Error(`${this.name} rejected the credentials`);
+    }
+    if (error.status === 404) {
+      throw new Error(`${this.name} model or endpoint not found: ${error.message}`);
+    }
+    if (error.status === 429) {
+      throw new Error(`${this.name} rate limit exceeded`);
+    }
+    if (error.code === 'ECONNREFUSED' || error.name === 'APIConnectionError') {
+      throw new Error(`${this.name} is unreachable at ${this.config.baseURL}`);
+    }
+    throw new Error(`${this.name} error: ${error.message}`);
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+}
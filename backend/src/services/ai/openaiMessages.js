@@ -0,0 +1,103 @@
+/**
+ * OpenAI chat message helpers
+ * Shared by the OpenAI and OpenAI-compatible services, which speak the same
+ * protocol for messages, tool definitions and streamed tool calls
+ */
+
+/**
+ * Convert app messages to the chat completions format
+ * Assistant turns may carry toolCalls and tool turns a toolCallId. Tool
+ * traffic the API would reject is dropped: results whose call isn't in the
+ * history (cut off by the context window) and calls without any results
+ * (the turn was interrupted before the tool ran).
+ */
+export function formatOpenAIMessages(messages) {
+  const answered = new Set(
+    messages.filter(message => message.role === 'tool').map(message => message.toolCallId)
+  );
+  const called = new Set();
+  const formatted = [];
+
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      if (called.has(message.toolCallId)) {
+        formatted.push({ role: 'tool', tool_call_id: message.toolCallId, content: message.content });
+      }
+      continue;
+    }
+
+    const toolCalls = (message.toolCalls || []).filter(call => answered.has(call.id));
+
+    if (message.role === 'assistant' && toolCalls.length > 0) {
+      toolCalls.forEach(call => called.add(call.id));
+      formatted.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+          }
+        }))
+      });
+    } else if (message.content || !message.toolCalls?.length) {
+      formatted.push({ role: message.role, content: message.content });
+    }
+  }
+
+  return formatted;
+}
+
+/**
+ * Tool definitions ({ name, description, parameters }) as request tools
+ */
+export function formatOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Merge streamed tool call fragments into calls, keyed by their index
+ */
+export function collectToolCallDeltas(calls, deltas = []) {
+  for (const delta of deltas) {
+    const call = calls[delta.index ?? 0] ||= { id: '', name: '', arguments: '' };
+
+    if (delta.id) {
+      call.id = delta.id;
+    }
+    if (delta.function?.name) {
+      call.name += delta.function.name;
+    }
+    if (delta.function?.arguments) {
+      call.arguments += delta.function.arguments;
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Finished tool calls with their arguments parsed; arguments that aren't
+ * valid JSON are left as the raw string for the tool registry to reject
+ */
+export function parseToolCalls(calls) {
+  return calls.filter(Boolean).map(call => {
+    let args = call.arguments;
+    try {
+      args = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch {
+      // Kept as a string
+    }
+
+    return { id: call.id, name: call.name, arguments: args };
+  });
+}
@@ -1,5 +1,6 @@
 import OpenAI from 'openai';
 import logger from '../../utils/logger.js';
+import { formatOpenAIMessages, formatOpenAITools, collectToolCallDeltas, parseToolCalls } from './openaiMessages.js';
 
 /**
  * OpenAI Service
@@ -15,6 +16,9 @@ export class OpenAIService {
       apiKey: process.env.OPENAI_API_KEY,
     });
 
+    // Capabilities that can't be told from the methods alone
+    this.capabilities = { tools: true };
+
     // Default models
     this.models = {
       chat: 'gpt-4o-mini',
@@ -88,11 +92,18 @@ export class OpenAIService {
         top_p: settings.topP,
         frequency_penalty: settings.frequencyPenalty,
         presence_penalty: settings.presencePenalty,
+        ...(options.tools?.length && { tools: formatOpenAITools(options.tools) }),
         stream: true
+      }, {
+        // Aborting closes the connection, so the provider stops generating
+        signal: options.signal
       });
 
+      const toolCalls = [];
+
       for await (const chunk of stream) {
         const choice = chunk.choices[0];
+        collectToolCallDeltas(toolCalls, choice?.delta?.tool_calls);
         
         if (choice?.delta?.content) {
           yield {
@@ -103,6 +114,16 @@ export class OpenAIService {
         }
       }
 
+      // Tool calls arrive in fragments and are only complete once the stream ends
+      if (toolCalls.length > 0) {
+        yield {
+          content: '',
+          toolCalls: parseToolCalls(toolCalls),
+          finishReason: 'tool_calls',
+          model: model
+        };
+      }
+
     } catch (error) {
       logger.error('OpenAI streamResponse error:', error);
       this.handleError(error);
@@ -167,10 +188,7 @@ export class OpenAIService {
    * Format messages for OpenAI API
    */
   formatMessages(messages) {
-    return messages.map(message => ({
-      role: message.role,
-      content: message.content
-    }));
+    return formatOpenAIMessages(messages);
   }
 
   /**
@@ -258,7 +276,7 @@ export class OpenAIService {
         throw new Error('Each message must have role and content');
       }
       
-      if (!['system', 'user', 'assistant'].includes(message.role)) {
+      if (!['system', 'user', 'assistant', 'tool'].includes(message.role)) {
         throw new Error('Invalid message role');
       }
     }
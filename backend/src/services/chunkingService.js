@@ -0,0 +1,330 @@
+import logger from '../utils/logger.js';
+
+// Page break emitted by the PDF extractor between pages
+const PAGE_BREAK = '\f';
+
+/**
+ * Character splitter: fixed-size windows that end on the best nearby separator
+ * This was the only strategy before strategies became selectable
+ */
+class CharacterChunker {
+  constructor() {
+    this.name = 'character';
+  }
+
+  split(text, options) {
+    return splitByCharacters(text, 0, text.length, options);
+  }
+}
+
+/**
+ * Markdown splitter: one section per heading, long sections split further
+ * Extractors render DOCX, HTML, CSV and JSON structure as Markdown headings
+ */
+class MarkdownChunker {
+  constructor() {
+    this.name = 'markdown';
+  }
+
+  split(text, options) {
+    const starts = findHeadings(text).map(heading => heading.start);
+    const boundaries = [...new Set([0, ...starts, text.length])];
+    const spans = [];
+
+    let sectionStart = 0;
+    for (let i = 1; i < boundaries.length; i++) {
+      const end = boundaries[i];
+
+      // A heading with no body of its own stays with the section that follows it
+      const body = text.slice(sectionStart, end).replace(/^#{1,6}[ \t].*$/gm, '').trim();
+      if (!body && end < text.length) {
+        continue;
+      }
+
+      spans.push(...splitByCharacters(text, sectionStart, end, options));
+      sectionStart = end;
+    }
+
+    return spans;
+  }
+}
+
+/**
+ * Page splitter: chunks never cross a PDF page break
+ */
+class PageChunker {
+  constructor() {
+    this.name = 'page';
+  }
+
+  split(text, options) {
+    const spans = [];
+    let pageStart = 0;
+
+    for (const pageEnd of [...findAll(text, PAGE_BREAK), text.length]) {
+      spans.push(...splitByCharacters(text, pageStart, pageEnd, options));
+      pageStart = pageEnd + 1;
+    }
+
+    return spans;
+  }
+}
+
+/**
+ * Sentence-window splitter: whole sentences packed up to the chunk size,
+ * with the last few sentences of each chunk repeated at the start of the next
+ */
+class SentenceChunker {
+  constructor() {
+    this.name = 'sentence';
+  }
+
+  split(text, options) {
+    const { maxChunkSize, sentenceOverlap } = options;
+    const sentences = [...text.matchAll(/[^.!?。！？\n]+(?:[.!?。！？]+["'”’)\]]*|\n+|$)/g)]
+      .map(match => ({ start: match.index, end: match.index + match[0].length }))
+      .filter(sentence => text.slice(sentence.start, sentence.end).trim());
+
+    const spans = [];
+    let first = 0;
+
+    while (first < sentences.length) {
+      let last = first;
+      while (last + 1 < sentences.length && sentences[last + 1].end - sentences[first].start <= maxChunkSize) {
+        last++;
+      }
+
+      // A single sentence longer than a chunk falls back to the character splitter
+      if (sentences[last].end - sentences[first].start > maxChunkSize) {
+        spans.push(...splitByCharacters(text, sentences[first].start, sentences[last].end, options));
+      } else {
+        spans.push({ start: sentences[first].start, end: sentences[last].end });
+      }
+
+      if (last === sentences.length - 1) break;
+      first = Math.max(first + 1, last + 1 - sentenceOverlap);
+    }
+
+    return spans;
+  }
+}
+
+/**
+ * Token splitter: windows of approximately maxTokens model tokens
+ * Latin words count one token per ~4 characters, each CJK character as one token
+ */
+class TokenChunker {
+  constructor() {
+    this.name = 'token';
+  }
+
+  split(text, options) {
+    const { maxTokens, tokenOverlap } = options;
+    const tokens = [...text.matchAll(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu)]
+      .map(match => ({ start: match.index, end: match.index + match[0].length, count: Math.ceil(match[0].length / 4) }));
+
+    const spans = [];
+    let first = 0;
+
+    while (first < tokens.length) {
+      let last = first;
+      let count = tokens[first].count;
+      while (last + 1 < tokens.length && count + tokens[last + 1].count <= maxTokens) {
+        count += tokens[++last].count;
+      }
+
+      spans.push({ start: tokens[first].start, end: tokens[last].end });
+      if (last === tokens.length - 1) break;
+
+      // Step back over roughly tokenOverlap tokens for the next window
+      let next = last + 1;
+      let overlap = 0;
+      while (next - 1 > first && overlap + tokens[next - 1].count <= tokenOverlap) {
+        overlap += tokens[--next].count;
+      }
+      first = next;
+    }
+
+    return spans;
+  }
+}
+
+/**
+ * Split text[from, to) into windows of at most maxChunkSize characters,
+ * preferring to break on separators in the second half of each window
+ */
+function splitByCharacters(text, from, to, options) {
+  const { maxChunkSize, chunkOverlap, separators } = options;
+  const spans = [];
+  let start = from;
+
+  while (start < to) {
+    let end = Math.min(start + maxChunkSize, to);
+
+    if (end < to) {
+      for (const separator of separators) {
+        const lastSeparator = text.lastIndexOf(separator, end - separator.length);
+        if (lastSeparator > start + maxChunkSize * 0.5) {
+          end = lastSeparator + separator.length;
+          break;
+        }
+      }
+    }
+
+    spans.push({ start, end });
+    if (end >= to) break;
+
+    start = Math.max(end - chunkOverlap, start + 1);
+  }
+
+  return spans;
+}
+
+function findAll(text, needle) {
+  const positions = [];
+  for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + 1)) {
+    positions.push(index);
+  }
+  return positions;
+}
+
+/**
+ * Markdown ATX headings outside fenced code blocks
+ */
+function findHeadings(text) {
+  const headings = [];
+  let inFence = false;
+
+  for (const match of text.matchAll(/^.*$/gm)) {
+    const line = match[0];
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+
+    const heading = !inFence && line.match(/^(#{1,6})[ \t]+(.+?)[ \t#]*$/);
+    if (heading) {
+      headings.push({ start: match.index, level: heading[1].length, title: heading[2] });
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * Chunking Service
+ * Splits document content with a selectable strategy and records where each
+ * chunk came from: character offsets into documents.content, the PDF page and
+ * the Markdown heading path
+ */
+export class ChunkingService {
+  constructor() {
+    this.strategies = new Map();
+    this.defaultStrategy = process.env.CHUNKING_STRATEGY || 'auto';
+    this.defaultOptions = {
+      maxChunkSize: parseInt(process.env.CHUNK_SIZE) || 1000,
+      chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 200,
+      separators: ['\n\n', '\n', '. ', '! ', '? ', '。', ' '],
+      sentenceOverlap: 1,
+      maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS) || 256,
+      tokenOverlap: 32
+    };
+
+    this.registerStrategy(new CharacterChunker());
+    this.registerStrategy(new MarkdownChunker());
+    this.registerStrategy(new PageChunker());
+    this.registerStrategy(new SentenceChunker());
+    this.registerStrategy(new TokenChunker());
+
+    logger.info(`Chunking service initialized (default: ${this.defaultStrategy})`);
+  }
+
+  /**
+   * Register a strategy implementing split(text, options) => [{ start, end }]
+   */
+  registerStrategy(strategy) {
+    this.strategies.set(strategy.name, strategy);
+  }
+
+  getAvailableStrategies() {
+    return ['auto', ...this.strategies.keys()];
+  }
+
+  isValidStrategy(name) {
+    return this.getAvailableStrategies().includes(name);
+  }
+
+  /**
+   * Pick a strategy from the content: pages for PDFs, sections for Markdown
+   */
+  resolveStrategy(text, name = this.defaultStrategy) {
+    if (name !== 'auto' && this.strategies.has(name)) {
+      return name;
+    }
+
+    if (name !== 'auto') {
+      logger.warn(`Unknown chunking strategy ${name}, choosing automatically`);
+    }
+
+    if (text.includes(PAGE_BREAK)) return 'page';
+    if (findHeadings(text).length > 0) return 'markdown';
+    return 'character';
+  }
+
+  /**
+   * Split text into chunks of { content, metadata }
+   * metadata: strategy, startIndex/endIndex into text, chunkSize, chunkIndex,
+   * page (when the text has page breaks) and headingPath
+   */
+  chunk(text, options = {}) {
+    const strategy = this.resolveStrategy(text, options.strategy || this.defaultStrategy);
+    const settings = { ...this.defaultOptions, ...options };
+
+    const pageBreaks = findAll(text, PAGE_BREAK);
+    const headings = findHeadings(text);
+    const chunks = [];
+
+    for (const span of this.strategies.get(strategy).split(text, settings)) {
+      const raw = text.slice(span.start, span.end);
+      const content = raw.trim();
+      if (!content) continue;
+
+      const startIndex = span.start + (raw.length - raw.trimStart().length);
+      const metadata = {
+        strategy,
+        startIndex,
+        endIndex: startIndex + content.length,
+        chunkSize: content.length,
+        chunkIndex: chunks.length,
+        headingPath: this.headingPathAt(headings, startIndex)
+      };
+
+      if (pageBreaks.length > 0) {
+        metadata.page = pageBreaks.filter(position => position < startIndex).length + 1;
+      }
+
+      chunks.push({ content, metadata });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Titles of the headings enclosing a position, outermost first
+   * A chunk that starts with a heading belongs to that heading's section
+   */
+  headingPathAt(headings, position) {
+    const path = [];
+
+    for (const heading of headings) {
+      if (heading.start > position) break;
+      path.length = Math.min(path.length, heading.level - 1);
+      path[heading.level - 1] = heading.title;
+    }
+
+    return path.filter(Boolean);
+  }
+}
+
+// Singleton instance
+export const chunkingService = new ChunkingService();
@@ -0,0 +1,77 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Citation Service
+ * Links numbered citation markers ([1], [2, 3]) in assistant answers to the
+ * document chunks that were supplied as RAG context
+ */
+export class CitationService {
+  constructor() {
+    // [1] or [1, 2]; markdown links like [1](url) are not citations
+    this.markerPattern = /\[(\d{1,3}(?:\s*,\s*\d{1,3})*)\](?!\()/g;
+  }
+
+  /**
+   * Find citation markers and check them against the supplied sources
+   * Offsets are character positions of the marker in the answer text
+   */
+  extractCitations(content, sources = []) {
+    const citations = [];
+    const invalid = [];
+
+    if (!content) {
+      return { citations, invalid };
+    }
+
+    for (const match of content.matchAll(this.markerPattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const markers = match[1].split(',').map(value => parseInt(value.trim()));
+
+      for (const marker of markers) {
+        const source = sources[marker - 1];
+
+        if (!source) {
+          invalid.push({ marker, start, end });
+          continue;
+        }
+
+        citations.push({
+          marker,
+          start,
+          end,
+          chunkId: source.chunkId,
+          documentId: source.documentId,
+          filename: source.filename,
+          chunkIndex: source.chunkIndex,
+          ...(source.page && { page: source.page })
+        });
+      }
+    }
+
+    if (invalid.length > 0) {
+      logger.warn(`Answer cited ${invalid.length} markers without a matching source: ${invalid.map(c => c.marker).join(', ')}`);
+    }
+
+    return { citations, invalid };
+  }
+
+  /**
+   * Citation metadata stored with an assistant message
+   */
+  buildCitationMetadata(content, ragContext) {
+    if (!ragContext?.sources?.length) {
+      return {};
+    }
+
+    const { citations, invalid } = this.extractCitations(content, ragContext.sources);
+
+    return {
+      citations,
+      invalidCitations: invalid
+    };
+  }
+}
+
+// Singleton instance
+export const citationService = new CitationService();
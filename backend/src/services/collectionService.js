@@ -0,0 +1,443 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Collection Service
+ * Named document collections shared between users with owner, editor and viewer roles.
+ * Viewers can read and search a collection's documents; editors can also add,
+ * remove, reprocess and delete them; owners can additionally manage members.
+ */
+export class CollectionService {
+  constructor() {
+    this.roles = ['owner', 'editor', 'viewer'];
+    this.roleRank = { viewer: 1, editor: 2, owner: 3 };
+  }
+
+  /**
+   * SQL condition matching documents the user can read: their own uploads plus
+   * documents in any collection they belong to. `param` is the user id placeholder.
+   */
+  readableDocumentCondition(param, alias = 'd') {
+    return `(${alias}.user_id = ${param} OR ${alias}.collection_id IN (
+      SELECT collection_id FROM collection_members WHERE user_id = ${param}
+    ))`;
+  }
+
+  /**
+   * SQL condition matching documents the user can modify: their own uploads plus
+   * documents in collections where they are an editor or owner
+   */
+  writableDocumentCondition(param, alias = 'd') {
+    return `(${alias}.user_id = ${param} OR ${alias}.collection_id IN (
+      SELECT collection_id FROM collection_members WHERE user_id = ${param} AND role IN ('owner', 'editor')
+    ))`;
+  }
+
+  /**
+   * Whether a role meets the required minimum role
+   */
+  hasRole(role, requiredRole) {
+    return (this.roleRank[role] || 0) >= this.roleRank[requiredRole];
+  }
+
+  /**
+   * Get a user's access to a document
+   * Returns { exists, canRead, canWrite }
+   */
+  async getDocumentAccess(documentId, userId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT d.user_id, cm.role
+        FROM documents d
+        LEFT JOIN collection_members cm ON cm.collection_id = d.collection_id AND cm.user_id = $2
+        WHERE d.id = $1
+      `, [documentId, userId]);
+
+      if (result.rows.length === 0) {
+        return { exists: false, canRead: false, canWrite: false };
+      }
+
+      const { user_id: ownerId, role } = result.rows[0];
+      const isUploader = ownerId === userId;
+
+      return {
+        exists: true,
+        canRead: isUploader || Boolean(role),
+        canWrite: isUploader || this.hasRole(role, 'editor')
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a user's role in a collection, or null if they are not a member
+   */
+  async getRole(collectionId, userId, client = null) {
+    const db = client || await pool.connect();
+
+    try {
+      const result = await db.query(
+        'SELECT role FROM collection_members WHERE collection_id = $1 AND user_id = $2',
+        [collectionId, userId]
+      );
+
+      return result.rows[0]?.role || null;
+
+    } finally {
+      if (!client) db.release();
+    }
+  }
+
+  /**
+   * Throw unless the user has at least the required role in the collection
+   */
+  async assertRole(collectionId, userId, requiredRole, client = null) {
+    const role = await this.getRole(collectionId, userId, client);
+
+    if (!role) {
+      throw new Error('Collection not found');
+    }
+
+    if (!this.hasRole(role, requiredRole)) {
+      throw new Error('Insufficient collection permissions');
+    }
+
+    return role;
+  }
+
+  /**
+   * Create a collection owned by the user
+   */
+  async createCollection(userId, { name, description = null }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO collections (name, description, created_by)
+        VALUES ($1, $2, $3)
+        RETURNING id, name, description, created_by, created_at, updated_at
+      `, [name, description, userId]);
+
+      const collection = result.rows[0];
+
+      await client.query(
+        'INSERT INTO collection_members (collection_id, user_id, role) VALUES ($1, $2, $3)',
+        [collection.id, userId, 'owner']
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Collection created: ${collection.id} by user: ${userId}`);
+
+      return { ...collection, role: 'owner', document_count: 0, member_count: 1 };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get collections the user belongs to
+   */
+  async getUserCollections(userId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT
+          c.id,
+          c.name,
+          c.description,
+          c.created_by,
+          c.created_at,
+          c.updated_at,
+          cm.role,
+          (SELECT COUNT(*) FROM documents d WHERE d.collection_id = c.id) as document_count,
+          (SELECT COUNT(*) FROM collection_members m WHERE m.collection_id = c.id) as member_count
+        FROM collections c
+        JOIN collection_members cm ON cm.collection_id = c.id AND cm.user_id = $1
+        ORDER BY c.name
+      `, [userId]);
+
+      return result.rows.map(row => ({
+        ...row,
+        document_count: parseInt(row.document_count),
+        member_count: parseInt(row.member_count)
+      }));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a collection with its members
+   */
+  async getCollection(collectionId, userId) {
+    const role = await this.assertRole(collectionId, userId, 'viewer');
+    const client = await pool.connect();
+
+    try {
+      const collectionResult = await client.query(
+        'SELECT id, name, description, created_by, created_at, updated_at FROM collections WHERE id = $1',
+        [collectionId]
+      );
+
+      return {
+        ...collectionResult.rows[0],
+        role,
+        members: await this.getMembers(collectionId, client)
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rename or describe a collection (editors and owners)
+   */
+  async updateCollection(collectionId, userId, { name, description }) {
+    await this.assertRole(collectionId, userId, 'editor');
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        UPDATE collections
+        SET name = COALESCE($2, name),
+            description = COALESCE($3, description),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, name, description, created_by, created_at, updated_at
+      `, [collectionId, name ?? null, description ?? null]);
+
+      return result.rows[0];
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a collection (owners only). Its documents stay with their uploaders.
+   */
+  async deleteCollection(collectionId, userId) {
+    await this.assertRole(collectionId, userId, 'owner');
+    const client = await pool.connect();
+
+    try {
+      await client.query('DELETE FROM collections WHERE id = $1', [collectionId]);
+      logger.info(`Collection deleted: ${collectionId} by user: ${userId}`);
+      return true;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List collection members
+   */
+  async getMembers(collectionId, client) {
+    const result = await client.query(`
+      SELECT u.id as user_id, u.email, u.name, cm.role, cm.created_at as added_at
+      FROM collection_members cm
+      JOIN users u ON u.id = cm.user_id
+      WHERE cm.collection_id = $1
+      ORDER BY cm.created_at
+    `, [collectionId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Share a collection with a user by email, or change their role (owners only)
+   */
+  async setMember(collectionId, userId, { email, role }) {
+    if (!this.roles.includes(role)) {
+      throw new Error('Invalid collection role');
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await this.assertRole(collectionId, userId, 'owner', client);
+
+      const userResult = await client.query(
+        'SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+        [email]
+      );
+
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const memberId = userResult.rows[0].id;
+
+      await client.query(`
+        INSERT INTO collection_members (collection_id, user_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (collection_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      `, [collectionId, memberId, role]);
+
+      await this.assertHasOwner(collectionId, client);
+      await client.query('COMMIT');
+
+      logger.info(`Collection ${collectionId} shared with ${memberId} as ${role}`);
+
+      return this.getMembers(collectionId, client);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove a member (owners only; any member may remove themselves)
+   */
+  async removeMember(collectionId, userId, memberId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (memberId !== userId) {
+        await this.assertRole(collectionId, userId, 'owner', client);
+      }
+
+      const result = await client.query(
+        'DELETE FROM collection_members WHERE collection_id = $1 AND user_id = $2',
+        [collectionId, memberId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Member not found');
+      }
+
+      await this.assertHasOwner(collectionId, client);
+      await client.query('COMMIT');
+
+      return this.getMembers(collectionId, client);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Every collection keeps at least one owner
+   */
+  async assertHasOwner(collectionId, client) {
+    const result = await client.query(
+      `SELECT COUNT(*) as owners FROM collection_members WHERE collection_id = $1 AND role = 'owner'`,
+      [collectionId]
+    );
+
+    if (parseInt(result.rows[0].owners) === 0) {
+      throw new Error('Collection must keep an owner');
+    }
+  }
+
+  /**
+   * Move documents into a collection, or out of any collection when collectionId is null.
+   * The user needs write access to each document and editor access to the target collection.
+   * Pass fromCollectionId to only move documents currently in that collection.
+   */
+  async moveDocuments(collectionId, userId, documentIds, options = {}) {
+    const { fromCollectionId = null } = options;
+    const client = await pool.connect();
+
+    try {
+      for (const id of [collectionId, fromCollectionId].filter(Boolean)) {
+        await this.assertRole(id, userId, 'editor', client);
+      }
+
+      const params = [userId, collectionId, documentIds];
+      let sourceCondition = '';
+
+      if (fromCollectionId) {
+        params.push(fromCollectionId);
+        sourceCondition = ` AND d.collection_id = $${params.length}`;
+      }
+
+      const result = await client.query(`
+        UPDATE documents d
+        SET collection_id = $2
+        WHERE d.id = ANY($3::uuid[]) AND ${this.writableDocumentCondition('$1')}${sourceCondition}
+        RETURNING d.id
+      `, params);
+
+      if (result.rows.length !== new Set(documentIds).size) {
+        throw new Error('Document not found');
+      }
+
+      logger.info(`Moved ${result.rows.length} documents to collection ${collectionId || 'none'}`);
+
+      return result.rows.map(row => row.id);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Initialize collection tables and the documents.collection_id column
+   */
+  async initialize() {
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS collections (
+            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS collection_members (
+            collection_id UUID REFERENCES collections(id) ON DELETE CASCADE,
+            user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+            role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (collection_id, user_id)
+          )
+        `);
+
+        await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS collection_id UUID REFERENCES collections(id) ON DELETE SET NULL');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_documents_collection_id ON documents(collection_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_collection_members_user_id ON collection_members(user_id)');
+
+        logger.info('Collection tables initialized');
+
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Initialize collection tables error:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const collectionService = new CollectionService();
@@ -33,8 +33,61 @@ Key guidelines:
     logger.info('Context service initialized');
   }
 
+  /**
+   * Upgrade databases created before tool calling and branching history:
+   * allow tool results and link existing messages into one linear branch
+   */
+  async initialize() {
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query(`
+          DO $$
+          BEGIN
+            IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'message_role') THEN
+              ALTER TYPE message_role ADD VALUE IF NOT EXISTS 'tool';
+            END IF;
+          END $$
+        `);
+
+        // Backfill parents only when the column is first added; later
+        // root messages are edits of a conversation's first prompt
+        await client.query(`
+          DO $$
+          BEGIN
+            IF NOT EXISTS (
+              SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'messages' AND column_name = 'parent_id'
+            ) THEN
+              ALTER TABLE messages ADD COLUMN parent_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+              UPDATE messages m
+              SET parent_id = ordered.previous_id
+              FROM (
+                SELECT id, LAG(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_id
+                FROM messages
+              ) ordered
+              WHERE m.id = ordered.id AND ordered.previous_id IS NOT NULL;
+            END IF;
+          END $$
+        `);
+        await client.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS active_message_id UUID REFERENCES messages(id) ON DELETE SET NULL');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(parent_id)');
+        logger.info('Message tables initialized');
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Initialize message tables error:', error);
+    }
+  }
+
   /**
    * Get conversation context with message history
+   * Messages are the branch ending at options.leafId, by default the
+   * conversation's active branch; a null leafId gives an empty history.
+   * With options.includeBranches each message carries the ids of its
+   * siblings, the alternatives from edits and regenerations.
    */
   async getConversationContext(conversationId, options = {}) {
     const client = await pool.connect();
@@ -58,18 +111,38 @@ Key guidelines:
 
       const conversation = conversationResult.rows[0];
 
-      // Get message history
-      const messagesQuery = `
-        SELECT id, role, content, metadata, token_count, created_at
-        FROM messages
-        WHERE conversation_id = $1
-        ORDER BY created_at DESC
-        LIMIT $2
-      `;
-      const messagesResult = await client.query(messagesQuery, [conversationId, limit]);
-      
-      // Reverse to get chronological order
-      const messages = messagesResult.rows.reverse();
+      // Walk up from the leaf; conversations without an active message
+      // yet end at their latest one
+      const leafId = options.leafId !== undefined ? options.leafId : conversation.active_message_id;
+      let messages = [];
+
+      if (options.leafId !== null) {
+        const messagesQuery = `
+          WITH RECURSIVE branch AS (
+            SELECT m.*, 0 AS depth
+            FROM messages m
+            WHERE m.conversation_id = $1
+            AND m.id = COALESCE($2::uuid, (
+              SELECT id FROM messages WHERE conversation_id = $1 ORDER BY created_at DESC LIMIT 1
+            ))
+            UNION ALL
+            SELECT m.*, branch.depth + 1
+            FROM messages m
+            JOIN branch ON m.id = branch.parent_id
+            WHERE branch.depth + 1 < $3
+          )
+          SELECT b.id, b.parent_id, b.role, b.content, b.metadata, b.token_count, b.created_at
+          ${options.includeBranches ? `, (
+            SELECT array_agg(s.id ORDER BY s.created_at, s.id)
+            FROM messages s
+            WHERE s.conversation_id = $1 AND s.parent_id IS NOT DISTINCT FROM b.parent_id
+          ) AS sibling_ids` : ''}
+          FROM branch b
+          ORDER BY b.depth DESC
+        `;
+        const messagesResult = await client.query(messagesQuery, [conversationId, leafId || null, limit]);
+        messages = messagesResult.rows;
+      }
 
       // Add system message if not present and requested
       if (includeSystem && (messages.length === 0 || messages[0].role !== 'system')) {
@@ -98,6 +171,8 @@ Key guidelines:
 
   /**
    * Build context for AI request with token management
+   * options.leafId picks the branch the new message follows (see
+   * getConversationContext)
    */
   async buildAIContext(conversationId, newMessage, options = {}) {
     try {
@@ -108,17 +183,19 @@ Key guidelines:
 
       // Get conversation context
       const context = await this.getConversationContext(conversationId, {
-        messageLimit: options.messageLimit || 100
+        messageLimit: options.messageLimit || 100,
+        leafId: options.leafId
       });
 
-      // Add new user message
-      const userMessage = {
-        role: 'user',
-        content: newMessage,
-        token_count: this.estimateTokens(newMessage)
-      };
-
-      const messages = [...context.messages, userMessage];
+      // Add new user message; regenerating a reply has none
+      const messages = [...context.messages];
+      if (newMessage !== null) {
+        messages.push({
+          role: 'user',
+          content: newMessage,
+          token_count: this.estimateTokens(newMessage)
+        });
+      }
       
       // Optimize context to fit within token limits
       const optimizedMessages = this.optimizeContext(messages, availableTokens);
@@ -136,6 +213,19 @@ Key guidelines:
     }
   }
 
+  /**
+   * Messages in the form AI providers take, keeping the tool calls of
+   * assistant turns and which call each tool result answers
+   */
+  formatForAI(messages) {
+    return messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      ...(message.metadata?.toolCalls && { toolCalls: message.metadata.toolCalls }),
+      ...(message.role === 'tool' && { toolCallId: message.metadata?.toolCallId, name: message.metadata?.name })
+    }));
+  }
+
   /**
    * Optimize context to fit within token limits
    */
@@ -182,37 +272,44 @@ Key guidelines:
 
   /**
    * Save message to database
+   * The message follows options.parentId (null for a new root), by default
+   * the end of the active branch, and becomes the end of the active branch
    */
-  async saveMessage(conversationId, role, content, metadata = {}) {
+  async saveMessage(conversationId, role, content, metadata = {}, options = {}) {
     const client = await pool.connect();
     
     try {
       const tokenCount = this.estimateTokens(content);
+      const parentId = options.parentId !== undefined
+        ? options.parentId
+        : await this.getActiveMessageId(client, conversationId);
       
       const query = `
-        INSERT INTO messages (conversation_id, role, content, metadata, token_count)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO messages (conversation_id, parent_id, role, content, metadata, token_count)
+        VALUES ($1, $2, $3, $4, $5, $6)
         RETURNING id, created_at
       `;
       
       const result = await client.query(query, [
         conversationId,
+        parentId,
         role,
         content,
         JSON.stringify(metadata),
         tokenCount
       ]);
 
-      // Update conversation timestamp
+      // Update conversation timestamp and active branch
       await client.query(
-        'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-        [conversationId]
+        'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP, active_message_id = $2 WHERE id = $1',
+        [conversationId, result.rows[0].id]
       );
 
       logger.info(`Message saved: ${role} in conversation ${conversationId}`);
       
       return {
         id: result.rows[0].id,
+        parent_id: parentId,
         created_at: result.rows[0].created_at,
         token_count: tokenCount
       };
@@ -225,6 +322,118 @@ Key guidelines:
     }
   }
 
+  /**
+   * Last message of the conversation's active branch, or its latest
+   * message when no branch has been chosen yet
+   */
+  async getActiveMessageId(client, conversationId) {
+    const result = await client.query(`
+      SELECT COALESCE(c.active_message_id, (
+        SELECT m.id FROM messages m
+        WHERE m.conversation_id = c.id
+        ORDER BY m.created_at DESC
+        LIMIT 1
+      )) AS id
+      FROM conversations c
+      WHERE c.id = $1
+    `, [conversationId]);
+
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Get a message with the id of the user owning its conversation
+   */
+  async getMessage(messageId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT m.id, m.conversation_id, m.parent_id, m.role, m.content, m.metadata, m.created_at, c.user_id
+        FROM messages m
+        JOIN conversations c ON m.conversation_id = c.id
+        WHERE m.id = $1
+      `, [messageId]);
+
+      return result.rows[0] || null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * The user message an assistant reply answers: its closest user ancestor,
+   * past any tool-calling turns in between
+   */
+  async getPromptMessage(messageId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        WITH RECURSIVE ancestors AS (
+          SELECT id, parent_id, role, 0 AS depth FROM messages WHERE id = $1
+          UNION ALL
+          SELECT m.id, m.parent_id, m.role, ancestors.depth + 1
+          FROM messages m
+          JOIN ancestors ON m.id = ancestors.parent_id
+          WHERE ancestors.role <> 'user'
+        )
+        SELECT id, parent_id FROM ancestors
+        WHERE role = 'user'
+        ORDER BY depth
+        LIMIT 1
+      `, [messageId]);
+
+      return result.rows[0] || null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Make the branch through a message active, continuing to its most
+   * recent descendant; returns the new end of the active branch
+   */
+  async switchBranch(conversationId, messageId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        WITH RECURSIVE descendants AS (
+          SELECT id, created_at FROM messages WHERE id = $2 AND conversation_id = $1
+          UNION ALL
+          SELECT m.id, m.created_at
+          FROM messages m
+          JOIN descendants ON m.parent_id = descendants.id
+        )
+        SELECT id FROM descendants
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [conversationId, messageId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Message not found');
+      }
+
+      const leafId = result.rows[0].id;
+      await client.query(
+        'UPDATE conversations SET active_message_id = $2 WHERE id = $1',
+        [conversationId, leafId]
+      );
+
+      logger.info(`Active branch of conversation ${conversationId} switched to ${leafId}`);
+      return leafId;
+
+    } catch (error) {
+      logger.error('Error switching branch:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Create new conversation
    */
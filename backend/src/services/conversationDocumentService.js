@@ -0,0 +1,313 @@
+import pool from '../config/database.js';
+import { collectionService } from './collectionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Conversation Document Service
+ * Manages which documents a conversation's RAG retrieval is limited to:
+ * single documents, and collections whose documents are all in scope.
+ * A conversation with neither searches all of the user's documents.
+ */
+export class ConversationDocumentService {
+  /**
+   * Get documents in scope for a conversation
+   */
+  async getScopedDocuments(conversationId) {
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        SELECT
+          d.id,
+          d.filename,
+          d.original_filename,
+          d.file_type,
+          d.is_processed,
+          cd.created_at as added_at
+        FROM conversation_documents cd
+        JOIN documents d ON cd.document_id = d.id
+        WHERE cd.conversation_id = $1
+        ORDER BY cd.created_at
+      `;
+
+      const result = await client.query(query, [conversationId]);
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get collections in scope for a conversation
+   */
+  async getScopedCollections(conversationId) {
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        SELECT
+          c.id,
+          c.name,
+          COUNT(d.id)::int as document_count,
+          cc.created_at as added_at
+        FROM conversation_collections cc
+        JOIN collections c ON cc.collection_id = c.id
+        LEFT JOIN documents d ON d.collection_id = c.id
+        WHERE cc.conversation_id = $1
+        GROUP BY c.id, c.name, cc.created_at
+        ORDER BY cc.created_at
+      `;
+
+      const result = await client.query(query, [conversationId]);
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the conversation's scope as returned to the client
+   */
+  async getScope(conversationId) {
+    const [documents, collections] = await Promise.all([
+      this.getScopedDocuments(conversationId),
+      this.getScopedCollections(conversationId)
+    ]);
+
+    return { documents, collections, scoped: documents.length > 0 || collections.length > 0 };
+  }
+
+  /**
+   * Get ids of documents in scope, or null when retrieval is unrestricted
+   * Collections resolve to the documents in them the user can still read,
+   * so a scope of empty collections is an empty list
+   */
+  async getScopedDocumentIds(conversationId, userId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT document_id FROM conversation_documents WHERE conversation_id = $1
+        UNION ALL
+        SELECT d.id AS document_id
+        FROM conversation_collections cc
+        LEFT JOIN documents d ON d.collection_id = cc.collection_id
+          AND ${collectionService.readableDocumentCondition('$2')}
+        WHERE cc.conversation_id = $1
+      `, [conversationId, userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return [...new Set(result.rows.map(row => row.document_id).filter(Boolean))];
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace the conversation's document and collection scope
+   */
+  async setScopedDocuments(conversationId, userId, documentIds, collectionIds = []) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await this.assertDocumentsReadable(client, userId, documentIds);
+      await this.assertCollectionsReadable(client, userId, collectionIds);
+
+      await client.query('DELETE FROM conversation_documents WHERE conversation_id = $1', [conversationId]);
+      await client.query('DELETE FROM conversation_collections WHERE conversation_id = $1', [conversationId]);
+      await this.insertLinks(client, conversationId, documentIds);
+      await this.insertCollectionLinks(client, conversationId, collectionIds);
+
+      await client.query('COMMIT');
+
+      logger.info(`Conversation ${conversationId} scoped to ${documentIds.length} documents and ${collectionIds.length} collections`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getScope(conversationId);
+  }
+
+  /**
+   * Add documents and collections to the conversation's scope
+   */
+  async addDocuments(conversationId, userId, documentIds, collectionIds = []) {
+    const client = await pool.connect();
+
+    try {
+      await this.assertDocumentsReadable(client, userId, documentIds);
+      await this.assertCollectionsReadable(client, userId, collectionIds);
+      await this.insertLinks(client, conversationId, documentIds);
+      await this.insertCollectionLinks(client, conversationId, collectionIds);
+    } finally {
+      client.release();
+    }
+
+    return this.getScope(conversationId);
+  }
+
+  /**
+   * Remove a document from the conversation's scope
+   */
+  async removeDocument(conversationId, documentId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'DELETE FROM conversation_documents WHERE conversation_id = $1 AND document_id = $2',
+        [conversationId, documentId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Document not in conversation scope');
+      }
+
+    } finally {
+      client.release();
+    }
+
+    return this.getScope(conversationId);
+  }
+
+  /**
+   * Remove a collection from the conversation's scope
+   */
+  async removeCollection(conversationId, collectionId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'DELETE FROM conversation_collections WHERE conversation_id = $1 AND collection_id = $2',
+        [conversationId, collectionId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Collection not in conversation scope');
+      }
+
+    } finally {
+      client.release();
+    }
+
+    return this.getScope(conversationId);
+  }
+
+  /**
+   * Throw unless the user can read every document, directly or through a collection
+   */
+  async assertDocumentsReadable(client, userId, documentIds) {
+    if (documentIds.length === 0) return;
+
+    const result = await client.query(
+      `SELECT id FROM documents d WHERE ${collectionService.readableDocumentCondition('$1')} AND d.id = ANY($2::uuid[])`,
+      [userId, documentIds]
+    );
+
+    if (result.rows.length !== new Set(documentIds).size) {
+      throw new Error('Document not found');
+    }
+  }
+
+  /**
+   * Throw unless the user is a member of every collection
+   */
+  async assertCollectionsReadable(client, userId, collectionIds) {
+    if (collectionIds.length === 0) return;
+
+    const result = await client.query(
+      'SELECT collection_id FROM collection_members WHERE user_id = $1 AND collection_id = ANY($2::uuid[])',
+      [userId, collectionIds]
+    );
+
+    if (result.rows.length !== new Set(collectionIds).size) {
+      throw new Error('Collection not found');
+    }
+  }
+
+  /**
+   * Link documents, ignoring ones already linked
+   */
+  async insertLinks(client, conversationId, documentIds) {
+    if (documentIds.length === 0) return;
+
+    await client.query(`
+      INSERT INTO conversation_documents (conversation_id, document_id)
+      SELECT $1, unnest($2::uuid[])
+      ON CONFLICT (conversation_id, document_id) DO NOTHING
+    `, [conversationId, [...new Set(documentIds)]]);
+  }
+
+  /**
+   * Link collections, ignoring ones already linked
+   */
+  async insertCollectionLinks(client, conversationId, collectionIds) {
+    if (collectionIds.length === 0) return;
+
+    await client.query(`
+      INSERT INTO conversation_collections (conversation_id, collection_id)
+      SELECT $1, unnest($2::uuid[])
+      ON CONFLICT (conversation_id, collection_id) DO NOTHING
+    `, [conversationId, [...new Set(collectionIds)]]);
+  }
+
+  /**
+   * Initialize conversation scope tables
+   */
+  async initializeTables() {
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS conversation_documents (
+            conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+            document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (conversation_id, document_id)
+          )
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS idx_conversation_documents_document_id ON conversation_documents(document_id)');
+
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS conversation_collections (
+            conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+            collection_id UUID REFERENCES collections(id) ON DELETE CASCADE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (conversation_id, collection_id)
+          )
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS idx_conversation_collections_collection_id ON conversation_collections(collection_id)');
+
+        logger.info('Conversation document tables initialized');
+
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      if (process.env.NODE_ENV === 'development') {
+        logger.info('Database unavailable in development mode, conversation document scoping disabled');
+      } else {
+        logger.error('Initialize conversation document tables error:', error);
+      }
+    }
+  }
+}
+
+// Singleton instance
+export const conversationDocumentService = new ConversationDocumentService();
+
+// Initialize tables on startup
+conversationDocumentService.initializeTables();
@@ -0,0 +1,265 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Wrap matches in characters that can't survive HTML escaping of the
+// snippets, and turn them into <mark> tags afterwards
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+/**
+ * Conversation Search Service
+ * Full-text search over the titles and messages of a user's conversations,
+ * with highlighted snippets pointing at the matching messages
+ */
+export class ConversationSearchService {
+  constructor() {
+    this.defaultOptions = {
+      limit: 20,
+      offset: 0,
+      messagesPerConversation: 3
+    };
+
+    this.roles = ['user', 'assistant'];
+
+    this.snippetOptions = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MinWords=8, MaxWords=24, MaxFragments=2, FragmentDelimiter=" … "`;
+    this.titleOptions = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+  }
+
+  /**
+   * Ensure the full-text indexes used by conversation search exist
+   */
+  async initialize() {
+    const client = await pool.connect();
+    try {
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_messages_content_fts
+        ON messages USING gin (to_tsvector('simple', content))
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_conversations_title_fts
+        ON conversations USING gin (to_tsvector('simple', COALESCE(title, '')))
+      `);
+      logger.info('Conversation search full-text indexes ready');
+    } catch (error) {
+      logger.error('Failed to create conversation search indexes:', error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Search the user's conversations, best matches first
+   * options: role, from, to, archived, limit, offset
+   * Role and date filters apply to messages, so with either set only
+   * conversations with matching messages are returned
+   */
+  async search(queryText, userId, options = {}) {
+    const searchOptions = { ...this.defaultOptions, ...this.stripUndefined(options) };
+    const { limit, offset } = searchOptions;
+    const tsQuery = this.buildQuery(queryText);
+
+    if (!tsQuery) {
+      return { results: [], pagination: { limit, offset, total: 0 } };
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const params = [userId, tsQuery, this.titleOptions];
+      const messageConditions = this.messageConditions(searchOptions, params);
+
+      let conversationConditions = 'c.user_id = $1';
+      if (typeof searchOptions.archived === 'boolean') {
+        params.push(searchOptions.archived);
+        conversationConditions += ` AND c.is_archived = $${params.length}`;
+      }
+
+      const titlesMatch = !searchOptions.role && !searchOptions.from && !searchOptions.to;
+
+      params.push(limit, offset);
+
+      const conversationsResult = await client.query(`
+        WITH matches AS (
+          SELECT
+            c.id,
+            c.title,
+            c.is_archived,
+            c.updated_at,
+            to_tsvector('simple', COALESCE(c.title, '')) @@ q.query AS title_match,
+            COALESCE(hits.match_count, 0) AS match_count,
+            COALESCE(hits.rank, 0) AS rank
+          FROM conversations c
+          CROSS JOIN to_tsquery('simple', $2) AS q(query)
+          LEFT JOIN LATERAL (
+            SELECT
+              COUNT(*)::int AS match_count,
+              MAX(ts_rank_cd(to_tsvector('simple', m.content), q.query)) AS rank
+            FROM messages m
+            WHERE m.conversation_id = c.id
+              AND ${messageConditions}
+              AND to_tsvector('simple', m.content) @@ q.query
+          ) hits ON true
+          WHERE ${conversationConditions}
+        )
+        SELECT
+          id,
+          title,
+          ts_headline('simple', COALESCE(title, ''), to_tsquery('simple', $2), $3) AS title_highlight,
+          is_archived,
+          updated_at,
+          title_match,
+          match_count,
+          COUNT(*) OVER () AS total
+        FROM matches
+        WHERE match_count > 0 ${titlesMatch ? 'OR title_match' : ''}
+        ORDER BY title_match::int + rank DESC, updated_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `, params);
+
+      const conversations = conversationsResult.rows;
+      const total = conversations.length > 0 ? parseInt(conversations[0].total) : 0;
+      const messagesByConversation = await this.findMatchingMessages(
+        client,
+        conversations.filter(conversation => conversation.match_count > 0).map(conversation => conversation.id),
+        tsQuery,
+        searchOptions
+      );
+
+      const results = conversations.map(conversation => ({
+        id: conversation.id,
+        title: conversation.title,
+        title_highlight: this.highlight(conversation.title_highlight),
+        title_match: conversation.title_match,
+        is_archived: conversation.is_archived,
+        updated_at: conversation.updated_at,
+        match_count: conversation.match_count,
+        matches: messagesByConversation.get(conversation.id) || []
+      }));
+
+      logger.info(`Conversation search returned ${results.length} of ${total} conversations for user ${userId}`);
+
+      return { results, pagination: { limit, offset, total } };
+
+    } catch (error) {
+      logger.error('Error searching conversations:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Best matching messages of each conversation, with snippets
+   */
+  async findMatchingMessages(client, conversationIds, tsQuery, searchOptions) {
+    const messagesByConversation = new Map();
+    if (conversationIds.length === 0) {
+      return messagesByConversation;
+    }
+
+    const params = [conversationIds, tsQuery, this.snippetOptions];
+    const messageConditions = this.messageConditions(searchOptions, params);
+    params.push(searchOptions.messagesPerConversation);
+
+    const result = await client.query(`
+      SELECT
+        id,
+        conversation_id,
+        role,
+        created_at,
+        ts_headline('simple', content, to_tsquery('simple', $2), $3) AS snippet
+      FROM (
+        SELECT
+          m.id,
+          m.conversation_id,
+          m.role,
+          m.content,
+          m.created_at,
+          ROW_NUMBER() OVER (
+            PARTITION BY m.conversation_id
+            ORDER BY ts_rank_cd(to_tsvector('simple', m.content), q.query) DESC, m.created_at DESC
+          ) AS position
+        FROM messages m
+        CROSS JOIN to_tsquery('simple', $2) AS q(query)
+        WHERE m.conversation_id = ANY($1)
+          AND ${messageConditions}
+          AND to_tsvector('simple', m.content) @@ q.query
+      ) ranked
+      WHERE position <= $${params.length}
+      ORDER BY conversation_id, position
+    `, params);
+
+    for (const row of result.rows) {
+      const matches = messagesByConversation.get(row.conversation_id) || [];
+      matches.push({
+        id: row.id,
+        role: row.role,
+        created_at: row.created_at,
+        snippet: this.highlight(row.snippet),
+        anchor: `message-${row.id}`
+      });
+      messagesByConversation.set(row.conversation_id, matches);
+    }
+
+    return messagesByConversation;
+  }
+
+  /**
+   * Conditions on the messages aliased m, adding their values to params
+   */
+  messageConditions({ role, from, to }, params) {
+    const conditions = [`m.role IN (${this.roles.map(value => `'${value}'`).join(', ')})`];
+
+    if (role) {
+      params.push(role);
+      conditions.push(`m.role = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`m.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`m.created_at <= $${params.length}`);
+    }
+
+    return conditions.join(' AND ');
+  }
+
+  /**
+   * Every term has to match, as a prefix so results show up while a word
+   * is still being typed
+   */
+  buildQuery(queryText) {
+    const terms = (queryText || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}][\p{L}\p{N}_.-]*/gu) || [];
+
+    return [...new Set(terms.map(term => term.replace(/[.-]+$/, '')))]
+      .filter(term => term.length > 1)
+      .slice(0, 16)
+      .map(term => `'${term}':*`)
+      .join(' & ');
+  }
+
+  /**
+   * Escape a ts_headline result for HTML and mark its matches
+   */
+  highlight(text) {
+    return (text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replaceAll(MATCH_START, '<mark>')
+      .replaceAll(MATCH_END, '</mark>');
+  }
+
+  stripUndefined(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+}
+
+// Singleton instance
+export const conversationSearchService = new ConversationSearchService();
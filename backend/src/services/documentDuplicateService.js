@@ -0,0 +1,171 @@
+import pool from '../config/database.js';
+import { collectionService } from './collectionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Document Duplicate Service
+ * Catches uploads that repeat a document the user can already read: exact
+ * copies by content hash, near-copies by MinHash estimated Jaccard similarity
+ * over word shingles
+ */
+export class DocumentDuplicateService {
+  constructor() {
+    this.numHashes = 64;
+    this.shingleSize = 5;
+    this.threshold = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD ?? '0.8');
+    this.maxResults = 5;
+    this.backfillBatchSize = 100;
+
+    // What the user can do with an upload that duplicates an existing document
+    this.actions = ['link', 'replace', 'keep'];
+
+    // One fixed seed per hash function so signatures stay comparable across restarts
+    this.seeds = Array.from({ length: this.numHashes }, (_, i) => fmix32(0x9e3779b9 * (i + 1)));
+  }
+
+  isValidAction(action) {
+    return this.actions.includes(action);
+  }
+
+  /**
+   * MinHash signature of the text: for each seed, the smallest hash of any shingle
+   */
+  computeSignature(content) {
+    const tokens = content.toLowerCase()
+      .match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}]+/gu) || [];
+
+    const size = Math.min(this.shingleSize, tokens.length);
+    const signature = new Array(this.numHashes).fill(0x7fffffff);
+
+    for (let i = 0; i + size <= tokens.length && size > 0; i++) {
+      const shingle = fnv1a(tokens.slice(i, i + size).join(' '));
+      for (let j = 0; j < this.numHashes; j++) {
+        const hash = fmix32(shingle ^ this.seeds[j]);
+        if (hash < signature[j]) signature[j] = hash;
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity: the share of signature slots that agree
+   */
+  estimateSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * Readable documents whose latest version matches the content exactly or
+   * is at least `threshold` similar, best matches first
+   */
+  async findDuplicates(userId, { contentHash, signature }, client) {
+    const result = await client.query(`
+      SELECT
+        d.id,
+        d.original_filename,
+        d.collection_id,
+        c.name AS collection_name,
+        d.current_version,
+        d.created_at,
+        d.minhash,
+        v.content_hash,
+        ${collectionService.writableDocumentCondition('$1')} AS can_edit
+      FROM documents d
+      LEFT JOIN document_versions v ON v.document_id = d.id AND v.version_number = d.current_version
+      LEFT JOIN collections c ON c.id = d.collection_id
+      WHERE ${collectionService.readableDocumentCondition('$1')}
+        AND (v.content_hash = $2 OR d.minhash IS NOT NULL)
+    `, [userId, contentHash]);
+
+    return result.rows
+      .map(row => {
+        const exact = row.content_hash === contentHash;
+        return {
+          id: row.id,
+          originalFilename: row.original_filename,
+          collectionId: row.collection_id,
+          collectionName: row.collection_name,
+          version: row.current_version,
+          createdAt: row.created_at,
+          canEdit: row.can_edit,
+          exact,
+          similarity: exact ? 1 : this.estimateSimilarity(signature, row.minhash)
+        };
+      })
+      .filter(duplicate => duplicate.similarity >= this.threshold)
+      .sort((a, b) => (b.exact - a.exact) || (b.similarity - a.similarity))
+      .slice(0, this.maxResults);
+  }
+
+  async saveSignature(documentId, signature, client) {
+    await client.query('UPDATE documents SET minhash = $2 WHERE id = $1', [documentId, signature]);
+  }
+
+  /**
+   * Add the signature column and sign documents uploaded before duplicate detection
+   */
+  async initialize() {
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS minhash INTEGER[]');
+
+        let signed = 0;
+        for (;;) {
+          const result = await client.query(
+            'SELECT id, content FROM documents WHERE minhash IS NULL LIMIT $1',
+            [this.backfillBatchSize]
+          );
+          if (result.rows.length === 0) break;
+
+          for (const row of result.rows) {
+            await this.saveSignature(row.id, this.computeSignature(row.content || ''), client);
+          }
+          signed += result.rows.length;
+        }
+
+        logger.info(`Document duplicate detection initialized (${signed} documents signed)`);
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Initialize duplicate detection error:', error);
+    }
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
+
+/**
+ * MurmurHash3 finalizer, used to derive independent hash functions from one hash
+ * Returns a signed 32-bit integer so signatures fit an INTEGER[] column
+ */
+function fmix32(value) {
+  let hash = value | 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash | 0;
+}
+
+// Singleton instance
+export const documentDuplicateService = new DocumentDuplicateService();
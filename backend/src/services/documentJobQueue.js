@@ -0,0 +1,389 @@
+import pool from '../config/database.js';
+import { realtimeService } from './realtimeService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Document Job Queue
+ * Durable Postgres-backed queue for document chunking and embedding.
+ * Jobs survive restarts, report progress and retry with exponential backoff.
+ */
+export class DocumentJobQueue {
+  constructor() {
+    this.config = {
+      pollInterval: parseInt(process.env.DOCUMENT_JOB_POLL_INTERVAL_MS) || 2000,
+      concurrency: parseInt(process.env.DOCUMENT_JOB_CONCURRENCY) || 1,
+      maxAttempts: parseInt(process.env.DOCUMENT_JOB_MAX_ATTEMPTS) || 3,
+      retryBaseDelay: parseInt(process.env.DOCUMENT_JOB_RETRY_DELAY_MS) || 30000,
+      staleAfter: parseInt(process.env.DOCUMENT_JOB_STALE_AFTER_MS) || 10 * 60 * 1000
+    };
+
+    this.pollTimer = null;
+    this.activeJobs = 0;
+    this.polling = false;
+  }
+
+  /**
+   * Create tables, requeue interrupted jobs and start polling
+   */
+  async initialize() {
+    try {
+      await this.initializeTables();
+      await this.recoverStaleJobs();
+      this.start();
+      logger.info('Document job queue initialized');
+    } catch (error) {
+      logger.error('Failed to initialize document job queue:', error);
+    }
+  }
+
+  /**
+   * Initialize job table
+   */
+  async initializeTables() {
+    const client = await pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_jobs (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+          user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          progress INTEGER NOT NULL DEFAULT 0,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 3,
+          last_error TEXT,
+          options JSONB DEFAULT '{}',
+          run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          locked_at TIMESTAMP,
+          completed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query('CREATE INDEX IF NOT EXISTS idx_document_jobs_status_run_at ON document_jobs(status, run_at)');
+      await client.query('CREATE INDEX IF NOT EXISTS idx_document_jobs_document_id ON document_jobs(document_id, created_at DESC)');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add a processing job for a document
+   * Pass the caller's client to enqueue inside its transaction
+   */
+  async enqueue(documentId, userId, options = {}, client = null) {
+    const shouldReleaseClient = !client;
+    if (!client) {
+      client = await pool.connect();
+    }
+
+    try {
+      const result = await client.query(`
+        INSERT INTO document_jobs (document_id, user_id, max_attempts, options)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, status, progress, created_at
+      `, [documentId, userId, this.config.maxAttempts, JSON.stringify(options)]);
+
+      logger.info(`Queued processing job ${result.rows[0].id} for document: ${documentId}`);
+      return result.rows[0];
+
+    } finally {
+      if (shouldReleaseClient) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Document job poll failed:', error);
+      });
+    }, this.config.pollInterval);
+
+    logger.info(`Document job queue polling every ${this.config.pollInterval}ms`);
+  }
+
+  /**
+   * Stop polling for jobs
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Document job queue stopped');
+    }
+  }
+
+  /**
+   * Requeue stale jobs, then claim and run jobs while there is spare capacity
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      // Jobs a restarted server was running stop sending heartbeats and are
+      // picked up here once their lock goes stale
+      await this.recoverStaleJobs();
+
+      while (this.activeJobs < this.config.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        this.activeJobs++;
+        this.runJob(job)
+          .catch(error => logger.error(`Document job ${job.id} crashed:`, error))
+          .finally(() => {
+            this.activeJobs--;
+          });
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due job
+   */
+  async claimNextJob() {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        UPDATE document_jobs
+        SET status = 'chunking',
+            attempts = attempts + 1,
+            locked_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM document_jobs
+          WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+          ORDER BY run_at
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        RETURNING *
+      `);
+
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run a claimed job through chunking and embedding
+   */
+  async runJob(job) {
+    // Imported lazily to avoid a circular dependency with the document service
+    const { documentService } = await import('./documentService.js');
+
+    logger.info(`Running document job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    try {
+      const content = await this.getDocumentContent(job.document_id, job.options?.version);
+      if (content === null) {
+        // Document was deleted while queued
+        await this.updateJob(job.id, { status: 'failed', last_error: 'Document not found' });
+        return;
+      }
+
+      // Progress updates refresh locked_at as the job's heartbeat
+      await documentService.processDocumentAsync(job.document_id, content, {
+        ...job.options,
+        onStage: async (stage) => {
+          await this.updateJob(job.id, {
+            status: stage,
+            progress: stage === 'chunking' ? 5 : 10,
+            locked_at: new Date()
+          });
+        },
+        onProgress: async ({ embedded, total }) => {
+          // Embedding covers 10-95%, saving the chunks takes the rest
+          const progress = 10 + Math.floor((embedded / Math.max(total, 1)) * 85);
+          await this.updateJob(job.id, { progress, locked_at: new Date() });
+        }
+      });
+
+      await this.updateJob(job.id, {
+        status: 'done',
+        progress: 100,
+        last_error: null,
+        completed_at: new Date()
+      });
+
+      logger.info(`Document job ${job.id} completed`);
+      this.notifyFinished(job, 'done');
+
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  /**
+   * Requeue with backoff or mark the job as failed
+   */
+  async handleFailure(job, error) {
+    if (job.attempts < job.max_attempts) {
+      const delay = this.config.retryBaseDelay * Math.pow(2, job.attempts - 1);
+
+      await this.updateJob(job.id, {
+        status: 'queued',
+        progress: 0,
+        last_error: error.message,
+        run_at: new Date(Date.now() + delay),
+        locked_at: null
+      });
+
+      logger.warn(`Document job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay}ms:`, error.message);
+    } else {
+      await this.updateJob(job.id, {
+        status: 'failed',
+        last_error: error.message,
+        locked_at: null
+      });
+
+      logger.error(`Document job ${job.id} failed permanently:`, error);
+      this.notifyFinished(job, 'failed', error.message);
+    }
+  }
+
+  /**
+   * Tell the owner's open tabs that a document has finished processing
+   */
+  notifyFinished(job, status, error = null) {
+    realtimeService.toUser(job.user_id, 'document_processed', {
+      documentId: job.document_id,
+      jobId: job.id,
+      status,
+      ...(error && { error })
+    });
+  }
+
+  /**
+   * Requeue jobs left mid-flight by a crashed or restarted server, i.e. ones
+   * without a heartbeat for staleAfter
+   */
+  async recoverStaleJobs() {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        UPDATE document_jobs
+        SET status = 'queued', progress = 0, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE status IN ('chunking', 'embedding')
+          AND (locked_at IS NULL OR locked_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval)
+      `, [this.config.staleAfter]);
+
+      if (result.rowCount > 0) {
+        logger.info(`Requeued ${result.rowCount} interrupted document jobs`);
+      }
+
+      return result.rowCount;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update job columns
+   */
+  async updateJob(jobId, fields) {
+    const entries = Object.entries(fields);
+    const assignments = entries.map(([column], i) => `${column} = $${i + 2}`);
+
+    const client = await pool.connect();
+    try {
+      await client.query(`
+        UPDATE document_jobs
+        SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [jobId, ...entries.map(([, value]) => value)]);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Load document content for processing, from a specific version when the job names one
+   */
+  async getDocumentContent(documentId, version) {
+    const client = await pool.connect();
+    try {
+      const result = version
+        ? await client.query('SELECT content FROM document_versions WHERE document_id = $1 AND version_number = $2', [documentId, version])
+        : await client.query('SELECT content FROM documents WHERE id = $1', [documentId]);
+      return result.rows[0]?.content ?? null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the latest job for each of the user's documents that is still active,
+   * failed, or finished recently
+   */
+  async getUserJobs(userId) {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT DISTINCT ON (j.document_id)
+          j.id,
+          j.document_id,
+          j.status,
+          j.progress,
+          j.attempts,
+          j.max_attempts,
+          j.last_error,
+          j.run_at,
+          j.updated_at
+        FROM document_jobs j
+        WHERE j.user_id = $1
+        ORDER BY j.document_id, j.created_at DESC
+      `, [userId]);
+
+      const recentCutoff = Date.now() - 5 * 60 * 1000;
+
+      return result.rows
+        .filter(job => job.status !== 'done' || new Date(job.updated_at).getTime() > recentCutoff)
+        .map(job => ({
+          id: job.id,
+          documentId: job.document_id,
+          status: job.status,
+          progress: job.progress,
+          attempts: job.attempts,
+          maxAttempts: job.max_attempts,
+          error: job.last_error,
+          nextRunAt: job.status === 'queued' ? job.run_at : null,
+          updatedAt: job.updated_at
+        }));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Map a job status onto the coarse status the documents UI displays
+   */
+  toProcessingStatus(jobStatus, isProcessed) {
+    switch (jobStatus) {
+      case 'queued':
+        return 'pending';
+      case 'chunking':
+      case 'embedding':
+        return 'processing';
+      case 'failed':
+        return isProcessed ? 'completed' : 'failed';
+      default:
+        return isProcessed ? 'completed' : 'pending';
+    }
+  }
+}
+
+// Singleton instance
+export const documentJobQueue = new DocumentJobQueue();
@@ -2,7 +2,14 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import pool from '../config/database.js';
-import { aiCoordinator } from './ai/aiCoordinator.js';
+import { embeddingPipeline } from './embeddingPipeline.js';
+import { embeddingModelRegistry } from './embeddingModelRegistry.js';
+import { documentJobQueue } from './documentJobQueue.js';
+import { collectionService } from './collectionService.js';
+import { extractorRegistry } from './extractors/extractorRegistry.js';
+import { chunkingService } from './chunkingService.js';
+import { documentVersionService } from './documentVersionService.js';
+import { documentDuplicateService } from './documentDuplicateService.js';
 import logger from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -16,19 +23,18 @@ export class DocumentService {
   constructor() {
     this.uploadDir = path.join(__dirname, '../../uploads/documents');
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
-    this.supportedTypes = ['application/pdf', 'text/plain', 'text/markdown'];
-    
-    // Chunking configuration
-    this.chunkConfig = {
-      maxChunkSize: 1000,
-      chunkOverlap: 200,
-      separators: ['\n\n', '\n', '. ', '! ', '? ', ' ']
-    };
 
     this.ensureUploadDir();
     logger.info('Document service initialized');
   }
 
+  /**
+   * MIME types accepted for upload, as registered in the extractor registry
+   */
+  get supportedTypes() {
+    return extractorRegistry.supportedMimeTypes;
+  }
+
   /**
    * Ensure upload directory exists
    */
@@ -42,44 +48,139 @@ export class DocumentService {
 
   /**
    * Process uploaded document
+   * options.duplicateAction decides what happens when the content duplicates a
+   * readable document: 'link' reuses it, 'replace' uploads a new version of it,
+   * 'keep' stores a separate copy. Without one, duplicates are returned unsaved.
    */
-  async processDocument(file, userId, filename) {
+  async processDocument(file, userId, filename, options = {}) {
+    const { collectionId = null, chunkingStrategy, duplicateAction, duplicateOf } = options;
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
 
-      // Extract text content based on file type
-      const content = await this.extractTextContent(file);
+      // Uploading into a shared collection needs editor access
+      if (collectionId) {
+        await collectionService.assertRole(collectionId, userId, 'editor', client);
+      }
+
+      // Extract text content and structure metadata based on file type
+      const { content, fileType, metadata } = await this.extractTextContent(file);
       
       if (!content || content.trim().length === 0) {
         throw new Error('No readable content found in document');
       }
 
-      // Save document to database
-      const documentQuery = `
-        INSERT INTO documents (user_id, filename, original_filename, content, file_size, file_type)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, created_at
-      `;
-      
-      const documentResult = await client.query(documentQuery, [
-        userId,
-        filename,
-        file.originalname,
-        content,
-        file.size,
-        file.mimetype
-      ]);
-
-      const documentId = documentResult.rows[0].id;
-      
-      logger.info(`Document saved: ${filename} (${documentId}) for user: ${userId}`);
+      const contentHash = documentVersionService.hashContent(content);
+      const versionDetails = { content, contentHash, fileSize: file.size, fileType, metadata, userId };
 
-      // Process document in background (chunking and embedding)
-      this.processDocumentAsync(documentId, content, client).catch(error => {
-        logger.error('Background document processing failed:', error);
-      });
+      // Re-uploading a file with the same name adds a version to the existing document
+      let existing = await documentVersionService.findVersionTarget(userId, file.originalname, collectionId, client);
+      const signature = documentDuplicateService.computeSignature(content);
+
+      if (!existing && duplicateAction !== 'keep') {
+        const duplicates = await documentDuplicateService.findDuplicates(userId, { contentHash, signature }, client);
+
+        if (duplicates.length > 0) {
+          if (!duplicateAction) {
+            await client.query('ROLLBACK');
+            logger.info(`Upload of ${file.originalname} duplicates ${duplicates.length} document(s), awaiting a decision`);
+
+            return {
+              originalFilename: file.originalname,
+              fileSize: file.size,
+              fileType,
+              duplicate: true,
+              duplicates
+            };
+          }
+
+          const target = duplicateOf ? duplicates.find(duplicate => duplicate.id === duplicateOf) : duplicates[0];
+          if (!target) {
+            throw new Error('Duplicate document not found');
+          }
+
+          if (duplicateAction === 'link') {
+            await client.query('COMMIT');
+            logger.info(`Upload of ${file.originalname} linked to existing document ${target.id}`);
+
+            return {
+              id: target.id,
+              originalFilename: target.originalFilename,
+              fileSize: file.size,
+              fileType,
+              collection_id: target.collectionId,
+              version: target.version,
+              linked: true
+            };
+          }
+
+          // 'replace': the upload becomes the duplicate's next version
+          if (!target.canEdit) {
+            throw new Error('Insufficient permissions to replace document');
+          }
+          existing = {
+            id: target.id,
+            current_version: target.version,
+            content_hash: target.exact ? contentHash : null
+          };
+        }
+      }
+
+      if (existing?.content_hash === contentHash) {
+        await client.query('COMMIT');
+        logger.info(`Upload of ${file.originalname} matches version ${existing.current_version} of document ${existing.id}`);
+
+        return {
+          id: existing.id,
+          originalFilename: file.originalname,
+          fileSize: file.size,
+          fileType,
+          collection_id: collectionId,
+          version: existing.current_version,
+          unchanged: true
+        };
+      }
+
+      let documentId;
+      let version;
+      let createdAt;
+
+      if (existing) {
+        const created = await documentVersionService.createVersion(existing.id, versionDetails, client);
+        documentId = existing.id;
+        version = created.version_number;
+        createdAt = created.created_at;
+      } else {
+        // Save document to database
+        const documentQuery = `
+          INSERT INTO documents (user_id, filename, original_filename, content, file_size, file_type, collection_id, metadata)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id, created_at
+        `;
+
+        const documentResult = await client.query(documentQuery, [
+          userId,
+          filename,
+          file.originalname,
+          content,
+          file.size,
+          fileType,
+          collectionId,
+          JSON.stringify(metadata)
+        ]);
+
+        documentId = documentResult.rows[0].id;
+        version = 1;
+        createdAt = documentResult.rows[0].created_at;
+        await documentVersionService.recordVersion(documentId, version, versionDetails, client);
+      }
+
+      await documentDuplicateService.saveSignature(documentId, signature, client);
+      logger.info(`Document saved: ${filename} (${documentId} v${version}) for user: ${userId}`);
+
+      // Queue chunking and embedding in the same transaction so no upload is left unprocessed
+      const job = await documentJobQueue.enqueue(documentId, userId, { chunkingStrategy, version }, client);
 
       await client.query('COMMIT');
 
@@ -88,9 +189,15 @@ export class DocumentService {
         filename: filename,
         originalFilename: file.originalname,
         fileSize: file.size,
-        fileType: file.mimetype,
+        fileType,
         contentLength: content.length,
-        created_at: documentResult.rows[0].created_at
+        metadata,
+        collection_id: collectionId,
+        version,
+        processing_status: 'pending',
+        processing_progress: 0,
+        job_id: job.id,
+        created_at: createdAt
       };
 
     } catch (error) {
@@ -104,20 +211,11 @@ export class DocumentService {
 
   /**
    * Extract text content from different file types
+   * Returns { content, fileType, metadata } from the matching registered extractor
    */
   async extractTextContent(file) {
     try {
-      switch (file.mimetype) {
-        case 'application/pdf':
-          return await this.extractPdfText(file.buffer);
-        
-        case 'text/plain':
-        case 'text/markdown':
-          return file.buffer.toString('utf-8');
-        
-        default:
-          throw new Error(`Unsupported file type: ${file.mimetype}`);
-      }
+      return await extractorRegistry.extract(file);
     } catch (error) {
       logger.error('Text extraction error:', error);
       throw new Error(`Failed to extract text: ${error.message}`);
@@ -125,165 +223,201 @@ export class DocumentService {
   }
 
   /**
-   * Extract text from PDF using pdf-parse
+   * Process document asynchronously (chunking and embedding)
+   * Chunks whose content hash matches an already embedded chunk of the same
+   * document reuse that embedding; only new or changed chunks are embedded.
+   * Chunks are only written once every batch has succeeded, in one transaction
    */
-  async extractPdfText(buffer) {
+  async processDocumentAsync(documentId, content, options = {}) {
+    logger.info(`Starting async processing for document: ${documentId}`);
+    const version = options.version ?? await this.getCurrentVersion(documentId);
+
+    // Create text chunks
+    await options.onStage?.('chunking');
+    const chunks = await this.createTextChunks(content, { strategy: options.chunkingStrategy });
+    logger.info(`Created ${chunks.length} chunks for document: ${documentId}`);
+
+    chunks.forEach(chunk => {
+      chunk.contentHash = documentVersionService.hashContent(chunk.content);
+    });
+
+    // Generate embeddings for new and changed chunks with the active model
+    await options.onStage?.('embedding');
+    const model = await embeddingModelRegistry.getActiveModel();
+    const reusable = await this.findReusableEmbeddings(documentId, chunks.map(chunk => chunk.contentHash));
+    const embeddings = new Array(chunks.length);
+
+    // Embeddings from another model can't be mixed with the active model's
+    const changed = [];
+    chunks.forEach((chunk, index) => {
+      const previous = reusable.get(chunk.contentHash);
+      if (previous && previous.model === model.name) {
+        embeddings[index] = previous.embedding;
+        chunk.embeddingModel = previous.model;
+      } else {
+        changed.push(index);
+      }
+    });
+
+    if (changed.length > 0) {
+      const result = await embeddingPipeline.embedTexts(
+        changed.map(index => chunks[index].content),
+        { provider: model.provider, model: model.name, onProgress: options.onProgress }
+      );
+      changed.forEach((index, i) => {
+        if (result.embeddings[i].length !== model.dimensions) {
+          throw new Error(`Expected ${model.dimensions} dimensions from ${model.name}, received ${result.embeddings[i].length}`);
+        }
+        embeddings[index] = result.embeddings[i];
+        chunks[index].embeddingModel = model.name;
+      });
+    }
+
+    const embeddedCount = changed.length;
+    logger.info(`Embedded ${embeddedCount} chunks, reused ${chunks.length - embeddedCount} for document: ${documentId}`);
+
+    await this.saveChunks(documentId, chunks, embeddings, { version });
+
+    logger.info(`Document processing completed: ${documentId} (version ${version})`);
+    return { chunkCount: chunks.length, embeddedCount, reusedCount: chunks.length - embeddedCount, version };
+  }
+
+  async getCurrentVersion(documentId) {
+    const client = await pool.connect();
+
     try {
-      // Dynamically import pdf-parse to avoid initialization issues
-      const pdfParse = (await import('pdf-parse')).default;
-      const data = await pdfParse(buffer);
-      return data.text;
-    } catch (error) {
-      logger.error('PDF parsing error:', error);
-      throw new Error('Failed to parse PDF file');
+      const result = await client.query('SELECT current_version FROM documents WHERE id = $1', [documentId]);
+      return result.rows[0]?.current_version ?? 1;
+    } finally {
+      client.release();
     }
   }
 
   /**
-   * Process document asynchronously (chunking and embedding)
+   * Embeddings already stored for this document, keyed by chunk content hash
    */
-  async processDocumentAsync(documentId, content, client = null) {
-    const shouldReleaseClient = !client;
-    if (!client) {
-      client = await pool.connect();
+  async findReusableEmbeddings(documentId, contentHashes) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT DISTINCT ON (content_hash)
+          content_hash,
+          embedding::text AS embedding,
+          embedding_model
+        FROM document_chunks
+        WHERE document_id = $1 AND content_hash = ANY($2) AND embedding IS NOT NULL
+        ORDER BY content_hash, version_number DESC
+      `, [documentId, [...new Set(contentHashes)]]);
+
+      return new Map(result.rows.map(row => [
+        row.content_hash,
+        { embedding: JSON.parse(row.embedding), model: row.embedding_model }
+      ]));
+    } finally {
+      client.release();
     }
+  }
+
+  /**
+   * Replace the chunks of one document version and mark it indexed in one transaction
+   * Chunks of other versions are kept so older versions stay searchable
+   */
+  async saveChunks(documentId, chunks, embeddings, options = {}) {
+    const { version = 1 } = options;
+    const client = await pool.connect();
 
     try {
-      logger.info(`Starting async processing for document: ${documentId}`);
-
-      // Create text chunks
-      const chunks = await this.createTextChunks(content);
-      logger.info(`Created ${chunks.length} chunks for document: ${documentId}`);
-
-      // Generate embeddings and save chunks
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        
-        try {
-          // Generate embedding for chunk
-          const embeddingResult = await aiCoordinator.generateEmbedding(chunk.content);
-          
-          // Save chunk with embedding
-          const chunkQuery = `
-            INSERT INTO document_chunks (document_id, content, embedding, metadata, chunk_index)
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING id
-          `;
-          
-          await client.query(chunkQuery, [
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM document_chunks WHERE document_id = $1 AND version_number = $2', [documentId, version]);
+
+      // A migration may have switched models while this document was embedded;
+      // read the active model after taking the chunk table lock so the check can't race it
+      const active = await embeddingModelRegistry.refresh(client);
+      if (chunks.some(chunk => chunk.embeddingModel !== active.name)) {
+        throw new Error(`Embedding model changed to ${active.name} during processing`);
+      }
+
+      // Insert in slices to stay well under the Postgres parameter limit
+      const rowsPerInsert = 500;
+      for (let start = 0; start < chunks.length; start += rowsPerInsert) {
+        const slice = chunks.slice(start, start + rowsPerInsert);
+        const values = [];
+        const params = [];
+
+        slice.forEach((chunk, i) => {
+          const index = start + i;
+          const base = params.length;
+          values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9})`);
+          params.push(
             documentId,
             chunk.content,
-            JSON.stringify(embeddingResult.embedding), // Store as JSON for pgvector
+            JSON.stringify(embeddings[index]), // Store as JSON for pgvector
             JSON.stringify(chunk.metadata),
-            i
-          ]);
+            index,
+            version,
+            chunk.contentHash ?? documentVersionService.hashContent(chunk.content),
+            chunk.embeddingModel,
+            embeddings[index].length
+          );
+        });
 
-        } catch (error) {
-          logger.error(`Failed to process chunk ${i} for document ${documentId}:`, error);
-          // Continue processing other chunks
-        }
+        await client.query(`
+          INSERT INTO document_chunks
+            (document_id, content, embedding, metadata, chunk_index, version_number, content_hash, embedding_model, embedding_dimensions)
+          VALUES ${values.join(', ')}
+        `, params);
       }
 
-      // Mark document as processed
-      await client.query(
-        'UPDATE documents SET is_processed = true WHERE id = $1',
-        [documentId]
-      );
+      // Mark document as processed; retrieval moves to this version unless an older one is re-indexed
+      await client.query(`
+        UPDATE documents
+        SET is_processed = true, indexed_version = GREATEST(COALESCE(indexed_version, 0), $2)
+        WHERE id = $1
+      `, [documentId, version]);
 
-      logger.info(`Document processing completed: ${documentId}`);
+      await client.query('COMMIT');
 
     } catch (error) {
-      logger.error('Async document processing error:', error);
+      await client.query('ROLLBACK');
+      logger.error(`Failed to save chunks for document ${documentId}:`, error);
       throw error;
     } finally {
-      if (shouldReleaseClient) {
-        client.release();
-      }
+      client.release();
     }
   }
 
   /**
    * Create text chunks from document content
+   * options.strategy selects a chunking strategy; 'auto' picks one from the content
    */
-  async createTextChunks(text) {
-    const chunks = [];
-    const { maxChunkSize, chunkOverlap, separators } = this.chunkConfig;
-
-    // Clean and normalize text
-    const cleanText = text
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
-
-    if (cleanText.length <= maxChunkSize) {
-      return [{
-        content: cleanText,
-        metadata: {
-          startIndex: 0,
-          endIndex: cleanText.length,
-          chunkSize: cleanText.length
-        }
-      }];
-    }
-
-    let startIndex = 0;
-    let chunkIndex = 0;
-
-    while (startIndex < cleanText.length) {
-      let endIndex = Math.min(startIndex + maxChunkSize, cleanText.length);
-      
-      // Try to find a good break point
-      if (endIndex < cleanText.length) {
-        let bestBreak = endIndex;
-        
-        for (const separator of separators) {
-          const lastSeparator = cleanText.lastIndexOf(separator, endIndex);
-          if (lastSeparator > startIndex + maxChunkSize * 0.5) {
-            bestBreak = lastSeparator + separator.length;
-            break;
-          }
-        }
-        
-        endIndex = bestBreak;
-      }
-
-      const chunkContent = cleanText.slice(startIndex, endIndex).trim();
-      
-      if (chunkContent.length > 0) {
-        chunks.push({
-          content: chunkContent,
-          metadata: {
-            startIndex,
-            endIndex,
-            chunkSize: chunkContent.length,
-            chunkIndex: chunkIndex++
-          }
-        });
-      }
-
-      // Move start index with overlap
-      startIndex = endIndex - chunkOverlap;
-      if (startIndex < 0) startIndex = 0;
-    }
-
-    return chunks;
+  async createTextChunks(text, options = {}) {
+    return chunkingService.chunk(text, options);
   }
 
   /**
-   * Get user documents
+   * Get documents the user can read: their own and those in their collections
+   * Pass collectionId to list one collection, or null for documents outside any collection
    */
   async getUserDocuments(userId, options = {}) {
     const client = await pool.connect();
     
     try {
-      const { limit = 20, offset = 0, processedOnly = false } = options;
+      const { limit = 20, offset = 0, processedOnly = false, collectionId } = options;
       
-      let whereClause = 'WHERE user_id = $1';
+      let whereClause = `WHERE ${collectionService.readableDocumentCondition('$1')}`;
       const params = [userId];
       
       if (processedOnly) {
-        whereClause += ' AND is_processed = true';
+        whereClause += ' AND d.is_processed = true';
+      }
+
+      if (collectionId) {
+        params.push(collectionId);
+        whereClause += ` AND d.collection_id = $${params.length}`;
+      } else if (collectionId === null) {
+        whereClause += ' AND d.collection_id IS NULL';
       }
 
       const query = `
@@ -295,11 +429,28 @@ export class DocumentService {
           d.file_type,
           d.is_processed,
           d.created_at,
+          d.collection_id,
+          d.current_version,
+          d.pinned_version,
+          c.name as collection_name,
+          ${collectionService.writableDocumentCondition('$1')} as can_edit,
+          j.status as job_status,
+          j.progress as job_progress,
+          j.last_error as job_error,
           COUNT(dc.id) as chunk_count
         FROM documents d
-        LEFT JOIN document_chunks dc ON d.id = dc.document_id
+        LEFT JOIN collections c ON d.collection_id = c.id
+        LEFT JOIN document_chunks dc ON d.id = dc.document_id AND ${documentVersionService.activeChunkCondition()}
+        LEFT JOIN LATERAL (
+          SELECT status, progress, last_error
+          FROM document_jobs
+          WHERE document_id = d.id
+          ORDER BY created_at DESC
+          LIMIT 1
+        ) j ON true
         ${whereClause}
-        GROUP BY d.id, d.filename, d.original_filename, d.file_size, d.file_type, d.is_processed, d.created_at
+        GROUP BY d.id, d.filename, d.original_filename, d.file_size, d.file_type, d.is_processed, d.created_at,
+          d.collection_id, c.name, j.status, j.progress, j.last_error
         ORDER BY d.created_at DESC
         LIMIT $${params.length + 1} OFFSET $${params.length + 2}
       `;
@@ -307,9 +458,14 @@ export class DocumentService {
       params.push(limit, offset);
       const result = await client.query(query, params);
       
-      return result.rows.map(row => ({
+      return result.rows.map(({ job_progress, job_error, ...row }) => ({
         ...row,
-        chunk_count: parseInt(row.chunk_count)
+        chunk_count: parseInt(row.chunk_count),
+        processing_status: documentJobQueue.toProcessingStatus(row.job_status, row.is_processed),
+        processing_progress: row.is_processed && !['queued', 'chunking', 'embedding'].includes(row.job_status)
+          ? 100
+          : (job_progress || 0),
+        processing_error: row.job_status === 'failed' ? job_error : null
       }));
 
     } catch (error) {
@@ -321,7 +477,7 @@ export class DocumentService {
   }
 
   /**
-   * Get document by ID
+   * Get document by ID if the user can read it
    */
   async getDocument(documentId, userId) {
     const client = await pool.connect();
@@ -330,10 +486,11 @@ export class DocumentService {
       const query = `
         SELECT 
           d.*,
+          ${collectionService.writableDocumentCondition('$2')} as can_edit,
           COUNT(dc.id) as chunk_count
         FROM documents d
-        LEFT JOIN document_chunks dc ON d.id = dc.document_id
-        WHERE d.id = $1 AND d.user_id = $2
+        LEFT JOIN document_chunks dc ON d.id = dc.document_id AND ${documentVersionService.activeChunkCondition()}
+        WHERE d.id = $1 AND ${collectionService.readableDocumentCondition('$2')}
         GROUP BY d.id
       `;
       
@@ -363,8 +520,8 @@ export class DocumentService {
     const client = await pool.connect();
     
     try {
-      // Verify ownership
-      const ownershipQuery = 'SELECT id FROM documents WHERE id = $1 AND user_id = $2';
+      // Verify the uploader or a collection editor is deleting
+      const ownershipQuery = `SELECT id FROM documents d WHERE d.id = $1 AND ${collectionService.writableDocumentCondition('$2')}`;
       const ownershipResult = await client.query(ownershipQuery, [documentId, userId]);
       
       if (ownershipResult.rows.length === 0) {
@@ -372,8 +529,8 @@ export class DocumentService {
       }
 
       // Delete document (chunks will be deleted by CASCADE)
-      const deleteQuery = 'DELETE FROM documents WHERE id = $1 AND user_id = $2';
-      const deleteResult = await client.query(deleteQuery, [documentId, userId]);
+      const deleteQuery = 'DELETE FROM documents WHERE id = $1';
+      const deleteResult = await client.query(deleteQuery, [documentId]);
       
       logger.info(`Document deleted: ${documentId} by user: ${userId}`);
       
@@ -389,6 +546,7 @@ export class DocumentService {
 
   /**
    * Search similar document chunks
+   * Only chunks embedded with the query's model (the active one by default) are compared
    */
   async searchSimilarChunks(queryEmbedding, userId, options = {}) {
     const client = await pool.connect();
@@ -397,17 +555,27 @@ export class DocumentService {
       const { 
         limit = 5, 
         threshold = 0.7,
-        documentIds = null 
+        documentIds = null,
+        allVersions = false
       } = options;
+      const model = options.embeddingModel || await embeddingModelRegistry.getActiveModel();
 
-      let whereClause = 'd.user_id = $1';
-      const params = [userId];
+      // The dimension is inlined so the planner can match that dimension's partial index
+      let whereClause = `${collectionService.readableDocumentCondition('$1')}
+          AND dc.embedding_model = $2 AND dc.embedding_dimensions = ${model.dimensions}`;
+      const params = [userId, model.name];
       
       if (documentIds && documentIds.length > 0) {
         whereClause += ` AND d.id = ANY($${params.length + 1})`;
         params.push(documentIds);
       }
 
+      // Older versions are only searched on request
+      if (!allVersions) {
+        whereClause += ` AND ${documentVersionService.activeChunkCondition()}`;
+      }
+
+      const distance = `${embeddingModelRegistry.embeddingExpression(model)} <=> $${params.length + 1}::vector(${model.dimensions})`;
       const query = `
         SELECT 
           dc.id,
@@ -415,15 +583,18 @@ export class DocumentService {
           dc.content,
           dc.metadata,
           dc.chunk_index,
+          dc.version_number,
+          dc.content_hash,
+          dc.embedding_model,
           d.filename,
           d.original_filename,
-          1 - (dc.embedding <=> $${params.length + 1}::vector) AS similarity
+          1 - (${distance}) AS similarity
         FROM document_chunks dc
         JOIN documents d ON dc.document_id = d.id
         WHERE ${whereClause}
           AND d.is_processed = true
-          AND 1 - (dc.embedding <=> $${params.length + 1}::vector) > $${params.length + 2}
-        ORDER BY dc.embedding <=> $${params.length + 1}::vector
+          AND 1 - (${distance}) > $${params.length + 2}
+        ORDER BY ${distance}
         LIMIT $${params.length + 3}
       `;
       
@@ -441,6 +612,88 @@ export class DocumentService {
     }
   }
 
+  /**
+   * Search document chunks by keyword using Postgres full-text search
+   * Terms are OR-ed so partial matches still rank; exact identifiers rank highest
+   */
+  async searchKeywordChunks(queryText, userId, options = {}) {
+    const terms = this.extractSearchTerms(queryText);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const client = await pool.connect();
+    
+    try {
+      const { 
+        limit = 5, 
+        documentIds = null,
+        allVersions = false
+      } = options;
+
+      let whereClause = collectionService.readableDocumentCondition('$1');
+      const params = [userId];
+      
+      if (documentIds && documentIds.length > 0) {
+        whereClause += ` AND d.id = ANY($${params.length + 1})`;
+        params.push(documentIds);
+      }
+
+      // Older versions are only searched on request
+      if (!allVersions) {
+        whereClause += ` AND ${documentVersionService.activeChunkCondition()}`;
+      }
+
+      const tsQuery = terms.map(term => `'${term}'`).join(' | ');
+
+      const query = `
+        SELECT 
+          dc.id,
+          dc.document_id,
+          dc.content,
+          dc.metadata,
+          dc.chunk_index,
+          dc.version_number,
+          dc.content_hash,
+          d.filename,
+          d.original_filename,
+          ts_rank_cd(to_tsvector('simple', dc.content), to_tsquery('simple', $${params.length + 1})) AS keyword_score
+        FROM document_chunks dc
+        JOIN documents d ON dc.document_id = d.id
+        WHERE ${whereClause}
+          AND d.is_processed = true
+          AND to_tsvector('simple', dc.content) @@ to_tsquery('simple', $${params.length + 1})
+        ORDER BY keyword_score DESC
+        LIMIT $${params.length + 2}
+      `;
+      
+      params.push(tsQuery, limit);
+      
+      const result = await client.query(query, params);
+      
+      return result.rows;
+
+    } catch (error) {
+      logger.error('Error searching keyword chunks:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Split a query into full-text search terms, dropping tsquery operators
+   */
+  extractSearchTerms(queryText) {
+    const terms = (queryText || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}][\p{L}\p{N}_.-]*/gu) || [];
+
+    return [...new Set(terms.map(term => term.replace(/[.-]+$/, '')))]
+      .filter(term => term.length > 1)
+      .slice(0, 32);
+  }
+
   /**
    * Get processing status
    */
@@ -451,19 +704,30 @@ export class DocumentService {
       const query = `
         SELECT 
           COUNT(*) as total_documents,
-          COUNT(*) FILTER (WHERE is_processed = true) as processed_documents,
-          COUNT(*) FILTER (WHERE is_processed = false) as pending_documents
-        FROM documents
-        WHERE user_id = $1
+          COUNT(*) FILTER (WHERE d.is_processed = true) as processed_documents,
+          COUNT(*) FILTER (WHERE d.is_processed = false AND j.status IS DISTINCT FROM 'failed') as pending_documents,
+          COUNT(*) FILTER (WHERE d.is_processed = false AND j.status = 'failed') as failed_documents
+        FROM documents d
+        LEFT JOIN LATERAL (
+          SELECT status
+          FROM document_jobs
+          WHERE document_id = d.id
+          ORDER BY created_at DESC
+          LIMIT 1
+        ) j ON true
+        WHERE d.user_id = $1
       `;
       
       const result = await client.query(query, [userId]);
       const stats = result.rows[0];
+      const jobs = await documentJobQueue.getUserJobs(userId);
       
       return {
         total: parseInt(stats.total_documents),
         processed: parseInt(stats.processed_documents),
-        pending: parseInt(stats.pending_documents)
+        pending: parseInt(stats.pending_documents),
+        failed: parseInt(stats.failed_documents),
+        jobs
       };
 
     } catch (error) {
@@ -473,6 +737,25 @@ export class DocumentService {
       client.release();
     }
   }
+
+  /**
+   * Ensure columns used for extracted structure metadata
+   */
+  async initialize() {
+    try {
+      const client = await pool.connect();
+      try {
+        // Office MIME types are longer than the original VARCHAR(50)
+        await client.query('ALTER TABLE documents ALTER COLUMN file_type TYPE VARCHAR(255)');
+        await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'`);
+        logger.info('Document tables initialized');
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Initialize document tables error:', error);
+    }
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,317 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { chunkingService } from './chunkingService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Document Version Service
+ * Keeps every uploaded revision of a document. Chunks are stored per version:
+ * retrieval reads the pinned version if there is one, otherwise the newest
+ * indexed version, and older versions stay searchable on request.
+ */
+export class DocumentVersionService {
+  constructor() {
+    this.maxChangedSections = 20;
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * SQL condition limiting chunks (alias dc) to their document's active version (alias d)
+   */
+  activeChunkCondition(chunkAlias = 'dc', documentAlias = 'd') {
+    return `${chunkAlias}.version_number = COALESCE(${documentAlias}.pinned_version, ${documentAlias}.indexed_version, ${documentAlias}.current_version)`;
+  }
+
+  /**
+   * Find the document a re-upload should become a new version of:
+   * the same file name in the same place (the user's own documents, or the collection)
+   */
+  async findVersionTarget(userId, originalFilename, collectionId, client) {
+    const result = await client.query(`
+      SELECT d.id, d.current_version, v.content_hash
+      FROM documents d
+      LEFT JOIN document_versions v ON v.document_id = d.id AND v.version_number = d.current_version
+      WHERE d.original_filename = $1
+        AND ${collectionId ? 'd.collection_id = $2' : 'd.collection_id IS NULL AND d.user_id = $2'}
+      ORDER BY d.created_at DESC
+      LIMIT 1
+    `, [originalFilename, collectionId || userId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a version row; pass the caller's client to run inside its transaction
+   */
+  async recordVersion(documentId, version, details, client) {
+    const result = await client.query(`
+      INSERT INTO document_versions
+        (document_id, version_number, content, content_hash, file_size, file_type, metadata, uploaded_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING version_number, content_hash, created_at
+    `, [
+      documentId,
+      version,
+      details.content,
+      details.contentHash,
+      details.fileSize,
+      details.fileType,
+      JSON.stringify(details.metadata || {}),
+      details.userId
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Make new content the document's latest version
+   * Chunks of the previous version keep serving until the new ones are indexed
+   */
+  async createVersion(documentId, details, client) {
+    const result = await client.query(`
+      UPDATE documents
+      SET current_version = current_version + 1,
+          content = $2,
+          file_size = $3,
+          file_type = $4,
+          metadata = $5
+      WHERE id = $1
+      RETURNING current_version
+    `, [documentId, details.content, details.fileSize, details.fileType, JSON.stringify(details.metadata || {})]);
+
+    const version = result.rows[0].current_version;
+    const row = await this.recordVersion(documentId, version, details, client);
+
+    logger.info(`Created version ${version} of document ${documentId}`);
+    return row;
+  }
+
+  /**
+   * Version history, newest first, with chunk counts and which version retrieval uses
+   */
+  async getVersions(documentId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT
+          v.version_number,
+          v.content_hash,
+          v.file_size,
+          v.file_type,
+          v.metadata,
+          v.created_at,
+          u.name AS uploaded_by_name,
+          COUNT(dc.id) AS chunk_count,
+          v.version_number = d.current_version AS is_latest,
+          v.version_number = d.pinned_version AS is_pinned,
+          v.version_number = COALESCE(d.pinned_version, d.indexed_version, d.current_version) AS is_active
+        FROM document_versions v
+        JOIN documents d ON d.id = v.document_id
+        LEFT JOIN users u ON u.id = v.uploaded_by
+        LEFT JOIN document_chunks dc ON dc.document_id = v.document_id AND dc.version_number = v.version_number
+        WHERE v.document_id = $1
+        GROUP BY v.id, d.current_version, d.pinned_version, d.indexed_version, u.name
+        ORDER BY v.version_number DESC
+      `, [documentId]);
+
+      return result.rows.map(row => ({
+        ...row,
+        chunk_count: parseInt(row.chunk_count)
+      }));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  async getVersionContent(documentId, version, client = null) {
+    const db = client || await pool.connect();
+
+    try {
+      const result = await db.query(
+        'SELECT content FROM document_versions WHERE document_id = $1 AND version_number = $2',
+        [documentId, version]
+      );
+      return result.rows[0]?.content ?? null;
+    } finally {
+      if (!client) db.release();
+    }
+  }
+
+  /**
+   * Summarize what changed between two versions
+   * Both versions are re-chunked the same way so chunk counts are comparable
+   * whatever strategy each was indexed with
+   */
+  async diffVersions(documentId, fromVersion, toVersion) {
+    const client = await pool.connect();
+
+    try {
+      const from = await this.getVersionContent(documentId, fromVersion, client);
+      const to = await this.getVersionContent(documentId, toVersion, client);
+
+      if (from === null || to === null) {
+        throw new Error('Version not found');
+      }
+
+      return {
+        from: fromVersion,
+        to: toVersion,
+        characters: { from: from.length, to: to.length },
+        lines: this.diffLines(from, to),
+        ...this.diffChunks(from, to)
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count lines added and removed, ignoring order
+   */
+  diffLines(from, to) {
+    const counts = new Map();
+    for (const line of from.split('\n')) {
+      const key = line.trim();
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    let added = 0;
+    for (const line of to.split('\n')) {
+      const key = line.trim();
+      if (!key) continue;
+      if (counts.get(key) > 0) {
+        counts.set(key, counts.get(key) - 1);
+      } else {
+        added++;
+      }
+    }
+
+    const removed = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    return { added, removed };
+  }
+
+  diffChunks(from, to) {
+    const strategy = chunkingService.resolveStrategy(to);
+    const fromChunks = chunkingService.chunk(from, { strategy });
+    const toChunks = chunkingService.chunk(to, { strategy });
+
+    const fromHashes = new Set(fromChunks.map(chunk => this.hashContent(chunk.content)));
+    const toHashes = new Set(toChunks.map(chunk => this.hashContent(chunk.content)));
+
+    const added = toChunks.filter(chunk => !fromHashes.has(this.hashContent(chunk.content)));
+    const removed = fromChunks.filter(chunk => !toHashes.has(this.hashContent(chunk.content)));
+
+    // Where the changes are, by heading path or page
+    const sections = [...added, ...removed]
+      .map(chunk => chunk.metadata.headingPath.join(' > ') || (chunk.metadata.page ? `Page ${chunk.metadata.page}` : null))
+      .filter(Boolean);
+
+    return {
+      chunks: {
+        added: added.length,
+        removed: removed.length,
+        unchanged: toChunks.length - added.length
+      },
+      changedSections: [...new Set(sections)].slice(0, this.maxChangedSections)
+    };
+  }
+
+  /**
+   * Serve a specific version in retrieval, or pass null to follow the latest
+   */
+  async pinVersion(documentId, version) {
+    const client = await pool.connect();
+
+    try {
+      if (version !== null) {
+        const result = await client.query(`
+          SELECT v.version_number, EXISTS (
+            SELECT 1 FROM document_chunks dc
+            WHERE dc.document_id = v.document_id AND dc.version_number = v.version_number
+          ) AS is_indexed
+          FROM document_versions v
+          WHERE v.document_id = $1 AND v.version_number = $2
+        `, [documentId, version]);
+
+        if (result.rows.length === 0) {
+          throw new Error('Version not found');
+        }
+
+        if (!result.rows[0].is_indexed) {
+          throw new Error('Version is not indexed');
+        }
+      }
+
+      await client.query('UPDATE documents SET pinned_version = $2 WHERE id = $1', [documentId, version]);
+      logger.info(version === null ? `Unpinned document ${documentId}` : `Pinned document ${documentId} to version ${version}`);
+
+      return { pinnedVersion: version };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create the versions table and per-version chunk columns, and backfill
+   * version 1 for documents uploaded before versioning
+   */
+  async initialize() {
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS document_versions (
+            id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+            version_number INTEGER NOT NULL,
+            content TEXT NOT NULL,
+            content_hash VARCHAR(64) NOT NULL,
+            file_size INTEGER NOT NULL,
+            file_type VARCHAR(255) NOT NULL,
+            metadata JSONB DEFAULT '{}',
+            uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (document_id, version_number)
+          )
+        `);
+
+        await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1');
+        await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS indexed_version INTEGER');
+        await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS pinned_version INTEGER');
+        await client.query('ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1');
+        await client.query('ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_version ON document_chunks(document_id, version_number)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_content_hash ON document_chunks(document_id, content_hash)');
+
+        await client.query(`
+          INSERT INTO document_versions (document_id, version_number, content, content_hash, file_size, file_type, metadata, uploaded_by, created_at)
+          SELECT d.id, d.current_version, d.content, encode(sha256(convert_to(d.content, 'UTF8')), 'hex'),
+            d.file_size, d.file_type, COALESCE(d.metadata, '{}'), d.user_id, d.created_at
+          FROM documents d
+          WHERE NOT EXISTS (SELECT 1 FROM document_versions v WHERE v.document_id = d.id)
+        `);
+        await client.query('UPDATE documents SET indexed_version = current_version WHERE is_processed = true AND indexed_version IS NULL');
+        await client.query(`
+          UPDATE document_chunks SET content_hash = encode(sha256(convert_to(content, 'UTF8')), 'hex')
+          WHERE content_hash IS NULL
+        `);
+
+        logger.info('Document version tables initialized');
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Initialize document version tables error:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const documentVersionService = new DocumentVersionService();
@@ -0,0 +1,461 @@
+import pool from '../config/database.js';
+import { embeddingPipeline } from './embeddingPipeline.js';
+import { embeddingModelRegistry } from './embeddingModelRegistry.js';
+import { aiCoordinator } from './ai/aiCoordinator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Embedding Migration Service
+ * Re-embeds the whole corpus with a new model in the background. New embeddings
+ * are staged beside the chunks while search keeps using the active model; once
+ * every chunk has one, they replace the old embeddings and the new model is
+ * activated in one transaction.
+ */
+export class EmbeddingMigrationService {
+  constructor() {
+    this.config = {
+      batchSize: parseInt(process.env.EMBEDDING_MIGRATION_BATCH_SIZE) || 256,
+      pollInterval: parseInt(process.env.EMBEDDING_MIGRATION_POLL_INTERVAL_MS) || 10000,
+      staleAfter: parseInt(process.env.EMBEDDING_MIGRATION_STALE_AFTER_MS) || 10 * 60 * 1000
+    };
+
+    this.pollTimer = null;
+    this.running = false;
+  }
+
+  /**
+   * Create tables, requeue interrupted migrations and start polling
+   */
+  async initialize() {
+    try {
+      await this.initializeTables();
+      await this.recoverStaleMigrations();
+      this.start();
+      logger.info('Embedding migration service initialized');
+    } catch (error) {
+      logger.error('Failed to initialize embedding migration service:', error);
+    }
+  }
+
+  async initializeTables() {
+    const client = await pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS embedding_migrations (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          target_model VARCHAR(255) NOT NULL,
+          source_model VARCHAR(255),
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          total_chunks INTEGER NOT NULL DEFAULT 0,
+          migrated_chunks INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          started_at TIMESTAMP,
+          completed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_chunk_embeddings (
+          chunk_id UUID REFERENCES document_chunks(id) ON DELETE CASCADE,
+          embedding_model VARCHAR(255) NOT NULL,
+          embedding_dimensions INTEGER NOT NULL,
+          embedding vector NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (chunk_id, embedding_model)
+        )
+      `);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queue a migration of every chunk to the given model
+   */
+  async startMigration(modelName, userId) {
+    const model = embeddingModelRegistry.get(modelName);
+    if (!model) {
+      throw new Error('Unknown embedding model');
+    }
+
+    if (!aiCoordinator.getAvailableProviders().includes(model.provider)) {
+      throw new Error('Embedding provider not available');
+    }
+
+    const active = await embeddingModelRegistry.getActiveModel();
+    if (active.name === model.name) {
+      throw new Error('Embedding model is already active');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Serialize concurrent requests so only one migration can be queued
+      await client.query('LOCK TABLE embedding_migrations IN SHARE ROW EXCLUSIVE MODE');
+
+      const pending = await client.query(`SELECT id FROM embedding_migrations WHERE status IN ('queued', 'running')`);
+      if (pending.rows.length > 0) {
+        throw new Error('An embedding migration is already in progress');
+      }
+
+      const result = await client.query(`
+        INSERT INTO embedding_migrations (target_model, source_model, created_by)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [model.name, active.name, userId]);
+
+      await client.query('COMMIT');
+      logger.info(`Queued embedding migration ${result.rows[0].id} from ${active.name} to ${model.name}`);
+
+      // Don't wait for the next poll
+      this.poll().catch(error => logger.error('Embedding migration poll failed:', error));
+
+      return this.formatMigration(result.rows[0]);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Embedding migration poll failed:', error);
+      });
+    }, this.config.pollInterval);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Requeue a stale migration, then claim and run the queued one, one at a time
+   */
+  async poll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      // A migration a restarted server was running stops advancing updated_at
+      // and is picked up here once it goes stale
+      await this.recoverStaleMigrations();
+
+      const migration = await this.claimNextMigration();
+      if (migration) {
+        await this.runMigration(migration);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async claimNextMigration() {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        UPDATE embedding_migrations
+        SET status = 'running',
+            started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM embedding_migrations
+          WHERE status = 'queued'
+          ORDER BY created_at
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        RETURNING *
+      `);
+
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stage target-model embeddings batch by batch, then switch the corpus over
+   * Chunks written while the migration runs are picked up by later batches
+   */
+  async runMigration(migration) {
+    const model = embeddingModelRegistry.get(migration.target_model);
+    logger.info(`Running embedding migration ${migration.id} to ${migration.target_model}`);
+
+    try {
+      if (!model) {
+        throw new Error(`Unknown embedding model ${migration.target_model}`);
+      }
+
+      const staged = await this.countStagedChunks(model);
+      const remaining = await this.countPendingChunks(model);
+      await this.updateMigration(migration.id, { total_chunks: staged + remaining, migrated_chunks: staged });
+
+      let migrated = staged;
+      for (;;) {
+        const chunks = await this.getPendingChunks(model, this.config.batchSize);
+
+        if (chunks.length === 0) {
+          if (await this.finalizeMigration(migration, model)) break;
+          continue;
+        }
+
+        const result = await embeddingPipeline.embedTexts(
+          chunks.map(chunk => chunk.content),
+          { provider: model.provider, model: model.name }
+        );
+        await this.stageEmbeddings(model, chunks, result.embeddings);
+
+        migrated += chunks.length;
+        await this.updateMigration(migration.id, {
+          migrated_chunks: migrated,
+          total_chunks: migrated + await this.countPendingChunks(model)
+        });
+      }
+
+      logger.info(`Embedding migration ${migration.id} completed: ${migrated} chunks now use ${model.name}`);
+
+    } catch (error) {
+      // Staged embeddings are kept, so a new migration to the same model resumes where this one stopped
+      await this.updateMigration(migration.id, { status: 'failed', last_error: error.message });
+      logger.error(`Embedding migration ${migration.id} failed:`, error);
+    }
+  }
+
+  /**
+   * Chunks with neither an active nor a staged embedding from the model
+   */
+  pendingChunkCondition() {
+    return `dc.embedding_model IS DISTINCT FROM $1
+      AND NOT EXISTS (
+        SELECT 1 FROM document_chunk_embeddings e
+        WHERE e.chunk_id = dc.id AND e.embedding_model = $1
+      )`;
+  }
+
+  async getPendingChunks(model, limit) {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT dc.id, dc.content
+        FROM document_chunks dc
+        WHERE ${this.pendingChunkCondition()}
+        ORDER BY dc.id
+        LIMIT $2
+      `, [model.name, limit]);
+
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async countPendingChunks(model, client = null) {
+    const db = client || await pool.connect();
+    try {
+      const result = await db.query(
+        `SELECT COUNT(*) AS count FROM document_chunks dc WHERE ${this.pendingChunkCondition()}`,
+        [model.name]
+      );
+      return parseInt(result.rows[0].count);
+    } finally {
+      if (!client) db.release();
+    }
+  }
+
+  async countStagedChunks(model) {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT COUNT(*) AS count FROM document_chunk_embeddings WHERE embedding_model = $1',
+        [model.name]
+      );
+      return parseInt(result.rows[0].count);
+    } finally {
+      client.release();
+    }
+  }
+
+  async stageEmbeddings(model, chunks, embeddings) {
+    const values = [];
+    const params = [model.name, model.dimensions];
+
+    chunks.forEach((chunk, index) => {
+      if (embeddings[index].length !== model.dimensions) {
+        throw new Error(`Expected ${model.dimensions} dimensions from ${model.name}, received ${embeddings[index].length}`);
+      }
+      values.push(`($${params.length + 1}, $1, $2, $${params.length + 2}::vector)`);
+      params.push(chunk.id, JSON.stringify(embeddings[index]));
+    });
+
+    const client = await pool.connect();
+    try {
+      // Chunks deleted since they were read are skipped
+      await client.query(`
+        INSERT INTO document_chunk_embeddings (chunk_id, embedding_model, embedding_dimensions, embedding)
+        SELECT v.chunk_id::uuid, v.embedding_model, v.embedding_dimensions::integer, v.embedding
+        FROM (VALUES ${values.join(', ')}) AS v(chunk_id, embedding_model, embedding_dimensions, embedding)
+        WHERE EXISTS (SELECT 1 FROM document_chunks dc WHERE dc.id = v.chunk_id::uuid)
+        ON CONFLICT (chunk_id, embedding_model) DO UPDATE
+        SET embedding = EXCLUDED.embedding, embedding_dimensions = EXCLUDED.embedding_dimensions
+      `, params);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Swap the staged embeddings in and activate the model
+   * Returns false when chunks were added since the last batch
+   */
+  async finalizeMigration(migration, model) {
+    const client = await pool.connect();
+    const previous = embeddingModelRegistry.activeModel;
+
+    try {
+      await client.query('BEGIN');
+
+      // Block chunk writes so none can land with the old model after the check
+      await client.query('LOCK TABLE document_chunks IN SHARE ROW EXCLUSIVE MODE');
+
+      if (await this.countPendingChunks(model, client) > 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(`
+        UPDATE document_chunks dc
+        SET embedding = e.embedding,
+            embedding_model = e.embedding_model,
+            embedding_dimensions = e.embedding_dimensions
+        FROM document_chunk_embeddings e
+        WHERE e.chunk_id = dc.id AND e.embedding_model = $1
+      `, [model.name]);
+      await client.query('DELETE FROM document_chunk_embeddings WHERE embedding_model = $1', [model.name]);
+
+      await embeddingModelRegistry.activate(model.name, client);
+
+      await client.query(`
+        UPDATE embedding_migrations
+        SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [migration.id]);
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      embeddingModelRegistry.activeModel = previous;
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.ensureIndex(model);
+    return true;
+  }
+
+  async ensureIndex(model) {
+    const client = await pool.connect();
+    try {
+      await embeddingModelRegistry.ensureIndex(model, client);
+    } catch (error) {
+      // Search still works without the index, just slower
+      logger.error(`Failed to index ${model.name} embeddings:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Requeue migrations left running by a crashed or restarted server, i.e.
+   * ones without a finished batch for staleAfter
+   */
+  async recoverStaleMigrations() {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        UPDATE embedding_migrations
+        SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+          AND updated_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval
+      `, [this.config.staleAfter]);
+
+      if (result.rowCount > 0) {
+        logger.info(`Requeued ${result.rowCount} interrupted embedding migrations`);
+      }
+
+      return result.rowCount;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateMigration(migrationId, fields) {
+    const entries = Object.entries(fields);
+    const assignments = entries.map(([column], i) => `${column} = $${i + 2}`);
+
+    const client = await pool.connect();
+    try {
+      await client.query(`
+        UPDATE embedding_migrations
+        SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [migrationId, ...entries.map(([, value]) => value)]);
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMigrations() {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM embedding_migrations ORDER BY created_at DESC LIMIT 20');
+      return result.rows.map(row => this.formatMigration(row));
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMigration(migrationId) {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM embedding_migrations WHERE id = $1', [migrationId]);
+      return result.rows[0] ? this.formatMigration(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  formatMigration(row) {
+    return {
+      id: row.id,
+      targetModel: row.target_model,
+      sourceModel: row.source_model,
+      status: row.status,
+      totalChunks: row.total_chunks,
+      migratedChunks: row.migrated_chunks,
+      progress: row.total_chunks > 0
+        ? Math.floor((row.migrated_chunks / row.total_chunks) * 100)
+        : (row.status === 'completed' ? 100 : 0),
+      error: row.last_error,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Singleton instance
+export const embeddingMigrationService = new EmbeddingMigrationService();
@@ -0,0 +1,287 @@
+import pool from '../config/database.js';
+import { aiCoordinator } from './ai/aiCoordinator.js';
+import logger from '../utils/logger.js';
+
+// pgvector can build HNSW indexes for up to this many dimensions
+const MAX_INDEXED_DIMENSIONS = 2000;
+
+// Model used for each provider when EMBEDDING_MODEL is not set
+const PROVIDER_DEFAULT_MODELS = {
+  openai: 'text-embedding-3-small',
+  huggingface: 'sentence-transformers/all-MiniLM-L6-v2',
+  local: 'local-embedding',
+  demo: 'demo-embedding'
+};
+
+/**
+ * Embedding Model Registry
+ * Known embedding models with their provider and dimensions, and the one model
+ * the corpus is currently embedded with. document_chunks.embedding holds
+ * vectors of any dimension; every chunk records its model, and similarity
+ * search only compares embeddings of the active model.
+ */
+export class EmbeddingModelRegistry {
+  constructor() {
+    this.models = new Map();
+    this.activeModel = null;
+    this.activeLoadedAt = 0;
+
+    // Other server instances may activate a model; re-read it this often
+    this.refreshInterval = parseInt(process.env.EMBEDDING_MODEL_REFRESH_MS) || 30000;
+
+    this.register({ name: 'text-embedding-3-small', provider: 'openai', dimensions: 1536 });
+    this.register({ name: 'text-embedding-3-large', provider: 'openai', dimensions: 3072 });
+    this.register({ name: 'text-embedding-ada-002', provider: 'openai', dimensions: 1536 });
+    this.register({ name: 'sentence-transformers/all-MiniLM-L6-v2', provider: 'huggingface', dimensions: 384 });
+    this.register({ name: 'sentence-transformers/all-mpnet-base-v2', provider: 'huggingface', dimensions: 768 });
+    this.register({ name: 'BAAI/bge-small-en-v1.5', provider: 'huggingface', dimensions: 384 });
+    this.register({ name: 'local-embedding', provider: 'local', dimensions: 512 });
+    this.register({ name: 'demo-embedding', provider: 'demo', dimensions: 1536 });
+
+    // Embedding models of OpenAI-compatible providers from the AI provider config
+    for (const [provider, service] of aiCoordinator.providers) {
+      for (const model of service.embeddingModels || []) {
+        this.register({ name: model.name, provider, dimensions: model.dimensions });
+      }
+    }
+
+    // Any other model can be configured with its dimensions
+    if (process.env.EMBEDDING_MODEL && process.env.EMBEDDING_DIMENSIONS) {
+      this.register({
+        name: process.env.EMBEDDING_MODEL,
+        provider: process.env.EMBEDDING_PROVIDER || aiCoordinator.defaultProvider,
+        dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS)
+      });
+    }
+  }
+
+  /**
+   * Register a model as { name, provider, dimensions }
+   */
+  register(model) {
+    this.models.set(model.name, {
+      name: model.name,
+      provider: model.provider,
+      dimensions: model.dimensions
+    });
+  }
+
+  get(name) {
+    return this.models.get(name) || null;
+  }
+
+  getAvailableModels() {
+    const providers = aiCoordinator.getAvailableProviders();
+
+    return [...this.models.values()].map(model => ({
+      ...model,
+      available: providers.includes(model.provider),
+      active: model.name === this.activeModel?.name
+    }));
+  }
+
+  /**
+   * The model new corpora start with: EMBEDDING_MODEL, or the default provider's model
+   * Chat-only default providers (Anthropic, Gemini) use the first provider that embeds
+   */
+  getConfiguredModel() {
+    const providerModel = provider => PROVIDER_DEFAULT_MODELS[provider]
+      || aiCoordinator.providers.get(provider)?.models?.embedding;
+
+    const name = process.env.EMBEDDING_MODEL
+      || providerModel(aiCoordinator.defaultProvider)
+      || aiCoordinator.getAvailableProviders().map(providerModel).find(Boolean);
+
+    if (!name) {
+      throw new Error('No embedding model configured: set EMBEDDING_MODEL or enable a provider with embeddings');
+    }
+
+    const model = this.get(name);
+
+    if (!model) {
+      throw new Error(`Unknown embedding model ${name}`);
+    }
+
+    return model;
+  }
+
+  /**
+   * The model document chunks and queries are embedded with
+   */
+  async getActiveModel() {
+    if (this.activeModel && Date.now() - this.activeLoadedAt < this.refreshInterval) {
+      return this.activeModel;
+    }
+
+    try {
+      const client = await pool.connect();
+      try {
+        return await this.refresh(client);
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.warn('Failed to load active embedding model:', error.message);
+      return this.activeModel || this.getConfiguredModel();
+    }
+  }
+
+  /**
+   * Re-read the active model; pass the caller's client to see its transaction
+   */
+  async refresh(client) {
+    const result = await client.query('SELECT name, provider, dimensions FROM embedding_models WHERE is_active = true');
+    const row = result.rows[0];
+
+    if (!row) {
+      return this.activeModel || this.getConfiguredModel();
+    }
+
+    if (!this.get(row.name)) {
+      this.register(row);
+    }
+    this.activeModel = this.get(row.name);
+    this.activeLoadedAt = Date.now();
+    return this.activeModel;
+  }
+
+  /**
+   * SQL expression casting chunk embeddings (alias dc) to the model's dimensions,
+   * matching the expression of that dimension's partial index
+   */
+  embeddingExpression(model, alias = 'dc') {
+    return `${alias}.embedding::vector(${model.dimensions})`;
+  }
+
+  /**
+   * Make a model the active one; pass the caller's client to run inside its transaction
+   */
+  async activate(name, client) {
+    const model = this.get(name);
+    if (!model) {
+      throw new Error(`Unknown embedding model ${name}`);
+    }
+
+    await client.query(`
+      INSERT INTO embedding_models (name, provider, dimensions, is_active, activated_at)
+      VALUES ($1, $2, $3, true, CURRENT_TIMESTAMP)
+      ON CONFLICT (name) DO UPDATE
+      SET provider = EXCLUDED.provider, dimensions = EXCLUDED.dimensions, is_active = true, activated_at = CURRENT_TIMESTAMP
+    `, [model.name, model.provider, model.dimensions]);
+    await client.query('UPDATE embedding_models SET is_active = false WHERE name <> $1', [model.name]);
+
+    this.activeModel = model;
+    this.activeLoadedAt = Date.now();
+    logger.info(`Active embedding model: ${model.name} (${model.dimensions} dimensions)`);
+    return model;
+  }
+
+  /**
+   * How many chunks are embedded with each model
+   */
+  async getChunkCounts() {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT embedding_model, embedding_dimensions, COUNT(*) AS chunk_count
+        FROM document_chunks
+        GROUP BY embedding_model, embedding_dimensions
+        ORDER BY chunk_count DESC
+      `);
+
+      return result.rows.map(row => ({
+        model: row.embedding_model,
+        dimensions: row.embedding_dimensions,
+        chunkCount: parseInt(row.chunk_count)
+      }));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Partial HNSW index over the embeddings of one dimension
+   */
+  async ensureIndex(model, client) {
+    if (model.dimensions > MAX_INDEXED_DIMENSIONS) {
+      logger.warn(`Embeddings of ${model.name} have ${model.dimensions} dimensions; similarity search will not use an index`);
+      return;
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding_${model.dimensions}
+      ON document_chunks USING hnsw ((${this.embeddingExpression(model, 'document_chunks')}) vector_cosine_ops)
+      WITH (m = 16, ef_construction = 64)
+      WHERE embedding_dimensions = ${model.dimensions}
+    `);
+  }
+
+  /**
+   * Allow embeddings of any dimension, record the model of existing chunks
+   * and load the active model
+   */
+  async initialize() {
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS embedding_models (
+            name VARCHAR(255) PRIMARY KEY,
+            provider VARCHAR(50) NOT NULL,
+            dimensions INTEGER NOT NULL,
+            is_active BOOLEAN NOT NULL DEFAULT false,
+            activated_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // A fixed-dimension column and its index only fit one model
+        const column = await client.query(`
+          SELECT format_type(atttypid, atttypmod) AS type
+          FROM pg_attribute
+          WHERE attrelid = 'document_chunks'::regclass AND attname = 'embedding'
+        `);
+        if (column.rows[0]?.type !== 'vector') {
+          await client.query('DROP INDEX IF EXISTS idx_document_chunks_embedding');
+          await client.query('ALTER TABLE document_chunks ALTER COLUMN embedding TYPE vector');
+        }
+
+        await client.query('ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255)');
+        await client.query('ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding_model ON document_chunks(embedding_model)');
+
+        const active = await client.query('SELECT name FROM embedding_models WHERE is_active = true');
+
+        if (active.rows.length === 0) {
+          // First start with the registry: existing chunks were embedded with the configured model
+          const configured = this.getConfiguredModel();
+          await client.query(`
+            UPDATE document_chunks
+            SET embedding_model = COALESCE(metadata->>'embeddingModel', $1),
+                embedding_dimensions = vector_dims(embedding)
+            WHERE embedding_model IS NULL AND embedding IS NOT NULL
+          `, [configured.name]);
+          await this.activate(configured.name, client);
+        } else {
+          await this.refresh(client);
+
+          const configured = process.env.EMBEDDING_MODEL;
+          if (configured && configured !== this.activeModel.name) {
+            logger.warn(`EMBEDDING_MODEL is ${configured} but documents are embedded with ${this.activeModel.name}; start an embedding migration to switch`);
+          }
+        }
+
+        await this.ensureIndex(this.activeModel, client);
+        logger.info(`Embedding model registry initialized (active: ${this.activeModel.name})`);
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Initialize embedding model registry error:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const embeddingModelRegistry = new EmbeddingModelRegistry();
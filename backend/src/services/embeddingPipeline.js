@@ -0,0 +1,144 @@
+import { aiCoordinator } from './ai/aiCoordinator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Read an integer setting, keeping explicit zeros (no retries, no delay)
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Embedding Pipeline
+ * Generates embeddings for document chunks in batches with bounded concurrency
+ * and per-batch retries, so large documents are embedded completely or not at all
+ */
+export class EmbeddingPipeline {
+  constructor() {
+    this.config = {
+      batchSize: Math.max(1, readIntEnv('EMBEDDING_BATCH_SIZE', 64)),
+      concurrency: Math.max(1, readIntEnv('EMBEDDING_CONCURRENCY', 3)),
+      maxRetries: Math.max(0, readIntEnv('EMBEDDING_MAX_RETRIES', 3)),
+      retryDelay: Math.max(0, readIntEnv('EMBEDDING_RETRY_DELAY_MS', 1000))
+    };
+
+    logger.info(`Embedding pipeline initialized (batch size: ${this.config.batchSize}, concurrency: ${this.config.concurrency})`);
+  }
+
+  /**
+   * Split items into batches of the configured size
+   */
+  createBatches(items, batchSize = this.config.batchSize) {
+    const batches = [];
+
+    for (let i = 0; i < items.length; i += batchSize) {
+      batches.push({
+        index: batches.length,
+        offset: i,
+        items: items.slice(i, i + batchSize)
+      });
+    }
+
+    return batches;
+  }
+
+  /**
+   * Embed a list of texts, returning embeddings in input order
+   */
+  async embedTexts(texts, options = {}) {
+    const config = { ...this.config, ...options };
+    const batches = this.createBatches(texts, config.batchSize);
+    const embeddings = new Array(texts.length);
+    const usage = { total_tokens: 0 };
+    let model = null;
+    let provider = null;
+    let completedBatches = 0;
+    let embeddedCount = 0;
+    let nextBatch = 0;
+    let failed = false;
+
+    logger.info(`Embedding ${texts.length} texts in ${batches.length} batches`);
+
+    // Each worker pulls the next pending batch until none are left. Once a
+    // batch has failed for good the document can't be embedded, so the other
+    // workers stop taking new batches and retrying their own
+    const worker = async () => {
+      while (!failed && nextBatch < batches.length) {
+        const batch = batches[nextBatch++];
+        let result;
+        try {
+          result = await this.embedBatchWithRetry(batch, config, () => failed);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+
+        result.embeddings.forEach((embedding, i) => {
+          embeddings[batch.offset + i] = embedding;
+        });
+
+        usage.total_tokens += result.usage?.total_tokens || 0;
+        model = model || result.model;
+        provider = provider || result.provider;
+        completedBatches++;
+        embeddedCount += batch.items.length;
+
+        if (options.onProgress) {
+          await options.onProgress({
+            completedBatches,
+            totalBatches: batches.length,
+            embedded: embeddedCount,
+            total: texts.length
+          });
+        }
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(config.concurrency, batches.length));
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    return { embeddings, usage, model, provider };
+  }
+
+  /**
+   * Embed a single batch, retrying with exponential backoff until isCancelled() is true
+   */
+  async embedBatchWithRetry(batch, config = this.config, isCancelled = () => false) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+      if (attempt > 0 && isCancelled()) {
+        throw new Error(`Embedding batch ${batch.index} cancelled: ${lastError.message}`);
+      }
+
+      try {
+        const result = await aiCoordinator.generateEmbeddings(batch.items, {
+          provider: config.provider,
+          model: config.model
+        });
+
+        if (!result.embeddings || result.embeddings.length !== batch.items.length) {
+          throw new Error(`Expected ${batch.items.length} embeddings, received ${result.embeddings?.length || 0}`);
+        }
+
+        return result;
+
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < config.maxRetries) {
+          const delay = config.retryDelay * Math.pow(2, attempt);
+          logger.warn(`Embedding batch ${batch.index} failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    logger.error(`Embedding batch ${batch.index} failed after ${config.maxRetries + 1} attempts:`, lastError);
+    throw new Error(`Failed to embed batch ${batch.index}: ${lastError.message}`);
+  }
+}
+
+// Singleton instance
+export const embeddingPipeline = new EmbeddingPipeline();
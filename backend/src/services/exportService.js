@@ -56,7 +56,12 @@ class ExportService {
       });
 
       // Pipe to file
-      doc.pipe(createWriteStream(filepath));
+      const stream = createWriteStream(filepath);
+      const written = new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+      doc.pipe(stream);
 
       // Add header
       doc.fontSize(20)
@@ -95,8 +100,9 @@ class ExportService {
         }
       });
 
-      // Finalize PDF
+      // Finalize PDF and wait for the file to be flushed
       doc.end();
+      await written;
 
       logger.info(`PDF export created: ${filename}`);
 
@@ -282,26 +288,80 @@ class ExportService {
     }
   }
 
+  /**
+   * Parse an export filename into its owner reference
+   * Returns null for anything that is not a file this service wrote
+   */
+  parseExportFilename(filename) {
+    const match = /^(conversation|conversations)-([0-9a-f-]{36})-(\d+)\.(pdf|json|csv)$/i.exec(filename || '');
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      // Single exports carry the conversation id, bulk exports the user id
+      type: match[1] === 'conversation' ? 'conversation' : 'bulk',
+      ownerRef: match[2],
+      createdAt: parseInt(match[3]),
+      format: match[4].toLowerCase()
+    };
+  }
+
+  /**
+   * Filter export filenames down to those owned by the user
+   */
+  async filterOwnedExports(userId, filenames) {
+    const parsed = filenames
+      .map(filename => ({ filename, info: this.parseExportFilename(filename) }))
+      .filter(entry => entry.info);
+
+    const conversationIds = [...new Set(
+      parsed
+        .filter(entry => entry.info.type === 'conversation')
+        .map(entry => entry.info.ownerRef)
+    )];
+
+    let ownedConversations = new Set();
+
+    if (conversationIds.length > 0) {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          'SELECT id FROM conversations WHERE user_id = $1 AND id = ANY($2::uuid[])',
+          [userId, conversationIds]
+        );
+        ownedConversations = new Set(result.rows.map(row => row.id));
+      } finally {
+        client.release();
+      }
+    }
+
+    return parsed.filter(({ info }) =>
+      info.type === 'bulk' ? info.ownerRef === userId : ownedConversations.has(info.ownerRef)
+    );
+  }
+
   /**
    * Get user's export history
    */
   async getUserExports(userId) {
     try {
       const files = await fs.readdir(this.exportDir);
-      const userFiles = files.filter(file => 
-        file.includes(`-${userId}-`) || file.includes(`conversation-`)
-      );
+      const userFiles = await this.filterOwnedExports(userId, files);
 
       const exports = await Promise.all(
-        userFiles.map(async (filename) => {
+        userFiles.map(async ({ filename, info }) => {
           const filepath = path.join(this.exportDir, filename);
           const stats = await fs.stat(filepath);
           
           return {
             filename,
+            conversation_id: info.type === 'conversation' ? info.ownerRef : null,
             created_at: stats.birthtime.toISOString(),
             size: stats.size,
-            format: path.extname(filename).substring(1)
+            format: info.format,
+            downloadUrl: `/api/chat/exports/download/${filename}`
           };
         })
       );
@@ -316,6 +376,36 @@ class ExportService {
     }
   }
 
+  /**
+   * Resolve an export file for download after verifying ownership
+   */
+  async getExportFile(userId, filename) {
+    const info = this.parseExportFilename(filename);
+
+    if (!info || userId === 'demo-user-id') {
+      throw new Error('Export not found');
+    }
+
+    const owned = await this.filterOwnedExports(userId, [filename]);
+    if (owned.length === 0) {
+      throw new Error('Access denied. Not your export');
+    }
+
+    const filepath = path.join(this.exportDir, filename);
+
+    try {
+      const stats = await fs.stat(filepath);
+      return {
+        filename,
+        filepath,
+        filesize: stats.size,
+        format: info.format
+      };
+    } catch (error) {
+      throw new Error('Export not found');
+    }
+  }
+
   /**
    * Clean up old export files
    */
@@ -0,0 +1,109 @@
+import { toMarkdownTable } from './markdown.js';
+
+/**
+ * CSV extractor
+ * Renders rows as Markdown tables in groups, repeating the header row in every
+ * group so each chunk of a long table still says what its columns mean
+ */
+export class CsvExtractor {
+  constructor() {
+    this.name = 'csv';
+    this.label = 'CSV';
+    this.mimeTypes = ['text/csv', 'application/csv', 'text/tab-separated-values'];
+    this.extensions = ['csv', 'tsv'];
+    this.rowsPerTable = 25;
+  }
+
+  async extract(buffer, file = {}) {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(text, file.originalname);
+    const rows = this.parse(text, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+
+    if (rows.length === 0) {
+      return { content: '', metadata: { columns: [], rowCount: 0 } };
+    }
+
+    const [header, ...records] = rows;
+    const sections = [];
+
+    for (let start = 0; start < Math.max(records.length, 1); start += this.rowsPerTable) {
+      const group = records.slice(start, start + this.rowsPerTable);
+      const heading = records.length > this.rowsPerTable
+        ? `## Rows ${start + 1}-${start + group.length}\n\n`
+        : '';
+      sections.push(heading + toMarkdownTable([header, ...group]));
+    }
+
+    return {
+      content: sections.join('\n\n'),
+      metadata: {
+        columns: header.map(column => column.trim()),
+        rowCount: records.length,
+        delimiter: delimiter === '\t' ? 'tab' : delimiter
+      }
+    };
+  }
+
+  /**
+   * Pick the delimiter that splits the header line into the most columns
+   */
+  detectDelimiter(text, filename = '') {
+    if (/\.tsv$/i.test(filename)) {
+      return '\t';
+    }
+
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const candidates = [',', ';', '\t', '|'];
+    return candidates.reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    );
+  }
+
+  /**
+   * RFC 4180 parser: quoted fields may contain delimiters, newlines and doubled quotes
+   */
+  parse(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
@@ -0,0 +1,237 @@
+import zlib from 'zlib';
+import { toMarkdownTable, normalizeBlankLines } from './markdown.js';
+
+const DOCUMENT_XML = 'word/document.xml';
+
+// Uploads are at most 10 MB; document.xml may inflate to ten times that.
+// Anything bigger is treated as a deflate bomb.
+const MAX_ENTRY_SIZE = 100 * 1024 * 1024;
+
+// Throw unless `length` bytes from `start` lie inside the buffer
+function checkRange(buffer, start, length) {
+  if (start < 0 || length < 0 || start + length > buffer.length) {
+    throw new Error('Corrupt ZIP archive');
+  }
+}
+
+/**
+ * Read one file out of a ZIP archive using the central directory
+ * DOCX files only use stored (0) and deflate (8) entries
+ */
+function readZipEntry(buffer, entryName) {
+  const endOfDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOfDirectory === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+  checkRange(buffer, endOfDirectory, 22);
+
+  const entryCount = buffer.readUInt16LE(endOfDirectory + 10);
+  let offset = buffer.readUInt32LE(endOfDirectory + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    checkRange(buffer, offset, 46);
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+    checkRange(buffer, offset + 46, nameLength);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      if (uncompressedSize > MAX_ENTRY_SIZE) {
+        throw new Error(`${entryName} is too large`);
+      }
+
+      checkRange(buffer, localHeader, 30);
+      const dataStart = localHeader + 30
+        + buffer.readUInt16LE(localHeader + 26)
+        + buffer.readUInt16LE(localHeader + 28);
+      checkRange(buffer, dataStart, compressedSize);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) return data;
+      if (method === 8) return inflate(data, entryName);
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+}
+
+// The declared size can't be trusted, so inflating stops at the limit too
+function inflate(data, entryName) {
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`${entryName} is too large`);
+    }
+    throw error;
+  }
+}
+
+// Numeric character reference, left as written when it isn't a code point
+function decodeCharacterReference(match, code) {
+  return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => decodeCharacterReference(match, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => decodeCharacterReference(match, parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Find the end of the element opened at `start`, allowing nested elements of the same tag
+ */
+function findElementEnd(xml, start, tag) {
+  const pattern = new RegExp(`<(/?)${tag}(?=[\\s>/])[^>]*?(/?)>`, 'g');
+  pattern.lastIndex = start;
+  let depth = 0;
+
+  for (let match = pattern.exec(xml); match; match = pattern.exec(xml)) {
+    const [, closing, selfClosing] = match;
+    if (selfClosing) {
+      if (depth === 0) return pattern.lastIndex;
+      continue;
+    }
+
+    depth += closing ? -1 : 1;
+    if (depth === 0) return pattern.lastIndex;
+  }
+
+  return xml.length;
+}
+
+/**
+ * Split XML into the top-level elements with one of the given tags, in document order
+ */
+function topLevelElements(xml, tags) {
+  const elements = [];
+  const opening = new RegExp(`<(${tags.join('|')})(?=[\\s>/])`, 'g');
+
+  for (let match = opening.exec(xml); match; match = opening.exec(xml)) {
+    const end = findElementEnd(xml, match.index, match[1]);
+    elements.push({ tag: match[1], xml: xml.slice(match.index, end) });
+    opening.lastIndex = end;
+  }
+
+  return elements;
+}
+
+/**
+ * DOCX (Word) extractor
+ * Keeps headings as Markdown headings, list items as bullets and tables as Markdown tables
+ */
+export class DocxExtractor {
+  constructor() {
+    this.name = 'docx';
+    this.label = 'DOCX';
+    this.mimeTypes = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+    this.extensions = ['docx'];
+  }
+
+  async extract(buffer) {
+    let documentXml;
+    try {
+      documentXml = readZipEntry(buffer, DOCUMENT_XML);
+    } catch (error) {
+      throw new Error(`Failed to parse DOCX file: ${error.message}`);
+    }
+
+    if (!documentXml) {
+      throw new Error('Failed to parse DOCX file: missing word/document.xml');
+    }
+
+    const xml = documentXml.toString('utf-8');
+    const body = xml.slice(xml.indexOf('<w:body'), xml.lastIndexOf('</w:body>'));
+
+    const blocks = [];
+    const headings = [];
+    let tables = 0;
+
+    for (const element of topLevelElements(body, ['w:p', 'w:tbl'])) {
+      if (element.tag === 'w:tbl') {
+        blocks.push(this.renderTable(element.xml));
+        tables++;
+        continue;
+      }
+
+      const paragraph = this.renderParagraph(element.xml);
+      if (paragraph.heading) {
+        headings.push(paragraph.text);
+      }
+      blocks.push(paragraph.markdown);
+    }
+
+    return {
+      content: normalizeBlankLines(blocks.join('\n\n')),
+      metadata: { headings: headings.slice(0, 100), tables }
+    };
+  }
+
+  paragraphText(xml) {
+    const parts = [];
+    const tokens = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+
+    for (const match of xml.matchAll(tokens)) {
+      if (match[1] !== undefined) parts.push(decodeXml(match[1]));
+      else if (match[0].startsWith('<w:tab')) parts.push('\t');
+      else parts.push('\n');
+    }
+
+    return parts.join('').trim();
+  }
+
+  renderParagraph(xml) {
+    const text = this.paragraphText(xml);
+    if (!text) {
+      return { markdown: '', text };
+    }
+
+    const style = xml.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+    const outlineLevel = xml.match(/<w:outlineLvl w:val="([0-8])"/)?.[1];
+    const headingLevel = /^title$/i.test(style)
+      ? 1
+      : parseInt(style.match(/heading\s*(\d)/i)?.[1] ?? (outlineLevel !== undefined ? parseInt(outlineLevel) + 1 : NaN));
+
+    if (headingLevel >= 1) {
+      return {
+        markdown: `${'#'.repeat(Math.min(headingLevel, 6))} ${text.replace(/\s+/g, ' ')}`,
+        text,
+        heading: true
+      };
+    }
+
+    if (xml.includes('<w:numPr>')) {
+      const level = parseInt(xml.match(/<w:ilvl w:val="(\d+)"/)?.[1] || '0');
+      return { markdown: `${'  '.repeat(level)}- ${text}`, text };
+    }
+
+    return { markdown: text, text };
+  }
+
+  renderTable(xml) {
+    const rows = topLevelElements(xml.slice(xml.indexOf('>') + 1), ['w:tr']).map(row =>
+      topLevelElements(row.xml.slice(row.xml.indexOf('>') + 1), ['w:tc']).map(cell =>
+        topLevelElements(cell.xml, ['w:p']).map(p => this.paragraphText(p.xml)).filter(Boolean).join(' ')
+      )
+    );
+
+    return toMarkdownTable(rows.filter(row => row.some(Boolean)));
+  }
+}
@@ -0,0 +1,109 @@
+import path from 'path';
+import logger from '../../utils/logger.js';
+import { PdfExtractor } from './pdfExtractor.js';
+import { TextExtractor } from './textExtractor.js';
+import { DocxExtractor } from './docxExtractor.js';
+import { HtmlExtractor } from './htmlExtractor.js';
+import { CsvExtractor } from './csvExtractor.js';
+import { JsonExtractor } from './jsonExtractor.js';
+
+/**
+ * Extractor Registry
+ * Maps uploaded files to text extractors by MIME type, falling back to the file
+ * extension when browsers report a generic type. Upload validation, the multer
+ * filter and text extraction all resolve through here, so supporting a new
+ * format only needs a register() call.
+ *
+ * An extractor is any object with:
+ *   name        - short format id stored in document metadata
+ *   label       - human readable name used in error messages
+ *   mimeTypes   - MIME types it handles; the first is the canonical type
+ *   extensions  - file extensions it handles, without the dot
+ *   extract(buffer, file) - resolves to { content, metadata }
+ */
+export class ExtractorRegistry {
+  constructor() {
+    this.extractors = [];
+  }
+
+  /**
+   * Register an extractor; later registrations take precedence for shared types
+   */
+  register(extractor) {
+    for (const field of ['name', 'mimeTypes', 'extensions']) {
+      if (!extractor?.[field]) {
+        throw new Error(`Extractor is missing "${field}"`);
+      }
+    }
+
+    if (typeof extractor.extract !== 'function') {
+      throw new Error(`Extractor "${extractor.name}" has no extract() method`);
+    }
+
+    this.extractors.unshift(extractor);
+    logger.debug(`Registered ${extractor.name} extractor`);
+    return this;
+  }
+
+  /**
+   * Find the extractor for a file, or null if the format is unsupported
+   */
+  resolve(mimetype, filename = '') {
+    const type = (mimetype || '').toLowerCase().split(';')[0].trim();
+    const byType = this.extractors.find(extractor => extractor.mimeTypes.includes(type));
+    if (byType) {
+      return byType;
+    }
+
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    return this.extractors.find(extractor => extractor.extensions.includes(extension)) || null;
+  }
+
+  isSupported(mimetype, filename) {
+    return this.resolve(mimetype, filename) !== null;
+  }
+
+  get supportedMimeTypes() {
+    return [...new Set(this.extractors.flatMap(extractor => extractor.mimeTypes))];
+  }
+
+  get supportedExtensions() {
+    return [...new Set(this.extractors.flatMap(extractor => extractor.extensions))];
+  }
+
+  /**
+   * "PDF, TXT, MD, ..." for error messages, in registration order
+   */
+  describeSupported() {
+    return [...this.extractors].reverse().map(extractor => extractor.label || extractor.name.toUpperCase()).join(', ');
+  }
+
+  /**
+   * Extract text and structural metadata from an uploaded file
+   * Returns { content, fileType, metadata } where fileType is the canonical MIME type
+   */
+  async extract(file) {
+    const extractor = this.resolve(file.mimetype, file.originalname);
+
+    if (!extractor) {
+      throw new Error(`Unsupported file type: ${file.mimetype}`);
+    }
+
+    const { content, metadata = {} } = await extractor.extract(file.buffer, file);
+
+    return {
+      content,
+      fileType: extractor.mimeTypes.includes(file.mimetype) ? file.mimetype : extractor.mimeTypes[0],
+      metadata: { format: extractor.name, ...metadata }
+    };
+  }
+}
+
+// Singleton instance with the built-in formats
+export const extractorRegistry = new ExtractorRegistry()
+  .register(new PdfExtractor())
+  .register(new TextExtractor())
+  .register(new DocxExtractor())
+  .register(new HtmlExtractor())
+  .register(new CsvExtractor())
+  .register(new JsonExtractor());
@@ -0,0 +1,98 @@
+import { toMarkdownTable, normalizeBlankLines } from './markdown.js';
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Out of range references are left as written
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Inline text of a fragment: tags removed, whitespace collapsed
+function inlineText(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * HTML extractor
+ * Converts exported pages to Markdown: headings, lists, code blocks and tables
+ * survive; scripts, styles and navigation chrome are dropped
+ */
+export class HtmlExtractor {
+  constructor() {
+    this.name = 'html';
+    this.label = 'HTML';
+    this.mimeTypes = ['text/html', 'application/xhtml+xml'];
+    this.extensions = ['html', 'htm', 'xhtml'];
+  }
+
+  async extract(buffer) {
+    const html = buffer.toString('utf-8');
+    const title = inlineText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+
+    let content = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|svg|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '');
+
+    // Prefer the main content region when the page marks one
+    const main = content.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+    if (main) {
+      content = main[2];
+    }
+
+    const headings = [];
+    let tables = 0;
+
+    content = content
+      .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) =>
+        `\n\n\`\`\`\n${decodeEntities(code.replace(/<[^>]+>/g, '')).replace(/^\n|\n$/g, '')}\n\`\`\`\n\n`)
+      .replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (_, table) => {
+        tables++;
+        return `\n\n${this.renderTable(table)}\n\n`;
+      })
+      .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) => {
+        const heading = inlineText(text);
+        if (!heading) return '\n\n';
+        headings.push(heading);
+        return `\n\n${'#'.repeat(parseInt(level))} ${heading}\n\n`;
+      })
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/?(p|div|section|article|header|main|aside|blockquote|ul|ol|dl|dt|dd|figure|figcaption|hr)\b[^>]*>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '');
+
+    // Collapse whitespace outside fenced code blocks
+    content = content
+      .split(/(```[\s\S]*?```)/)
+      .map((part, index) => index % 2 === 1
+        ? part
+        : decodeEntities(part).replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n'))
+      .join('');
+
+    return {
+      content: normalizeBlankLines(content),
+      metadata: {
+        ...(title && { title }),
+        headings: headings.slice(0, 100),
+        tables
+      }
+    };
+  }
+
+  renderTable(table) {
+    const rows = [...table.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map(([, row]) =>
+      [...row.matchAll(/<t([hd])\b[^>]*>([\s\S]*?)<\/t\1>/gi)].map(([, , cell]) => inlineText(cell))
+    );
+
+    return toMarkdownTable(rows.filter(row => row.length > 0));
+  }
+}
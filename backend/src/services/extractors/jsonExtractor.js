@@ -0,0 +1,92 @@
+/**
+ * JSON extractor
+ * Flattens API dumps into "path: value" lines grouped under one heading per
+ * record, so each chunk carries the JSONPath of the data it came from
+ */
+export class JsonExtractor {
+  constructor() {
+    this.name = 'json';
+    this.label = 'JSON';
+    this.mimeTypes = ['application/json', 'text/json'];
+    this.extensions = ['json'];
+    this.maxPaths = 200;
+  }
+
+  async extract(buffer) {
+    let data;
+
+    try {
+      data = JSON.parse(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Failed to parse JSON file: ${error.message}`);
+    }
+
+    const sections = this.sections(data);
+    const content = sections
+      .map(({ path, value }) => {
+        const lines = this.flatten(value, path);
+        return `## ${path}\n\n${lines.join('\n')}`;
+      })
+      .join('\n\n');
+
+    return {
+      content,
+      metadata: {
+        paths: sections.map(section => section.path).slice(0, this.maxPaths),
+        records: sections.length
+      }
+    };
+  }
+
+  /**
+   * Records to render as sections: array elements, or top-level object keys
+   */
+  sections(data) {
+    if (Array.isArray(data)) {
+      return data.map((value, index) => ({ path: `$[${index}]`, value }));
+    }
+
+    if (data && typeof data === 'object') {
+      // A single wrapper key around a list (e.g. {"items": [...]}) is split per item
+      const entries = Object.entries(data);
+      if (entries.length === 1 && Array.isArray(entries[0][1])) {
+        const [key, items] = entries[0];
+        return items.map((value, index) => ({ path: `${this.childPath('$', key)}[${index}]`, value }));
+      }
+
+      return entries.map(([key, value]) => ({ path: this.childPath('$', key), value }));
+    }
+
+    return [{ path: '$', value: data }];
+  }
+
+  /**
+   * Leaf values as "path: value" lines; arrays of scalars stay on one line
+   */
+  flatten(value, path) {
+    if (Array.isArray(value)) {
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        return [`${path}: ${value.map(item => this.formatScalar(item)).join(', ')}`];
+      }
+      return value.flatMap((item, index) => this.flatten(item, `${path}[${index}]`));
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) {
+        return [`${path}: {}`];
+      }
+      return entries.flatMap(([key, child]) => this.flatten(child, this.childPath(path, key)));
+    }
+
+    return [`${path}: ${this.formatScalar(value)}`];
+  }
+
+  childPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+  }
+
+  formatScalar(value) {
+    return typeof value === 'string' ? value.replace(/\s*\n\s*/g, ' ') : JSON.stringify(value);
+  }
+}
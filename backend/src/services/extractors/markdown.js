@@ -0,0 +1,36 @@
+/**
+ * Shared helpers for rendering extracted structure as Markdown
+ */
+
+/**
+ * Render rows of cell strings as a Markdown table; the first row is the header
+ */
+export function toMarkdownTable(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  if (rows.length === 0 || width === 0) {
+    return '';
+  }
+
+  const cell = value => String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+  const line = row => `| ${Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ')} |`;
+
+  const [header, ...body] = rows;
+
+  return [
+    line(header),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...body.map(line)
+  ].join('\n');
+}
+
+/**
+ * Collapse runs of blank lines and trailing spaces left by tag removal
+ */
+export function normalizeBlankLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/g, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,53 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Render one page like pdf-parse does, starting a new line when the baseline changes
+ */
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+
+  return text;
+}
+
+/**
+ * PDF extractor using pdf-parse
+ * Pages are separated by form feeds (\f) so chunking can record page numbers
+ */
+export class PdfExtractor {
+  constructor() {
+    this.name = 'pdf';
+    this.label = 'PDF';
+    this.mimeTypes = ['application/pdf'];
+    this.extensions = ['pdf'];
+  }
+
+  async extract(buffer) {
+    try {
+      // Dynamically import pdf-parse to avoid initialization issues
+      const pdfParse = (await import('pdf-parse')).default;
+      const pages = [];
+      const data = await pdfParse(buffer, {
+        pagerender: async pageData => {
+          pages[pageData.pageIndex] = await renderPageText(pageData);
+          return pages[pageData.pageIndex];
+        }
+      });
+
+      return {
+        // Form feeds inside page text would be mistaken for page breaks
+        content: Array.from({ length: data.numrender }, (_, i) => (pages[i] || '').replace(/\f/g, '\n').trim()).join('\n\f\n'),
+        metadata: { pages: data.numpages }
+      };
+    } catch (error) {
+      logger.error('PDF parsing error:', error);
+      throw new Error('Failed to parse PDF file');
+    }
+  }
+}
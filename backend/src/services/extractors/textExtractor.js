@@ -0,0 +1,18 @@
+/**
+ * Plain text and Markdown extractor
+ */
+export class TextExtractor {
+  constructor() {
+    this.name = 'text';
+    this.label = 'TXT, MD';
+    this.mimeTypes = ['text/plain', 'text/markdown', 'text/x-markdown'];
+    this.extensions = ['txt', 'md', 'markdown'];
+  }
+
+  async extract(buffer) {
+    return {
+      content: buffer.toString('utf-8').replace(/^\uFEFF/, ''),
+      metadata: {}
+    };
+  }
+}
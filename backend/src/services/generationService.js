@@ -0,0 +1,65 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Generation Service
+ * Tracks the responses being streamed for each conversation so they can be
+ * cancelled from the cancel endpoint.
+ * Generations are tracked per server process.
+ */
+export class GenerationService {
+  constructor() {
+    // conversationId -> Set of AbortControllers
+    this.generations = new Map();
+  }
+
+  /**
+   * Register a generation; its signal aborts when it's cancelled
+   */
+  start(conversationId) {
+    const controller = new AbortController();
+
+    if (!this.generations.has(conversationId)) {
+      this.generations.set(conversationId, new Set());
+    }
+    this.generations.get(conversationId).add(controller);
+
+    return controller;
+  }
+
+  finish(conversationId, controller) {
+    const active = this.generations.get(conversationId);
+    if (!active) {
+      return;
+    }
+
+    active.delete(controller);
+    if (active.size === 0) {
+      this.generations.delete(conversationId);
+    }
+  }
+
+  /**
+   * Cancel every generation of a conversation; returns how many were running
+   * The reason ends up as the signal's reason
+   */
+  cancel(conversationId, reason = 'user') {
+    const active = this.generations.get(conversationId);
+    if (!active) {
+      return 0;
+    }
+
+    for (const controller of active) {
+      controller.abort(reason);
+    }
+
+    logger.info(`Cancelled ${active.size} generation(s) in conversation ${conversationId} (${reason})`);
+    return active.size;
+  }
+
+  isActive(conversationId) {
+    return this.generations.has(conversationId);
+  }
+}
+
+// Singleton instance
+export const generationService = new GenerationService();
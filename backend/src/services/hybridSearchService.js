@@ -0,0 +1,251 @@
+import pool from '../config/database.js';
+import { documentService } from './documentService.js';
+import { embeddingModelRegistry } from './embeddingModelRegistry.js';
+import { aiCoordinator } from './ai/aiCoordinator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Hybrid Search Service
+ * Combines pgvector similarity search with Postgres full-text search using
+ * reciprocal rank fusion, so exact identifiers and semantic matches both surface
+ */
+export class HybridSearchService {
+  constructor() {
+    this.defaultOptions = {
+      mode: process.env.RETRIEVAL_MODE || 'hybrid',
+      vectorWeight: parseFloat(process.env.RETRIEVAL_VECTOR_WEIGHT ?? '1.0'),
+      keywordWeight: parseFloat(process.env.RETRIEVAL_KEYWORD_WEIGHT ?? '1.0'),
+      rrfK: parseInt(process.env.RETRIEVAL_RRF_K) || 60,
+      candidateMultiplier: 3,
+      limit: 5,
+      threshold: 0.7
+    };
+
+    this.modes = ['hybrid', 'vector', 'keyword'];
+
+    logger.info(`Hybrid search service initialized (mode: ${this.defaultOptions.mode})`);
+  }
+
+  /**
+   * Ensure the full-text index used by keyword search exists
+   */
+  async initialize() {
+    const client = await pool.connect();
+    try {
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_document_chunks_content_fts
+        ON document_chunks USING gin (to_tsvector('simple', content))
+      `);
+      logger.info('Hybrid search full-text index ready');
+    } catch (error) {
+      logger.error('Failed to create full-text search index:', error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Search the user's document chunks
+   */
+  async search(query, userId, options = {}) {
+    const searchOptions = { ...this.defaultOptions, ...this.stripUndefined(options) };
+    const mode = this.modes.includes(searchOptions.mode) ? searchOptions.mode : 'hybrid';
+    searchOptions.vectorWeight = this.normalizeWeight(searchOptions.vectorWeight, this.defaultOptions.vectorWeight);
+    searchOptions.keywordWeight = this.normalizeWeight(searchOptions.keywordWeight, this.defaultOptions.keywordWeight);
+    const candidateLimit = searchOptions.limit * searchOptions.candidateMultiplier;
+
+    const useVector = mode !== 'keyword' && searchOptions.vectorWeight > 0;
+    const useKeyword = mode !== 'vector' && searchOptions.keywordWeight > 0;
+
+    const [vectorResult, keywordResults] = await Promise.all([
+      useVector
+        ? this.searchVector(query, userId, { ...searchOptions, limit: candidateLimit })
+        : { results: [], usage: null },
+      useKeyword
+        ? this.searchKeyword(query, userId, { ...searchOptions, limit: candidateLimit })
+        : []
+    ]);
+
+    const lists = [];
+    if (useVector) {
+      lists.push({ source: 'vector', weight: searchOptions.vectorWeight, results: vectorResult.results });
+    }
+    if (useKeyword) {
+      lists.push({ source: 'keyword', weight: searchOptions.keywordWeight, results: keywordResults });
+    }
+
+    const results = this.collapseIdenticalChunks(this.reciprocalRankFusion(lists, searchOptions.rrfK))
+      .slice(0, searchOptions.limit);
+
+    logger.info(`Hybrid search (${mode}) returned ${results.length} chunks (vector: ${vectorResult.results.length}, keyword: ${keywordResults.length})`);
+
+    return {
+      results,
+      usage: vectorResult.usage,
+      mode
+    };
+  }
+
+  /**
+   * Vector similarity candidates
+   * Falls back to no vector results when embeddings are unavailable so keyword
+   * matches still come through
+   */
+  async searchVector(query, userId, options) {
+    try {
+      // The query must be embedded with the same model as the chunks it is compared to
+      const embeddingModel = await embeddingModelRegistry.getActiveModel();
+      const embeddingResult = await aiCoordinator.generateEmbedding(query, {
+        provider: embeddingModel.provider,
+        model: embeddingModel.name
+      });
+
+      const rows = await documentService.searchSimilarChunks(
+        embeddingResult.embedding,
+        userId,
+        {
+          embeddingModel,
+          limit: options.limit,
+          threshold: options.threshold,
+          documentIds: options.documentIds,
+          allVersions: options.allVersions
+        }
+      );
+
+      return { results: rows, usage: embeddingResult.usage };
+
+    } catch (error) {
+      logger.warn('Vector search failed, continuing with keyword results:', error.message);
+      return { results: [], usage: null };
+    }
+  }
+
+  /**
+   * Full-text keyword candidates
+   */
+  async searchKeyword(query, userId, options) {
+    try {
+      return await documentService.searchKeywordChunks(query, userId, {
+        limit: options.limit,
+        documentIds: options.documentIds,
+        allVersions: options.allVersions
+      });
+    } catch (error) {
+      logger.warn('Keyword search failed, continuing with vector results:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fuse ranked result lists: score = sum(weight / (k + rank))
+   */
+  reciprocalRankFusion(lists, k = this.defaultOptions.rrfK) {
+    const fused = new Map();
+
+    for (const { source, weight, results } of lists) {
+      results.forEach((row, index) => {
+        const rank = index + 1;
+        const entry = fused.get(row.id) || { ...this.normalizeRow(row), score: 0, matchedBy: [], ranks: {} };
+
+        entry.score += weight / (k + rank);
+        entry.matchedBy.push(source);
+        entry.ranks[source] = rank;
+
+        if (source === 'vector') {
+          entry.similarity = parseFloat(row.similarity);
+        } else if (source === 'keyword') {
+          entry.keywordScore = parseFloat(row.keyword_score);
+        }
+
+        fused.set(row.id, entry);
+      });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Fuse already-normalized result lists, e.g. from several sub-queries
+   */
+  mergeResultLists(lists, k = this.defaultOptions.rrfK) {
+    const merged = new Map();
+
+    for (const results of lists) {
+      results.forEach((chunk, index) => {
+        const entry = merged.get(chunk.id) || { ...chunk, score: 0 };
+        entry.score += 1 / (k + index + 1);
+        entry.similarity = Math.max(entry.similarity ?? -Infinity, chunk.similarity ?? -Infinity);
+        if (entry.similarity === -Infinity) entry.similarity = null;
+        entry.matchedBy = [...new Set([...(entry.matchedBy || []), ...(chunk.matchedBy || [])])];
+        merged.set(chunk.id, entry);
+      });
+    }
+
+    return this.collapseIdenticalChunks([...merged.values()].sort((a, b) => b.score - a.score));
+  }
+
+  /**
+   * Keep only the best-ranked of chunks with identical content, so copies of a
+   * document don't take several retrieval slots. The kept chunk lists the others
+   * in `duplicates`.
+   */
+  collapseIdenticalChunks(results) {
+    const kept = new Map();
+    const collapsed = [];
+
+    for (const chunk of results) {
+      const first = chunk.contentHash && kept.get(chunk.contentHash);
+      if (!first) {
+        if (chunk.contentHash) kept.set(chunk.contentHash, chunk);
+        collapsed.push(chunk);
+        continue;
+      }
+
+      first.duplicates = [
+        ...(first.duplicates || []),
+        { id: chunk.id, documentId: chunk.documentId, originalFilename: chunk.originalFilename }
+      ];
+    }
+
+    return collapsed;
+  }
+
+  /**
+   * Convert a chunk row to the shape used by RAG and the search API
+   */
+  normalizeRow(row) {
+    return {
+      id: row.id,
+      documentId: row.document_id,
+      filename: row.filename,
+      originalFilename: row.original_filename,
+      content: row.content,
+      metadata: row.metadata,
+      chunkIndex: row.chunk_index,
+      version: row.version_number,
+      contentHash: row.content_hash,
+      similarity: null,
+      keywordScore: null
+    };
+  }
+
+  /**
+   * Fall back to the default for negative or non-numeric weights
+   */
+  normalizeWeight(weight, fallback) {
+    const value = parseFloat(weight);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  /**
+   * Drop unset per-request options so they don't override defaults
+   */
+  stripUndefined(options) {
+    return Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+}
+
+// Singleton instance
+export const hybridSearchService = new HybridSearchService();
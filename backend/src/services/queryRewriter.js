@@ -0,0 +1,113 @@
+import { aiCoordinator } from './ai/aiCoordinator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Query Rewriter
+ * Condenses the latest user turn and recent history into a standalone search
+ * query, optionally with sub-queries, so follow-up questions retrieve useful chunks
+ */
+export class QueryRewriter {
+  constructor() {
+    this.defaultOptions = {
+      // Off unless configured: each rewrite is an extra model call per question
+      enabled: process.env.RAG_QUERY_REWRITE === 'true',
+      historyMessages: parseInt(process.env.RAG_REWRITE_HISTORY_MESSAGES) || 6,
+      maxSubQueries: parseInt(process.env.RAG_MAX_SUB_QUERIES ?? '3')
+    };
+
+    logger.info(`Query rewriter initialized (enabled: ${this.defaultOptions.enabled})`);
+  }
+
+  /**
+   * Rewrite the latest user message using the preceding conversation
+   * Returns { original, query, subQueries, rewritten }
+   */
+  async rewrite(messages, options = {}) {
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const config = { ...this.defaultOptions, ...overrides };
+    const conversation = messages.filter(m => m.role === 'user' || m.role === 'assistant');
+    const latest = [...conversation].reverse().find(m => m.role === 'user');
+    const original = latest?.content || '';
+
+    const unchanged = { original, query: original, subQueries: [], rewritten: false };
+
+    // Nothing to resolve against on the first turn
+    const history = conversation.slice(0, conversation.lastIndexOf(latest)).slice(-config.historyMessages);
+    if (!config.enabled || !latest || history.length === 0) {
+      return unchanged;
+    }
+
+    try {
+      const result = await this.condense(original, history, config);
+      logger.info(`Rewrote retrieval query: "${original.substring(0, 50)}" -> "${result.query.substring(0, 50)}"`);
+      return { original, ...result, rewritten: result.query !== original };
+
+    } catch (error) {
+      logger.warn('Query rewriting failed, using fallback:', error.message);
+      return { ...unchanged, ...this.fallbackRewrite(original, history) };
+    }
+  }
+
+  /**
+   * Ask the model for a standalone query and sub-queries
+   */
+  async condense(latest, history, config) {
+    const transcript = history
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, 500)}`)
+      .join('\n');
+
+    const subQueryInstruction = config.maxSubQueries > 0
+      ? ` If the question has several distinct parts, also list up to ${config.maxSubQueries} short sub-queries, one per part.`
+      : '';
+
+    const response = await aiCoordinator.generateResponse([
+      {
+        role: 'system',
+        content: `Rewrite the user's latest message into a standalone search query for a document search engine. Resolve pronouns and references like "the second one" using the conversation. Keep names, identifiers and error codes exactly as written.${subQueryInstruction} Reply only with JSON: {"query": "...", "subQueries": ["..."]}`
+      },
+      {
+        role: 'user',
+        content: `Conversation:\n${transcript}\n\nLatest message: ${latest}`
+      }
+    ], {
+      provider: config.provider,
+      settings: { temperature: 0, maxTokens: 200 },
+      enableCaching: false
+    });
+
+    const match = response.content.match(/\{[\s\S]*\}/);
+    const parsed = match ? JSON.parse(match[0]) : null;
+
+    if (!parsed?.query || typeof parsed.query !== 'string') {
+      throw new Error('Rewrite response did not contain a query');
+    }
+
+    const subQueries = Array.isArray(parsed.subQueries)
+      ? parsed.subQueries
+        .filter(q => typeof q === 'string' && q.trim() && q.trim() !== parsed.query.trim())
+        .slice(0, config.maxSubQueries)
+      : [];
+
+    return { query: parsed.query.trim(), subQueries };
+  }
+
+  /**
+   * Without a model, prefix short follow-ups with the previous user question
+   */
+  fallbackRewrite(latest, history) {
+    const previousQuestion = [...history].reverse().find(m => m.role === 'user');
+    const isShortFollowUp = latest.trim().split(/\s+/).length <= 8;
+
+    if (!previousQuestion || !isShortFollowUp) {
+      return {};
+    }
+
+    return {
+      query: `${previousQuestion.content} ${latest}`.trim(),
+      rewritten: true
+    };
+  }
+}
+
+// Singleton instance
+export const queryRewriter = new QueryRewriter();
@@ -649,6 +649,48 @@ class QuotaService {
     }
   }
 
+  /**
+   * Get aggregated usage across all users for today and this month
+   */
+  async getSystemUsageStats() {
+    try {
+      const client = await pool.connect();
+      try {
+        const today = new Date().toISOString().split('T')[0];
+        const currentMonth = new Date().toISOString().substring(0, 7);
+
+        const query = `
+          SELECT
+            COUNT(DISTINCT user_id) FILTER (WHERE date = $1) as active_users_today,
+            COALESCE(SUM(daily_messages) FILTER (WHERE date = $1), 0) as messages_today,
+            COALESCE(SUM(daily_tokens) FILTER (WHERE date = $1), 0) as tokens_today,
+            COALESCE(SUM(daily_messages), 0) as messages_this_month,
+            COALESCE(SUM(daily_tokens), 0) as tokens_this_month,
+            COALESCE(SUM(documents_uploaded), 0) as documents_this_month
+          FROM user_usage
+          WHERE month = $2
+        `;
+        const result = await client.query(query, [today, currentMonth]);
+        const row = result.rows[0] || {};
+
+        return {
+          active_users_today: parseInt(row.active_users_today) || 0,
+          messages_today: parseInt(row.messages_today) || 0,
+          tokens_today: parseInt(row.tokens_today) || 0,
+          messages_this_month: parseInt(row.messages_this_month) || 0,
+          tokens_this_month: parseInt(row.tokens_this_month) || 0,
+          documents_this_month: parseInt(row.documents_this_month) || 0
+        };
+
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Get system usage stats error:', error);
+      return null;
+    }
+  }
+
   /**
    * Initialize usage tracking table
    */
@@ -681,6 +723,12 @@ class QuotaService {
           ADD COLUMN IF NOT EXISTS subscription_tier VARCHAR(20) DEFAULT 'free'
         `);
 
+        // Add is_admin column used by requireAdmin if it doesn't exist
+        await client.query(`
+          ALTER TABLE users 
+          ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false
+        `);
+
         // Create indexes
         await client.query('CREATE INDEX IF NOT EXISTS idx_user_usage_user_date ON user_usage(user_id, date)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_user_usage_month ON user_usage(user_id, month)');
@@ -1,4 +1,8 @@
 import { documentService } from './documentService.js';
+import { hybridSearchService } from './hybridSearchService.js';
+import { rerankService } from './rerankService.js';
+import { citationService } from './citationService.js';
+import { queryRewriter } from './queryRewriter.js';
 import { aiCoordinator } from './ai/aiCoordinator.js';
 import logger from '../utils/logger.js';
 
@@ -12,7 +16,9 @@ export class RAGService {
       maxRelevantChunks: 3,
       similarityThreshold: 0.7,
       maxContextLength: 3000,
-      enableRAG: true
+      enableRAG: true,
+      retrieval: {},
+      rerankCandidates: parseInt(process.env.RAG_RERANK_CANDIDATES) || 20
     };
 
     logger.info('RAG service initialized');
@@ -34,11 +40,14 @@ export class RAGService {
         return await aiCoordinator.generateResponse(messages, options);
       }
 
+      // Turn follow-ups into standalone queries before searching
+      const retrievalQuery = await this.rewriteQuery(messages, ragOptions);
+
       // Search for relevant document chunks
       const relevantContext = await this.retrieveRelevantContext(
-        latestUserMessage.content,
+        retrievalQuery.query,
         userId,
-        ragOptions
+        { ...ragOptions, subQueries: retrievalQuery.subQueries }
       );
 
       // Enhance messages with document context if found
@@ -57,19 +66,19 @@ export class RAGService {
         }
       });
 
+      const sources = this.buildSources(relevantContext);
+
       // Add RAG metadata to response
       return {
         ...response,
         ragContext: {
           documentsUsed: relevantContext.length,
-          sources: relevantContext.map(chunk => ({
-            documentId: chunk.documentId,
-            filename: chunk.filename,
-            chunkIndex: chunk.chunkIndex,
-            similarity: chunk.similarity
-          })),
-          enhanced: relevantContext.length > 0
-        }
+          sources,
+          enhanced: relevantContext.length > 0,
+          query: retrievalQuery,
+          scopedDocumentIds: ragOptions.documentIds || null
+        },
+        ...citationService.buildCitationMetadata(response.content, { sources })
       };
 
     } catch (error) {
@@ -96,6 +105,7 @@ export class RAGService {
    */
   async *streamRAGResponse(messages, userId, options = {}) {
     const ragOptions = { ...this.defaultOptions, ...options };
+    let streaming = false;
 
     try {
       // Get the latest user message for document search
@@ -104,13 +114,17 @@ export class RAGService {
 
       let relevantContext = [];
       let enhancedMessages = messages;
+      let retrievalQuery = null;
 
       if (latestUserMessage && ragOptions.enableRAG) {
+        // Turn follow-ups into standalone queries before searching
+        retrievalQuery = await this.rewriteQuery(messages, ragOptions);
+
         // Search for relevant document chunks
         relevantContext = await this.retrieveRelevantContext(
-          latestUserMessage.content,
+          retrievalQuery.query,
           userId,
-          ragOptions
+          { ...ragOptions, subQueries: retrievalQuery.subQueries }
         );
 
         // Enhance messages with document context
@@ -127,18 +141,16 @@ export class RAGService {
         content: null,
         ragContext: {
           documentsUsed: relevantContext.length,
-          sources: relevantContext.map(chunk => ({
-            documentId: chunk.documentId,
-            filename: chunk.filename,
-            chunkIndex: chunk.chunkIndex,
-            similarity: chunk.similarity
-          })),
-          enhanced: relevantContext.length > 0
+          sources: this.buildSources(relevantContext),
+          enhanced: relevantContext.length > 0,
+          query: retrievalQuery,
+          scopedDocumentIds: ragOptions.documentIds || null
         }
       };
 
       // Stream the enhanced response
-      for await (const chunk of aiCoordinator.streamResponse(enhancedMessages, {
+      streaming = true;
+      for await (const chunk of this.streamAnswer(enhancedMessages, {
         ...options,
         settings: {
           ...options.settings,
@@ -146,12 +158,19 @@ export class RAGService {
         }
       })) {
         yield {
-          ...chunk,
-          type: 'response_chunk'
+          type: 'response_chunk',
+          ...chunk
         };
       }
 
     } catch (error) {
+      // The coordinator already failed over between providers; starting
+      // again here would repeat whatever was streamed. Cancelled streams
+      // aren't restarted either.
+      if (streaming || options.signal?.aborted) {
+        throw error;
+      }
+
       logger.error('RAG streaming error:', error);
       
       // Fallback to regular streaming
@@ -166,41 +185,64 @@ export class RAGService {
         }
       };
 
-      for await (const chunk of aiCoordinator.streamResponse(messages, options)) {
+      for await (const chunk of this.streamAnswer(messages, options)) {
         yield {
-          ...chunk,
-          type: 'response_chunk'
+          type: 'response_chunk',
+          ...chunk
         };
       }
     }
   }
 
+  /**
+   * Stream the answer, letting the model call the turn's tools if it has any
+   */
+  streamAnswer(messages, options) {
+    return options.toolset
+      ? aiCoordinator.streamWithTools(messages, options.toolset, options)
+      : aiCoordinator.streamResponse(messages, options);
+  }
+
   /**
    * Retrieve relevant context from documents
    */
   async retrieveRelevantContext(query, userId, options) {
+    // The conversation is scoped to collections without readable documents
+    if (options.documentIds?.length === 0) {
+      return [];
+    }
+
     try {
-      // Generate embedding for the query
-      const embeddingResult = await aiCoordinator.generateEmbedding(query);
-      
-      // Search for similar document chunks
-      const similarChunks = await documentService.searchSimilarChunks(
-        embeddingResult.embedding,
-        userId,
-        {
-          limit: options.maxRelevantChunks * 2, // Get more to filter better
-          threshold: options.similarityThreshold
-        }
+      const searchOptions = {
+        ...options.retrieval,
+        documentIds: options.documentIds,
+        limit: Math.max(options.rerankCandidates, options.maxRelevantChunks * 2), // Get more to rerank
+        threshold: options.similarityThreshold
+      };
+
+      // Search for relevant chunks by vector similarity and keywords,
+      // once per sub-query, then merge the ranked lists
+      const queries = [...new Set([query, ...(options.subQueries || [])])];
+      const searches = await Promise.all(
+        queries.map(q => hybridSearchService.search(q, userId, searchOptions))
       );
+      const similarChunks = searches.length === 1
+        ? searches[0].results
+        : hybridSearchService.mergeResultLists(searches.map(search => search.results)).slice(0, searchOptions.limit);
 
       if (similarChunks.length === 0) {
         logger.info(`No relevant document chunks found for query: "${query.substring(0, 50)}..."`);
         return [];
       }
 
+      // Rescore candidates before selection
+      const rerankedChunks = await rerankService.rerank(query, similarChunks, {
+        reranker: options.retrieval?.reranker
+      });
+
       // Filter and rank chunks
       const relevantChunks = this.filterAndRankChunks(
-        similarChunks,
+        rerankedChunks,
         query,
         options
       );
@@ -215,28 +257,46 @@ export class RAGService {
     }
   }
 
+  /**
+   * Rewrite the latest turn into a standalone retrieval query
+   */
+  async rewriteQuery(messages, options) {
+    return queryRewriter.rewrite(messages, {
+      enabled: options.retrieval?.rewriteQuery,
+      maxSubQueries: options.retrieval?.subQueries,
+      provider: options.provider
+    });
+  }
+
   /**
    * Filter and rank document chunks
+   * Uses MMR so near-duplicate overlapping chunks don't fill the context
    */
   filterAndRankChunks(chunks, query, options) {
-    // Sort by similarity
-    const sortedChunks = chunks.sort((a, b) => b.similarity - a.similarity);
-    
-    // Take top chunks within context length limit
-    let totalLength = 0;
-    const selectedChunks = [];
-    
-    for (const chunk of sortedChunks) {
-      const chunkLength = chunk.content.length;
-      
-      if (totalLength + chunkLength <= options.maxContextLength && 
-          selectedChunks.length < options.maxRelevantChunks) {
-        selectedChunks.push(chunk);
-        totalLength += chunkLength;
-      }
-    }
+    return rerankService.selectWithMMR(chunks, {
+      limit: options.maxRelevantChunks,
+      maxContextLength: options.maxContextLength,
+      mmrLambda: options.retrieval?.mmrLambda
+    });
+  }
 
-    return selectedChunks;
+  /**
+   * Source metadata reported alongside RAG responses
+   */
+  buildSources(chunks) {
+    return chunks.map((chunk, index) => ({
+      marker: index + 1,
+      chunkId: chunk.id,
+      documentId: chunk.documentId,
+      filename: chunk.originalFilename || chunk.filename,
+      chunkIndex: chunk.chunkIndex,
+      page: chunk.metadata?.page ?? null,
+      headingPath: chunk.metadata?.headingPath || [],
+      similarity: chunk.similarity,
+      score: chunk.score,
+      rerankScore: chunk.rerankScore,
+      matchedBy: chunk.matchedBy
+    }));
   }
 
   /**
@@ -254,7 +314,7 @@ export class RAGService {
     const systemMessageIndex = messages.findIndex(m => m.role === 'system');
     
     const contextInstruction = `
-Use the following document excerpts to help answer the user's question. If the documents contain relevant information, incorporate it into your response and mention the source. If the documents don't contain relevant information, respond based on your general knowledge but mention that you don't have specific document information about this topic.
+Use the following numbered document excerpts to help answer the user's question. If the documents contain relevant information, incorporate it into your response and cite each claim that uses an excerpt with its number in square brackets, for example [1] or [2, 3]. Only cite numbers from the list below. If the documents don't contain relevant information, respond based on your general knowledge but mention that you don't have specific document information about this topic.
 
 Document Context:
 ${contextText}
@@ -286,7 +346,7 @@ Important: Always be honest about what information comes from the provided docum
    */
   buildContextText(chunks) {
     return chunks.map((chunk, index) => {
-      return `Document ${index + 1} (${chunk.filename}):
+      return `[${index + 1}] ${chunk.originalFilename || chunk.filename} (excerpt ${chunk.chunkIndex + 1}):
 ${chunk.content}
 
 ---`;
@@ -0,0 +1,106 @@
+import queryOptimizer from './queryOptimizer.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Realtime Service
+ * Pushes conversation and document events to users' sockets, so every tab
+ * and device they have open stays in sync. Each socket is in its user's room,
+ * and in the room of every conversation it joined.
+ */
+export class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Handle the connections of a Socket.IO server whose sockets carry a user
+   */
+  attach(io) {
+    this.io = io;
+    io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  conversationRoom(conversationId) {
+    return `conversation:${conversationId}`;
+  }
+
+  handleConnection(socket) {
+    const userId = socket.user.id;
+
+    socket.join(this.userRoom(userId));
+    logger.info(`Client connected: ${socket.id} (user ${userId})`);
+
+    socket.on('join_conversation', async (conversationId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const ownership = typeof conversationId === 'string'
+          ? await queryOptimizer.checkOwnership(conversationId, userId)
+          : { exists: false };
+
+        // Other users' conversations look the same as missing ones
+        if (!ownership.exists || !ownership.isOwner) {
+          return reply({ success: false, message: 'Conversation not found' });
+        }
+
+        socket.join(this.conversationRoom(conversationId));
+        logger.info(`Socket ${socket.id} joined conversation ${conversationId}`);
+        reply({ success: true });
+
+      } catch (error) {
+        logger.error(`Socket ${socket.id} failed to join conversation ${conversationId}:`, error);
+        reply({ success: false, message: 'Failed to join conversation' });
+      }
+    });
+
+    socket.on('leave_conversation', (conversationId) => {
+      socket.leave(this.conversationRoom(conversationId));
+      logger.info(`Socket ${socket.id} left conversation ${conversationId}`);
+    });
+
+    // Typing in one tab shows in the conversation's other tabs
+    socket.on('typing', ({ conversationId, isTyping } = {}) => {
+      const room = this.conversationRoom(conversationId);
+      if (!socket.rooms.has(room)) {
+        return;
+      }
+
+      socket.to(room).emit('typing', { conversationId, isTyping: Boolean(isTyping) });
+    });
+
+    socket.on('disconnect', () => {
+      logger.info(`Client disconnected: ${socket.id}`);
+    });
+  }
+
+  /**
+   * Send an event to the sockets that joined a conversation
+   * except: id of the socket whose request caused the event
+   */
+  toConversation(conversationId, event, payload = {}, except = null) {
+    this.emit(this.conversationRoom(conversationId), event, { conversationId, ...payload }, except);
+  }
+
+  /**
+   * Send an event to all of a user's sockets
+   */
+  toUser(userId, event, payload = {}, except = null) {
+    this.emit(this.userRoom(userId), event, payload, except);
+  }
+
+  emit(room, event, payload, except) {
+    if (!this.io) {
+      return;
+    }
+
+    const target = this.io.to(room);
+    (except ? target.except(except) : target).emit(event, payload);
+  }
+}
+
+// Singleton instance
+export const realtimeService = new RealtimeService();
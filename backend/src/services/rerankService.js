@@ -0,0 +1,248 @@
+import { aiCoordinator } from './ai/aiCoordinator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Built-in lexical overlap reranker
+ * Scores each chunk by the IDF-weighted share of query terms it contains
+ */
+class LexicalReranker {
+  constructor() {
+    this.name = 'lexical';
+  }
+
+  async rerank(query, chunks) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return chunks.map(() => 0);
+    }
+
+    const chunkTerms = chunks.map(chunk => new Set(tokenize(chunk.content)));
+
+    // Terms that appear in fewer candidates discriminate better
+    const idf = new Map(queryTerms.map(term => {
+      const documentFrequency = chunkTerms.filter(terms => terms.has(term)).length;
+      return [term, Math.log(1 + chunks.length / (1 + documentFrequency))];
+    }));
+    const maxScore = queryTerms.reduce((sum, term) => sum + idf.get(term), 0);
+
+    return chunkTerms.map(terms => {
+      const score = queryTerms
+        .filter(term => terms.has(term))
+        .reduce((sum, term) => sum + idf.get(term), 0);
+      return maxScore > 0 ? score / maxScore : 0;
+    });
+  }
+}
+
+/**
+ * Cross-encoder reranker backed by the Hugging Face provider
+ */
+class CrossEncoderReranker {
+  constructor() {
+    this.name = 'cross-encoder';
+  }
+
+  isAvailable() {
+    return aiCoordinator.providers.has('huggingface');
+  }
+
+  async rerank(query, chunks, options = {}) {
+    const service = aiCoordinator.providers.get('huggingface');
+    const result = await service.rerank(query, chunks.map(chunk => chunk.content), {
+      model: options.model
+    });
+    return result.scores;
+  }
+}
+
+/**
+ * LLM-judge reranker
+ * Asks the chat model to grade each passage's relevance from 0 to 10
+ */
+class LLMJudgeReranker {
+  constructor() {
+    this.name = 'llm';
+  }
+
+  async rerank(query, chunks, options = {}) {
+    const passages = chunks
+      .map((chunk, index) => `[${index + 1}] ${chunk.content.substring(0, 800)}`)
+      .join('\n\n');
+
+    const response = await aiCoordinator.generateResponse([
+      {
+        role: 'system',
+        content: 'You grade how well passages answer a question. Reply only with a JSON array of numbers from 0 to 10, one per passage, in order.'
+      },
+      {
+        role: 'user',
+        content: `Question: ${query}\n\nPassages:\n${passages}`
+      }
+    ], {
+      provider: options.provider,
+      settings: { temperature: 0, maxTokens: 200 },
+      enableCaching: false
+    });
+
+    const match = response.content.match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : [];
+
+    if (scores.length !== chunks.length) {
+      throw new Error(`LLM judge returned ${scores.length} scores for ${chunks.length} passages`);
+    }
+
+    return scores.map(score => Number(score) / 10);
+  }
+}
+
+/**
+ * Rerank Service
+ * Rescores retrieved candidates with a pluggable reranker, blended with their
+ * retrieval scores, then selects a diverse subset with maximal marginal relevance (MMR)
+ */
+export class RerankService {
+  constructor() {
+    this.rerankers = new Map();
+    this.defaultReranker = process.env.RAG_RERANKER || 'lexical';
+    this.defaultOptions = {
+      mmrLambda: parseFloat(process.env.RAG_MMR_LAMBDA ?? '0.7'),
+      rerankWeight: parseFloat(process.env.RAG_RERANK_WEIGHT ?? '0.5')
+    };
+
+    this.registerReranker(new LexicalReranker());
+    this.registerReranker(new CrossEncoderReranker());
+    this.registerReranker(new LLMJudgeReranker());
+
+    logger.info(`Rerank service initialized (default: ${this.defaultReranker})`);
+  }
+
+  /**
+   * Register a reranker implementing rerank(query, chunks, options) => scores[]
+   */
+  registerReranker(reranker) {
+    this.rerankers.set(reranker.name, reranker);
+  }
+
+  getAvailableRerankers() {
+    return ['none', ...this.rerankers.keys()];
+  }
+
+  /**
+   * Attach a rerankScore to each chunk and sort by it
+   * The score is rerankWeight * reranker score + (1 - rerankWeight) * retrieval
+   * score, both scaled to 0-1, so a reranker can't bury the strongest semantic
+   * matches on its own. Falls back to the lexical reranker on failure
+   */
+  async rerank(query, chunks, options = {}) {
+    const name = options.reranker || this.defaultReranker;
+
+    if (name === 'none' || chunks.length === 0) {
+      return chunks.map(chunk => ({ ...chunk, rerankScore: chunk.score ?? chunk.similarity ?? 0 }));
+    }
+
+    let reranker = this.rerankers.get(name);
+    if (!reranker || (reranker.isAvailable && !reranker.isAvailable())) {
+      logger.warn(`Reranker ${name} not available, using lexical reranker`);
+      reranker = this.rerankers.get('lexical');
+    }
+
+    let scores;
+    try {
+      scores = await reranker.rerank(query, chunks, options);
+    } catch (error) {
+      logger.warn(`Reranker ${reranker.name} failed, using lexical reranker:`, error.message);
+      reranker = this.rerankers.get('lexical');
+      scores = await reranker.rerank(query, chunks, options);
+    }
+
+    const normalized = this.normalizeScores(scores);
+    const retrieval = this.normalizeScores(chunks.map(chunk => chunk.score ?? chunk.similarity ?? 0));
+    const weight = options.rerankWeight ?? this.defaultOptions.rerankWeight;
+
+    logger.info(`Reranked ${chunks.length} chunks with ${reranker.name} reranker`);
+
+    return chunks
+      .map((chunk, index) => ({
+        ...chunk,
+        rerankScore: weight * normalized[index] + (1 - weight) * retrieval[index],
+        reranker: reranker.name
+      }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+  }
+
+  /**
+   * Select chunks by maximal marginal relevance within count and length limits
+   * Each pick maximizes lambda * relevance - (1 - lambda) * max similarity to picked chunks
+   */
+  selectWithMMR(chunks, options = {}) {
+    const {
+      limit = 3,
+      maxContextLength = Infinity,
+      mmrLambda = this.defaultOptions.mmrLambda
+    } = options;
+
+    const candidates = chunks.map(chunk => ({ chunk, terms: new Set(tokenize(chunk.content)) }));
+    const selected = [];
+    let totalLength = 0;
+
+    while (selected.length < limit && candidates.length > 0) {
+      let bestIndex = -1;
+      let bestScore = -Infinity;
+
+      candidates.forEach((candidate, index) => {
+        if (totalLength + candidate.chunk.content.length > maxContextLength) return;
+
+        const redundancy = selected.length > 0
+          ? Math.max(...selected.map(picked => jaccard(candidate.terms, picked.terms)))
+          : 0;
+        const relevance = candidate.chunk.rerankScore ?? candidate.chunk.score ?? candidate.chunk.similarity ?? 0;
+        const mmrScore = mmrLambda * relevance - (1 - mmrLambda) * redundancy;
+
+        if (mmrScore > bestScore) {
+          bestScore = mmrScore;
+          bestIndex = index;
+        }
+      });
+
+      if (bestIndex === -1) break;
+
+      const [picked] = candidates.splice(bestIndex, 1);
+      selected.push(picked);
+      totalLength += picked.chunk.content.length;
+    }
+
+    return selected.map(picked => picked.chunk);
+  }
+
+  /**
+   * Min-max scale scores to 0-1
+   */
+  normalizeScores(scores) {
+    const values = scores.map(score => Number(score) || 0);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    if (max === min) {
+      return values.map(() => (max > 0 ? 1 : 0));
+    }
+
+    return values.map(value => (value - min) / (max - min));
+  }
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}_-]*/gu) || [];
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+
+  let intersection = 0;
+  for (const term of a) {
+    if (b.has(term)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+// Singleton instance
+export const rerankService = new RerankService();
@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events';
+import { getRedisClient, isRedisAvailable, redisKeys } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Events after which a stream has nothing more to send
+const FINAL_EVENTS = new Set(['stream_complete', 'error']);
+
+/**
+ * Stream Buffer Service
+ * Keeps the numbered events of each chat stream, so a client that lost its
+ * connection can replay what it missed and keep following the stream.
+ * Streams started by this process are buffered in memory and copied to Redis,
+ * where other processes read them from.
+ */
+export class StreamBufferService {
+  constructor() {
+    this.ttl = 10 * 60; // Seconds a stream can be resumed after its last event
+    this.pollInterval = 500; // Milliseconds between Redis reads of another process's stream
+    this.idleTimeout = 60 * 1000; // Readers give up after this long without events, streams without readers too
+
+    // streamId -> { userId, events, redis, readers, detachedAt } for streams started here
+    this.streams = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Register a new stream owned by userId
+   */
+  async create(streamId, userId) {
+    const redis = (await isRedisAvailable()) ? getRedisClient() : null;
+    this.streams.set(streamId, { userId, events: [], redis, readers: 0, detachedAt: Date.now() });
+
+    if (redis) {
+      try {
+        await redis.pipeline()
+          .hset(redisKeys.streamMeta(streamId), 'userId', userId)
+          .expire(redisKeys.streamMeta(streamId), this.ttl)
+          .exec();
+      } catch (error) {
+        logger.warn(`Stream ${streamId} is only buffered in memory:`, error.message);
+        this.streams.get(streamId).redis = null;
+      }
+    }
+  }
+
+  /**
+   * Add an event to a stream; returns its sequence number, starting at 1
+   */
+  append(streamId, event) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      throw new Error(`Unknown stream ${streamId}`);
+    }
+
+    const entry = { seq: stream.events.length + 1, event };
+    stream.events.push(entry);
+
+    // Commands on one connection run in order, so Redis sees the events in sequence
+    stream.redis?.pipeline()
+      .rpush(redisKeys.streamEvents(streamId), JSON.stringify(entry))
+      .expire(redisKeys.streamEvents(streamId), this.ttl)
+      .expire(redisKeys.streamMeta(streamId), this.ttl)
+      .exec()
+      .catch(error => logger.warn(`Failed to buffer event ${entry.seq} of stream ${streamId}:`, error.message));
+
+    this.emitter.emit(streamId);
+
+    if (FINAL_EVENTS.has(event.type)) {
+      setTimeout(() => this.streams.delete(streamId), this.ttl * 1000).unref();
+    }
+
+    return entry.seq;
+  }
+
+  /**
+   * Get the owner of a stream, or null when it's unknown or expired
+   */
+  async getOwner(streamId) {
+    const stream = this.streams.get(streamId);
+    if (stream) {
+      return stream.userId;
+    }
+
+    try {
+      if (await isRedisAvailable()) {
+        return (await getRedisClient().hget(redisKeys.streamMeta(streamId), 'userId')) || null;
+      }
+    } catch (error) {
+      logger.warn(`Failed to look up stream ${streamId}:`, error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the buffered events after the given sequence number
+   */
+  async getEvents(streamId, afterSeq = 0) {
+    const stream = this.streams.get(streamId);
+    if (stream) {
+      return stream.events.slice(afterSeq);
+    }
+
+    const entries = await getRedisClient().lrange(redisKeys.streamEvents(streamId), afterSeq, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Yield the events after afterSeq, then follow the stream until it ends,
+   * the signal aborts or nothing arrives for idleTimeout
+   */
+  async *read(streamId, afterSeq = 0, signal = null) {
+    let lastSeq = afterSeq;
+    let idleSince = Date.now();
+    const local = this.streams.get(streamId);
+
+    if (local) {
+      local.readers++;
+    }
+
+    try {
+      while (!signal?.aborted) {
+        if (!local) {
+          this.markRemoteReader(streamId);
+        }
+
+        const entries = await this.getEvents(streamId, lastSeq);
+
+        for (const entry of entries) {
+          yield entry;
+          lastSeq = entry.seq;
+
+          if (FINAL_EVENTS.has(entry.event.type)) {
+            return;
+          }
+        }
+
+        if (entries.length > 0) {
+          idleSince = Date.now();
+        } else if (Date.now() - idleSince > this.idleTimeout) {
+          logger.warn(`Stopped following stream ${streamId} after ${this.idleTimeout}ms without events`);
+          return;
+        }
+
+        await this.waitForEvents(streamId, signal);
+      }
+    } finally {
+      if (local && --local.readers === 0) {
+        local.detachedAt = Date.now();
+      }
+    }
+  }
+
+  /**
+   * Note in Redis that another process is reading a stream, for the process
+   * generating it
+   */
+  markRemoteReader(streamId) {
+    getRedisClient().hset(redisKeys.streamMeta(streamId), 'readAt', Date.now())
+      .catch(error => logger.warn(`Failed to mark stream ${streamId} as read:`, error.message));
+  }
+
+  /**
+   * Whether a stream started here has had no reader, in this process or
+   * another, for idleTimeout
+   */
+  async isAbandoned(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.readers > 0 || Date.now() - stream.detachedAt < this.idleTimeout) {
+      return false;
+    }
+
+    if (!stream.redis) {
+      return true;
+    }
+
+    try {
+      const readAt = await stream.redis.hget(redisKeys.streamMeta(streamId), 'readAt');
+      return !readAt || Date.now() - Number(readAt) >= this.idleTimeout;
+    } catch (error) {
+      logger.warn(`Failed to check readers of stream ${streamId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Call onAbandoned once when the stream is abandoned
+   * Returns a function that stops watching
+   */
+  watchReaders(streamId, onAbandoned) {
+    let stopped = false;
+    const stop = () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+
+    const timer = setInterval(async () => {
+      if (await this.isAbandoned(streamId) && !stopped) {
+        stop();
+        onAbandoned();
+      }
+    }, this.pollInterval);
+    timer.unref();
+
+    return stop;
+  }
+
+  /**
+   * Resolve when a local stream gets an event, or after pollInterval
+   */
+  waitForEvents(streamId, signal) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.emitter.off(streamId, done);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, this.pollInterval);
+
+      this.emitter.on(streamId, done);
+      signal?.addEventListener('abort', done);
+    });
+  }
+}
+
+// Singleton instance
+export const streamBufferService = new StreamBufferService();
@@ -0,0 +1,203 @@
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Calculator tool
+ * Evaluates arithmetic with a small recursive-descent parser instead of
+ * eval, so model-written expressions can't run code
+ */
+export class CalculatorTool {
+  constructor() {
+    this.name = 'calculator';
+    this.description = 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+      `the constants pi and e, and the functions ${Object.keys(FUNCTIONS).join(', ')}. Trigonometry uses radians.`;
+    this.parameters = {
+      type: 'object',
+      properties: {
+        expression: {
+          type: 'string',
+          description: 'The expression to evaluate, e.g. "(1200 * 0.15) / 12"',
+          maxLength: 500
+        }
+      },
+      required: ['expression']
+    };
+  }
+
+  async execute({ expression }) {
+    return { expression, result: this.evaluate(expression) };
+  }
+
+  evaluate(expression) {
+    this.tokens = this.tokenize(expression);
+    this.position = 0;
+
+    const value = this.parseExpression();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected "${this.tokens[this.position].value}" in expression`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error('The expression has no finite result');
+    }
+
+    return value;
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+
+    while (pattern.lastIndex < expression.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(expression);
+
+      if (!match) {
+        const rest = expression.slice(start).trim();
+        if (rest === '') {
+          break;
+        }
+        throw new Error(`Unexpected "${rest[0]}" in expression`);
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'name', value: match[2].toLowerCase() });
+      } else {
+        tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+      }
+    }
+
+    return tokens;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return token?.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.peek(value)) {
+      throw new Error(`Expected "${value}" in expression`);
+    }
+    this.position++;
+  }
+
+  // expression := term (("+" | "-") term)*
+  parseExpression() {
+    let value = this.parseTerm();
+
+    while (this.peek('+') || this.peek('-')) {
+      const operator = this.tokens[this.position++].value;
+      const right = this.parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+
+    return value;
+  }
+
+  // term := unary (("*" | "/" | "%") unary)*
+  parseTerm() {
+    let value = this.parseUnary();
+
+    while (this.peek('*') || this.peek('/') || this.peek('%')) {
+      const operator = this.tokens[this.position++].value;
+      const right = this.parseUnary();
+
+      if ((operator === '/' || operator === '%') && right === 0) {
+        throw new Error('Division by zero');
+      }
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+
+    return value;
+  }
+
+  // unary := ("+" | "-") unary | power
+  parseUnary() {
+    if (this.peek('-')) {
+      this.position++;
+      return -this.parseUnary();
+    }
+    if (this.peek('+')) {
+      this.position++;
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  // power := primary ("^" unary)?   (right associative, so 2^3^2 = 2^9)
+  parsePower() {
+    const base = this.parsePrimary();
+
+    if (this.peek('^')) {
+      this.position++;
+      return Math.pow(base, this.parseUnary());
+    }
+
+    return base;
+  }
+
+  // primary := number | constant | function "(" arguments ")" | "(" expression ")"
+  parsePrimary() {
+    const token = this.tokens[this.position++];
+
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      if (Object.hasOwn(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      if (!Object.hasOwn(FUNCTIONS, token.value)) {
+        throw new Error(`Unknown function or constant "${token.value}"`);
+      }
+
+      this.expect('(');
+      const args = [this.parseExpression()];
+      while (this.peek(',')) {
+        this.position++;
+        args.push(this.parseExpression());
+      }
+      this.expect(')');
+
+      return FUNCTIONS[token.value](...args);
+    }
+
+    if (token.value === '(') {
+      const value = this.parseExpression();
+      this.expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in expression`);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Current time tool
+ * Models don't know today's date; this tells them, in any IANA time zone
+ */
+export class CurrentTimeTool {
+  constructor() {
+    this.name = 'get_current_time';
+    this.description = 'Get the current date and time. Use it for anything that depends on today\'s date, ' +
+      'such as ages, deadlines or "how long ago" questions.';
+    this.parameters = {
+      type: 'object',
+      properties: {
+        timezone: {
+          type: 'string',
+          description: 'IANA time zone such as "Europe/Berlin" or "Asia/Tokyo". Defaults to UTC.'
+        }
+      }
+    };
+  }
+
+  async execute({ timezone = 'UTC' }) {
+    const now = new Date();
+
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      });
+    } catch {
+      throw new Error(`Unknown time zone "${timezone}"`);
+    }
+
+    return {
+      timezone,
+      iso: now.toISOString(),
+      local: formatter.format(now),
+      unix: Math.floor(now.getTime() / 1000)
+    };
+  }
+}
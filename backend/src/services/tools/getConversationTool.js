@@ -0,0 +1,63 @@
+import { contextService } from '../contextService.js';
+
+/**
+ * Get conversation tool
+ * Reads back one of the user's conversations, e.g. to pick up something
+ * discussed in another chat or earlier than the context window reaches
+ */
+export class GetConversationTool {
+  constructor() {
+    this.name = 'get_conversation';
+    this.description = 'Read the messages of one of the user\'s conversations. ' +
+      'Omit conversationId for the current conversation.';
+    this.parameters = {
+      type: 'object',
+      properties: {
+        conversationId: {
+          type: 'string',
+          description: 'Id of the conversation to read',
+          pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Number of most recent messages to return (default 20)',
+          minimum: 1,
+          maximum: 50
+        }
+      }
+    };
+    this.maxContentLength = 2000;
+  }
+
+  async execute({ conversationId, limit = 20 }, context) {
+    const id = conversationId || context.conversationId;
+
+    if (!id) {
+      throw new Error('No conversation to read');
+    }
+
+    const { conversation, messages } = await contextService.getConversationContext(id, {
+      messageLimit: limit,
+      includeSystem: false
+    });
+
+    // Other users' conversations look the same as missing ones
+    if (conversation.user_id !== context.userId) {
+      throw new Error('Conversation not found');
+    }
+
+    return {
+      conversationId: conversation.id,
+      title: conversation.title,
+      messages: messages
+        .filter(message => ['user', 'assistant'].includes(message.role) && message.content)
+        .map(message => ({
+          role: message.role,
+          content: message.content.length > this.maxContentLength
+            ? `${message.content.slice(0, this.maxContentLength)}...`
+            : message.content,
+          createdAt: message.created_at
+        }))
+    };
+  }
+}
@@ -0,0 +1,63 @@
+import { hybridSearchService } from '../hybridSearchService.js';
+import { conversationDocumentService } from '../conversationDocumentService.js';
+
+/**
+ * Search documents tool
+ * Lets the model look things up in the user's documents mid-answer, through
+ * the same vector and keyword search as the document search API. Searches
+ * stay within the conversation's document scope when it has one.
+ */
+export class SearchDocumentsTool {
+  constructor() {
+    this.name = 'search_documents';
+    this.description = 'Search the user\'s uploaded documents for passages relevant to a query. ' +
+      'Use it when the answer may be in their documents and the supplied context doesn\'t cover it.';
+    this.parameters = {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for, phrased as a standalone search query',
+          maxLength: 500
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of passages to return (default 5)',
+          minimum: 1,
+          maximum: 10
+        }
+      },
+      required: ['query']
+    };
+    this.maxContentLength = 1500;
+  }
+
+  async execute({ query, limit = 5 }, context) {
+    const documentIds = context.conversationId
+      ? await conversationDocumentService.getScopedDocumentIds(context.conversationId, context.userId)
+      : null;
+
+    // Scoped to collections without readable documents
+    if (documentIds?.length === 0) {
+      return { query, results: [] };
+    }
+
+    const { results } = await hybridSearchService.search(query, context.userId, {
+      limit,
+      documentIds
+    });
+
+    return {
+      query,
+      results: results.map(result => ({
+        documentId: result.documentId,
+        filename: result.originalFilename || result.filename,
+        chunkIndex: result.chunkIndex,
+        content: result.content.length > this.maxContentLength
+          ? `${result.content.slice(0, this.maxContentLength)}...`
+          : result.content,
+        score: parseFloat(result.score.toFixed(4))
+      }))
+    };
+  }
+}
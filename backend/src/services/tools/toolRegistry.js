@@ -0,0 +1,206 @@
+import logger from '../../utils/logger.js';
+import { SearchDocumentsTool } from './searchDocumentsTool.js';
+import { GetConversationTool } from './getConversationTool.js';
+import { CalculatorTool } from './calculatorTool.js';
+import { CurrentTimeTool } from './currentTimeTool.js';
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * Tool Registry
+ * Tools the assistant can call while answering. Each declares its arguments
+ * as a JSON schema, which is sent to providers that support function calling
+ * and checked before the tool runs, so a tool only sees arguments it declared.
+ *
+ * A tool is any object with:
+ *   name        - what the model calls it by (letters, digits, "_" or "-")
+ *   description - when to use it, written for the model
+ *   parameters  - JSON schema of its arguments object
+ *   execute(args, context) - resolves to a JSON-serializable result; context
+ *                 holds the userId and conversationId of the chat turn
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+
+    // Longer results are cut before they go back to the model
+    this.maxResultLength = parseInt(process.env.AI_TOOL_RESULT_MAX_CHARS) || 8000;
+  }
+
+  register(tool) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool?.name || '')) {
+      throw new Error(`Invalid tool name "${tool?.name}"`);
+    }
+
+    if (!tool.description || tool.parameters?.type !== 'object') {
+      throw new Error(`Tool "${tool.name}" needs a description and an object parameters schema`);
+    }
+
+    if (typeof tool.execute !== 'function') {
+      throw new Error(`Tool "${tool.name}" has no execute() method`);
+    }
+
+    this.tools.set(tool.name, tool);
+    logger.debug(`Registered ${tool.name} tool`);
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * Definitions sent to the model, optionally limited to some tools
+   */
+  getDefinitions(names = null) {
+    return Array.from(this.tools.values())
+      .filter(tool => !names || names.includes(tool.name))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }));
+  }
+
+  /**
+   * Check arguments against a schema; returns a list of problems
+   * Covers the subset of JSON schema the tools use: type, properties,
+   * required, enum, minimum/maximum, maxLength and pattern
+   */
+  validate(value, schema, path = 'arguments') {
+    if (schema.type && !JSON_TYPES[schema.type]?.(value)) {
+      return [`${path} must be of type ${schema.type}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+
+    if (schema.type === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+
+      for (const [key, propertyValue] of Object.entries(value)) {
+        const propertySchema = schema.properties?.[key];
+        if (!propertySchema) {
+          errors.push(`${path}.${key} is not a known argument`);
+        } else {
+          errors.push(...this.validate(propertyValue, propertySchema, `${path}.${key}`));
+        }
+      }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a tool with arguments from the model (an object or a JSON string)
+   */
+  async execute(name, args, context = {}) {
+    const tool = this.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool "${name}"`);
+    }
+
+    let parsed = args ?? {};
+    if (typeof parsed === 'string') {
+      try {
+        parsed = parsed.trim() ? JSON.parse(parsed) : {};
+      } catch {
+        throw new Error('Tool arguments are not valid JSON');
+      }
+    }
+
+    // Models often send null for optional arguments they leave out
+    if (JSON_TYPES.object(parsed)) {
+      parsed = Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== null));
+    }
+
+    const errors = this.validate(parsed, tool.parameters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+    }
+
+    return tool.execute(parsed, context);
+  }
+
+  /**
+   * Run one model tool call, reporting failures as the result so the model
+   * can correct itself instead of the turn failing
+   * Returns { id, name, result } or { id, name, error }, plus the content
+   * string that goes back to the model
+   */
+  async run(call, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      const result = await this.execute(call.name, call.arguments, context);
+      logger.info(`Tool ${call.name} completed in ${Date.now() - startTime}ms`);
+
+      return { id: call.id, name: call.name, result, content: this.serialize(result) };
+
+    } catch (error) {
+      logger.warn(`Tool ${call.name} failed: ${error.message}`);
+
+      return { id: call.id, name: call.name, error: error.message, content: this.serialize({ error: error.message }) };
+    }
+  }
+
+  serialize(result) {
+    const content = JSON.stringify(result ?? null);
+
+    return content.length > this.maxResultLength
+      ? `${content.slice(0, this.maxResultLength)}... (truncated)`
+      : content;
+  }
+
+  /**
+   * The tools of one chat turn, bound to its user and conversation,
+   * in the shape aiCoordinator.streamWithTools expects
+   */
+  forContext(context, names = null) {
+    return {
+      definitions: this.getDefinitions(names),
+      execute: call => this.run(call, context)
+    };
+  }
+}
+
+// Singleton instance with the built-in tools
+export const toolRegistry = new ToolRegistry()
+  .register(new SearchDocumentsTool())
+  .register(new GetConversationTool())
+  .register(new CalculatorTool())
+  .register(new CurrentTimeTool());
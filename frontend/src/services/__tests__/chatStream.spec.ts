@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { parseEvents, streamChat } from '../chatStream'
+
+vi.mock('../api', () => ({
+  API_BASE_URL: 'http://api.test'
+}))
+
+// A failing response drops the connection once its parts have been read
+const sseResponse = (parts: string[], { fail = false } = {}) => {
+  const encoder = new TextEncoder()
+  const queue = [...parts]
+
+  return new Response(new ReadableStream({
+    pull(controller) {
+      if (queue.length > 0) {
+        controller.enqueue(encoder.encode(queue.shift()))
+      } else if (fail) {
+        controller.error(new TypeError('network error'))
+      } else {
+        controller.close()
+      }
+    }
+  }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } })
+}
+
+describe('Chat stream', () => {
+  describe('parseEvents', () => {
+    it('should return complete events and keep the unfinished tail', () => {
+      const { events, rest } = parseEvents('id: 1\ndata: {"type":"a"}\n\ndata: {"type":"b"}\n\ndata: {"ty')
+
+      expect(events).toEqual([{ id: '1', data: { type: 'a' } }, { id: null, data: { type: 'b' } }])
+      expect(rest).toBe('data: {"ty')
+    })
+  })
+
+  describe('streamChat', () => {
+    beforeEach(() => {
+      vi.mocked(localStorage.getItem).mockReturnValue('token-1')
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    it('should post with the access token and emit events split across reads', async () => {
+      const fetchMock = vi.fn().mockResolvedValue(sseResponse([
+        'data: {"type":"ai_response_chunk","content":"Hel"}\n\ndata: {"type":"ai_res',
+        'ponse_chunk","content":"lo"}\n\n'
+      ]))
+      vi.stubGlobal('fetch', fetchMock)
+      const events: any[] = []
+
+      await streamChat('/chat/stream', { message: 'Hi' }, event => events.push(event))
+
+      expect(events.map(event => event.content)).toEqual(['Hel', 'lo'])
+      const [url, init] = fetchMock.mock.calls[0]
+      expect(url).toBe('http://api.test/chat/stream')
+      expect(init.headers.Authorization).toBe('Bearer token-1')
+      expect(JSON.parse(init.body)).toEqual({ message: 'Hi' })
+    })
+
+    it('should reject failed requests', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('{}', { status: 401 })))
+
+      await expect(streamChat('/chat/stream', {}, () => {}))
+        .rejects.toThrow('Stream request failed with status 401')
+    })
+
+    it('should resume after the last event when the connection drops', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce(sseResponse([
+          'id: 1\ndata: {"type":"stream_created","streamId":"stream-1"}\n\n',
+          'id: 2\ndata: {"type":"ai_response_chunk","content":"Hel"}\n\n'
+        ], { fail: true }))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(sseResponse([
+          'id: 3\ndata: {"type":"ai_response_chunk","content":"lo"}\n\n',
+          'id: 4\ndata: {"type":"stream_complete"}\n\n'
+        ]))
+      vi.stubGlobal('fetch', fetchMock)
+      const events: any[] = []
+
+      await streamChat('/chat/stream', { message: 'Hi' }, event => events.push(event), undefined, { retryDelay: 0 })
+
+      expect(events.map(event => event.type)).toEqual(['stream_created', 'ai_response_chunk', 'ai_response_chunk', 'stream_complete'])
+      const [url, init] = fetchMock.mock.calls[2]
+      expect(url).toBe('http://api.test/chat/stream/stream-1')
+      expect(init.method).toBe('GET')
+      expect(init.headers['Last-Event-ID']).toBe('2')
+    })
+
+    it('should give up after the retries', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce(sseResponse(['id: 1\ndata: {"type":"stream_created","streamId":"stream-1"}\n\n'], { fail: true }))
+        .mockRejectedValue(new TypeError('Failed to fetch'))
+      vi.stubGlobal('fetch', fetchMock)
+
+      await expect(streamChat('/chat/stream', {}, () => {}, undefined, { retries: 2, retryDelay: 0 }))
+        .rejects.toThrow('Lost the connection to the stream')
+      expect(fetchMock).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not resume a stream the server no longer has', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce(sseResponse(['id: 1\ndata: {"type":"stream_created","streamId":"stream-1"}\n\n'], { fail: true }))
+        .mockResolvedValueOnce(new Response('{}', { status: 404 }))
+      vi.stubGlobal('fetch', fetchMock)
+
+      await expect(streamChat('/chat/stream', {}, () => {}, undefined, { retryDelay: 0 }))
+        .rejects.toThrow('Stream request failed with status 404')
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+  })
+})
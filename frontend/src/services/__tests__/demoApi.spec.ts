@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { demoApi } from '../demoApi'
+import { apiClient } from '../api'
+
+vi.mock('../api', () => ({
+  apiClient: {
+    post: vi.fn()
+  }
+}))
+
+const mockedPost = vi.mocked(apiClient.post)
+
+describe('Demo API Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('generateResponse', () => {
+    it('should send the conversation to the backend', async () => {
+      mockedPost.mockResolvedValue({ data: { success: true, data: { content: 'AI response' } } })
+
+      const messages = [
+        { role: 'user' as const, content: 'Hello' },
+        { role: 'assistant' as const, content: 'Hi there!' },
+        { role: 'user' as const, content: 'How are you?' }
+      ]
+
+      const response = await demoApi.generateResponse(messages)
+
+      expect(response).toBe('AI response')
+      expect(mockedPost).toHaveBeenCalledWith('/demo/chat', { messages })
+    })
+
+    it('should handle backend errors', async () => {
+      mockedPost.mockRejectedValue(new Error('Network error'))
+
+      await expect(demoApi.generateResponse([{ role: 'user', content: 'Hello' }]))
+        .rejects.toThrow('Failed to generate AI response')
+    })
+  })
+
+  describe('generateConversationTitle', () => {
+    it('should return the title generated by the backend', async () => {
+      mockedPost.mockResolvedValue({ data: { success: true, data: { title: 'Weather Question' } } })
+
+      const title = await demoApi.generateConversationTitle('What is the weather like?')
+
+      expect(title).toBe('Weather Question')
+      expect(mockedPost).toHaveBeenCalledWith('/demo/title', { message: 'What is the weather like?' })
+    })
+
+    it('should fall back to a default title on errors', async () => {
+      mockedPost.mockRejectedValue(new Error('Network error'))
+
+      const title = await demoApi.generateConversationTitle('Test message')
+
+      expect(title).toBe('New Conversation')
+    })
+  })
+})
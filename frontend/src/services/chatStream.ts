@@ -0,0 +1,144 @@
+import { API_BASE_URL } from './api'
+
+export interface ChatStreamEvent {
+  type: string
+  [key: string]: any
+}
+
+export interface ParsedEvent {
+  id: string | null
+  data: ChatStreamEvent
+}
+
+export interface StreamChatOptions {
+  retries?: number
+  retryDelay?: number
+  headers?: Record<string, string>
+}
+
+export class StreamRequestError extends Error {
+  constructor(public status: number) {
+    super(`Stream request failed with status ${status}`)
+  }
+}
+
+// Events after which the server has nothing more to send
+const FINAL_EVENTS = ['stream_complete', 'error']
+
+// Split buffered server-sent event text into its complete events; the
+// unfinished tail is returned to be prepended to the next read
+export function parseEvents(buffer: string): { events: ParsedEvent[], rest: string } {
+  const blocks = buffer.split('\n\n')
+  const rest = blocks.pop() ?? ''
+
+  const events = blocks.flatMap(block => {
+    const lines = block.split('\n')
+    const data = lines.find(line => line.startsWith('data: '))
+    if (!data) return []
+
+    const id = lines.find(line => line.startsWith('id: '))
+    return [{ id: id ? id.slice(4) : null, data: JSON.parse(data.slice(6)) }]
+  })
+
+  return { events, rest }
+}
+
+async function openStream(path: string, init: RequestInit): Promise<Response> {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+      ...init.headers
+    }
+  })
+
+  if (!response.ok || !response.body) {
+    throw new StreamRequestError(response.status)
+  }
+
+  return response
+}
+
+async function readEvents(response: Response, onEvent: (event: ParsedEvent) => void): Promise<void> {
+  const reader = response.body!.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    const { events, rest } = parseEvents(buffer + value)
+    buffer = rest
+    events.forEach(onEvent)
+  }
+}
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
+
+// POST to a streaming chat endpoint and hand each event to onEvent. EventSource
+// can only GET without headers, so the response body is read directly.
+// When the connection drops before the stream ends, it's resumed after the last
+// event received, retrying with growing delays. Aborting the signal only closes
+// the connection; the answer is still finished and saved on the server.
+export async function streamChat(
+  path: string,
+  body: object,
+  onEvent: (event: ChatStreamEvent) => void,
+  signal?: AbortSignal,
+  { retries = 5, retryDelay = 1000, headers = {} }: StreamChatOptions = {}
+): Promise<void> {
+  let streamId: string | null = null
+  let lastEventId = '0'
+  let finished = false
+  let failures = 0
+
+  const handleEvent = ({ id, data }: ParsedEvent) => {
+    if (id) lastEventId = id
+    if (data.type === 'stream_created') streamId = data.streamId
+    if (FINAL_EVENTS.includes(data.type)) finished = true
+
+    try {
+      onEvent(data)
+    } catch (error) {
+      // Errors thrown by the handler end the stream instead of reconnecting
+      finished = true
+      throw error
+    }
+  }
+
+  let open = () => openStream(path, { method: 'POST', headers, body: JSON.stringify(body), signal })
+
+  for (;;) {
+    const seen = lastEventId
+
+    try {
+      await readEvents(await open(), handleEvent)
+      if (finished || !streamId) return
+    } catch (error) {
+      const rejected = error instanceof StreamRequestError && error.status < 500
+      if (finished || signal?.aborted || !streamId || rejected) throw error
+    }
+
+    // Only failures in a row count towards the retries
+    failures = lastEventId === seen ? failures + 1 : 1
+    if (failures > retries) {
+      throw new Error('Lost the connection to the stream')
+    }
+
+    await wait(retryDelay * 2 ** (failures - 1), signal)
+    open = () => openStream(`/chat/stream/${streamId}`, {
+      method: 'GET',
+      headers: { ...headers, 'Last-Event-ID': lastEventId },
+      signal
+    })
+  }
+}
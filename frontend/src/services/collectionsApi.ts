@@ -0,0 +1,58 @@
+import type {
+  ApiResponse,
+  Collection,
+  CollectionMember,
+  CollectionRole,
+  Document
+} from '../types/document'
+import { apiClient } from './api'
+
+export const collectionsApi = {
+  async getCollections(): Promise<ApiResponse<{ collections: Collection[] }>> {
+    const response = await apiClient.get<ApiResponse<{ collections: Collection[] }>>('/collections')
+    return response.data
+  },
+
+  async createCollection(name: string, description?: string): Promise<ApiResponse<{ collection: Collection }>> {
+    const response = await apiClient.post<ApiResponse<{ collection: Collection }>>('/collections', {
+      name,
+      description
+    })
+    return response.data
+  },
+
+  async getCollection(collectionId: string): Promise<ApiResponse<{ collection: Collection, documents: Document[] }>> {
+    const response = await apiClient.get<ApiResponse<{ collection: Collection, documents: Document[] }>>(`/collections/${collectionId}`)
+    return response.data
+  },
+
+  async deleteCollection(collectionId: string): Promise<ApiResponse<void>> {
+    const response = await apiClient.delete<ApiResponse<void>>(`/collections/${collectionId}`)
+    return response.data
+  },
+
+  async setMember(collectionId: string, email: string, role: CollectionRole): Promise<ApiResponse<{ members: CollectionMember[] }>> {
+    const response = await apiClient.put<ApiResponse<{ members: CollectionMember[] }>>(`/collections/${collectionId}/members`, {
+      email,
+      role
+    })
+    return response.data
+  },
+
+  async removeMember(collectionId: string, userId: string): Promise<ApiResponse<{ members: CollectionMember[] }>> {
+    const response = await apiClient.delete<ApiResponse<{ members: CollectionMember[] }>>(`/collections/${collectionId}/members/${userId}`)
+    return response.data
+  },
+
+  async addDocuments(collectionId: string, documentIds: string[]): Promise<ApiResponse<{ documentIds: string[] }>> {
+    const response = await apiClient.post<ApiResponse<{ documentIds: string[] }>>(`/collections/${collectionId}/documents`, {
+      documentIds
+    })
+    return response.data
+  },
+
+  async removeDocument(collectionId: string, documentId: string): Promise<ApiResponse<void>> {
+    const response = await apiClient.delete<ApiResponse<void>>(`/collections/${collectionId}/documents/${documentId}`)
+    return response.data
+  }
+}
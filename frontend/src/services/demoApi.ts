@@ -0,0 +1,33 @@
+import { apiClient } from './api'
+
+export interface DemoMessage {
+  role: 'user' | 'assistant'
+  content: string
+}
+
+// Demo mode conversations live in the browser; the backend only generates the replies,
+// so no AI provider key is shipped to the client
+export class DemoApiService {
+  async generateResponse(messages: DemoMessage[]): Promise<string> {
+    try {
+      const response = await apiClient.post('/demo/chat', { messages })
+      return response.data.data.content
+    } catch (error) {
+      console.error('Demo API error:', error)
+      throw new Error('Failed to generate AI response')
+    }
+  }
+
+  // Generate a conversation title based on the first message
+  async generateConversationTitle(firstMessage: string): Promise<string> {
+    try {
+      const response = await apiClient.post('/demo/title', { message: firstMessage })
+      return response.data.data.title || 'New Conversation'
+    } catch (error) {
+      console.error('Failed to generate title:', error)
+      return 'New Conversation'
+    }
+  }
+}
+
+export const demoApi = new DemoApiService()
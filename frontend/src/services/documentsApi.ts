@@ -6,13 +6,19 @@ import type {
   ProcessingStatus,
   SearchResponse,
   SearchRequest,
-  DocumentChunk
+  RetrievalMode,
+  DocumentChunk,
+  DocumentVersion,
+  VersionDiff,
+  ChunkingStrategy
 } from '../types/document'
 import { apiClient } from './api'
 
 export const documentsApi = {
-  async getDocuments(): Promise<ApiResponse<DocumentsResponse>> {
-    const response = await apiClient.get<ApiResponse<DocumentsResponse>>('/documents')
+  async getDocuments(options: { collectionId?: string } = {}): Promise<ApiResponse<DocumentsResponse>> {
+    const response = await apiClient.get<ApiResponse<DocumentsResponse>>('/documents', {
+      params: options.collectionId ? { collectionId: options.collectionId } : undefined
+    })
     return response.data
   },
 
@@ -55,6 +61,9 @@ export const documentsApi = {
   async searchDocuments(query: string, options: {
     limit?: number
     threshold?: number
+    mode?: RetrievalMode
+    vectorWeight?: number
+    keywordWeight?: number
   } = {}): Promise<ApiResponse<SearchResponse>> {
     const response = await apiClient.post<ApiResponse<SearchResponse>>('/documents/search', {
       query,
@@ -68,8 +77,25 @@ export const documentsApi = {
     return response.data
   },
 
-  async reprocessDocument(documentId: string): Promise<ApiResponse<void>> {
-    const response = await apiClient.post<ApiResponse<void>>(`/documents/${documentId}/reprocess`)
+  async reprocessDocument(documentId: string, chunkingStrategy?: ChunkingStrategy): Promise<ApiResponse<void>> {
+    const response = await apiClient.post<ApiResponse<void>>(`/documents/${documentId}/reprocess`, { chunkingStrategy })
+    return response.data
+  },
+
+  async getVersions(documentId: string): Promise<ApiResponse<{ versions: DocumentVersion[] }>> {
+    const response = await apiClient.get<ApiResponse<{ versions: DocumentVersion[] }>>(`/documents/${documentId}/versions`)
+    return response.data
+  },
+
+  async diffVersions(documentId: string, from?: number, to?: number): Promise<ApiResponse<{ diff: VersionDiff }>> {
+    const response = await apiClient.get<ApiResponse<{ diff: VersionDiff }>>(`/documents/${documentId}/versions/diff`, {
+      params: { from, to }
+    })
+    return response.data
+  },
+
+  async pinVersion(documentId: string, version: number | null): Promise<ApiResponse<{ pinnedVersion: number | null }>> {
+    const response = await apiClient.put<ApiResponse<{ pinnedVersion: number | null }>>(`/documents/${documentId}/pinned-version`, { version })
     return response.data
   }
 }
\ No newline at end of file
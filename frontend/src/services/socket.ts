@@ -0,0 +1,57 @@
+import { io, type Socket } from 'socket.io-client'
+import { API_BASE_URL, apiClient } from './api'
+
+let socket: Socket | null = null
+let users = 0
+
+// Share one connection to the server's realtime events between the views
+// using it; it's closed when the last one releases it
+export function acquireSocket(): Socket {
+  users++
+  if (socket) return socket
+
+  const connection = io(new URL(API_BASE_URL).origin, {
+    // Read on every (re)connect, so refreshed access tokens are used
+    auth: callback => callback({ token: localStorage.getItem('accessToken') })
+  })
+
+  // Tell the server which socket our requests come from; it leaves that
+  // socket out of the events they cause
+  connection.on('connect', () => {
+    apiClient.defaults.headers.common['X-Socket-Id'] = connection.id
+  })
+  connection.on('disconnect', () => {
+    delete apiClient.defaults.headers.common['X-Socket-Id']
+  })
+
+  // A refused handshake isn't retried automatically; the token may have
+  // been refreshed in the meantime
+  connection.on('connect_error', () => {
+    if (!connection.active) {
+      setTimeout(() => socket === connection && connection.connect(), 10000)
+    }
+  })
+
+  socket = connection
+  return connection
+}
+
+export function releaseSocket() {
+  users = Math.max(0, users - 1)
+  if (users > 0 || !socket) return
+
+  socket.disconnect()
+  socket = null
+  delete apiClient.defaults.headers.common['X-Socket-Id']
+}
+
+// Demo sessions have no server-side account to push events for
+export function canUseRealtime(): boolean {
+  const token = localStorage.getItem('accessToken')
+  return !!token && token !== 'demo-access-token' && token !== 'admin-access-token'
+}
+
+// Headers for requests made outside apiClient
+export function socketHeaders(): Record<string, string> {
+  return socket?.id ? { 'X-Socket-Id': socket.id } : {}
+}
@@ -0,0 +1,141 @@
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import type { Collection, CollectionMember, CollectionRole } from '../types/document'
+import { collectionsApi } from '../services/collectionsApi'
+
+export const useCollectionsStore = defineStore('collections', () => {
+  // State
+  const collections = ref<Collection[]>([])
+  const members = ref<CollectionMember[]>([])
+  const isLoading = ref(false)
+  const error = ref<string | null>(null)
+
+  // Computed
+  const editableCollections = computed(() =>
+    collections.value.filter(collection => collection.role === 'owner' || collection.role === 'editor')
+  )
+
+  // Actions
+  async function fetchCollections() {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await collectionsApi.getCollections()
+      collections.value = response.data?.collections || []
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to fetch collections'
+      console.error('Error fetching collections:', err)
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  async function createCollection(name: string, description?: string) {
+    error.value = null
+
+    try {
+      const response = await collectionsApi.createCollection(name, description)
+      const collection = response.data!.collection
+      collections.value = [...collections.value, collection].sort((a, b) => a.name.localeCompare(b.name))
+      return collection
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to create collection'
+      console.error('Error creating collection:', err)
+      throw err
+    }
+  }
+
+  async function deleteCollection(collectionId: string) {
+    try {
+      await collectionsApi.deleteCollection(collectionId)
+      collections.value = collections.value.filter(collection => collection.id !== collectionId)
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to delete collection'
+      console.error('Error deleting collection:', err)
+      throw err
+    }
+  }
+
+  async function fetchMembers(collectionId: string) {
+    try {
+      const response = await collectionsApi.getCollection(collectionId)
+      members.value = response.data?.collection.members || []
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to fetch members'
+      console.error('Error fetching collection members:', err)
+      members.value = []
+    }
+  }
+
+  async function shareCollection(collectionId: string, email: string, role: CollectionRole) {
+    try {
+      const response = await collectionsApi.setMember(collectionId, email, role)
+      members.value = response.data?.members || []
+      updateMemberCount(collectionId)
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to share collection'
+      console.error('Error sharing collection:', err)
+      throw err
+    }
+  }
+
+  async function removeMember(collectionId: string, userId: string) {
+    try {
+      const response = await collectionsApi.removeMember(collectionId, userId)
+      members.value = response.data?.members || []
+      updateMemberCount(collectionId)
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to remove member'
+      console.error('Error removing collection member:', err)
+      throw err
+    }
+  }
+
+  async function moveDocument(documentId: string, collectionId: string | null, fromCollectionId?: string | null) {
+    try {
+      if (collectionId) {
+        await collectionsApi.addDocuments(collectionId, [documentId])
+      } else if (fromCollectionId) {
+        await collectionsApi.removeDocument(fromCollectionId, documentId)
+      }
+      await fetchCollections()
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to move document'
+      console.error('Error moving document:', err)
+      throw err
+    }
+  }
+
+  function updateMemberCount(collectionId: string) {
+    const collection = collections.value.find(c => c.id === collectionId)
+    if (collection) {
+      collection.member_count = members.value.length
+    }
+  }
+
+  function clearError() {
+    error.value = null
+  }
+
+  return {
+    // State
+    collections,
+    members,
+    isLoading,
+    error,
+
+    // Computed
+    editableCollections,
+
+    // Actions
+    fetchCollections,
+    createCollection,
+    deleteCollection,
+    fetchMembers,
+    shareCollection,
+    removeMember,
+    moveDocument,
+    clearError
+  }
+})
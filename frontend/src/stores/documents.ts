@@ -3,10 +3,15 @@ import { ref, computed } from 'vue'
 import type { 
   Document, 
   DocumentChunk, 
+  DocumentJob,
   ProcessingStatus, 
-  SearchResult 
+  SearchResult,
+  ChunkingStrategy,
+  DuplicateAction
 } from '../types/document'
 import { documentsApi } from '../services/documentsApi'
+import { acquireSocket, releaseSocket, canUseRealtime } from '../services/socket'
+import type { Socket } from 'socket.io-client'
 
 export const useDocumentsStore = defineStore('documents', () => {
   // State
@@ -20,6 +25,8 @@ export const useDocumentsStore = defineStore('documents', () => {
   const error = ref<string | null>(null)
   const searchResults = ref<SearchResult[]>([])
   const isSearching = ref(false)
+  // Collection being browsed: undefined for all documents, 'none' for documents outside any collection
+  const activeCollectionId = ref<string | undefined>(undefined)
 
   // Computed
   const processedDocuments = computed(() => 
@@ -40,7 +47,7 @@ export const useDocumentsStore = defineStore('documents', () => {
     error.value = null
     
     try {
-      const response = await documentsApi.getDocuments()
+      const response = await documentsApi.getDocuments({ collectionId: activeCollectionId.value })
       documents.value = response.data!?.documents || []
       processingStatus.value = response.data!?.processing || { total: 0, processed: 0, pending: 0 }
     } catch (err) {
@@ -51,24 +58,50 @@ export const useDocumentsStore = defineStore('documents', () => {
     }
   }
 
-  async function uploadDocument(file: File) {
+  async function uploadDocument(file: File, options: {
+    collectionId?: string | null
+    chunkingStrategy?: ChunkingStrategy
+    duplicateAction?: DuplicateAction
+    duplicateOf?: string
+  } = {}) {
     isLoading.value = true
     error.value = null
 
     try {
       const formData = new FormData()
       formData.append('document', file)
+      if (options.collectionId) {
+        formData.append('collectionId', options.collectionId)
+      }
+      if (options.chunkingStrategy) {
+        formData.append('chunkingStrategy', options.chunkingStrategy)
+      }
+      if (options.duplicateAction) {
+        formData.append('duplicateAction', options.duplicateAction)
+      }
+      if (options.duplicateOf) {
+        formData.append('duplicateOf', options.duplicateOf)
+      }
 
       const response = await documentsApi.uploadDocument(formData)
+      const uploaded = response.data!.document
+
+      // A re-upload of an existing file becomes a new version of that document
+      if (uploaded.linked || documents.value.some(doc => doc.id === uploaded.id)) {
+        if (!uploaded.unchanged && !uploaded.linked) {
+          await fetchDocuments()
+        }
+        return uploaded
+      }
       
       // Add new document to the list
-      documents.value.unshift(response.data!.document)
+      documents.value.unshift(uploaded)
       
       // Update processing status
       processingStatus.value.total += 1
       processingStatus.value.pending += 1
 
-      return response.data!.document
+      return uploaded
     } catch (err) {
       error.value = err instanceof Error ? err.message : 'Failed to upload document'
       console.error('Error uploading document:', err)
@@ -145,18 +178,17 @@ export const useDocumentsStore = defineStore('documents', () => {
     }
   }
 
-  async function reprocessDocument(documentId: string) {
+  async function reprocessDocument(documentId: string, chunkingStrategy?: ChunkingStrategy) {
     try {
-      await documentsApi.reprocessDocument(documentId)
+      await documentsApi.reprocessDocument(documentId, chunkingStrategy)
       
       // Update document status in local state
       const document = documents.value.find(doc => doc.id === documentId)
       if (document) {
-        document.is_processed = false
-        
-        // Update processing status
-        processingStatus.value.processed -= 1
-        processingStatus.value.pending += 1
+        document.job_status = 'queued'
+        document.processing_status = 'pending'
+        document.processing_progress = 0
+        document.processing_error = null
       }
     } catch (err) {
       error.value = err instanceof Error ? err.message : 'Failed to reprocess document'
@@ -165,15 +197,93 @@ export const useDocumentsStore = defineStore('documents', () => {
     }
   }
 
+  async function getDocumentVersions(documentId: string) {
+    try {
+      const response = await documentsApi.getVersions(documentId)
+      return response.data!.versions
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to get document versions'
+      console.error('Error getting document versions:', err)
+      throw err
+    }
+  }
+
+  async function diffDocumentVersions(documentId: string, from?: number, to?: number) {
+    try {
+      const response = await documentsApi.diffVersions(documentId, from, to)
+      return response.data!.diff
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to compare versions'
+      console.error('Error comparing document versions:', err)
+      throw err
+    }
+  }
+
+  async function pinDocumentVersion(documentId: string, version: number | null) {
+    try {
+      await documentsApi.pinVersion(documentId, version)
+
+      const document = documents.value.find(doc => doc.id === documentId)
+      if (document) {
+        document.pinned_version = version
+      }
+    } catch (err) {
+      error.value = err instanceof Error ? err.message : 'Failed to pin version'
+      console.error('Error pinning document version:', err)
+      throw err
+    }
+  }
+
   async function refreshProcessingStatus() {
     try {
       const response = await documentsApi.getProcessingStatus()
       processingStatus.value = response.data!.status
+
+      const finished = (response.data!.status.jobs || []).filter(applyJobToDocument)
+      if (finished.length > 0) {
+        // Reload to pick up chunk counts for newly processed documents
+        await fetchDocuments()
+      }
     } catch (err) {
       console.error('Error refreshing processing status:', err)
     }
   }
 
+  // Apply a job's state to its document; returns true when the job has just finished
+  function applyJobToDocument(job: DocumentJob): boolean {
+    const document = documents.value.find(doc => doc.id === job.documentId)
+    if (!document) return false
+
+    const wasActive = ['queued', 'chunking', 'embedding'].includes(document.job_status || '')
+    document.job_status = job.status
+    document.processing_progress = job.progress
+    document.processing_error = job.status === 'failed' ? job.error : null
+
+    switch (job.status) {
+      case 'queued':
+        document.processing_status = 'pending'
+        break
+      case 'chunking':
+      case 'embedding':
+        document.processing_status = 'processing'
+        break
+      case 'done':
+        document.is_processed = true
+        document.processing_status = 'completed'
+        break
+      case 'failed':
+        document.processing_status = document.is_processed ? 'completed' : 'failed'
+        break
+    }
+
+    return wasActive && job.status === 'done'
+  }
+
+  async function setActiveCollection(collectionId: string | undefined) {
+    activeCollectionId.value = collectionId
+    await fetchDocuments()
+  }
+
   function clearError() {
     error.value = null
   }
@@ -182,14 +292,23 @@ export const useDocumentsStore = defineStore('documents', () => {
     searchResults.value = []
   }
 
-  // Periodic status updates
+  // Periodic status updates; finished jobs are also pushed over the socket
   let statusInterval: number | null = null
+  let socket: Socket | null = null
 
   function startStatusUpdates() {
     if (statusInterval) return
+
+    if (canUseRealtime()) {
+      socket = acquireSocket()
+      socket.on('document_processed', refreshProcessingStatus)
+    }
     
     statusInterval = window.setInterval(() => {
-      if (processingStatus.value.pending > 0) {
+      const hasActiveJobs = documents.value.some(doc =>
+        doc.processing_status === 'pending' || doc.processing_status === 'processing'
+      )
+      if (processingStatus.value.pending > 0 || hasActiveJobs) {
         refreshProcessingStatus()
       }
     }, 5000) // Check every 5 seconds
@@ -200,6 +319,12 @@ export const useDocumentsStore = defineStore('documents', () => {
       clearInterval(statusInterval)
       statusInterval = null
     }
+
+    if (socket) {
+      socket.off('document_processed', refreshProcessingStatus)
+      releaseSocket()
+      socket = null
+    }
   }
 
   return {
@@ -210,6 +335,7 @@ export const useDocumentsStore = defineStore('documents', () => {
     error,
     searchResults,
     isSearching,
+    activeCollectionId,
     
     // Computed
     processedDocuments,
@@ -224,7 +350,11 @@ export const useDocumentsStore = defineStore('documents', () => {
     getDocumentChunks,
     searchDocuments,
     reprocessDocument,
+    getDocumentVersions,
+    diffDocumentVersions,
+    pinDocumentVersion,
     refreshProcessingStatus,
+    setActiveCollection,
     clearError,
     clearSearchResults,
     startStatusUpdates,
@@ -6,29 +6,105 @@ export interface Document {
   file_type: string
   is_processed: boolean
   processing_status?: 'pending' | 'processing' | 'completed' | 'failed'
+  processing_progress?: number
+  processing_error?: string | null
+  job_status?: DocumentJobStatus | null
   created_at: string
   chunk_count: number
   content?: string
+  collection_id?: string | null
+  collection_name?: string | null
+  can_edit?: boolean
+  current_version?: number
+  pinned_version?: number | null
+}
+
+export interface DocumentVersion {
+  version_number: number
+  content_hash: string
+  file_size: number
+  file_type: string
+  created_at: string
+  uploaded_by_name: string | null
+  chunk_count: number
+  is_latest: boolean
+  is_pinned: boolean
+  is_active: boolean
+}
+
+export interface VersionDiff {
+  from: number
+  to: number
+  characters: { from: number, to: number }
+  lines: { added: number, removed: number }
+  chunks: { added: number, removed: number, unchanged: number }
+  changedSections: string[]
+}
+
+export type CollectionRole = 'owner' | 'editor' | 'viewer'
+
+export interface Collection {
+  id: string
+  name: string
+  description: string | null
+  created_by: string | null
+  created_at: string
+  updated_at: string
+  role: CollectionRole
+  document_count?: number
+  member_count?: number
+  members?: CollectionMember[]
+}
+
+export interface CollectionMember {
+  user_id: string
+  email: string
+  name: string
+  role: CollectionRole
+  added_at: string
+}
+
+export type ChunkingStrategy = 'auto' | 'character' | 'markdown' | 'page' | 'sentence' | 'token'
+
+export interface ChunkMetadata {
+  strategy?: Exclude<ChunkingStrategy, 'auto'>
+  startIndex: number
+  endIndex: number
+  chunkSize: number
+  chunkIndex: number
+  page?: number
+  headingPath?: string[]
 }
 
 export interface DocumentChunk {
   id: string
   document_id: string
   content: string
-  metadata: {
-    startIndex: number
-    endIndex: number
-    chunkSize: number
-    chunkIndex: number
-  }
+  metadata: ChunkMetadata
   chunk_index: number
   created_at: string
 }
 
+export type DocumentJobStatus = 'queued' | 'chunking' | 'embedding' | 'done' | 'failed'
+
+export interface DocumentJob {
+  id: string
+  documentId: string
+  status: DocumentJobStatus
+  progress: number
+  attempts: number
+  maxAttempts: number
+  error: string | null
+  nextRunAt: string | null
+  updatedAt: string
+}
+
 export interface ProcessingStatus {
   total: number
   processed: number
   pending: number
+  failed?: number
+  jobs?: DocumentJob[]
 }
 
 export interface SearchResult {
@@ -37,24 +113,49 @@ export interface SearchResult {
   filename: string
   originalFilename: string
   content: string
-  metadata: {
-    startIndex: number
-    endIndex: number
-    chunkSize: number
-    chunkIndex: number
-  }
+  metadata: ChunkMetadata
   chunkIndex: number
-  similarity: string
+  similarity: string | null
+  score?: number
+  matchedBy?: Array<'vector' | 'keyword'>
+  duplicates?: Array<{ id: string, documentId: string, originalFilename: string }>
 }
 
+export type RetrievalMode = 'hybrid' | 'vector' | 'keyword'
+
 export interface SearchRequest {
   query: string
   limit?: number
   threshold?: number
+  mode?: RetrievalMode
+  vectorWeight?: number
+  keywordWeight?: number
 }
 
 export interface UploadResponse {
-  document: Document
+  // version is the document's version after the upload; unchanged when it matched the latest one,
+  // linked when the upload was resolved to an existing duplicate
+  document: Document & { originalFilename?: string, version?: number, unchanged?: boolean, linked?: boolean }
+}
+
+export type DuplicateAction = 'link' | 'replace' | 'keep'
+
+export interface DuplicateMatch {
+  id: string
+  originalFilename: string
+  collectionId: string | null
+  collectionName: string | null
+  version: number
+  createdAt: string
+  canEdit: boolean
+  exact: boolean
+  similarity: number
+}
+
+// Data of the 409 response to an upload that duplicates readable documents
+export interface DuplicateUploadResponse {
+  duplicates: DuplicateMatch[]
+  actions: DuplicateAction[]
 }
 
 export interface DocumentsResponse {
@@ -69,6 +170,7 @@ export interface DocumentsResponse {
 
 export interface SearchResponse {
   query: string
+  mode?: RetrievalMode
   results: SearchResult[]
   usage?: {
     total_tokens: number